@@ -69,6 +69,8 @@ class AnalyticsApp {
             // Initialize services
             this.auth = getAuth(supabaseClient);
             this.db = getDatabase(supabaseClient);
+            // Totals come from the database - skip downloading every transaction
+            this.auth.setLoadTransactions(false);
             await this.auth.initialize();
             this.walletPersistence = getWalletPersistence(this.db);
 
@@ -198,6 +200,10 @@ class AnalyticsApp {
         // Logout button
         document.getElementById('logoutBtn')?.addEventListener('click', async () => {
             try {
+                // Changes made offline are lost on sign out unless they sync first
+                const pending = await this.auth.flushPendingWrites();
+                if (pending > 0 && !confirm(`Changes made offline haven't synced yet (${pending}) and will be lost.\n\nSign out anyway?`)) return;
+                
                 // Clear wallet persistence
                 if (this.walletPersistence) {
                     this.walletPersistence.clearStoredWallet();
@@ -247,6 +253,10 @@ class AnalyticsApp {
         //     this.updateTrendChart();
         // });
 
+        this.ui.subscribe('subcategoryOpened', ({ category, subcategory, contentId }) => {
+            this.loadSubcategoryExpenses(category, subcategory, contentId);
+        });
+
         this.ui.subscribe('comparisonRangeChanged', (range) => {
             this.appState.currentView.comparisonRange = range;
             this.updateComparisonChart();
@@ -323,7 +333,7 @@ class AnalyticsApp {
             );
 
             // 3. Generate periods
-            const availablePeriods = this.analytics.generateAvailablePeriods();
+            const availablePeriods = await this.analytics.generateAvailablePeriods();
             this.ui.populatePeriodSelector(availablePeriods);
 
             if (availablePeriods.length > 0) {
@@ -346,6 +356,8 @@ class AnalyticsApp {
     }
 
     handleDataChange() {
+        // Realtime changes make the cached period totals stale
+        this.analytics.clearCache();
         if (this.appState.hasData && this.debouncedUpdateAnalytics) {
             this.debouncedUpdateAnalytics();
         }
@@ -362,6 +374,7 @@ class AnalyticsApp {
 
     handleCategoriesUpdate() {
         // Categories updated, might affect breakdown
+        this.analytics.clearCache();
         if (this.appState.hasData && this.debouncedUpdateAnalytics) {
             this.debouncedUpdateAnalytics();
         }
@@ -386,9 +399,9 @@ class AnalyticsApp {
                         return;
                     }
                     // Use existing period-based logic
-                    summary = this.analytics.calculateSummary(periodKey, walletId);
+                    summary = await this.analytics.calculateSummary(periodKey, walletId);
                     periodLabel = this.analytics.getPeriodLabel(periodKey);
-                    breakdown = this.analytics.calculateCategoryBreakdown(periodKey, walletId);
+                    breakdown = await this.analytics.calculateCategoryBreakdown(periodKey, walletId);
                 } else if (dateRangeType === 'custom') {
                     if (!customStartDate || !customEndDate) {
                         this.setLoading(false);
@@ -397,8 +410,8 @@ class AnalyticsApp {
                     // Use custom date range
                     const startDate = new Date(customStartDate);
                     const endDate = new Date(customEndDate);
-                    summary = this.analytics.calculateSummaryByDateRange(startDate, endDate, walletId);
-                    breakdown = this.analytics.calculateCategoryBreakdownByDateRange(startDate, endDate, walletId);
+                    summary = await this.analytics.calculateSummaryByDateRange(startDate, endDate, walletId);
+                    breakdown = await this.analytics.calculateCategoryBreakdownByDateRange(startDate, endDate, walletId);
                     periodLabel = this.analytics.formatDateRangeLabel(startDate, endDate);
                 } else {
                     // Use preset date range
@@ -407,30 +420,34 @@ class AnalyticsApp {
                         this.setLoading(false);
                         return;
                     }
-                    summary = this.analytics.calculateSummaryByDateRange(dateRange.startDate, dateRange.endDate, walletId);
-                    breakdown = this.analytics.calculateCategoryBreakdownByDateRange(dateRange.startDate, dateRange.endDate, walletId);
+                    summary = await this.analytics.calculateSummaryByDateRange(dateRange.startDate, dateRange.endDate, walletId);
+                    breakdown = await this.analytics.calculateCategoryBreakdownByDateRange(dateRange.startDate, dateRange.endDate, walletId);
                     periodLabel = this.analytics.formatDateRangeLabel(dateRange.startDate, dateRange.endDate);
                 }
                 
+                // Cache the data (the breakdown is needed to open subcategories)
+                this.dataCache.periodSummary = summary;
+                this.dataCache.categoryBreakdown = breakdown;
+                
                 // Update summary cards
                 this.ui.updateSummaryCards(summary, periodLabel);
                 
                 // Update category breakdown
                 this.ui.renderCategoryBreakdown(breakdown);
                 
+                // Tag breakdown covers the same dates and wallet
+                this.ui.renderTagBreakdown(await this.analytics.calculateTagBreakdown(breakdown));
+                this.ui.renderTopMerchants(await this.analytics.calculateTopMerchants(breakdown));
+                
                 // Update insights (only for period-based for now)
                 if (dateRangeType === 'current-period' && periodKey) {
-                    const insights = this.analytics.calculateInsights(periodKey, walletId);
+                    const insights = await this.analytics.calculateInsights(periodKey, walletId);
                     this.ui.updateInsightsCards(insights);
                 }
                 
                 // Update charts
                 await this.updateCharts();
                 
-                // Cache the data
-                this.dataCache.periodSummary = summary;
-                this.dataCache.categoryBreakdown = breakdown;
-                
             } catch (error) {
                 console.error('Error updating analytics:', error);
                 this.showAlert('Error updating analytics', 'error');
@@ -443,15 +460,32 @@ class AnalyticsApp {
         const { periodKey, walletId, trendRange, comparisonRange } = this.appState.currentView;
         
         // Update trend chart
-        const trendData = this.analytics.calculateTrendData(periodKey, trendRange, walletId);
+        const trendData = await this.analytics.calculateTrendData(periodKey, trendRange, walletId);
         this.updateTrendChart(trendData);
         
         // Update category chart
-        const breakdown = this.analytics.calculateCategoryBreakdown(periodKey, walletId);
+        const breakdown = await this.analytics.calculateCategoryBreakdown(periodKey, walletId);
         this.updateCategoryChart(breakdown);
         
         // Update comparison chart
-        this.updateComparisonChart(periodKey, comparisonRange, walletId);
+        await this.updateComparisonChart(periodKey, comparisonRange, walletId);
+    }
+
+    // Expenses behind a subcategory are only fetched once it is opened
+    async loadSubcategoryExpenses(category, subcategory, contentId) {
+        const breakdown = this.dataCache.categoryBreakdown;
+        if (!breakdown) return;
+
+        try {
+            const expenses = await this.analytics.getSubcategoryExpenses(breakdown, category, subcategory);
+            // Skip if the breakdown was replaced while loading
+            if (this.dataCache.categoryBreakdown === breakdown) {
+                this.ui.renderSubcategoryExpenses(contentId, expenses);
+            }
+        } catch (error) {
+            console.error('Error loading subcategory expenses:', error);
+            this.ui.renderSubcategoryExpenses(contentId, null);
+        }
     }
 
     updateTrendChart(trendData) {
@@ -507,9 +541,9 @@ class AnalyticsApp {
         this.charts.renderDoughnutChart('categoryChart', chartData);
     }
 
-    updateComparisonChart(periodKey, periodCount, walletId) {
+    async updateComparisonChart(periodKey, periodCount, walletId) {
         try {
-            const comparisonData = this.analytics.getDailyComparisonData(
+            const comparisonData = await this.analytics.getDailyComparisonData(
                 periodKey, 
                 periodCount, 
                 walletId
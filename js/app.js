@@ -13,7 +13,11 @@ import {
     currencyUtils, 
     validationUtils, 
     dateUtils, 
-    domUtils 
+    domUtils,
+    receiptUtils,
+    categoryUtils,
+    tagUtils,
+    merchantUtils
 } from './modules/utils.js';
 
 import { initFAB } from './fab.js';
@@ -24,6 +28,59 @@ import {
     handleWalletChange 
 } from './modules/wallet-persistence.js';
 import { initializeSidebar } from './modules/sidebar.js';
+import { getRealtimeSync } from './modules/realtime.js';
+import { getTrash, RETENTION_OPTIONS } from './modules/trash.js';
+import { getHistoryService } from './modules/history.js';
+import { getIntegrityChecker, REPAIR_LABELS } from './modules/integrity.js';
+import { getCategoryMerge } from './modules/category-merge.js';
+import { getReceiptCleanup } from './modules/receipt-cleanup.js';
+import { getTransactionLoader } from './modules/transaction-loader.js';
+import { getRecurring, describeSchedule } from './modules/recurring.js';
+import { models } from './modules/models.js';
+import { createAttachmentEditor } from './modules/attachments.js';
+import { createSplitEditor } from './modules/split-editor.js';
+import { createTagInput } from './modules/tag-input.js';
+import { createPayeeInput } from './modules/payee-input.js';
+import { getErrorMessage, toAppError, ERROR_TYPES } from './modules/errors.js';
+
+// Actions offered in each list's select mode
+const BULK_ACTIONS = {
+    expense: [
+        { action: 'category', label: 'Change category', icon: 'fa-tags' },
+        { action: 'wallet', label: 'Move to wallet', icon: 'fa-wallet' },
+        { action: 'reimbursable', label: 'Reimbursable', icon: 'fa-exchange-alt' },
+        { action: 'date', label: 'Change date', icon: 'fa-calendar' },
+        { action: 'delete', label: 'Delete', icon: 'fa-trash' }
+    ],
+    income: [
+        { action: 'wallet', label: 'Move to wallet', icon: 'fa-wallet' },
+        { action: 'date', label: 'Change date', icon: 'fa-calendar' },
+        { action: 'delete', label: 'Delete', icon: 'fa-trash' }
+    ]
+};
+
+// Fields compared when a save hits a newer version. Grouped fields are kept
+// or taken together so a category never ends up under the wrong subcategory.
+const CONFLICT_FIELDS = {
+    expense: [
+        { label: 'Description', fields: ['description'] },
+        { label: 'Amount', fields: ['amount'] },
+        { label: 'Date', fields: ['date'] },
+        { label: 'Category', fields: ['category_id', 'subcategory_id', 'category', 'subcategory'] },
+        { label: 'Split', fields: ['splits'] },
+        { label: 'Reimbursable', fields: ['is_reimbursable'] },
+        { label: 'Tags', fields: ['tags'] },
+        { label: 'Payee', fields: ['merchant_id'] }
+    ],
+    income: [
+        { label: 'Description', fields: ['description'] },
+        { label: 'Amount', fields: ['amount'] },
+        { label: 'Date', fields: ['date'] },
+        { label: 'Source', fields: ['source'] },
+        { label: 'Tags', fields: ['tags'] },
+        { label: 'Payer', fields: ['merchant_id'] }
+    ]
+};
 
 class FinTrackApp {
     constructor(supabase) {
@@ -37,6 +94,12 @@ class FinTrackApp {
         this.ui = null;
         this.walletPersistence = null;
         this.export = null;
+        this.trash = null;
+        this.history = null;
+        this.integrity = null;
+        this.categoryMerge = null;
+        this.receiptCleanup = null;
+        this.recurring = null;
 
         // Store DOM references
         this.domElements = {};
@@ -55,8 +118,18 @@ class FinTrackApp {
             this.db = getDatabase(this.supabase);
             this.auth = await initializeAuth(this.supabase);
             this.walletPersistence = getWalletPersistence(this.db);
+            this.trash = getTrash(this.db);
+            this.history = getHistoryService(this.db);
+            this.integrity = getIntegrityChecker(this.db);
+            this.categoryMerge = getCategoryMerge(this.db);
+            this.receiptCleanup = getReceiptCleanup(this.db);
+            this.transactions = getTransactionLoader(this.db);
+            this.recurring = getRecurring(this.db);
 
             this.auth.setWalletPersistence(this.walletPersistence);
+            this.auth.setConfirmDiscardWrites((pending) => confirm(
+                `Changes made offline by another account haven't synced yet (${pending}). Signing in discards them.\n\nOK signs in anyway, Cancel signs out so that account can sync them.`
+            ));
             
             // Initialize UI Controller (defined inline below)  
             this.ui = new UIController(this);
@@ -85,6 +158,13 @@ class FinTrackApp {
 
             // Setup cross-tab sync
             this.setupCrossTabSync();
+
+            // Setup offline sync indicator
+            this.setupSyncIndicator();
+
+            // Warn when a record being edited changes on another device
+            this.setupRealtimeConflictHandling();
+            this.setupEditModalCleanup();
             
             this.setupReimbursementListeners();
             this.selectedExpensesForReimbursement = [];
@@ -107,6 +187,9 @@ class FinTrackApp {
         
         this.walletPersistence.setupCrossTabSync((newWalletId) => {
             
+            // Another tab may still point at a wallet this one has deleted or archived
+            if (!this.state.getActiveWallets().some(w => w.id === newWalletId)) return;
+            
             // Update state
             this.state.setCurrentWallet(newWalletId);
             
@@ -123,6 +206,115 @@ class FinTrackApp {
         });
     }    
         
+    // Files are uploaded and a new payee is added before an edit is saved.
+    // However the modal closes without saving - cancelled, or given up on
+    // after an error or a conflict - they belong to nothing, so they're
+    // deleted again.
+    setupEditModalCleanup() {
+        const modal = document.getElementById('editTransactionModal');
+        if (!modal) return;
+        
+        const observer = new MutationObserver(() => {
+            if (modal.classList.contains('active')) return;
+            
+            this.ui.attachmentEditors.edit?.discardUploads()
+                .catch(error => console.error('Error discarding attachments:', error));
+            this.settleEditPayee();
+        });
+        observer.observe(modal, { attributes: true, attributeFilter: ['class'] });
+    }
+    
+    setupRealtimeConflictHandling() {
+        const realtime = getRealtimeSync(this.db);
+        
+        realtime.subscribe('change', ({ type, id, eventType }) => {
+            const modal = document.getElementById('editTransactionModal');
+            if (!modal?.classList.contains('active') || this.savingEdit) return;
+            
+            const editingType = document.getElementById('editItemType')?.value;
+            const editingId = document.getElementById('editItemId')?.value;
+            if (editingType !== type || editingId !== id) return;
+            
+            this.ui.showEditConflict(type, eventType);
+        });
+    }
+    
+    setupSyncIndicator() {
+        const syncQueue = this.db.syncQueue;
+        if (!syncQueue) return;
+        
+        syncQueue.subscribe('status', (status) => this.updateSyncIndicator(status));
+        
+        syncQueue.subscribe('failed', (failed) => {
+            if (this.openQueuedConflict(failed)) return;
+            
+            const { method, error } = failed;
+            this.showAlert(`An offline change could not be synced (${method}): ${error} - click the sync status to retry or discard it`, 'error');
+        });
+        
+        document.getElementById('syncStatus')?.addEventListener('click', () => this.resolveFailedSync());
+        
+        this.updateSyncIndicator(syncQueue.getStatus());
+    }
+    
+    // The rejected write holds up everything queued after it until it's sent
+    // again or thrown away
+    async resolveFailedSync() {
+        const syncQueue = this.db.syncQueue;
+        const failed = syncQueue.getFailed();
+        if (!failed || this.openQueuedConflict(failed)) return;
+        
+        try {
+            if (confirm(`An offline change could not be synced (${failed.method}): ${failed.error}\n\nOK tries again, Cancel lets you discard it.`)) {
+                await syncQueue.retryFailed();
+            } else if (confirm("Discard this change? It can't be undone.")) {
+                await syncQueue.discardFailed();
+            }
+        } catch (error) {
+            console.error('Error resolving failed sync:', error);
+            this.showError(error, 'Error syncing offline changes');
+        }
+    }
+    
+    updateSyncIndicator(status) {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+        
+        let state, icon, label;
+        
+        if (status.failed) {
+            state = 'failed';
+            icon = 'fa-exclamation-triangle';
+            label = `Sync stopped · ${status.pending} pending`;
+        } else if (status.syncing) {
+            state = 'syncing';
+            icon = 'fa-sync-alt fa-spin';
+            label = `Syncing ${status.pending}`;
+        } else if (!status.online) {
+            state = 'offline';
+            icon = 'fa-wifi';
+            label = status.pending > 0 ? `Offline · ${status.pending} pending` : 'Offline';
+        } else if (status.pending > 0) {
+            state = 'pending';
+            icon = 'fa-clock';
+            label = `${status.pending} pending`;
+        } else {
+            state = 'synced';
+            icon = 'fa-check-circle';
+            label = 'Synced';
+        }
+        
+        indicator.className = `sync-status sync-status-${state}`;
+        indicator.title = state === 'synced' ? 'All changes saved'
+            : state === 'failed' ? 'An offline change was rejected - click to retry or discard it'
+            : 'Changes are saved on this device and will sync automatically';
+        indicator.innerHTML = `<i class="fas ${icon}"></i><span class="sync-status-label">${label}</span>`;
+        
+        if (!this.state.getUser()) {
+            indicator.classList.add('hidden');
+        }
+    }
+    
     cacheDomElements() {
         // Store frequently accessed DOM elements
         this.domElements = {
@@ -177,6 +369,7 @@ class FinTrackApp {
 
         if (this.domElements.searchBtn) {
             this.domElements.searchBtn.addEventListener('click', () => {
+                this.ui.populateTagFilter(document.getElementById('searchTag'));
                 this.showModal('search');
             });
         }        
@@ -184,6 +377,7 @@ class FinTrackApp {
         if (this.domElements.logoutBtn) {
             this.domElements.logoutBtn.addEventListener('click', async () => {
                 try {
+                    if (!await this.confirmDiscardPendingWrites()) return;
                     await this.auth.signOut();
                     this.showAlert('Logged out successfully', 'success');
                 } catch (error) {
@@ -262,6 +456,14 @@ class FinTrackApp {
             if (this.ui) {
                 this.ui.updateAllUI();
             }
+            
+            // Empty the Trash of items past the retention window
+            this.trash.purgeExpired();
+            
+            this.checkReimbursementIntegrity();
+            
+            // Add recurring transactions that have come due
+            this.checkRecurring();
         });
         
         // this.auth.subscribe('error', (errorData) => {
@@ -352,100 +554,81 @@ class FinTrackApp {
                     date: date
                 };
 
+                const originalExpense = type === 'expense' ? this.state.getExpenses().find(e => e.id === id) : null;
+                const splits = type === 'expense' ? this.ui.splitEditors.edit?.getSplits() || [] : [];
+
                 if (type === 'expense') {
-                    updateData.category = categoryValue;
-                    updateData.subcategory = subcategoryValue || null;
+                    // A split expense is filed under its first line's category as well
+                    const categoryFields = splits.length > 0
+                        ? this.getExpenseCategoryFields(splits[0].categoryId, splits[0].subcategoryId)
+                        : this.getExpenseCategoryFields(categoryValue, subcategoryValue);
+                    updateData.category_id = categoryFields.categoryId;
+                    updateData.subcategory_id = categoryFields.subcategoryId;
+                    updateData.category = categoryFields.category;
+                    updateData.subcategory = categoryFields.subcategory;
                     updateData.wallet_id = this.state.getState().currentWalletId;
                     updateData.is_reimbursable = isReimbursable;
+                    // [] unsplits an expense that was split
+                    if (splits.length > 0 || originalExpense?.splits?.length > 0) updateData.splits = splits;
                     
                     console.log('💾 Updating expense with isReimbursable:', isReimbursable);
-                    const receiptUpload = document.getElementById('editReceiptUpload');
-                    const newReceiptFile = receiptUpload?.files[0];
-                    const deleteExisting = receiptUpload?.dataset.deleteExisting === 'true';
-                    
-                    if (deleteExisting) {
-                        const oldExpense = this.state.getExpenses().find(e => e.id === id);
-                        if (oldExpense?.receiptUrl) {
-                            await this.db.deleteReceipt(oldExpense.receiptUrl);
-                        }
-                        updateData.receipt_url = null;
-                    } else if (newReceiptFile) {
-                        if (this.ui && typeof this.ui.showLoading === 'function') {
-                            this.ui.showLoading(true);
-                        }
-                        
-                        const oldExpense = this.state.getExpenses().find(e => e.id === id);
-                        if (oldExpense?.receiptUrl) {
-                            await this.db.deleteReceipt(oldExpense.receiptUrl);
-                        }
-                        
-                        const receiptUrl = await this.db.uploadReceipt(newReceiptFile, id);
-                        updateData.receipt_url = receiptUrl;
-                    }
                 } else {
                     updateData.source = categoryValue;
                     updateData.wallet_id = this.state.getState().currentWalletId;
                 }
+                updateData.tags = this.ui.tagInputs.edit?.getTags() || [];
+
+                // The split lines are checked against the amount as a whole
+                const invalid = models.validate(type, updateData, { partial: true }) ||
+                    (splits.length > 0 && models.validate('expense', { ...originalExpense, description, amount, date, splits }));
+                if (invalid) {
+                    this.showAlert(invalid, 'error');
+                    return;
+                }
 
                 if (type === 'expense') {
-                    const originalExpense = this.state.getExpenses().find(e => e.id === id);
                     const wasReimbursable = originalExpense?.isReimbursable || false;
                     const isNowReimbursable = isReimbursable;
                     
                     if (wasReimbursable && !isNowReimbursable) {
-                        const budgetStatus = this.checkBudgetBeforeExpense(categoryValue, amount);
-                        
-                        if (budgetStatus && budgetStatus.willExceed) {
-                            const confirmed = await this.showBudgetWarning(categoryValue, {
-                                budget: budgetStatus.budget,
-                                spent: budgetStatus.spent,
-                                newExpense: amount
-                            });
-                            
-                            if (!confirmed) {
-                                return;
-                            }
+                        const lines = splits.length > 0 ? splits : [{ categoryId: categoryValue, amount }];
+                        if (!await this.confirmExpenseBudgets(lines)) {
+                            return;
                         }
                     }
                 }
 
                 try {
-                    if (this.ui && typeof this.ui.showLoading === 'function') {
-                        this.ui.showLoading(true);
-                    }
-
-                    if (type === 'expense') {
-                        const updated = await this.db.updateExpense(id, updateData);
-                        this.state.updateExpense(updated);
-                    } else {
-                        const isReimbursement = document.getElementById('editIncomeIsReimbursement')?.checked || false;
-                        updateData.isReimbursement = isReimbursement;
-                        
-                        const updated = await this.db.updateIncome(id, updateData);
-                        
-                        if (isReimbursement && this.selectedExpensesForEditReimbursement && this.selectedExpensesForEditReimbursement.length > 0) {
-                            await this.db.unlinkReimbursement(id);
-                            await this.db.linkReimbursement(id, this.selectedExpensesForEditReimbursement);
-                            this.state.linkReimbursement(id, this.selectedExpensesForEditReimbursement);
-                        } else if (!isReimbursement) {
-                            await this.db.unlinkReimbursement(id);
-                            this.state.unlinkReimbursement(id);
-                        } else {
-                            this.state.updateIncome(updated);
-                        }
-                    }
-                    
-                    this.ui.updateAllUI();
-                    document.getElementById('editTransactionModal').classList.remove('active');
-                    this.showAlert('Changes saved successfully', 'success');
+                    const payee = await this.resolvePayee(this.ui.payeeInputs.edit,
+                        type === 'expense' && splits.length === 0 ? { categoryId: updateData.category_id, subcategoryId: updateData.subcategory_id } : {});
+                    updateData.merchant_id = payee.merchantId;
+                    // Removed again unless the edit is saved with it (settleEditPayee)
+                    if (payee.created) this.editPayee = payee;
                 } catch (error) {
-                    console.error('Update error:', error);
-                    this.showAlert('Update failed: ' + error.message, 'error');
-                } finally {
-                    if (this.ui && typeof this.ui.showLoading === 'function') {
+                    console.error('Error saving payee:', error);
+                    this.showError(error, 'Could not save the payee');
+                    return;
+                }
+
+                // New files are uploaded before the save; removed ones are deleted after it
+                const attachments = this.ui.attachmentEditors.edit;
+                if (attachments?.hasChanges()) {
+                    try {
+                        this.ui.showLoading(true);
+                        updateData.attachments = await attachments.upload(id);
+                    } catch (error) {
+                        console.error('Attachment upload error:', error);
+                        await attachments.discardUploads();
+                        await this.settleEditPayee();
+                        this.showError(error, 'Could not upload attachments');
+                        return;
+                    } finally {
                         this.ui.showLoading(false);
                     }
                 }
+
+                const expectedUpdatedAt = document.getElementById('editItemVersion').value || null;
+                await this.submitEdit(type, id, updateData, expectedUpdatedAt);
             });
         }
 
@@ -516,10 +699,24 @@ class FinTrackApp {
             
             const id = document.getElementById('editWalletId').value;
             const name = document.getElementById('editWalletName').value;
+            const expectedUpdatedAt = document.getElementById('editWalletVersion').value || null;
             
             try {
-                const walletData = { id, name };
-                const savedWallet = await this.db.createWallet(walletData);
+                let savedWallet;
+                try {
+                    savedWallet = await this.db.updateWallet(id, { name }, { expectedUpdatedAt });
+                } catch (error) {
+                    if (error.code !== 'VERSION_CONFLICT') throw error;
+                    
+                    // Only ask when the newer version renamed it too
+                    const current = error.current;
+                    const original = this.state.getWallets().find(w => w.id === id);
+                    const renamed = current.name !== original?.name;
+                    
+                    savedWallet = renamed && !confirm(`This wallet was renamed to "${current.name}" somewhere else.\n\nOK keeps your name "${name}", Cancel keeps "${current.name}".`)
+                        ? current
+                        : await this.db.updateWallet(id, { name }, { expectedUpdatedAt: current.updatedAt ?? null });
+                }
                 
                 this.state.updateWallet(savedWallet);
                 this.showAlert('Wallet updated', 'success');
@@ -527,7 +724,7 @@ class FinTrackApp {
                 document.getElementById('editWalletModal').classList.remove('active');
                 this.ui.updateAllUI();
             } catch (error) {
-                this.showAlert('Error updating wallet', 'error');
+                this.showError(error, 'Error updating wallet');
             }
         });
 
@@ -549,6 +746,12 @@ class FinTrackApp {
             }
             
             try {
+                // A new parent re-files the subcategory's expenses too
+                const existing = this.state.getCategories().find(c => c.id === id);
+                if (existing?.type === 'sub' && type === 'sub' && parentId !== existing.parentId) {
+                    await this.categoryMerge.move(id, parentId);
+                }
+                
                 const categoryData = { id, name, type, parentId };
                 const savedCategory = await this.db.createCategory(categoryData);
                 
@@ -558,7 +761,7 @@ class FinTrackApp {
                 document.getElementById('editCategoryModal').classList.remove('active');
                 this.ui.updateAllUI();
             } catch (error) {
-                this.showAlert('Error updating category', 'error');
+                this.showError(error, 'Error updating category');
             }
         });
 
@@ -577,6 +780,24 @@ class FinTrackApp {
             });
         }
 
+        // Bulk action modal
+        document.getElementById('bulkActionForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleBulkAction();
+        });
+
+        // Merge / move category modal
+        document.getElementById('categoryMergeForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCategoryMerge();
+        });
+        document.getElementById('categoryMergeAction')?.addEventListener('change', () => {
+            this.ui.renderCategoryMergeTargets();
+        });
+        document.getElementById('categoryMergeTarget')?.addEventListener('change', () => {
+            this.ui.updateCategoryMergePreview();
+        });
+
         //v5.2
         document.getElementById('budgetForm')?.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -589,23 +810,19 @@ class FinTrackApp {
         const categoryId = document.getElementById('budgetCategory').value;
         const amount = currencyUtils.parseCurrency(document.getElementById('budgetAmount').value);
         const walletId = this.state.getState().currentWalletId;
+        const budgetData = { 
+            categoryId: categoryId, 
+            amount: amount, 
+            walletId: walletId 
+        };
         
-        if (!walletId) {
-            this.showAlert('Select a wallet first', 'error');
-            return;
-        }
-        
-        if (amount <= 0) {
-            this.showAlert('Enter a valid amount', 'error');
+        const invalid = models.validate('budget', budgetData);
+        if (invalid) {
+            this.showAlert(invalid, 'error');
             return;
         }
         
         try {
-            const budgetData = { 
-                categoryId: categoryId, 
-                amount: amount, 
-                walletId: walletId 
-            };
             const savedBudget = await this.db.createBudget(budgetData);
             // ✅ Check if it's an update or new budget
             const existingBudgetIndex = this.state.getBudgets().findIndex(
@@ -627,7 +844,7 @@ class FinTrackApp {
             console.error('Error object:', error);
             console.error('Error message:', error.message);
             console.error('Error stack:', error.stack);
-            this.showAlert('Error saving budget: ' + error.message, 'error');
+            this.showError(error, 'Error saving budget');
         }
     }
 
@@ -648,6 +865,9 @@ class FinTrackApp {
         try {
             let count = 0;
 
+            // Exports cover every month, not just the ones loaded so far
+            if (exportType !== 'budgets') await this.transactions.loadAll();
+
             switch (exportType) {
                 case 'expenses':
                     count = this.export.exportExpensesToCSV(filters);
@@ -803,6 +1023,13 @@ class FinTrackApp {
             }
         });     
         
+        // Arrow keys page through the attachment gallery
+        document.addEventListener('keydown', (e) => {
+            if (!document.getElementById('receiptViewerModal')?.classList.contains('active')) return;
+            if (e.key === 'ArrowLeft') this.showReceiptPage(-1);
+            if (e.key === 'ArrowRight') this.showReceiptPage(1);
+        });
+        
         document.getElementById('closeExportModal')?.addEventListener('click', () => {
             document.getElementById('exportModal').classList.remove('active');
         });        
@@ -824,6 +1051,12 @@ class FinTrackApp {
             await this.handleFABAddIncome(e);
         });
 
+        // FAB Transfer form
+        document.getElementById('fabTransferForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleFABAddTransfer(e);
+        });
+
         // FAB Wallet form
         document.getElementById('fabWalletForm')?.addEventListener('submit', async (e) => {
             e.preventDefault();
@@ -836,6 +1069,46 @@ class FinTrackApp {
             await this.handleFABAddCategory(e);
         });
 
+        // Repeat fields show their options once a frequency is picked
+        document.querySelectorAll('.repeat-frequency').forEach(select => {
+            const prefix = select.dataset.repeat;
+            select.addEventListener('change', () => this.updateRepeatOptions(prefix));
+            // Values are only reset after the event
+            select.form?.addEventListener('reset', () => setTimeout(() => this.updateRepeatOptions(prefix)));
+        });
+        
+        document.getElementById('merchantForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleSaveMerchant(e);
+        });
+        
+        document.getElementById('closeMerchantModal')?.addEventListener('click', () => {
+            document.getElementById('merchantModal').classList.remove('active');
+        });
+        
+        document.getElementById('recurringRuleForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleSaveRecurringRule(e);
+        });
+        
+        document.getElementById('recurringRuleAmount')?.addEventListener('input', function() {
+            this.value = currencyUtils.formatCurrency(this.value);
+        });
+        
+        document.getElementById('closeRecurringRuleModal')?.addEventListener('click', () => {
+            document.getElementById('recurringRuleModal').classList.remove('active');
+        });
+        
+        document.getElementById('recurringDueConfirmBtn')?.addEventListener('click', () => {
+            this.handleConfirmRecurring();
+        });
+        
+        ['closeRecurringDueModal', 'recurringDueLaterBtn'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => {
+                document.getElementById('recurringDueModal').classList.remove('active');
+            });
+        });
+
         // FAB Category type toggle
         const fabCategoryType = document.getElementById('fabCategoryType');
         const fabParentCategoryGroup = document.getElementById('fabParentCategoryGroup');
@@ -866,6 +1139,12 @@ class FinTrackApp {
                 this.value = currencyUtils.formatCurrency(this.value);
             });
         }
+        
+        ['fabTransferAmount', 'fabTransferFee'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', function() {
+                this.value = currencyUtils.formatCurrency(this.value);
+            });
+        });
     }
 
     loadFABParentCategories() {
@@ -883,6 +1162,36 @@ class FinTrackApp {
         });
     }
 
+    /**
+     * Upload a FAB form's attachments onto the record it just created
+     * @param {string} type - 'expense' or 'income'
+     * @returns {string|null} A warning when the record was saved without them
+     */
+    async attachFabFiles(type, record) {
+        const attachments = this.ui.attachmentEditors[type];
+        if (!attachments?.hasChanges()) return null;
+        
+        // Storage uploads can't be queued - keep the record, skip the files
+        if (this.db.syncQueue?.isOffline()) {
+            attachments.load([]);
+            return `You are offline - the ${type} was saved without its attachments. Add them later from the edit screen.`;
+        }
+        
+        try {
+            const list = await attachments.upload(record.id);
+            if (type === 'expense') {
+                this.state.updateExpense({ ...record, ...await this.db.updateExpense(record.id, { attachments: list }) });
+            } else {
+                this.state.updateIncome({ ...record, ...await this.db.updateIncome(record.id, { attachments: list }) });
+            }
+            return null;
+        } catch (error) {
+            console.error('Attachment upload error:', error);
+            await attachments.discardUploads();
+            return `The ${type} was saved, but its attachments could not be uploaded: ${getErrorMessage(error, 'upload failed')}`;
+        }
+    }
+
     //v5.2
     async handleFABAddExpense(e) {
         // Prevent duplicate submissions
@@ -896,76 +1205,69 @@ class FinTrackApp {
             const description = document.getElementById('fabExpenseDescription').value;
             const amount = currencyUtils.parseCurrency(document.getElementById('fabExpenseAmount').value);
             const date = document.getElementById('fabExpenseDate').value;
-            const category = document.getElementById('fabExpenseCategory').value;
-            const subcategory = document.getElementById('fabExpenseSubcategory').value;
+            const categoryId = document.getElementById('fabExpenseCategory').value;
+            const subcategoryId = document.getElementById('fabExpenseSubcategory').value;
             
             const checkboxElement = document.getElementById('fabExpenseIsReimbursable');
             const isReimbursable = checkboxElement?.checked || false;
             
             const walletId = this.state.getState().currentWalletId;
+            const splits = this.ui.splitEditors.expense?.getSplits() || [];
+            const expenseData = { 
+                description, amount, date, 
+                ...this.getExpenseCategoryFields(categoryId, subcategoryId),
+                walletId, isReimbursable,
+                tags: this.ui.tagInputs.expense?.getTags() || []
+            };
+            // A split expense is filed under its first line's category as well
+            if (splits.length > 0) {
+                Object.assign(expenseData, this.getExpenseCategoryFields(splits[0].categoryId, splits[0].subcategoryId), { splits });
+            }
+            const repeat = this.getRepeatOptions('fabExpense');
             
-            if (!walletId) {
-                this.showAlert('Select a wallet first', 'error');
+            const invalid = models.validate('expense', expenseData);
+            if (invalid) {
+                this.showAlert(invalid, 'error');
                 return;
             }
             
-            if (amount <= 0) {
-                this.showAlert('Enter a valid amount', 'error');
+            // Check budget only if NOT reimbursable
+            if (!isReimbursable && !await this.confirmExpenseBudgets(categoryUtils.getExpenseLines(expenseData))) {
                 return;
             }
             
-            // Check budget only if NOT reimbursable
-            if (!isReimbursable) {
-                const budgetStatus = this.checkBudgetBeforeExpense(category, amount);
-                
-                if (budgetStatus && budgetStatus.willExceed) {
-                    const confirmed = await this.showBudgetWarning(category, {
-                        budget: budgetStatus.budget,
-                        spent: budgetStatus.spent,
-                        newExpense: amount
-                    });
-                    
-                    if (!confirmed) {
-                        return;
-                    }
-                }
+            // Split expenses have no single category to teach a new payee
+            const payee = await this.resolvePayee(this.ui.payeeInputs.expense, splits.length > 0 ? {} : expenseData);
+            expenseData.merchantId = payee.merchantId;
+            
+            if (this.ui.attachmentEditors.expense?.hasChanges()) {
+                submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Uploading receipts...';
             }
             
-            const expenseData = { 
-                description, amount, date, category, subcategory, 
-                walletId, isReimbursable 
-            };
+            // Create expense first - attachments are stored under its id
+            const savedExpense = await this.createTransaction('expense', expenseData, repeat).catch(async (error) => {
+                await this.discardPayee(payee);
+                throw error;
+            });
+            this.state.addExpense(savedExpense);
             
-            // Handle receipt upload
-            const receiptFile = document.getElementById('fabReceiptUpload')?.files[0];
-            if (receiptFile) {
-                submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Uploading receipt...';
-                
-                // Create expense first to get ID
-                const savedExpense = await this.db.createExpense(expenseData);
-                
-                // Upload receipt
-                const receiptUrl = await this.db.uploadReceipt(receiptFile, savedExpense.id);
-                
-                // Update expense with receipt URL
-                await this.db.updateExpense(savedExpense.id, { receipt_url: receiptUrl });
-                savedExpense.receiptUrl = receiptUrl;
-                
-                this.state.addExpense(savedExpense);
+            const attachmentWarning = await this.attachFabFiles('expense', savedExpense);
+            if (attachmentWarning) {
+                this.showAlert(attachmentWarning, 'warning');
             } else {
-                const savedExpense = await this.db.createExpense(expenseData);
-                this.state.addExpense(savedExpense);
+                this.showAlert('Expense added', 'success');
             }
-            
-            this.showAlert('Expense added', 'success');
 
             this.ui.updateAllUI();
             
             document.getElementById('fabQuickAddModal').classList.remove('active');
             document.getElementById('fabExpenseForm').reset();
+            
+            // A rule started in the past may already have more occurrences due
+            if (repeat) this.checkRecurring();
         } catch (error) {
             console.error('Error saving expense:', error);
-            this.showAlert('Error saving expense: ' + error.message, 'error');
+            this.showError(error, 'Error saving expense');
         } finally {
             // Re-enable button
             submitBtn.disabled = false;
@@ -980,14 +1282,21 @@ class FinTrackApp {
         const source = document.getElementById('fabIncomeSource').value;
         const walletId = this.state.getState().currentWalletId;
         const isReimbursement = document.getElementById('fabIncomeIsReimbursement')?.checked || false;
+        const incomeData = { 
+            description, 
+            amount, 
+            date, 
+            source, 
+            walletId,
+            isReimbursement: isReimbursement,
+            linkedExpenseIds: isReimbursement ? this.selectedExpensesForReimbursement : [],
+            tags: this.ui.tagInputs.income?.getTags() || []
+        };
+        const repeat = this.getRepeatOptions('fabIncome');
         
-        if (!walletId) {
-            this.showAlert('Select a wallet first', 'error');
-            return;
-        }
-        
-        if (amount <= 0) {
-            this.showAlert('Enter a valid amount', 'error');
+        const invalid = models.validate('income', incomeData);
+        if (invalid) {
+            this.showAlert(invalid, 'error');
             return;
         }
         
@@ -997,26 +1306,26 @@ class FinTrackApp {
         }
         
         try {
-            const incomeData = { 
-                description, 
-                amount, 
-                date, 
-                source, 
-                walletId,
-                isReimbursement: isReimbursement,
-                linkedExpenseIds: isReimbursement ? this.selectedExpensesForReimbursement : []
-            };
+            const payee = await this.resolvePayee(this.ui.payeeInputs.income);
+            incomeData.merchantId = payee.merchantId;
             
-            const savedIncome = await this.db.createIncome(incomeData);
+            // createIncome links the expenses itself, and saves nothing if that fails
+            const savedIncome = await this.createTransaction('income', incomeData, repeat).catch(async (error) => {
+                await this.discardPayee(payee);
+                throw error;
+            });
+            this.state.addIncome(savedIncome);
             
-            if (isReimbursement && this.selectedExpensesForReimbursement.length > 0) {
-                await this.db.linkReimbursement(savedIncome.id, this.selectedExpensesForReimbursement);
+            if (isReimbursement) {
                 this.state.linkReimbursement(savedIncome.id, this.selectedExpensesForReimbursement);
-            } else {
-                this.state.addIncome(savedIncome);
             }
             
-            this.showAlert('Income added successfully', 'success');
+            const attachmentWarning = await this.attachFabFiles('income', savedIncome);
+            if (attachmentWarning) {
+                this.showAlert(attachmentWarning, 'warning');
+            } else {
+                this.showAlert('Income added successfully', 'success');
+            }
 
             this.ui.updateAllUI();
             
@@ -1026,17 +1335,68 @@ class FinTrackApp {
             this.selectedExpensesForReimbursement = [];
             this.updateSelectedExpensesDisplay();
             
+            if (repeat) this.checkRecurring();
         } catch (error) {
             console.error('Error saving income:', error);
-            this.showAlert('Error saving income: ' + error.message, 'error');
+            this.showError(error, 'Error saving income');
+        }
+    }
+
+    async handleFABAddTransfer(e) {
+        // Prevent duplicate submissions
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        if (submitBtn.disabled) return;
+        
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Transferring...';
+        
+        try {
+            const feeValue = document.getElementById('fabTransferFee').value;
+            const transferData = {
+                fromWalletId: document.getElementById('fabTransferFrom').value,
+                toWalletId: document.getElementById('fabTransferTo').value,
+                amount: currencyUtils.parseCurrency(document.getElementById('fabTransferAmount').value),
+                fee: feeValue ? currencyUtils.parseCurrency(feeValue) : 0,
+                date: document.getElementById('fabTransferDate').value,
+                description: document.getElementById('fabTransferDescription').value.trim() || null
+            };
+            
+            const invalid = models.validate('transfer', transferData);
+            if (invalid) {
+                this.showAlert(invalid, 'error');
+                return;
+            }
+            
+            const savedTransfer = await this.db.createTransfer(transferData);
+            
+            this.state.addTransfer(savedTransfer);
+            this.showAlert('Transfer saved', 'success');
+
+            this.ui.updateAllUI();
+            
+            document.getElementById('fabQuickAddModal').classList.remove('active');
+            document.getElementById('fabTransferForm').reset();
+        } catch (error) {
+            console.error('Error saving transfer:', error);
+            this.showError(error, 'Error saving transfer');
+        } finally {
+            // Re-enable button
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = '<i class="fas fa-exchange-alt"></i> Transfer';
         }
     }
 
     async handleFABAddWallet(e) {
         const name = document.getElementById('fabWalletName').value;
+        const walletData = { name };
+        
+        const invalid = models.validate('wallet', walletData);
+        if (invalid) {
+            this.showAlert(invalid, 'error');
+            return;
+        }
         
         try {
-            const walletData = { name };
             const savedWallet = await this.db.createWallet(walletData);
             
             this.state.addWallet(savedWallet);
@@ -1048,7 +1408,7 @@ class FinTrackApp {
             document.getElementById('fabQuickAddModal').classList.remove('active');
             document.getElementById('fabWalletForm').reset();
         } catch (error) {
-            this.showAlert('Error saving wallet', 'error');
+            this.showError(error, 'Error saving wallet');
         }
     }
 
@@ -1079,7 +1439,7 @@ class FinTrackApp {
             document.getElementById('fabCategoryForm').reset();
             document.getElementById('fabParentCategoryGroup').classList.add('hidden');
         } catch (error) {
-            this.showAlert('Error saving category', 'error');
+            this.showError(error, 'Error saving category');
         }
     }    
 
@@ -1313,7 +1673,8 @@ class FinTrackApp {
     }
 
     confirmExpenseSelection() {
-        const isEditMode = document.getElementById('editItemId').value !== '';
+        const editItemId = document.getElementById('editItemId').value;
+        const isEditMode = editItemId !== '';
         const selectedArray = isEditMode ? this.selectedExpensesForEditReimbursement : this.selectedExpensesForReimbursement;
         
         if (selectedArray.length === 0) {
@@ -1321,6 +1682,12 @@ class FinTrackApp {
             return;
         }
         
+        const selectionError = this.getReimbursementSelectionError(isEditMode ? editItemId : null, selectedArray);
+        if (selectionError) {
+            this.showAlert(selectionError, 'error');
+            return;
+        }
+        
         const expenses = this.state.getExpenses();
         const selectedExpenses = expenses.filter(e => selectedArray.includes(e.id));
         const total = selectedExpenses.reduce((sum, e) => sum + e.amount, 0);
@@ -1350,6 +1717,26 @@ class FinTrackApp {
         document.getElementById('expenseSelectorModal').classList.remove('active');
     }
 
+    // Catch selections the link would reject before anything is saved
+    getReimbursementSelectionError(incomeId, expenseIds) {
+        const expenses = this.state.getExpenses();
+        
+        for (const id of expenseIds) {
+            const expense = expenses.find(e => e.id === id);
+            
+            if (!expense) {
+                return 'One of the selected expenses no longer exists - reopen the list and select again';
+            }
+            if (!expense.isReimbursable) {
+                return `"${expense.description}" is not marked as reimbursable`;
+            }
+            if (expense.linkedIncomeId && expense.linkedIncomeId !== incomeId) {
+                return `"${expense.description}" is already reimbursed by another income`;
+            }
+        }
+        return null;
+    }
+
     updateSelectedExpensesDisplay() {
         const textElement = document.getElementById('fabSelectedExpensesText');
         if (!textElement) return;
@@ -1377,9 +1764,10 @@ class FinTrackApp {
         modal.classList.add('active');
     }
 
-    executeSearch() {
+    async executeSearch() {
         const searchTerm = document.getElementById('searchInput').value.trim();
         const searchType = document.getElementById('searchType').value;
+        const searchTag = document.getElementById('searchTag')?.value || '';
         const dateRange = document.getElementById('searchDateRange').value;
         const startDate = document.getElementById('searchStartDate').value;
         const endDate = document.getElementById('searchEndDate').value;
@@ -1388,8 +1776,18 @@ class FinTrackApp {
         const resultsCount = document.getElementById('searchResultsCount');
         const resultsText = document.getElementById('searchResultsText');
         
-        if (!searchTerm) {
-            this.showAlert('Please enter a search term', 'warning');
+        // A tag on its own is enough to search by
+        if (!searchTerm && !searchTag) {
+            this.showAlert('Please enter a search term or choose a tag', 'warning');
+            return;
+        }
+        
+        // Search every month, not just the ones loaded so far
+        try {
+            await this.transactions.loadAll();
+        } catch (error) {
+            console.error('Error loading transactions to search:', error);
+            this.showError(error, 'Could not load older transactions to search');
             return;
         }
         
@@ -1454,12 +1852,11 @@ class FinTrackApp {
         
         // Search filter
         const lowerSearchTerm = searchTerm.toLowerCase();
-        const matchedExpenses = expenses.filter(e => 
-            e.description.toLowerCase().includes(lowerSearchTerm)
-        );
-        const matchedIncomes = incomes.filter(i => 
-            i.description.toLowerCase().includes(lowerSearchTerm)
-        );
+        const matchedExpenses = expenses.filter(e => tagUtils.hasTag(e, searchTag) &&
+            (categoryUtils.matchesSearch(e, lowerSearchTerm) || this.ui.matchesPayee(e, lowerSearchTerm)));
+        const matchedIncomes = incomes.filter(i => tagUtils.hasTag(i, searchTag) &&
+            (i.description.toLowerCase().includes(lowerSearchTerm) || (i.tags || []).some(tag => tag.includes(lowerSearchTerm)) ||
+                this.ui.matchesPayee(i, lowerSearchTerm)));
         
         // Filter by transaction type
         let finalExpenses = searchType === 'income' ? [] : matchedExpenses;
@@ -1487,6 +1884,7 @@ class FinTrackApp {
         
         // Helper function to highlight text
         const highlightText = (text, term) => {
+            if (!term) return text;
             const regex = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
             return text.replace(regex, '<span class="search-highlight">$1</span>');
         };
@@ -1508,17 +1906,9 @@ class FinTrackApp {
             finalExpenses.sort((a, b) => new Date(b.date) - new Date(a.date));
             
             finalExpenses.forEach(expense => {
-                let categoryText = expense.category;
-                if (expense.subcategory) {
-                    categoryText += ` › ${expense.subcategory}`;
-                }
+                const categoryText = categoryUtils.getExpenseLabel(expense);
 
-                let receiptIcon = '';
-                if (expense.receiptUrl) {
-                    receiptIcon = `<button class="receipt-icon-btn" onclick="window.finTrack.app.viewReceipt('${expense.id}', '${expense.description.replace(/'/g, "\\'")}', '${expense.receiptUrl}')" title="View receipt">
-                        <i class="fas fa-paperclip"></i>
-                    </button>`;
-                }
+                const receiptIcon = this.ui.renderReceiptButton(expense);
                 
                 let reimbursementBadge = '';
                 if (expense.isReimbursable) {
@@ -1539,6 +1929,8 @@ class FinTrackApp {
                                 ${receiptIcon}
                                 ${reimbursementBadge}
                             </div>
+                            ${this.ui.renderPayee(expense)}
+                            ${this.ui.renderTagChips(expense)}
                         </div>
                         <div style="display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
                             <span class="expense-category" style="font-size: 0.6rem; background: var(--light-gray); padding: 2px 8px; border-radius: 12px; color: var(--gray); white-space: nowrap;">
@@ -1569,6 +1961,7 @@ class FinTrackApp {
             });
             
             resultsContainer.appendChild(expensesGroup);
+            this.ui.loadReceiptThumbnails(expensesGroup);
         }
         
         // Render incomes
@@ -1602,8 +1995,11 @@ class FinTrackApp {
                         <div style="flex: 1; min-width: 0; margin-right: 12px;">
                             <div style="font-weight: 500; word-break: break-word; font-size: 0.8rem;">
                                 ${highlightText(income.description, searchTerm)}
+                                ${this.ui.renderReceiptButton(income)}
                                 ${reimbursementBadge}
                             </div>
+                            ${this.ui.renderPayee(income)}
+                            ${this.ui.renderTagChips(income)}
                         </div>
                         <div style="display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
                             <span class="income-source" style="font-size: 0.6rem; background: var(--light-gray); padding: 2px 8px; border-radius: 12px; color: var(--gray); white-space: nowrap;">
@@ -1639,6 +2035,7 @@ class FinTrackApp {
             });
             
             resultsContainer.appendChild(incomesGroup);
+            this.ui.loadReceiptThumbnails(incomesGroup);
         }
     }    
 
@@ -1663,50 +2060,86 @@ class FinTrackApp {
             window.finTrack.pendingUnlinkIncomeId = null;
         } catch (error) {
             console.error('Error unlinking reimbursement:', error);
-            this.showAlert('Error unlinking reimbursement', 'error');
+            this.showError(error, 'Error unlinking reimbursement');
         }
     }
 
-    viewReceipt(expenseId, expenseName, receiptUrl) {
+    // Gallery of an expense's or income's attachments, opened at `index`
+    viewReceipt(recordId, index = 0) {
         const modal = document.getElementById('receiptViewerModal');
-        const content = document.getElementById('receiptViewerContent');
-        const nameElement = document.getElementById('receiptExpenseName');
-        const downloadBtn = document.getElementById('receiptDownloadBtn');
         
-        if (!modal || !content) {
+        if (!modal) {
             console.error('Receipt viewer modal not found');
             return;
         }
         
-        // ✅ Use expenseId to get full expense details from state
-        const expense = this.state.getExpenses().find(e => e.id === expenseId);
+        const record = this.state.getExpenses().find(e => e.id === recordId) ||
+            this.state.getIncomes().find(i => i.id === recordId);
         
-        if (!expense) {
-            console.error('Expense not found:', expenseId);
-            this.showAlert('Expense not found', 'error');
+        if (!record) {
+            console.error('Transaction not found:', recordId);
+            this.showAlert('Transaction not found', 'error');
             return;
         }
         
-        // ✅ Use the actual receiptUrl from the expense object if available
-        const actualReceiptUrl = receiptUrl || expense.receiptUrl;
-        
-        if (!actualReceiptUrl) {
-            this.showAlert('No receipt available for this expense', 'warning');
+        if (!record.attachments?.length) {
+            this.showAlert('No attachments for this transaction', 'warning');
             return;
         }
         
-        // Set expense name with more details
+        this.receiptGallery = { record, index };
+        modal.classList.add('active');
+        this.renderReceiptPage();
+    }
+    
+    // Next (1) or previous (-1) attachment, wrapping around
+    showReceiptPage(step) {
+        const gallery = this.receiptGallery;
+        if (!gallery) return;
+        
+        const count = gallery.record.attachments.length;
+        gallery.index = (gallery.index + step + count) % count;
+        this.renderReceiptPage();
+    }
+    
+    async renderReceiptPage() {
+        const gallery = this.receiptGallery;
+        const { record, index } = gallery;
+        const attachments = record.attachments;
+        const attachment = attachments[index];
+        const receipt = attachment.path;
+        // Pages can be flipped while a signed URL is still loading
+        const isCurrent = () => this.receiptGallery === gallery && gallery.index === index;
+        
+        const content = document.getElementById('receiptViewerContent');
+        const nameElement = document.getElementById('receiptExpenseName');
+        const downloadBtn = document.getElementById('receiptDownloadBtn');
+        const captionElement = document.getElementById('receiptCaption');
+        const nav = document.getElementById('receiptGalleryNav');
+        
+        // Set record name with more details
         if (nameElement) {
-            const expenseDate = new Date(expense.date).toLocaleDateString();
-            nameElement.textContent = `${expenseName} - ${expenseDate}`;
+            const recordDate = new Date(record.date).toLocaleDateString();
+            nameElement.textContent = `${record.description} - ${recordDate}`;
+        }
+        
+        if (captionElement) {
+            captionElement.textContent = attachment.caption;
+            captionElement.style.display = attachment.caption ? 'block' : 'none';
+        }
+        
+        if (nav) {
+            nav.style.display = attachments.length > 1 ? 'flex' : 'none';
+            document.getElementById('receiptGalleryCounter').textContent = `${index + 1} / ${attachments.length}`;
         }
         
-        // Set download link with proper filename
+        // Download filename; the link itself is signed below
+        const fileExt = receiptUtils.getExtension(receipt);
+        const sanitizedName = record.description.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        const pageSuffix = attachments.length > 1 ? `_${index + 1}` : '';
+        const fileName = `receipt_${sanitizedName}_${record.id.substring(0, 8)}${pageSuffix}.${fileExt}`;
         if (downloadBtn) {
-            downloadBtn.href = actualReceiptUrl;
-            const fileExt = actualReceiptUrl.split('.').pop().split('?')[0]; // Handle query params
-            const sanitizedName = expenseName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-            const fileName = `receipt_${sanitizedName}_${expenseId.substring(0, 8)}.${fileExt}`;
+            downloadBtn.href = '#';
             downloadBtn.download = fileName;
         }
         
@@ -1714,68 +2147,87 @@ class FinTrackApp {
         content.innerHTML = `
             <div class="receipt-loading">
                 <i class="fas fa-spinner"></i>
-                <p>Loading receipt...</p>
+                <p>Loading attachment...</p>
             </div>
         `;
         
-        // Open modal
-        modal.classList.add('active');
+        // Signed links expire after a few minutes, so they're fetched each time
+        let actualReceiptUrl;
+        try {
+            const [viewUrl, downloadUrl] = await Promise.all([
+                this.db.getReceiptUrl(receipt),
+                this.db.getReceiptUrl(receipt, { download: fileName })
+            ]);
+            if (!isCurrent()) return;
+            actualReceiptUrl = viewUrl;
+            if (downloadBtn) downloadBtn.href = downloadUrl;
+        } catch (error) {
+            if (!isCurrent()) return;
+            content.innerHTML = `
+                <div class="receipt-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <p>Failed to load attachment</p>
+                    <p style="font-size: 0.85rem; color: var(--gray);">${error.message}</p>
+                </div>
+            `;
+            return;
+        }
         
         // Load receipt content
-        const isImage = /\.(jpg|jpeg|png|gif|webp)$/i.test(actualReceiptUrl);
-        const isPDF = /\.pdf$/i.test(actualReceiptUrl);
+        const fileType = receiptUtils.getFileType(receipt);
+        const label = attachment.caption || record.description;
         
-        setTimeout(() => {
-            if (isImage) {
-                const img = new Image();
-                img.onload = () => {
-                    content.innerHTML = `
-                        <div style="padding: 1rem; max-width: 100%;">
-                            <img src="${actualReceiptUrl}" 
-                                alt="Receipt for ${expenseName}" 
-                                style="max-width: 100%; height: auto; display: block; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
-                        </div>
-                    `;
-                };
-                img.onerror = () => {
-                    content.innerHTML = `
-                        <div class="receipt-error">
-                            <i class="fas fa-exclamation-triangle"></i>
-                            <p>Failed to load receipt image</p>
-                            <p style="font-size: 0.85rem; color: var(--gray);">The image may have been deleted or is no longer available.</p>
-                            <a href="${actualReceiptUrl}" target="_blank" class="btn btn-primary">
-                                <i class="fas fa-external-link-alt"></i> Try opening in new tab
-                            </a>
-                        </div>
-                    `;
-                };
-                img.src = actualReceiptUrl;
-            } else if (isPDF) {
+        if (fileType === 'image') {
+            const img = new Image();
+            img.onload = () => {
+                if (!isCurrent()) return;
                 content.innerHTML = `
-                    <div style="width: 100%; height: 100%;">
-                        <iframe src="${actualReceiptUrl}" 
-                                style="width: 100%; height: 70vh; border: none; border-radius: 8px;"
-                                title="Receipt PDF for ${expenseName}">
-                        </iframe>
-                        <div style="text-align: center; padding: 1rem; color: var(--gray); font-size: 0.9rem;">
-                            <i class="fas fa-info-circle"></i> If the PDF doesn't display, 
-                            <a href="${actualReceiptUrl}" target="_blank" style="color: var(--primary);">open it in a new tab</a>
-                        </div>
+                    <div style="padding: 1rem; max-width: 100%;">
+                        <img src="${actualReceiptUrl}" 
+                            alt="Attachment for ${label}" 
+                            style="max-width: 100%; height: auto; display: block; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
                     </div>
                 `;
-            } else {
+            };
+            img.onerror = () => {
+                if (!isCurrent()) return;
                 content.innerHTML = `
                     <div class="receipt-error">
-                        <i class="fas fa-file"></i>
-                        <p>Preview not available for this file type</p>
-                        <p style="font-size: 0.85rem; color: var(--gray);">File extension: ${actualReceiptUrl.split('.').pop()}</p>
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <p>Failed to load image</p>
+                        <p style="font-size: 0.85rem; color: var(--gray);">The image may have been deleted or is no longer available.</p>
                         <a href="${actualReceiptUrl}" target="_blank" class="btn btn-primary">
-                            <i class="fas fa-download"></i> Download Receipt
+                            <i class="fas fa-external-link-alt"></i> Try opening in new tab
                         </a>
                     </div>
                 `;
-            }
-        }, 300);
+            };
+            img.src = actualReceiptUrl;
+        } else if (fileType === 'pdf') {
+            content.innerHTML = `
+                <div style="width: 100%; height: 100%;">
+                    <iframe src="${actualReceiptUrl}" 
+                            style="width: 100%; height: 70vh; border: none; border-radius: 8px;"
+                            title="PDF attachment for ${label}">
+                    </iframe>
+                    <div style="text-align: center; padding: 1rem; color: var(--gray); font-size: 0.9rem;">
+                        <i class="fas fa-info-circle"></i> If the PDF doesn't display, 
+                        <a href="${actualReceiptUrl}" target="_blank" style="color: var(--primary);">open it in a new tab</a>
+                    </div>
+                </div>
+            `;
+        } else {
+            content.innerHTML = `
+                <div class="receipt-error">
+                    <i class="fas fa-file"></i>
+                    <p>Preview not available for this file type</p>
+                    <p style="font-size: 0.85rem; color: var(--gray);">File extension: ${fileExt}</p>
+                    <a href="${actualReceiptUrl}" target="_blank" class="btn btn-primary">
+                        <i class="fas fa-download"></i> Download
+                    </a>
+                </div>
+            `;
+        }
     }
 
     showReimbursementDetails(expenseId) {
@@ -1921,24 +2373,27 @@ async checkInitialAuthState() {
         const description = document.getElementById('expenseDescription').value;
         const amount = currencyUtils.parseCurrency(document.getElementById('expenseAmount').value);
         const date = document.getElementById('expenseDate').value;
-        const category = document.getElementById('expenseCategory').value;
-        const subcategory = document.getElementById('expenseSubcategory').value;
+        const categoryFields = this.getExpenseCategoryFields(
+            document.getElementById('expenseCategory').value,
+            document.getElementById('expenseSubcategory').value
+        );
+        const category = categoryFields.category;
         const isReimbursable = document.getElementById('expenseIsReimbursable')?.checked || false;
         const walletId = this.state.getState().currentWalletId;
+        const expenseData = { 
+            id, description, amount, date, ...categoryFields, 
+            walletId, isReimbursable 
+        };
 
-        if (!walletId) {
-            this.showAlert('Select a wallet first', 'error');
-            return;
-        }
-        
-        if (amount <= 0) {
-            this.showAlert('Enter a valid amount', 'error');
+        const invalid = models.validate('expense', expenseData);
+        if (invalid) {
+            this.showAlert(invalid, 'error');
             return;
         }
         
         // Check budget only if NOT reimbursable
         if (!isReimbursable) {
-            const budgetStatus = this.checkBudgetBeforeExpense(category, amount);
+            const budgetStatus = this.checkBudgetBeforeExpense(categoryFields.categoryId, amount);
             
             if (budgetStatus) {
           
@@ -1963,11 +2418,6 @@ async checkInitialAuthState() {
         }
         
         try {
-            const expenseData = { 
-                id, description, amount, date, category, subcategory, 
-                walletId, isReimbursable 
-            };
-            
             const savedExpense = await this.db.createExpense(expenseData);
             
             if (id) {
@@ -1985,14 +2435,14 @@ async checkInitialAuthState() {
             console.error('Error object:', error);
             console.error('Error message:', error.message);
             console.error('Error stack:', error.stack);
-            this.showAlert('Error saving expense: ' + error.message, 'error');
+            this.showError(error, 'Error saving expense');
         }
     }
 
     //v5.2
-    checkBudgetBeforeExpense(categoryName, amount) {
+    checkBudgetBeforeExpense(categoryId, amount) {
         const categories = this.state.getCategories();
-        const category = categories.find(c => c.name === categoryName);
+        const category = categories.find(c => c.id === categoryId);
         
         if (!category) return null;
         
@@ -2009,6 +2459,82 @@ async checkInitialAuthState() {
         };
     }    
     
+    // Warn for each category the expense would take over budget - a split
+    // expense can touch several. Resolves false if the user backs out.
+    async confirmExpenseBudgets(lines) {
+        const totals = new Map();
+        lines.forEach(line => totals.set(line.categoryId, (totals.get(line.categoryId) || 0) + line.amount));
+        
+        for (const [categoryId, amount] of totals) {
+            const budgetStatus = this.checkBudgetBeforeExpense(categoryId, amount);
+            if (!budgetStatus?.willExceed) continue;
+            
+            const confirmed = await this.showBudgetWarning(this.state.getCategoryName(categoryId), {
+                budget: budgetStatus.budget,
+                spent: budgetStatus.spent,
+                newExpense: amount
+            });
+            if (!confirmed) return false;
+        }
+        return true;
+    }
+    
+    // Form selects hold category ids; the names are saved alongside as a snapshot
+    getExpenseCategoryFields(categoryId, subcategoryId) {
+        return {
+            categoryId: categoryId || null,
+            subcategoryId: subcategoryId || null,
+            category: this.state.getCategoryName(categoryId) || null,
+            subcategory: subcategoryId ? this.state.getCategoryName(subcategoryId) : null
+        };
+    }
+    
+    /**
+     * The merchant id for a payee field: the directory entry with that name
+     * or alias, or a new merchant when there is none. A new payee on an expense takes
+     * the expense's category as its default.
+     * @param {Object} categoryFields - Category of the expense being saved, if any
+     * @returns {Object} { merchantId, created } - merchantId is null when the
+     *   field is empty; a created merchant is removed with discardPayee if the
+     *   save it was added for fails
+     */
+    async resolvePayee(payeeInput, categoryFields = {}) {
+        const name = payeeInput?.getName();
+        if (!name) return { merchantId: null, created: false };
+        
+        const known = payeeInput.getMerchant();
+        if (known) return { merchantId: known.id, created: false };
+        
+        const merchant = await this.db.createMerchant({
+            name,
+            defaultCategoryId: categoryFields.categoryId || null,
+            defaultSubcategoryId: categoryFields.subcategoryId || null
+        });
+        this.state.addMerchant(merchant);
+        return { merchantId: merchant.id, created: true };
+    }
+    
+    // Nothing was saved with the merchant resolvePayee just added - remove it
+    // rather than leave a payee behind in the directory
+    async discardPayee(payee) {
+        if (!payee?.created) return;
+        
+        try {
+            await this.db.deleteMerchant(payee.merchantId);
+            await this.db.purge('merchants', [payee.merchantId]);
+            this.state.deleteMerchant(payee.merchantId);
+        } catch (error) {
+            console.error('Error discarding payee:', error);
+        }
+    }
+    
+    // The edit modal's new payee is kept only if the edit was saved with it
+    async settleEditPayee(savedMerchantId) {
+        const payee = this.editPayee;
+        this.editPayee = null;
+        if (payee && payee.merchantId !== savedMerchantId) await this.discardPayee(payee);
+    }
+    
     async handleAddIncome(e) {
         const form = e.target;
         const id = document.getElementById('incomeId').value;
@@ -2017,19 +2543,15 @@ async checkInitialAuthState() {
         const date = document.getElementById('incomeDate').value;
         const source = document.getElementById('incomeSource').value;
         const walletId = this.state.getState().currentWalletId;
+        const incomeData = { id, description, amount, date, source, walletId };
         
-        if (!walletId) {
-            this.showAlert('Select a wallet first', 'error');
-            return;
-        }
-        
-        if (amount <= 0) {
-            this.showAlert('Enter a valid amount', 'error');
+        const invalid = models.validate('income', incomeData);
+        if (invalid) {
+            this.showAlert(invalid, 'error');
             return;
         }
         
         try {
-            const incomeData = { id, description, amount, date, source, walletId };
             const savedIncome = await this.db.createIncome(incomeData);
             
             if (id) {
@@ -2042,7 +2564,7 @@ async checkInitialAuthState() {
             
             this.ui.resetIncomeForm();
         } catch (error) {
-            this.showAlert('Error saving income', 'error');
+            this.showError(error, 'Error saving income');
         }
     }
     
@@ -2050,9 +2572,15 @@ async checkInitialAuthState() {
         const form = e.target;
         const id = document.getElementById('walletId').value;
         const name = document.getElementById('walletName').value;
+        const walletData = { id, name };
+        
+        const invalid = models.validate('wallet', walletData);
+        if (invalid) {
+            this.showAlert(invalid, 'error');
+            return;
+        }
         
         try {
-            const walletData = { id, name };
             const savedWallet = await this.db.createWallet(walletData);
             
             if (id) {
@@ -2065,7 +2593,7 @@ async checkInitialAuthState() {
             
             this.ui.resetWalletForm();
         } catch (error) {
-            this.showAlert('Error saving wallet', 'error');
+            this.showError(error, 'Error saving wallet');
         }
     }
     
@@ -2098,7 +2626,7 @@ async checkInitialAuthState() {
             
             this.ui.resetCategoryForm();
         } catch (error) {
-            this.showAlert('Error saving category', 'error');
+            this.showError(error, 'Error saving category');
         }
     }
 
@@ -2116,7 +2644,7 @@ async checkInitialAuthState() {
             this.showAlert('Default wallet updated', 'success');
         } catch (error) {
             console.error('Error setting default wallet:', error);
-            this.showAlert('Error setting default wallet', 'error');
+            this.showError(error, 'Error setting default wallet');
         }
     }    
     
@@ -2141,7 +2669,7 @@ async checkInitialAuthState() {
             document.getElementById('subcategoryForm').reset();
             document.getElementById('subcategoryModal').classList.remove('active');
         } catch (error) {
-            this.showAlert('Error saving subcategory', 'error');
+            this.showError(error, 'Error saving subcategory');
         }
     }
     
@@ -2153,40 +2681,807 @@ async checkInitialAuthState() {
         
         try {
             let success = false;
+            let message = null;
             
             switch (type) {
                 case 'expense':
-                    success = await this.db.delete('expenses', id);
+                    success = await this.db.deleteExpense(id);
                     if (success) this.state.deleteExpense(id);
                     break;
                 case 'income':
-                    success = await this.db.delete('incomes', id);
+                    success = await this.db.deleteIncome(id);
                     if (success) this.state.deleteIncome(id);
                     break;
                 case 'wallet':
-                    success = await this.db.delete('wallets', id);
-                    if (success) this.state.deleteWallet(id);
+                    message = await this.handleDeleteWallet(id, name);
+                    success = !!message;
                     break;
                 case 'category':
-                    success = await this.db.delete('categories', id);
-                    if (success) this.state.deleteCategory(id);
+                    success = await this.db.deleteCategory(id);
+                    if (success) {
+                        const categoryIds = [id, ...this.state.getSubcategories(id).map(c => c.id)];
+                        this.state.setBudgets(this.state.getBudgets().filter(b => !categoryIds.includes(b.categoryId)));
+                        this.state.setCategories(this.state.getCategories().filter(c => !categoryIds.includes(c.id)));
+                    }
                     break;
                 //v5.2    
                 case 'budget':
                     success = await this.db.deleteBudget(id);
                     if (success) this.state.deleteBudget(id);
-                    break;                    
+                    break;
+                case 'transfer':
+                    success = await this.db.deleteTransfer(id);
+                    if (success) this.state.deleteTransfer(id);
+                    break;
+                case 'merchant':
+                    success = await this.db.deleteMerchant(id);
+                    if (success) this.state.deleteMerchant(id);
+                    break;
+                case 'trash':
+                    success = await this.handlePurgeTrashEntry(id);
+                    break;
+            }
+            
+            if (success) {
+                this.showAlert(message || (type === 'trash' ? `${name} permanently deleted` : `${type} moved to Trash`), 'success');
+            }
+        } catch (error) {
+            this.showError(error, `Error deleting ${type}`);
+        }
+        
+        document.getElementById('deleteModal').classList.remove('active');
+        window.finTrack.pendingDelete = null;
+    }
+    
+    /**
+     * Delete a wallet using the policy picked in the delete modal: move its
+     * transactions and budgets to another wallet, archive it, or trash it
+     * along with everything in it
+     * @returns {string} Success message
+     */
+    async handleDeleteWallet(id, name) {
+        const policy = document.querySelector('input[name="walletDeletePolicy"]:checked')?.value || 'cascade';
+        const wasSelected = this.state.getState().currentWalletId === id;
+        let message;
+        
+        switch (policy) {
+            case 'reassign': {
+                const targetId = document.getElementById('walletDeleteTarget')?.value;
+                const target = this.state.getActiveWallets().find(w => w.id === targetId && w.id !== id);
+                if (!target) {
+                    const error = new Error('Choose a wallet to move everything into');
+                    error.code = 'NO_TARGET_WALLET';
+                    throw error;
+                }
+                
+                await this.db.reassignWallet(id, target.id);
+                
+                // Budgets the target already has for a category stay behind and are trashed,
+                // and so do transfers between the two wallets
+                const budgeted = this.state.getBudgets().filter(b => b.walletId === target.id).map(b => b.categoryId);
+                const betweenThem = t => [t.fromWalletId, t.toWalletId].includes(id) && [t.fromWalletId, t.toWalletId].includes(target.id);
+                const moved = walletId => walletId === id ? target.id : walletId;
+                this.state.setExpenses(this.state.getExpenses().map(e => e.walletId === id ? { ...e, walletId: target.id } : e));
+                this.state.setIncomes(this.state.getIncomes().map(i => i.walletId === id ? { ...i, walletId: target.id } : i));
+                this.state.setTransfers(this.state.getTransfers()
+                    .filter(t => !betweenThem(t))
+                    .map(t => ({ ...t, fromWalletId: moved(t.fromWalletId), toWalletId: moved(t.toWalletId) })));
+                this.state.setBudgets(this.state.getBudgets()
+                    .filter(b => b.walletId !== id || !budgeted.includes(b.categoryId))
+                    .map(b => b.walletId === id ? { ...b, walletId: target.id } : b));
+                this.state.deleteWallet(id);
+                
+                message = `${name} deleted - its transactions are now in ${target.name}`;
+                break;
+            }
+            case 'archive': {
+                const wallet = this.state.getWallets().find(w => w.id === id);
+                const updated = await this.db.archiveWallet(id);
+                this.state.updateWallet({ ...wallet, ...updated });
+                
+                message = `${name} archived - it still counts in analytics`;
+                break;
+            }
+            default: {
+                await this.db.deleteWallet(id);
+                
+                // Its transactions, transfers and budgets went to the Trash with it
+                this.state.setExpenses(this.state.getExpenses().filter(e => e.walletId !== id));
+                this.state.setIncomes(this.state.getIncomes().filter(i => i.walletId !== id));
+                this.state.setTransfers(this.state.getTransfers().filter(t => t.fromWalletId !== id && t.toWalletId !== id));
+                this.state.setBudgets(this.state.getBudgets().filter(b => b.walletId !== id));
+                this.state.deleteWallet(id);
+                
+                message = `${name} and everything in it moved to Trash`;
+            }
+        }
+        
+        // Months that aren't loaded moved or left with the wallet too
+        if (policy !== 'archive') await this.transactions.updateHistory();
+        
+        // Move the saved selection to the default (or first) remaining wallet
+        const nextWalletId = await this.walletPersistence.handleWalletRemoved(id, this.state.getWallets(), this.auth.getUser()?.id);
+        if (wasSelected) {
+            this.state.setCurrentWallet(nextWalletId);
+        }
+        
+        return message;
+    }
+    
+    async handleUnarchiveWallet(walletId) {
+        try {
+            const wallet = this.state.getWallets().find(w => w.id === walletId);
+            const updated = await this.db.archiveWallet(walletId, false);
+            this.state.updateWallet({ ...wallet, ...updated });
+            this.showAlert(`${wallet.name} restored from the archive`, 'success');
+        } catch (error) {
+            console.error('Error unarchiving wallet:', error);
+            this.showError(error, 'Error unarchiving wallet');
+        }
+    }
+    
+    // ==================== TRASH ====================
+    
+    async handleRestoreTrashEntry(key) {
+        const entry = this.ui.trashEntries.find(e => e.key === key);
+        if (!entry) return;
+        
+        try {
+            await this.trash.restore(entry);
+            // Restored rows from months that aren't loaded count through the carried totals
+            await this.transactions.updateHistory();
+            this.showAlert(`${entry.name} restored`, 'success');
+            await this.ui.renderTrash();
+        } catch (error) {
+            console.error('Error restoring from Trash:', error);
+            this.showError(error, `Error restoring ${entry.type}`);
+        }
+    }
+    
+    async handlePurgeTrashEntry(key) {
+        const entry = this.ui.trashEntries.find(e => e.key === key);
+        if (!entry) return false;
+        
+        await this.trash.purge(entry);
+        await this.ui.renderTrash();
+        return true;
+    }
+    
+    async handleTrashRetentionChange(days) {
+        try {
+            this.trash.setRetentionDays(parseInt(days, 10));
+            const purged = await this.trash.purgeExpired({ force: true });
+            
+            this.showAlert(
+                purged > 0 ? `Trash now keeps items for ${days} days - ${purged} older item${purged !== 1 ? 's' : ''} removed` : `Trash now keeps items for ${days} days`,
+                'success'
+            );
+            await this.ui.renderTrash();
+        } catch (error) {
+            console.error('Error changing Trash retention:', error);
+            this.showError(error, 'Error updating Trash settings');
+        }
+    }
+    
+    // ==================== OLDER TRANSACTIONS ====================
+    
+    /**
+     * Load months that aren't loaded yet - state listeners redraw the lists
+     * @param {Date} date - Load back to this date's month (default: the next page)
+     */
+    async handleLoadHistory(date = null) {
+        try {
+            return date ? await this.transactions.loadUntil(date) : await this.transactions.loadOlder();
+        } catch (error) {
+            console.error('Error loading older transactions:', error);
+            this.showError(error, 'Could not load older transactions');
+            return false;
+        }
+    }
+    
+    // ==================== RECEIPT CLEANUP ====================
+    
+    async handleScanReceiptFiles() {
+        try {
+            this.ui.renderReceiptCleanup({ scanning: true });
+            const { files, totalSize } = await this.receiptCleanup.scan();
+            
+            this.showAlert(
+                files.length > 0 ? `${files.length} unused file${files.length !== 1 ? 's' : ''} found (${receiptUtils.formatSize(totalSize)})` : 'No unused receipt files',
+                'success'
+            );
+        } catch (error) {
+            console.error('Error scanning receipt files:', error);
+            this.showError(error, 'Could not scan receipt files');
+        }
+        
+        this.ui.renderReceiptCleanup();
+    }
+    
+    async handleDeleteReceiptFiles() {
+        const paths = [...document.querySelectorAll('#receiptCleanupList input[type="checkbox"]:checked')]
+            .map(checkbox => checkbox.value);
+        if (paths.length === 0) {
+            this.showAlert('Select the files to delete', 'warning');
+            return;
+        }
+        if (!confirm(`Permanently delete ${paths.length} file${paths.length !== 1 ? 's' : ''}? This can't be undone.`)) return;
+        
+        try {
+            const { deleted, failed, freed } = await this.receiptCleanup.deleteOrphans(paths);
+            
+            this.showAlert(
+                failed > 0
+                    ? `${deleted} deleted, ${failed} could not be deleted`
+                    : `${deleted} file${deleted !== 1 ? 's' : ''} deleted - ${receiptUtils.formatSize(freed)} freed`,
+                failed > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            console.error('Error deleting receipt files:', error);
+            this.showError(error, 'Could not delete receipt files');
+        }
+        
+        this.ui.renderReceiptCleanup();
+    }
+    
+    // ==================== RECURRING ====================
+    
+    /**
+     * Repeat settings from a form's Repeat fields
+     * @param {string} prefix - Id prefix of the fields, e.g. 'fabExpense'
+     * @returns {Object|null} null when the transaction doesn't repeat
+     */
+    getRepeatOptions(prefix) {
+        const frequency = document.getElementById(`${prefix}Repeat`)?.value;
+        if (!frequency) return null;
+        
+        return {
+            frequency,
+            interval: parseInt(document.getElementById(`${prefix}RepeatInterval`).value, 10) || 1,
+            endDate: document.getElementById(`${prefix}RepeatEnd`).value || null,
+            anchor: document.getElementById(`${prefix}RepeatAnchor`).value,
+            mode: document.getElementById(`${prefix}RepeatMode`).value
+        };
+    }
+    
+    updateRepeatOptions(prefix) {
+        const frequency = document.getElementById(`${prefix}Repeat`)?.value;
+        const options = document.getElementById(`${prefix}RepeatOptions`);
+        if (!options) return;
+        
+        const units = { daily: 'days', weekly: 'weeks', monthly: 'months', yearly: 'years' };
+        options.classList.toggle('hidden', !frequency);
+        // Only months have a last (business) day to fall on
+        document.getElementById(`${prefix}RepeatAnchorGroup`).classList.toggle('hidden', !['monthly', 'yearly'].includes(frequency));
+        document.getElementById(`${prefix}RepeatIntervalLabel`).textContent = frequency ? `Every (${units[frequency]})` : 'Every';
+    }
+    
+    // Save a new expense or income - when it repeats, as the first occurrence of a new rule
+    async createTransaction(type, data, repeat) {
+        const create = record => type === 'expense' ? this.db.createExpense(record) : this.db.createIncome(record);
+        if (!repeat) return create(data);
+        
+        const rule = await this.recurring.createRule(type, data, repeat, { firstAdded: true });
+        try {
+            return await create({ ...data, recurringRuleId: rule.id });
+        } catch (error) {
+            await this.recurring.deleteRule(rule.id)
+                .catch(deleteError => console.error('Error removing recurring rule:', deleteError));
+            throw error;
+        }
+    }
+    
+    // Runs after every data load: rules that add automatically add what has
+    // come due, the others ask first
+    async checkRecurring() {
+        try {
+            const { added, pending } = await this.recurring.processDue();
+            
+            if (added.length > 0) {
+                await this.addRecurringRecords(added);
+                this.showAlert(`${added.length} recurring transaction${added.length !== 1 ? 's' : ''} added`, 'success');
+            }
+            if (pending.length > 0) {
+                this.ui?.showRecurringDue(pending);
+            }
+        } catch (error) {
+            // Tried again on the next load
+            console.error('Error adding recurring transactions:', error);
+        }
+        
+        this.ui?.renderRecurringRules();
+    }
+    
+    // Generated transactions join state, unless a sync brought them in first
+    async addRecurringRecords(added) {
+        added.forEach(({ rule, record }) => {
+            const loaded = rule.type === 'expense' ? this.state.getExpenses() : this.state.getIncomes();
+            if (loaded.some(row => row.id === record.id)) return;
+            
+            if (rule.type === 'expense') {
+                this.state.addExpense(record);
+            } else {
+                this.state.addIncome(record);
+            }
+        });
+        
+        // Occurrences in months that aren't loaded count through the carried totals
+        await this.transactions.updateHistory();
+        this.ui?.updateAllUI();
+    }
+    
+    async handleConfirmRecurring() {
+        const checked = [...document.querySelectorAll('#recurringDueList input[type="checkbox"]:checked')]
+            .map(checkbox => checkbox.value);
+        
+        // Per rule: the dates to add, and the ones to skip
+        const byRule = new Map();
+        this.ui.recurringDue.forEach(({ rule, date }) => {
+            const entry = byRule.get(rule.id) || { add: [], skip: [] };
+            (checked.includes(`${rule.id}|${date}`) ? entry.add : entry.skip).push(date);
+            byRule.set(rule.id, entry);
+        });
+        
+        document.getElementById('recurringDueModal').classList.remove('active');
+        
+        try {
+            let added = [];
+            for (const [ruleId, { add, skip }] of byRule) {
+                added = added.concat(await this.recurring.confirm(ruleId, add, skip));
+            }
+            
+            await this.addRecurringRecords(added);
+            this.showAlert(
+                added.length > 0 ? `${added.length} recurring transaction${added.length !== 1 ? 's' : ''} added` : 'Skipped',
+                'success'
+            );
+        } catch (error) {
+            console.error('Error adding recurring transactions:', error);
+            this.showError(error, 'Error adding recurring transactions');
+        }
+        
+        this.ui.recurringDue = [];
+        this.ui.renderRecurringRules();
+    }
+    
+    async handleSaveRecurringRule(e) {
+        const id = document.getElementById('recurringRuleId').value;
+        const repeat = this.getRepeatOptions('recurringRule');
+        
+        try {
+            await this.recurring.updateRule(id, {
+                description: document.getElementById('recurringRuleDescription').value,
+                amount: currencyUtils.parseCurrency(document.getElementById('recurringRuleAmount').value),
+                ...repeat
+            });
+            
+            document.getElementById('recurringRuleModal').classList.remove('active');
+            this.showAlert('Recurring transaction updated', 'success');
+            this.checkRecurring();
+        } catch (error) {
+            console.error('Error updating recurring rule:', error);
+            this.showError(error, 'Error updating recurring transaction');
+        }
+    }
+    
+    async handleToggleRecurringRule(id) {
+        const rule = this.recurring.rules.find(r => r.id === id);
+        if (!rule) return;
+        
+        try {
+            if (rule.pausedAt) {
+                await this.recurring.resumeRule(id);
+                this.showAlert(`${rule.template.description} resumed`, 'success');
+            } else {
+                await this.recurring.pauseRule(id);
+                this.showAlert(`${rule.template.description} paused`, 'success');
+            }
+        } catch (error) {
+            console.error('Error pausing recurring rule:', error);
+            this.showError(error, 'Error updating recurring transaction');
+        }
+        
+        this.ui.renderRecurringRules();
+    }
+    
+    async handleDeleteRecurringRule(id) {
+        const rule = this.recurring.rules.find(r => r.id === id);
+        if (!rule) return;
+        if (!confirm(`Stop repeating "${rule.template.description}"? Transactions it already added are kept.`)) return;
+        
+        try {
+            await this.recurring.deleteRule(id);
+            this.showAlert('Recurring transaction deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting recurring rule:', error);
+            this.showError(error, 'Error deleting recurring transaction');
+        }
+        
+        this.ui.renderRecurringRules();
+    }
+    
+    // ==================== MERCHANTS ====================
+    
+    async handleSaveMerchant(e) {
+        const id = document.getElementById('merchantId').value;
+        const categoryId = document.getElementById('merchantDefaultCategory').value;
+        const category = this.state.getCategories().find(c => c.id === categoryId);
+        const merchantData = {
+            name: document.getElementById('merchantName').value.trim(),
+            aliases: document.getElementById('merchantAliases').value.split(','),
+            // A subcategory is stored with its parent, as on an expense
+            defaultCategoryId: category ? (category.type === 'sub' ? category.parentId : category.id) : null,
+            defaultSubcategoryId: category?.type === 'sub' ? category.id : null
+        };
+        
+        const invalid = models.validate('merchant', merchantData);
+        if (invalid) {
+            this.showAlert(invalid, 'error');
+            return;
+        }
+        
+        // Names and aliases say which merchant a payee is, so two can't share one
+        const others = this.state.getMerchants().filter(m => m.id !== id);
+        const clash = [merchantData.name, ...merchantData.aliases]
+            .map(name => merchantUtils.find(others, name))
+            .find(Boolean);
+        if (clash) {
+            this.showAlert(`${clash.name} already goes by that name`, 'error');
+            return;
+        }
+        
+        try {
+            if (id) {
+                this.state.updateMerchant(await this.db.updateMerchant(id, merchantData));
+                this.showAlert(`${merchantData.name} updated`, 'success');
+            } else {
+                this.state.addMerchant(await this.db.createMerchant(merchantData));
+                this.showAlert(`${merchantData.name} added`, 'success');
+            }
+            document.getElementById('merchantModal').classList.remove('active');
+        } catch (error) {
+            console.error('Error saving merchant:', error);
+            this.showError(error, 'Error saving merchant');
+        }
+    }
+    
+    // ==================== REIMBURSEMENT CHECK ====================
+    
+    // Runs after every data load; only warns when the number of problems changes
+    checkReimbursementIntegrity() {
+        const count = this.integrity.check().length;
+        
+        if (count > 0 && count !== this.lastIntegrityCount) {
+            this.showAlert(`Found ${count} reimbursement problem${count !== 1 ? 's' : ''} - repair them in Settings`, 'warning');
+        }
+        this.lastIntegrityCount = count;
+        
+        this.ui?.renderIntegrityIssues();
+    }
+    
+    async handleRepairIntegrityIssue(key, action) {
+        try {
+            await this.integrity.repair(key, action);
+            this.showAlert('Reimbursement repaired', 'success');
+        } catch (error) {
+            console.error('Error repairing reimbursement:', error);
+            this.showError(error, 'Repair failed');
+        }
+        
+        this.lastIntegrityCount = this.integrity.issues.length;
+        this.ui.updateAllUI();
+        this.ui.renderIntegrityIssues();
+    }
+    
+    async handleRepairAllIntegrityIssues() {
+        try {
+            const repaired = await this.integrity.repairAll();
+            const remaining = this.integrity.issues.length;
+            
+            this.showAlert(
+                remaining > 0 ? `${repaired} repaired, ${remaining} still need attention` : `${repaired} reimbursement problem${repaired !== 1 ? 's' : ''} repaired`,
+                remaining > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            console.error('Error repairing reimbursements:', error);
+            this.showError(error, 'Repair failed');
+        }
+        
+        this.lastIntegrityCount = this.integrity.issues.length;
+        this.ui.updateAllUI();
+        this.ui.renderIntegrityIssues();
+    }
+    
+    // ==================== EDIT CONFLICTS ====================
+    
+    /**
+     * Save the edit modal, checking it against the version it was opened from
+     * @param {string} type - 'expense' or 'income'
+     * @param {string} id - Record id
+     * @param {Object} updateData - snake_case fields to write
+     * @param {string|null} expectedUpdatedAt - updated_at the edit started from
+     */
+    async submitEdit(type, id, updateData, expectedUpdatedAt) {
+        try {
+            this.savingEdit = true;
+            if (this.ui && typeof this.ui.showLoading === 'function') {
+                this.ui.showLoading(true);
+            }
+
+            // Only what this edit changed is written, so a save queued offline
+            // can still be checked field by field when it replays
+            const edited = this.ui.getEditedFields(type, updateData);
+            await this.saveEdit(type, id, edited, expectedUpdatedAt);
+            if (edited.attachments) await this.ui.attachmentEditors.edit?.commitRemovals();
+            await this.settleEditPayee(edited.merchant_id);
+            
+            this.ui.dismissEditConflict();
+            this.ui.updateAllUI();
+            document.getElementById('editTransactionModal').classList.remove('active');
+            this.showAlert('Changes saved successfully', 'success');
+        } catch (error) {
+            if (error.code !== 'VERSION_CONFLICT') {
+                console.error('Update error:', error);
+                await this.ui.attachmentEditors.edit?.discardUploads();
+                await this.settleEditPayee();
+                this.showError(error, 'Update failed');
+                return;
+            }
+            
+            const edited = this.ui.getEditedFields(type, updateData);
+            if (this.ui.getSaveConflicts(type, edited, error.current).length > 0) {
+                this.ui.showSaveConflict(type, id, edited, error.current);
+                return;
+            }
+            
+            // Only fields this edit doesn't touch changed - save on top of them
+            await this.submitEdit(type, id, edited, error.current.updatedAt ?? null);
+        } finally {
+            this.savingEdit = false;
+            if (this.ui && typeof this.ui.showLoading === 'function') {
+                this.ui.showLoading(false);
+            }
+        }
+    }
+    
+    async saveEdit(type, id, updateData, expectedUpdatedAt) {
+        if (type === 'expense') {
+            const updated = await this.db.updateExpense(id, updateData, { expectedUpdatedAt });
+            this.state.updateExpense(updated);
+            return;
+        }
+        
+        const isReimbursement = document.getElementById('editIncomeIsReimbursement')?.checked || false;
+        const existingIncome = this.state.getIncomes().find(i => i.id === id);
+        const selectedIds = this.selectedExpensesForEditReimbursement || [];
+        const relink = isReimbursement && selectedIds.length > 0;
+        const unlink = !isReimbursement && !!existingIncome?.isReimbursement;
+        let version = expectedUpdatedAt;
+        
+        // Links change first and all-or-nothing, so a rejected selection
+        // leaves the income untouched. The link bumps the income's version.
+        if (relink) {
+            const linked = await this.db.relinkReimbursement(id, selectedIds, { expectedUpdatedAt });
+            version = linked?.income?.updatedAt ?? null;
+        } else if (unlink) {
+            const unlinked = await this.db.unlinkReimbursement(id, { expectedUpdatedAt });
+            version = unlinked?.updatedAt ?? null;
+        } else {
+            updateData.isReimbursement = isReimbursement;
+        }
+        
+        const updated = await this.db.updateIncome(id, updateData, { expectedUpdatedAt: version });
+        this.state.updateIncome(updated);
+        
+        if (relink) {
+            this.state.linkReimbursement(id, selectedIds);
+        } else if (unlink) {
+            this.state.unlinkReimbursement(id);
+        }
+    }
+    
+    // 'mine' saves the edit over the newer version, 'theirs' drops it,
+    // 'merge' saves the per-field choices from the dialog
+    async resolveSaveConflict(choice) {
+        const conflict = this.ui.pendingSaveConflict;
+        if (!conflict) return;
+        
+        const { type, id, mine, theirs, queued } = conflict;
+        this.ui.pendingSaveConflict = null;
+        
+        // Settled here, so the queued edit no longer holds up the ones after it
+        if (queued) await this.db.syncQueue.discardFailed();
+        
+        if (choice === 'theirs') {
+            if (type === 'expense') {
+                this.state.updateExpense(theirs);
+            } else {
+                this.state.updateIncome(theirs);
+            }
+            this.ui.dismissEditConflict();
+            this.ui.updateAllUI();
+            document.getElementById('editTransactionModal').classList.remove('active');
+            this.showAlert('Kept the other version', 'info');
+            return;
+        }
+        
+        const updateData = choice === 'merge' ? this.ui.getMergedSaveConflict(type, mine, theirs) : mine;
+        await this.submitEdit(type, id, updateData, theirs.updatedAt ?? null);
+    }
+    
+    // An edit queued offline that lost to a newer version on replay opens in
+    // the edit modal with the same dialog as a save conflict
+    openQueuedConflict({ method, args, code, current }) {
+        const type = { updateExpense: 'expense', updateIncome: 'income' }[method];
+        if (code !== 'VERSION_CONFLICT' || !type || !current) return false;
+        
+        const [id, updates] = args;
+        this.ui.openEditModal(type, current);
+        // Only what the edit changed was queued, not the version it started from
+        this.ui.editOriginal = null;
+        this.ui.showSaveConflict(type, id, updates, current, { queued: true });
+        return true;
+    }
+    
+    // ==================== BULK ACTIONS ====================
+    
+    // One batch request and one state update for the whole selection
+    async handleBulkAction() {
+        const type = document.getElementById('bulkActionType').value;
+        const action = document.getElementById('bulkActionName').value;
+        const ids = this.ui.getBulkSelection(type);
+        const table = type === 'expense' ? 'expenses' : 'incomes';
+        const noun = (count) => `${count} ${type === 'expense' ? 'expense' : 'income'}${count !== 1 ? 's' : ''}`;
+        const applyUpdates = (updated) => type === 'expense'
+            ? this.state.updateExpenses(updated)
+            : this.state.updateIncomes(updated);
+        
+        if (ids.length === 0) return;
+        
+        try {
+            let message;
+            
+            switch (action) {
+                case 'category': {
+                    const fields = this.getExpenseCategoryFields(
+                        document.getElementById('bulkCategory').value,
+                        document.getElementById('bulkSubcategory').value
+                    );
+                    if (!fields.categoryId) {
+                        this.showAlert('Choose a category', 'error');
+                        return;
+                    }
+                    
+                    // A split expense is filed whole under the new category
+                    applyUpdates(await this.db.batchUpdate(table, ids, {
+                        category_id: fields.categoryId,
+                        subcategory_id: fields.subcategoryId,
+                        category: fields.category,
+                        subcategory: fields.subcategory,
+                        ...(type === 'expense' && { splits: null })
+                    }));
+                    message = `${noun(ids.length)} moved to ${fields.category}`;
+                    break;
+                }
+                case 'wallet': {
+                    const wallet = this.state.getActiveWallets().find(w => w.id === document.getElementById('bulkWallet').value);
+                    if (!wallet) {
+                        this.showAlert('Choose a wallet', 'error');
+                        return;
+                    }
+                    
+                    applyUpdates(await this.db.batchUpdate(table, ids, { wallet_id: wallet.id }));
+                    message = `${noun(ids.length)} moved to ${wallet.name}`;
+                    break;
+                }
+                case 'reimbursable': {
+                    const isReimbursable = document.getElementById('bulkReimbursable').value === 'mark';
+                    const updated = await this.db.batchSetReimbursable(ids, isReimbursable);
+                    applyUpdates(updated);
+                    
+                    const skipped = ids.length - updated.length;
+                    message = `${noun(updated.length)} marked ${isReimbursable ? 'reimbursable' : 'not reimbursable'}` +
+                        (skipped > 0 ? ` (${skipped} already reimbursed left unchanged)` : '');
+                    break;
+                }
+                case 'date': {
+                    const date = document.getElementById('bulkDate').value;
+                    if (!date) {
+                        this.showAlert('Choose a date', 'error');
+                        return;
+                    }
+                    
+                    applyUpdates(await this.db.batchUpdate(table, ids, { date }));
+                    message = `${noun(ids.length)} moved to ${dateUtils.formatDate(date)}`;
+                    break;
+                }
+                case 'delete':
+                    if (type === 'expense') {
+                        await this.db.batchDeleteExpenses(ids);
+                        this.state.deleteExpenses(ids);
+                    } else {
+                        await this.db.batchDeleteIncomes(ids);
+                        this.state.deleteIncomes(ids);
+                    }
+                    message = `${noun(ids.length)} moved to Trash`;
+                    break;
+            }
+            
+            this.showAlert(message, 'success');
+            document.getElementById('bulkActionModal').classList.remove('active');
+            this.ui.exitBulkMode(type);
+        } catch (error) {
+            console.error('Error applying bulk action:', error);
+            this.showError(error, 'Error updating the selected transactions');
+        }
+    }
+    
+    // ==================== CATEGORY MERGE ====================
+    
+    async handleCategoryMerge() {
+        const sourceId = document.getElementById('categoryMergeSourceId').value;
+        const action = document.getElementById('categoryMergeAction').value;
+        const targetId = document.getElementById('categoryMergeTarget').value;
+        const source = this.state.getCategories().find(c => c.id === sourceId);
+        const target = this.state.getCategories().find(c => c.id === targetId);
+        
+        if (!source || !target) {
+            this.showAlert('Choose a category', 'error');
+            return;
+        }
+        
+        try {
+            if (action === 'move') {
+                const { expenses } = await this.categoryMerge.move(sourceId, targetId);
+                this.showAlert(`${source.name} moved under ${target.name} (${expenses} expense${expenses !== 1 ? 's' : ''} updated)`, 'success');
+            } else {
+                const { expenses } = await this.categoryMerge.merge(sourceId, targetId);
+                this.showAlert(`${source.name} merged into ${target.name} (${expenses} expense${expenses !== 1 ? 's' : ''} moved)`, 'success');
+            }
+            
+            document.getElementById('categoryMergeModal').classList.remove('active');
+            this.ui.updateAllUI();
+        } catch (error) {
+            console.error('Error merging category:', error);
+            this.showError(error, 'Error updating categories');
+        }
+    }
+    
+    // ==================== HISTORY ====================
+    
+    async handleRevertVersion(entryId) {
+        const entry = this.ui.editHistoryEntries.find(e => e.id === entryId);
+        const type = document.getElementById('editItemType').value;
+        if (!entry) return;
+        
+        try {
+            // Rejected if the record changed after the modal opened, like a save
+            const expectedUpdatedAt = document.getElementById('editItemVersion').value || null;
+            await this.history.revert(type, entry, { expectedUpdatedAt });
+            
+            const items = type === 'expense' ? this.state.getExpenses() : this.state.getIncomes();
+            const item = items.find(i => i.id === entry.recordId);
+            if (item) {
+                this.ui.openEditModal(type, item);
+                await this.ui.toggleEditHistory();
             }
             
-            if (success) {
-                this.showAlert(`${type} deleted`, 'success');
-            }
+            this.showAlert(`Restored the version from ${new Date(entry.createdAt).toLocaleString()}`, 'success');
         } catch (error) {
-            this.showAlert(`Error deleting ${type}`, 'error');
+            console.error('Error reverting version:', error);
+            this.showError(error, 'Error restoring this version');
+            
+            // Show the newer version and its history before trying again
+            if (error.code === 'VERSION_CONFLICT' && error.current) {
+                if (type === 'expense') {
+                    this.state.updateExpense(error.current);
+                } else {
+                    this.state.updateIncome(error.current);
+                }
+                this.ui.openEditModal(type, error.current);
+                await this.ui.toggleEditHistory();
+            }
         }
-        
-        document.getElementById('deleteModal').classList.remove('active');
-        window.finTrack.pendingDelete = null;
     }
     
     showModal(modalName) {
@@ -2225,6 +3520,9 @@ async checkInitialAuthState() {
         if (this.domElements.searchBtn) {
             this.domElements.searchBtn.style.display = 'flex';
         }        
+        if (this.db.syncQueue) {
+            this.updateSyncIndicator(this.db.syncQueue.getStatus());
+        }
         
     }
     
@@ -2247,9 +3545,29 @@ async checkInitialAuthState() {
         if (this.domElements.searchBtn) {
             this.domElements.searchBtn.style.display = 'none';
         }        
+        document.getElementById('syncStatus')?.classList.add('hidden');
       
     }
     
+    // Changes made offline are lost on sign out unless they sync first
+    async confirmDiscardPendingWrites() {
+        const pending = await this.auth.flushPendingWrites();
+        if (pending === 0) return true;
+        
+        return confirm(`Changes made offline haven't synced yet (${pending}) and will be lost.\n\nSign out anyway?`);
+    }
+    
+    // Alert for a failed action: typed errors say what went wrong, anything
+    // else gets the fallback. An expired session also sends the user to sign in.
+    showError(error, fallback) {
+        this.showAlert(getErrorMessage(error, fallback), 'error');
+        
+        // Writes queued offline wait for the same user to sign in again
+        if (toAppError(error)?.type === ERROR_TYPES.NOT_AUTHENTICATED && this.auth?.isAuthenticated()) {
+            this.auth.signOut({ keepLocalData: true }).catch(signOutError => console.error('Error signing out:', signOutError));
+        }
+    }
+    
     showAlert(message, type = 'info') {
         const container = this.domElements.alertContainer;
         if (!container) {
@@ -2281,6 +3599,16 @@ class UIController {
         this.state = app.state;
         this.expenseSearchTerm = '';
         this.incomeSearchTerm = '';
+        this.expenseTagFilter = '';
+        this.trashEntries = [];
+        this.recurringDue = [];
+        this.editHistoryEntries = [];
+        // The record as the edit modal opened it - saves are diffed against it
+        this.editOriginal = null;
+        // Selected ids per list while in select mode, null otherwise
+        this.bulkSelection = { expense: null, income: null };
+        // Watches the end of each month list for older history, by list id
+        this.historyObservers = {};
         this.initializeUI();
         this.setupStateListeners();
     }
@@ -2304,9 +3632,92 @@ class UIController {
         this.setupExpenseSubTabs();
 
         this.setupExpenseSearch();
-        this.setupIncomeSearch();        
+        this.setupIncomeSearch();
+        
+        document.getElementById('expenseTagFilter')?.addEventListener('change', (e) => {
+            this.expenseTagFilter = e.target.value;
+            this.updateExpensesByDay();
+        });        
 
         initializeSidebar(this.state);
+        
+        this.renderBulkToolbar('expense');
+        this.renderBulkToolbar('income');
+        
+        this.setupAttachmentEditors();
+        this.setupSplitEditors();
+        this.setupTagInputs();
+        this.setupPayeeInputs();
+    }
+    
+    // The edit modal and each FAB form keep their own pending attachments
+    setupAttachmentEditors() {
+        const onError = message => this.app.showAlert(message, 'error');
+        const editor = (listId, inputId) => createAttachmentEditor(this.app.db, { listId, inputId, onError });
+        
+        this.attachmentEditors = {
+            edit: editor('editAttachmentList', 'editAttachmentUpload'),
+            expense: editor('fabExpenseAttachmentList', 'fabExpenseAttachmentUpload'),
+            income: editor('fabIncomeAttachmentList', 'fabIncomeAttachmentUpload')
+        };
+    }
+    
+    setupSplitEditors() {
+        this.splitEditors = {
+            edit: createSplitEditor(this.state, {
+                toggleId: 'editSplitToggle',
+                listId: 'editSplitList',
+                categoryRowId: 'editExpenseCategoryRow',
+                amountId: 'editAmount'
+            }),
+            expense: createSplitEditor(this.state, {
+                toggleId: 'fabExpenseSplitToggle',
+                listId: 'fabExpenseSplitList',
+                categoryRowId: 'fabExpenseCategoryRow',
+                amountId: 'fabExpenseAmount'
+            })
+        };
+    }
+
+    setupTagInputs() {
+        const tagInput = (prefix) => createTagInput(this.state, { containerId: `${prefix}Tags`, inputId: `${prefix}TagInput` });
+        
+        this.tagInputs = {
+            edit: tagInput('edit'),
+            expense: tagInput('fabExpense'),
+            income: tagInput('fabIncome')
+        };
+    }
+    
+    // A payee named in a new expense's description, or typed in, brings its default category
+    setupPayeeInputs() {
+        this.payeeInputs = {
+            edit: createPayeeInput(this.state, { inputId: 'editPayee' }),
+            expense: createPayeeInput(this.state, {
+                inputId: 'fabExpensePayee',
+                descriptionId: 'fabExpenseDescription',
+                onMatch: merchant => this.applyMerchantCategory(merchant)
+            }),
+            income: createPayeeInput(this.state, { inputId: 'fabIncomePayee', descriptionId: 'fabIncomeDescription' })
+        };
+    }
+    
+    // Fill the FAB expense category from a merchant's default, unless one was already picked
+    applyMerchantCategory(merchant) {
+        const categorySelect = document.getElementById('fabExpenseCategory');
+        const subcategorySelect = document.getElementById('fabExpenseSubcategory');
+        if (!categorySelect || categorySelect.value || !merchant.defaultCategoryId) return;
+        if (!this.state.getMainCategories().some(c => c.id === merchant.defaultCategoryId)) return;
+        
+        categorySelect.value = merchant.defaultCategoryId;
+        if (!subcategorySelect) return;
+        
+        const subcategories = this.state.getSubcategories(merchant.defaultCategoryId);
+        subcategorySelect.innerHTML = '<option value="">Optional</option>';
+        subcategories.forEach(subcat => subcategorySelect.appendChild(new Option(subcat.name, subcat.id)));
+        if (subcategories.some(subcat => subcat.id === merchant.defaultSubcategoryId)) {
+            subcategorySelect.value = merchant.defaultSubcategoryId;
+        }
     }
 
     setupExpenseSearch() {
@@ -2378,6 +3789,28 @@ class UIController {
             this.updateBudgetTabUI(); // ADD THIS
         });
 
+        // Lists show payee names
+        this.state.subscribe('merchants', () => {
+            this.renderMerchants();
+            this.updateExpensesTabUI();
+            this.updateIncomesTabUI();
+        });
+
+        // Transfers only move balances between wallets
+        this.state.subscribe('transfers', () => {
+            this.updateTransfersUI();
+            this.updateStats();
+            this.updateWalletsUI();
+        });
+
+        // Older months loaded, or new carried totals for balances
+        this.state.subscribe('transactionHistory', () => {
+            this.updateStats();
+            this.updateWalletsUI();
+            this.updateExpensesTabUI();
+            this.updateIncomesTabUI();
+        });
+
         this.state.subscribe('currentWalletId', () => this.updateWalletDependentUI());
         this.state.subscribe('activeTab', () => this.updateActiveTab());
     }
@@ -2551,7 +3984,7 @@ class UIController {
         
         // Filter categories that have budgets set
         const categoriesWithBudgets = categories.filter(cat => {
-            return budgets.some(b => b.category_id === cat.id && b.wallet_id === walletId);
+            return budgets.some(b => b.categoryId === cat.id && b.walletId === walletId);
         });
         
         if (categoriesWithBudgets.length === 0) {
@@ -2623,7 +4056,7 @@ class UIController {
         container.innerHTML = '';
         
         categories.forEach(category => {
-            const budget = budgets.find(b => b.category_id === category.id && b.wallet_id === walletId);
+            const budget = budgets.find(b => b.categoryId === category.id && b.walletId === walletId);
             const status = budget ? this.state.getCategoryBudgetStatus(category.id, walletId) : null;
             
             const item = document.createElement('div');
@@ -2745,7 +4178,7 @@ class UIController {
         const selector = document.getElementById('globalWalletSelect');
         if (!selector) return;
         
-        const wallets = this.state.getWallets();
+        const wallets = this.state.getActiveWallets();
         const currentWalletId = this.state.getState().currentWalletId;
         
         // Clear and rebuild options
@@ -2798,6 +4231,7 @@ class UIController {
     
     updateWalletDependentUI() {
         this.updateOverviewUI();
+        this.updateTransfersUI();
         this.updateExpensesTabUI();
         this.updateIncomesTabUI();
         this.updateStats();
@@ -2863,6 +4297,47 @@ class UIController {
         this.renderRecentActivity(allTransactions, recentActivityList);
     }
 
+    // The current wallet's transfers, newest first
+    updateTransfersUI() {
+        const section = document.getElementById('transferOverview');
+        const list = document.getElementById('transferList');
+        if (!section || !list) return;
+        
+        const currentWalletId = this.state.getState().currentWalletId;
+        const transfers = currentWalletId ? this.state.getWalletTransfers(currentWalletId).slice(0, 10) : [];
+        
+        section.classList.toggle('hidden', transfers.length === 0);
+        
+        list.innerHTML = transfers.map(transfer => {
+            const outgoing = transfer.fromWalletId === currentWalletId;
+            const other = this.state.getWalletName(outgoing ? transfer.toWalletId : transfer.fromWalletId) || 'Deleted wallet';
+            const name = transfer.description || `${outgoing ? 'To' : 'From'} ${other}`;
+            const fee = outgoing && transfer.fee > 0 ? ` · fee ${currencyUtils.formatDisplayCurrency(transfer.fee)}` : '';
+            
+            return `
+                <div class="trash-item">
+                    <div class="trash-item-icon">
+                        <i class="fas ${outgoing ? 'fa-arrow-up' : 'fa-arrow-down'}"></i>
+                    </div>
+                    <div class="trash-item-details">
+                        <div class="trash-item-name">${name}</div>
+                        <div class="trash-item-meta">
+                            ${outgoing ? 'To' : 'From'} ${other} · ${dateUtils.formatDate(transfer.date)}${fee}
+                        </div>
+                    </div>
+                    <div style="font-weight: 600; color: ${outgoing ? 'var(--danger)' : 'var(--success)'}; white-space: nowrap;">
+                        ${outgoing ? '-' : '+'}${currencyUtils.formatDisplayCurrency(transfer.amount)}
+                    </div>
+                    <div class="action-buttons">
+                        <button class="delete-btn" title="Delete" onclick="window.finTrack.ui.confirmDelete('transfer', '${transfer.id}', '${name.replace(/'/g, "\\'")}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
     renderRecentActivity(transactions, container) {
         const wallets = this.state.getWallets();
         container.innerHTML = '';
@@ -2929,18 +4404,9 @@ class UIController {
                 item.className = transaction.type === 'expense' ? 'expense-item' : 'income-item';
                 
                 if (transaction.type === 'expense') {
-                    let categoryText = transaction.category;
-                    if (transaction.subcategory) {
-                        categoryText += ` › ${transaction.subcategory}`;
-                    }
+                    const categoryText = categoryUtils.getExpenseLabel(transaction);
 
-                    let receiptIcon = '';
-                    const receiptUrl = transaction.receiptUrl || transaction.receipt_url;
-                    if (receiptUrl) {
-                        receiptIcon = `<button class="receipt-icon-btn" onclick="window.finTrack.app.viewReceipt('${transaction.id}', '${transaction.description.replace(/'/g, "\\'")}', '${transaction.receiptUrl}')" title="View receipt">
-                            <i class="fas fa-paperclip"></i>
-                        </button>`;
-                    }                    
+                    const receiptIcon = this.renderReceiptButton(transaction);
                     
                     // Generate reimbursement badge
                     let reimbursementBadge = '';
@@ -2995,6 +4461,7 @@ class UIController {
                             <div style="flex: 1; min-width: 0; margin-right: 12px;">
                                 <div style="font-weight: 500; word-break: break-word; font-size: 0.8rem;">
                                     ${transaction.description}
+                                    ${this.renderReceiptButton(transaction)}
                                     ${reimbursementBadge}
                                 </div>
                             </div>
@@ -3041,6 +4508,8 @@ class UIController {
             dayGroupDiv.appendChild(dayContent);
             container.appendChild(dayGroupDiv);
         });
+        
+        this.loadReceiptThumbnails(container);
     }
 
     updateExpensesTabUI() {
@@ -3135,9 +4604,14 @@ class UIController {
             return;
         }
         
-        // Filter expenses
+        if (!this.ensureMonthLoaded(selectedYear, selectedMonth, listContainer)) return;
+        
+        this.populateTagFilter(document.getElementById('expenseTagFilter'));
+        
+        // Filter expenses - the total follows the tag filter too
         const expenses = this.state.getExpenses().filter(expense => {
             if (expense.walletId !== currentWalletId) return false;
+            if (!tagUtils.hasTag(expense, this.expenseTagFilter)) return false;
             const expenseDate = new Date(expense.date);
             return expenseDate.getMonth() === selectedMonth && 
                    expenseDate.getFullYear() === selectedYear;
@@ -3163,21 +4637,22 @@ class UIController {
                     No expenses for this period
                 </div>
             `;
-            return;
+        } else {
+            this.renderExpensesByDay(expenses, listContainer);
         }
-        this.renderExpensesByDay(expenses, listContainer);
+        this.prefetchOlderAtEnd(selectedYear, selectedMonth, listContainer);
     }
 
     renderExpensesByDay(expenses, container) {
         const wallets = this.state.getWallets();
+        const selection = this.bulkSelection.expense;
         
         // Filter by search term if provided
         let filteredExpenses = expenses;
         if (this.expenseSearchTerm) {
             const lowerSearchTerm = this.expenseSearchTerm.toLowerCase();
-            filteredExpenses = expenses.filter(exp => 
-                exp.description.toLowerCase().includes(lowerSearchTerm)
-            );
+            filteredExpenses = expenses.filter(exp =>
+                categoryUtils.matchesSearch(exp, lowerSearchTerm) || this.matchesPayee(exp, lowerSearchTerm));
         }
         
         const sortedExpenses = [...filteredExpenses].sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -3247,18 +4722,9 @@ class UIController {
                     minute: '2-digit' 
                 });
                 
-                let categoryText = expense.category;
-                if (expense.subcategory) {
-                    categoryText += ` > ${expense.subcategory}`;
-                }
+                const categoryText = categoryUtils.getExpenseLabel(expense, ' > ');
 
-                let receiptIcon = '';
-                const receiptUrl = expense.receiptUrl || expense.receipt_url;
-                if (receiptUrl) {
-                    receiptIcon = `<button class="receipt-icon-btn" onclick="window.finTrack.app.viewReceipt('${expense.id}', '${expense.description.replace(/'/g, "\\'")}', '${expense.receiptUrl}')" title="View receipt">
-                        <i class="fas fa-paperclip"></i>
-                    </button>`;
-                }                
+                const receiptIcon = this.renderReceiptButton(expense);
                 
                 // Generate reimbursement badge
                 let reimbursementBadge = '';
@@ -3274,15 +4740,18 @@ class UIController {
                 const highlightedDescription = highlightText(expense.description, this.expenseSearchTerm);
                 
                 const item = document.createElement('div');
-                item.className = 'expense-item';
+                item.className = `expense-item${selection?.has(expense.id) ? ' bulk-selected' : ''}`;
                 item.innerHTML = `
                     <div style="display: flex; justify-content: space-between; align-items: flex-start; width: 100%;">
+                        ${this.renderBulkCheckbox('expense', expense.id)}
                         <div style="flex: 1; min-width: 0; margin-right: 12px;">
                             <div style="font-weight: 500; word-break: break-word; font-size: 0.8rem;">
                                 ${highlightedDescription}
                                 ${receiptIcon}
                                 ${reimbursementBadge}
                             </div>
+                            ${this.renderPayee(expense)}
+                            ${this.renderTagChips(expense)}
                         </div>
                         <div style="display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
                             <span class="expense-category" style="font-size: 0.6rem; background: var(--light-gray); padding: 2px 8px; border-radius: 12px; color: var(--gray); white-space: nowrap;">
@@ -3316,6 +4785,8 @@ class UIController {
             dayGroupDiv.appendChild(dayContent);
             container.appendChild(dayGroupDiv);
         });
+        
+        this.loadReceiptThumbnails(container);
     }
 
     //Collect years from data
@@ -3324,6 +4795,15 @@ class UIController {
         items.map(i => new Date(i.date).getFullYear())
     )];
 
+    // Years whose months aren't loaded yet can still be picked
+    const { firstDate } = this.state.getTransactionHistory();
+    if (firstDate) {
+        const newest = years.length ? Math.max(...years) : new Date().getFullYear();
+        for (let year = new Date(firstDate).getFullYear(); year < newest; year++) {
+            if (!years.includes(year)) years.push(year);
+        }
+    }
+
     return years.length
         ? years.sort((a, b) => b - a)
         : [new Date().getFullYear()];
@@ -3507,10 +4987,7 @@ class UIController {
                 minute: '2-digit' 
             });
             
-            let categoryText = expense.category;
-            if (expense.subcategory) {
-                categoryText += ` > ${expense.subcategory}`;
-            }
+            const categoryText = categoryUtils.getExpenseLabel(expense, ' > ');
             
             const expenseItem = document.createElement('div');
             expenseItem.className = 'expense-item';
@@ -3640,6 +5117,8 @@ class UIController {
             return;
         }
         
+        if (!this.ensureMonthLoaded(selectedYear, selectedMonth, listContainer)) return;
+        
         // Filter incomes
         const incomes = this.state.getIncomes().filter(income => {
             if (income.walletId !== currentWalletId) return false;
@@ -3668,21 +5147,69 @@ class UIController {
                     No income for this period
                 </div>
             `;
-            return;
+        } else {
+            this.renderIncomesByDay(incomes, listContainer);
         }
-        
-        this.renderIncomesByDay(incomes, listContainer);
+        this.prefetchOlderAtEnd(selectedYear, selectedMonth, listContainer);
+    }
+
+    // ==================== OLDER TRANSACTIONS UI ====================
+    
+    // Months before the loaded ones are fetched when picked - shows a
+    // placeholder and returns false until the month is in state
+    ensureMonthLoaded(year, month, listContainer) {
+        const monthStart = new Date(year, month, 1);
+        if (this.app.transactions.isLoaded(monthStart)) return true;
+        
+        listContainer.innerHTML = `
+            <div class="empty-day-message">
+                <i class="fas fa-spinner fa-spin"></i>
+                Loading older transactions...
+            </div>
+        `;
+        // State listeners redraw the list once the months arrive
+        this.app.handleLoadHistory(monthStart).then(() => {
+            if (!this.app.transactions.isLoaded(monthStart)) {
+                listContainer.innerHTML = `
+                    <div class="empty-day-message">
+                        <i class="fas fa-exclamation-circle"></i>
+                        Could not load this month
+                    </div>
+                `;
+            }
+        });
+        return false;
+    }
+    
+    // Scrolling to the end of the earliest loaded month fetches the months before it
+    prefetchOlderAtEnd(year, month, listContainer) {
+        this.historyObservers[listContainer.id]?.disconnect();
+        if (typeof IntersectionObserver === 'undefined' || this.app.transactions.isLoaded(new Date(year, month - 1, 1))) return;
+        
+        const sentinel = domUtils.createElement('div', 'history-sentinel');
+        listContainer.appendChild(sentinel);
+        
+        const observer = new IntersectionObserver((entries) => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            observer.disconnect();
+            this.app.handleLoadHistory();
+        });
+        observer.observe(sentinel);
+        this.historyObservers[listContainer.id] = observer;
     }
 
     renderIncomesByDay(incomes, container) {
         const wallets = this.state.getWallets();
+        const selection = this.bulkSelection.income;
         
         // Filter by search term if provided
         let filteredIncomes = incomes;
         if (this.incomeSearchTerm) {
             const lowerSearchTerm = this.incomeSearchTerm.toLowerCase();
             filteredIncomes = incomes.filter(inc => 
-                inc.description.toLowerCase().includes(lowerSearchTerm)
+                inc.description.toLowerCase().includes(lowerSearchTerm) ||
+                (inc.tags || []).some(tag => tag.includes(lowerSearchTerm)) ||
+                this.matchesPayee(inc, lowerSearchTerm)
             );
         }
         
@@ -3765,14 +5292,18 @@ class UIController {
                 const highlightedDescription = highlightText(income.description, this.incomeSearchTerm);
                 
                 const item = document.createElement('div');
-                item.className = 'income-item';
+                item.className = `income-item${selection?.has(income.id) ? ' bulk-selected' : ''}`;
                 item.innerHTML = `
                     <div style="display: flex; justify-content: space-between; align-items: flex-start; width: 100%;">
+                        ${this.renderBulkCheckbox('income', income.id)}
                         <div style="flex: 1; min-width: 0; margin-right: 12px;">
                             <div style="font-weight: 500; word-break: break-word; font-size: 0.8rem;">
                                 ${highlightedDescription}
+                                ${this.renderReceiptButton(income)}
                                 ${reimbursementBadge}
                             </div>
+                            ${this.renderPayee(income)}
+                            ${this.renderTagChips(income)}
                         </div>
                         <div style="display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
                             <span class="income-source" style="font-size: 0.6rem; background: var(--light-gray); padding: 2px 8px; border-radius: 12px; color: var(--gray); white-space: nowrap;">
@@ -3811,6 +5342,8 @@ class UIController {
             dayGroupDiv.appendChild(dayContent);
             container.appendChild(dayGroupDiv);
         });
+        
+        this.loadReceiptThumbnails(container);
     }
     
     renderIncomeList(incomes, container) {
@@ -3888,12 +5421,12 @@ class UIController {
             return;
         }
         
-        const walletBudgets = budgets.filter(b => b.wallet_id === walletId);
+        const walletBudgets = budgets.filter(b => b.walletId === walletId);
         
         budgetsList.innerHTML = '';
         
         walletBudgets.forEach(budget => {
-            const status = this.state.getCategoryBudgetStatus(budget.category_id, walletId);
+            const status = this.state.getCategoryBudgetStatus(budget.categoryId, walletId);
             
             if (!status) return;
             
@@ -3906,7 +5439,7 @@ class UIController {
             budgetItem.innerHTML = `
                 <div style="flex: 1;">
                     <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                        <strong>${budget.categories?.name || 'Category'}</strong>
+                        <strong>${budget.categoryName || 'Category'}</strong>
                         <span style="color: ${progressColor}; font-weight: 600;">
                             ${currencyUtils.formatDisplayCurrency(status.spent)} / 
                             ${currencyUtils.formatDisplayCurrency(status.budget)}
@@ -3925,7 +5458,7 @@ class UIController {
                         ${status.status === 'exceeded' ? '(over budget)' : ''}
                     </div>
                 </div>
-                <button class="delete-btn" onclick="window.finTrack.ui.confirmDelete('budget', '${budget.id}', '${budget.categories?.name}')">
+                <button class="delete-btn" onclick="window.finTrack.ui.confirmDelete('budget', '${budget.id}', '${budget.categoryName}')">
                     <i class="fas fa-trash"></i>
                 </button>
             `;
@@ -3963,6 +5496,7 @@ class UIController {
         wallets.forEach(wallet => {
             const balance = this.state.getWalletBalance(wallet.id);
             const isDefault = wallet.isDefault || false;
+            const isArchived = !!wallet.archivedAt;
             
             const walletItem = document.createElement('div');
             walletItem.className = 'wallet-item';
@@ -3979,6 +5513,9 @@ class UIController {
                             ${isDefault ? 
                                 '<span style="background: var(--primary); color: white; padding: 2px 8px; border-radius: 12px; font-size: 0.7rem; font-weight: 600; white-space: nowrap; flex-shrink: 0;">DEFAULT</span>' 
                                 : ''}
+                            ${isArchived ? 
+                                '<span style="background: var(--light-gray); color: var(--gray); padding: 2px 8px; border-radius: 12px; font-size: 0.7rem; font-weight: 600; white-space: nowrap; flex-shrink: 0;">ARCHIVED</span>' 
+                                : ''}
                         </div>
                     </div>
                     
@@ -3989,7 +5526,16 @@ class UIController {
                         </div>
                         
                         <div class="action-buttons" style="display: flex; gap: 8px; flex-shrink: 0;">
-                            ${!isDefault ? `
+                            ${isArchived ? `
+                                <button class="btn btn-sm" 
+                                        onclick="window.finTrack.app.handleUnarchiveWallet('${wallet.id}')" 
+                                        style="padding: 6px 12px; font-size: 0.75rem; background: var(--light-gray); color: var(--dark); border-radius: 6px; white-space: nowrap; display: flex; align-items: center; gap: 4px;">
+                                    <i class="fas fa-box-open" style="font-size: 0.7rem;"></i> 
+                                    <span>Unarchive</span>
+                                </button>
+                            ` : ''}
+                            
+                            ${!isDefault && !isArchived ? `
                                 <button class="btn btn-sm" 
                                         onclick="window.finTrack.app.handleSetDefaultWallet('${wallet.id}')" 
                                         style="padding: 6px 12px; font-size: 0.75rem; background: var(--light-gray); color: var(--dark); border-radius: 6px; white-space: nowrap; display: flex; align-items: center; gap: 4px;">
@@ -4057,6 +5603,9 @@ class UIController {
                     <button class="edit-btn" onclick="window.finTrack.ui.editCategory('${category.id}')">
                         <i class="fas fa-edit"></i>
                     </button>
+                    <button class="edit-btn" title="Merge" onclick="window.finTrack.ui.openCategoryMerge('${category.id}')">
+                        <i class="fas fa-object-group"></i>
+                    </button>
                     <button class="delete-btn" onclick="window.finTrack.ui.confirmDelete('category', '${category.id}', '${category.name}')">
                         <i class="fas fa-trash"></i>
                     </button>
@@ -4083,6 +5632,9 @@ class UIController {
                         <button class="edit-btn" onclick="window.finTrack.ui.editCategory('${subcategory.id}')">
                             <i class="fas fa-edit"></i>
                         </button>
+                        <button class="edit-btn" title="Merge or move" onclick="window.finTrack.ui.openCategoryMerge('${subcategory.id}')">
+                            <i class="fas fa-object-group"></i>
+                        </button>
                         <button class="delete-btn" onclick="window.finTrack.ui.confirmDelete('category', '${subcategory.id}', '${subcategory.name}')">
                             <i class="fas fa-trash"></i>
                         </button>
@@ -4102,7 +5654,7 @@ class UIController {
         
         mainCategories.forEach(category => {
             const option = document.createElement('option');
-            option.value = category.name;
+            option.value = category.id;
             option.textContent = category.name;
             expenseCategory.appendChild(option);
         });
@@ -4117,12 +5669,12 @@ class UIController {
             expenseSubcategory.innerHTML = '<option value="">Optional</option>';
             
             if (selectedCategory) {
-                const mainCategory = mainCategories.find(c => c.name === selectedCategory);
+                const mainCategory = mainCategories.find(c => c.id === selectedCategory);
                 if (mainCategory) {
                     const subcategories = this.state.getSubcategories(mainCategory.id);
                     subcategories.forEach(subcategory => {
                         const option = document.createElement('option');
-                        option.value = subcategory.name;
+                        option.value = subcategory.id;
                         option.textContent = subcategory.name;
                         expenseSubcategory.appendChild(option);
                     });
@@ -4153,12 +5705,10 @@ class UIController {
             return;
         }
         
-        const expenses = this.state.getExpenses().filter(e => e.walletId === currentWalletId);
-        const incomes = this.state.getIncomes().filter(i => i.walletId === currentWalletId);
-        
-        const totalExpensesAmount = expenses.reduce((sum, e) => sum + e.amount, 0);
-        const totalIncomeAmount = incomes.reduce((sum, i) => sum + i.amount, 0);
-        const balance = totalIncomeAmount - totalExpensesAmount;
+        // Includes the months that aren't loaded
+        const { expenses: totalExpensesAmount, income: totalIncomeAmount } = this.state.getWalletTotals(currentWalletId);
+        // Same as the wallet list - transfers and their fees count towards it
+        const balance = this.state.getWalletBalance(currentWalletId);
         
         // NEW: Calculate pending reimbursement total
         const pendingTotal = this.state.getPendingReimbursementTotal();
@@ -4262,44 +5812,43 @@ class UIController {
         const subcategorySelect = document.getElementById('editSubcategory');
 
         const expenseCategoryRow = document.getElementById('editExpenseCategoryRow');
+        const expenseSplitSection = document.getElementById('editExpenseSplitSection');
         const expenseReimbursableSection = document.getElementById('editExpenseReimbursableSection');
-        const expenseReceiptSection = document.getElementById('editExpenseReceiptSection'); // ✅ ADD THIS
         const incomeReimbursementSection = document.getElementById('editIncomeReimbursementSection');
         const incomeTypeGroup = document.getElementById('editIncomeTypeGroup');
         const editIncomeExpenseSelector = document.getElementById('editIncomeExpenseSelector');
 
         if (expenseCategoryRow) expenseCategoryRow.style.display = 'none';
+        if (expenseSplitSection) expenseSplitSection.style.display = 'none';
         if (expenseReimbursableSection) expenseReimbursableSection.style.display = 'none';
-        if (expenseReceiptSection) expenseReceiptSection.style.display = 'none'; // ✅ ADD THIS
         if (incomeReimbursementSection) incomeReimbursementSection.style.display = 'none';
         if (incomeTypeGroup) incomeTypeGroup.style.display = 'none';
         if (editIncomeExpenseSelector) editIncomeExpenseSelector.classList.add('hidden');
+        this.dismissEditConflict();
+        this.resetEditHistory();
+        this.attachmentEditors.edit?.load(item.attachments);
+        this.splitEditors.edit?.load(type === 'expense' ? item.splits : []);
+        this.tagInputs.edit?.load(item.tags);
+        this.payeeInputs.edit?.load(item.merchantId);
 
         const expenseReimbursableCheckbox = document.getElementById('editIsReimbursable');
         const incomeReimbursementCheckbox = document.getElementById('editIncomeIsReimbursement');
         if (expenseReimbursableCheckbox) expenseReimbursableCheckbox.checked = false;
         if (incomeReimbursementCheckbox) incomeReimbursementCheckbox.checked = false;
 
+        const payeeLabel = document.getElementById('editPayeeLabel');
+        if (payeeLabel) payeeLabel.textContent = type === 'expense' ? 'Payee (optional)' : 'Payer (optional)';
+
         if (type === 'expense') {
             title.innerHTML = 'Edit Expense';
             subtitle.textContent = '';
             
             if (expenseCategoryRow) expenseCategoryRow.style.display = 'flex';
+            if (expenseSplitSection) expenseSplitSection.style.display = 'block';
             if (expenseReimbursableSection) {
                 expenseReimbursableSection.style.display = 'block';
                 console.log('✅ Expense reimbursable section shown');
             }
-            if (expenseReceiptSection) expenseReceiptSection.style.display = 'block';
-            
-            if (item.receiptUrl) {
-                this.displayReceiptPreview(item.receiptUrl);
-            } else {
-                const previewContainer = document.getElementById('editReceiptPreview');
-                if (previewContainer) {
-                    previewContainer.innerHTML = '';
-                    previewContainer.style.display = 'none';
-                }
-            }
         } else {
             title.innerHTML = 'Edit Income';
             subtitle.textContent = '';
@@ -4310,6 +5859,8 @@ class UIController {
         
         document.getElementById('editItemType').value = type;
         document.getElementById('editItemId').value = item.id;
+        document.getElementById('editItemVersion').value = item.updatedAt || '';
+        this.editOriginal = item;
         
         this.populateCategorySelect(categorySelect, type);
         
@@ -4318,16 +5869,16 @@ class UIController {
             
             // Load subcategories based on selected category
             const mainCategories = this.state.getMainCategories();
-            const mainCategory = mainCategories.find(c => c.name === item.category);
+            const mainCategory = mainCategories.find(c => c.id === item.categoryId);
             
             if (mainCategory) {
                 const subcategories = this.state.getSubcategories(mainCategory.id);
                 subcategorySelect.innerHTML = '<option value="">Optional</option>';
                 subcategories.forEach(subcat => {
                     const option = document.createElement('option');
-                    option.value = subcat.name;
+                    option.value = subcat.id;
                     option.textContent = subcat.name;
-                    if (subcat.name === item.subcategory) {
+                    if (subcat.id === item.subcategoryId) {
                         option.selected = true;
                     }
                     subcategorySelect.appendChild(option);
@@ -4338,7 +5889,7 @@ class UIController {
                 categorySelect.parentNode.replaceChild(newCategorySelect, categorySelect);
                 
                 // Re-set the value after cloning
-                newCategorySelect.value = item.category;
+                newCategorySelect.value = item.categoryId;
                 
                 // Debounced update handler for rapid switching
                 let updateTimeout = null;  // ✅ Timer instead of boolean flag
@@ -4362,7 +5913,7 @@ class UIController {
                     
                     // Debounce the actual update
                     updateTimeout = setTimeout(() => {  // ✅ Set new timer
-                        const selectedMainCategory = mainCategories.find(c => c.name === lastValue);
+                        const selectedMainCategory = mainCategories.find(c => c.id === lastValue);
                         
                         // Close the category dropdown
                         newCategorySelect.blur();
@@ -4373,7 +5924,7 @@ class UIController {
                             newSubcategorySelect.innerHTML = '<option value="">Optional</option>';
                             newSubcategories.forEach(subcat => {
                                 const option = document.createElement('option');
-                                option.value = subcat.name;
+                                option.value = subcat.id;
                                 option.textContent = subcat.name;
                                 newSubcategorySelect.appendChild(option);
                             });
@@ -4448,7 +5999,7 @@ class UIController {
         document.getElementById('editAmount').value = currencyUtils.formatDisplayCurrency(item.amount).replace('Rp ', '');
         
         document.getElementById('editDate').value = item.date;
-        document.getElementById('editCategory').value = type === 'expense' ? item.category : item.source;
+        document.getElementById('editCategory').value = type === 'expense' ? item.categoryId : item.source;
 
         //v5.2
         if (type === 'expense') {
@@ -4474,88 +6025,315 @@ class UIController {
         modal.classList.add('active');
     }
 
-    displayReceiptPreview(receiptUrl) {
-        const previewContainer = document.getElementById('editReceiptPreview');
-        if (!previewContainer) return;
-        
-        const isImage = /\.(jpg|jpeg|png|gif|webp)$/i.test(receiptUrl);
-        const isPDF = /\.pdf$/i.test(receiptUrl);
-        
-        let previewHTML = '';
-        
-        if (isImage) {
-            previewHTML = `
-                <div style="position: relative; border: 2px solid var(--light-gray); border-radius: 8px; overflow: hidden; max-width: 300px;">
-                    <img src="${receiptUrl}" 
-                        alt="Receipt" 
-                        style="width: 100%; height: auto; display: block; cursor: pointer;"
-                        onclick="window.open('${receiptUrl}', '_blank')">
-                    <div style="position: absolute; top: 8px; right: 8px; background: rgba(0,0,0,0.6); border-radius: 6px; padding: 6px 10px; display: flex; gap: 8px;">
-                        <a href="${receiptUrl}" 
-                        target="_blank" 
-                        style="color: white; text-decoration: none;"
-                        title="View full size">
-                            <i class="fas fa-external-link-alt"></i>
-                        </a>
-                        <button onclick="window.finTrack.ui.removeReceipt()" 
-                                style="background: none; border: none; color: white; cursor: pointer; padding: 0;"
-                                title="Remove receipt">
-                            <i class="fas fa-trash"></i>
-                        </button>
+    // ==================== EDIT HISTORY ====================
+    
+    resetEditHistory() {
+        this.editHistoryEntries = [];
+        
+        const list = document.getElementById('editHistoryList');
+        const chevron = document.getElementById('editHistoryChevron');
+        if (list) {
+            list.classList.add('hidden');
+            list.innerHTML = '';
+        }
+        if (chevron) chevron.style.transform = 'rotate(0deg)';
+    }
+    
+    async toggleEditHistory() {
+        const list = document.getElementById('editHistoryList');
+        const chevron = document.getElementById('editHistoryChevron');
+        if (!list) return;
+        
+        if (!list.classList.contains('hidden')) {
+            list.classList.add('hidden');
+            if (chevron) chevron.style.transform = 'rotate(0deg)';
+            return;
+        }
+        
+        list.classList.remove('hidden');
+        if (chevron) chevron.style.transform = 'rotate(180deg)';
+        list.innerHTML = '<div class="history-empty">Loading...</div>';
+        
+        await this.renderEditHistory();
+    }
+    
+    async renderEditHistory() {
+        const list = document.getElementById('editHistoryList');
+        const type = document.getElementById('editItemType').value;
+        const id = document.getElementById('editItemId').value;
+        if (!list || !id) return;
+        
+        const history = this.app.history;
+        
+        try {
+            this.editHistoryEntries = await history.getHistory(type, id);
+        } catch (error) {
+            this.editHistoryEntries = [];
+            list.innerHTML = `<div class="history-empty">${getErrorMessage(error, 'Could not load history')}</div>`;
+            return;
+        }
+        
+        if (this.editHistoryEntries.length === 0) {
+            list.innerHTML = '<div class="history-empty">No changes recorded yet</div>';
+            return;
+        }
+        
+        const actionLabels = {
+            create: 'Created',
+            update: 'Edited',
+            delete: 'Moved to Trash',
+            restore: 'Restored from Trash',
+            purge: 'Permanently deleted',
+            link: 'Linked to reimbursement',
+            unlink: 'Reimbursement unlinked'
+        };
+        
+        list.innerHTML = this.editHistoryEntries.map((entry, index) => {
+            const changes = entry.action === 'create' ? [] : history.getChanges(entry);
+            // The newest entry is the current version
+            const revertButton = index > 0 && history.canRevert(entry)
+                ? `<button type="button" class="btn btn-outline history-revert-btn" onclick="window.finTrack.app.handleRevertVersion('${entry.id}')">
+                        <i class="fas fa-undo"></i> Restore this version
+                   </button>`
+                : '';
+            
+            return `
+                <div class="history-entry">
+                    <div class="history-entry-header">
+                        <span class="history-action">${actionLabels[entry.action] || entry.action}</span>
+                        <span class="history-meta">${new Date(entry.createdAt).toLocaleString()} · ${entry.changedBy || 'unknown'}</span>
                     </div>
+                    ${changes.length > 0 ? `
+                        <ul class="history-changes">
+                            ${changes.map(change => `
+                                <li>
+                                    <span class="history-field">${this.formatHistoryField(change.field)}</span>
+                                    <span class="history-before">${this.formatHistoryValue(change.field, change.before)}</span>
+                                    <i class="fas fa-arrow-right"></i>
+                                    <span class="history-after">${this.formatHistoryValue(change.field, change.after)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                    ${revertButton}
                 </div>
             `;
-        } else if (isPDF) {
-            previewHTML = `
-                <div style="border: 2px solid var(--light-gray); border-radius: 8px; padding: 16px; display: flex; align-items: center; justify-content: space-between; max-width: 300px;">
-                    <div style="display: flex; align-items: center; gap: 12px;">
-                        <i class="fas fa-file-pdf" style="font-size: 2rem; color: #DC2626;"></i>
-                        <div>
-                            <div style="font-weight: 600; font-size: 0.9rem;">Receipt PDF</div>
-                            <a href="${receiptUrl}" 
-                            target="_blank" 
-                            style="color: var(--primary); text-decoration: none; font-size: 0.8rem;">
-                                <i class="fas fa-external-link-alt"></i> View PDF
-                            </a>
-                        </div>
-                    </div>
-                    <button onclick="window.finTrack.ui.removeReceipt()" 
-                            class="delete-btn"
-                            title="Remove receipt">
-                        <i class="fas fa-trash"></i>
-                    </button>
+        }).join('');
+    }
+    
+    formatHistoryField(field) {
+        const labels = {
+            wallet_id: 'Wallet',
+            category_id: 'Category',
+            subcategory_id: 'Subcategory',
+            is_reimbursable: 'Reimbursable',
+            is_reimbursement: 'Reimbursement',
+            reimbursement_status: 'Reimbursement status',
+            linked_income_id: 'Linked income',
+            linked_expense_ids: 'Linked expenses',
+            receipt_url: 'Receipt',
+            attachments: 'Attachments',
+            deleted_at: 'Deleted'
+        };
+        return labels[field] || field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, ' ');
+    }
+    
+    formatHistoryValue(field, value) {
+        if (value === null || value === undefined || value === '') return '—';
+        
+        switch (field) {
+            case 'amount':
+                return currencyUtils.formatDisplayCurrency(value);
+            case 'wallet_id':
+                return this.state.getWallets().find(w => w.id === value)?.name || 'Deleted wallet';
+            case 'category_id':
+            case 'subcategory_id':
+                return this.state.getCategoryName(value) || 'Deleted category';
+            case 'linked_income_id':
+                return this.state.getIncomes().find(i => i.id === value)?.description || 'Linked';
+            case 'linked_expense_ids':
+                return `${value.length} expense${value.length !== 1 ? 's' : ''}`;
+            case 'receipt_url':
+                return 'Attached';
+            case 'attachments':
+                return value.length > 0 ? `${value.length} file${value.length !== 1 ? 's' : ''}` : '—';
+            case 'splits':
+                return value.length > 0 ? `${value.length} lines` : 'Not split';
+            case 'tags':
+                return value.length > 0 ? value.join(', ') : '—';
+            case 'merchant_id':
+                return this.state.getMerchantName(value) || 'Deleted merchant';
+            case 'date':
+            case 'deleted_at':
+                return dateUtils.formatDate(value);
+            default:
+                if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+                return String(value);
+        }
+    }
+    
+    // Shown when the record open in the edit modal changes on another device
+    showEditConflict(type, eventType) {
+        const banner = document.getElementById('editConflictBanner');
+        if (!banner) return;
+        
+        const label = type === 'expense' ? 'expense' : 'income';
+        
+        if (eventType === 'DELETE') {
+            banner.innerHTML = `
+                <i class="fas fa-exclamation-triangle"></i>
+                <span>This ${label} was deleted on another device.</span>
+                <div class="edit-conflict-actions">
+                    <button type="button" class="btn btn-outline btn-sm" onclick="document.getElementById('editTransactionModal').classList.remove('active')">Close</button>
+                </div>
+            `;
+            document.querySelector('#editTransactionForm button[type="submit"]')?.setAttribute('disabled', 'disabled');
+        } else {
+            banner.innerHTML = `
+                <i class="fas fa-exclamation-triangle"></i>
+                <span>This ${label} was changed on another device. Saving keeps their changes to fields you haven't edited.</span>
+                <div class="edit-conflict-actions">
+                    <button type="button" class="btn btn-outline btn-sm" onclick="window.finTrack.ui.dismissEditConflict()">Keep mine</button>
+                    <button type="button" class="btn btn-primary btn-sm" onclick="window.finTrack.ui.reloadEditedItem()">Load theirs</button>
                 </div>
             `;
         }
         
-        previewContainer.innerHTML = previewHTML;
-        previewContainer.style.display = previewHTML ? 'block' : 'none';
+        banner.classList.remove('hidden');
     }
-
-    removeReceipt() {
-        const previewContainer = document.getElementById('editReceiptPreview');
-        if (previewContainer) {
-            previewContainer.innerHTML = '';
-            previewContainer.style.display = 'none';
-        }
-        
-        // Mark for deletion
-        const uploadInput = document.getElementById('editReceiptUpload');
-        if (uploadInput) {
-            uploadInput.dataset.deleteExisting = 'true';
+    
+    dismissEditConflict() {
+        const banner = document.getElementById('editConflictBanner');
+        if (banner) {
+            banner.classList.add('hidden');
+            banner.innerHTML = '';
+        }
+        this.pendingSaveConflict = null;
+        document.querySelector('#editTransactionForm button[type="submit"]')?.removeAttribute('disabled');
+    }
+    
+    // field => its value in a record as the model coerces it, for comparing
+    // versions ("12" and 12, split lines in any key order)
+    toComparable(type, record) {
+        const row = this.app.db.toSnakeCase(models.normalize(type, record));
+        return field => JSON.stringify(row[field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)] ?? null);
+    }
+    
+    /**
+     * The fields of a save that differ from the record as the edit modal
+     * opened it. The form sends every field, but only these were edited.
+     * @param {Object} updateData - snake_case fields the save tried to write
+     */
+    getEditedFields(type, updateData) {
+        if (!this.editOriginal) return updateData;
+        
+        const before = this.toComparable(type, this.editOriginal);
+        const after = this.toComparable(type, { ...this.editOriginal, ...this.app.db.toCamelCase(updateData) });
+        return Object.fromEntries(Object.entries(updateData).filter(([field]) => before(field) !== after(field)));
+    }
+    
+    /**
+     * Field groups both this edit and the newer version changed, to different values
+     * @param {Object} mine - snake_case fields this edit changed (getEditedFields)
+     * @param {Object} theirs - The newer record, camelCase
+     */
+    getSaveConflicts(type, mine, theirs) {
+        const original = this.editOriginal;
+        const after = this.toComparable(type, { ...(original || theirs), ...this.app.db.toCamelCase(mine) });
+        const current = this.toComparable(type, theirs);
+        // Without the version the edit started from (a queued edit), any field
+        // it sets to something other than the newer value is in conflict
+        const before = original ? this.toComparable(type, original) : () => undefined;
+        
+        return CONFLICT_FIELDS[type].filter(group => group.fields.some(field =>
+            field in mine && current(field) !== before(field) && current(field) !== after(field)
+        ));
+    }
+    
+    formatConflictValue(group, values) {
+        if (group.label === 'Category') {
+            return [values.category_id, values.subcategory_id]
+                .filter(Boolean)
+                .map(id => this.formatHistoryValue('category_id', id))
+                .join(' › ') || '—';
+        }
+        return this.formatHistoryValue(group.fields[0], values[group.fields[0]]);
+    }
+    
+    // Shown when a save is rejected because the record changed after the modal
+    // opened - or, for a queued offline edit, before the edit could sync
+    showSaveConflict(type, id, mine, theirs, { queued = false } = {}) {
+        const banner = document.getElementById('editConflictBanner');
+        if (!banner) return;
+        
+        const current = this.app.db.toSnakeCase(theirs);
+        const conflicts = this.getSaveConflicts(type, mine, theirs);
+        this.pendingSaveConflict = { type, id, mine, theirs, queued };
+        
+        banner.innerHTML = `
+            <i class="fas fa-exclamation-triangle"></i>
+            <span>This ${type} was changed somewhere else ${queued ? 'before your offline edit could sync' : 'after you opened it'}. Pick which version of each field to keep.</span>
+            <div class="save-conflict-fields">
+                ${conflicts.map((group, index) => `
+                    <div class="save-conflict-field">
+                        <span class="save-conflict-label">${group.label}</span>
+                        <label>
+                            <input type="radio" name="saveConflict${index}" value="mine" checked>
+                            Mine: ${this.formatConflictValue(group, mine)}
+                        </label>
+                        <label>
+                            <input type="radio" name="saveConflict${index}" value="theirs">
+                            Theirs: ${this.formatConflictValue(group, current)}
+                        </label>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="edit-conflict-actions">
+                <button type="button" class="btn btn-outline btn-sm" onclick="window.finTrack.app.resolveSaveConflict('mine')">Keep mine</button>
+                <button type="button" class="btn btn-outline btn-sm" onclick="window.finTrack.app.resolveSaveConflict('theirs')">Take theirs</button>
+                <button type="button" class="btn btn-primary btn-sm" onclick="window.finTrack.app.resolveSaveConflict('merge')">Save merged</button>
+            </div>
+        `;
+        banner.classList.remove('hidden');
+    }
+    
+    // The rejected save with the fields marked "theirs" taken from the newer version
+    getMergedSaveConflict(type, mine, theirs) {
+        const current = this.app.db.toSnakeCase(theirs);
+        const merged = { ...mine };
+        
+        this.getSaveConflicts(type, mine, theirs).forEach((group, index) => {
+            const choice = document.querySelector(`input[name="saveConflict${index}"]:checked`)?.value;
+            if (choice === 'theirs') {
+                group.fields.forEach(field => { merged[field] = current[field] ?? null; });
+            }
+        });
+        return merged;
+    }
+    
+    reloadEditedItem() {
+        const type = document.getElementById('editItemType').value;
+        const id = document.getElementById('editItemId').value;
+        const items = type === 'expense' ? this.state.getExpenses() : this.state.getIncomes();
+        const item = items.find(i => i.id === id);
+        
+        if (item) {
+            this.openEditModal(type, item);
+        } else {
+            this.dismissEditConflict();
         }
-    }    
-
+    }
+    
     populateCategorySelect(selectElement, type) {
         selectElement.disabled = true;
         selectElement.innerHTML = '';
         
         if (type === 'expense') {
-            const categories = this.state.getCategories();
+            const categories = this.state.getMainCategories();
             
             categories.forEach(cat => {
                 const option = document.createElement('option');
-                option.value = cat.name;
+                option.value = cat.id;
                 option.textContent = cat.name;
                 selectElement.appendChild(option);
             });
@@ -4595,36 +6373,303 @@ class UIController {
         }
     }   
     
-    editWallet(id) {
-        const wallet = this.state.getWallets().find(w => w.id === id);
-        if (!wallet) return;
+    editWallet(id) {
+        const wallet = this.state.getWallets().find(w => w.id === id);
+        if (!wallet) return;
+        
+        document.getElementById('editWalletId').value = wallet.id;
+        document.getElementById('editWalletName').value = wallet.name;
+        document.getElementById('editWalletVersion').value = wallet.updatedAt || '';
+        
+        document.getElementById('editWalletModal').classList.add('active');
+    }
+    
+    editCategory(id) {
+        const category = this.state.getCategories().find(c => c.id === id);
+        if (!category) return;
+        
+        document.getElementById('editCategoryId').value = category.id;
+        document.getElementById('editCategoryName').value = category.name;
+        document.getElementById('editCategoryType').value = category.type;
+        
+        if (category.type === 'sub') {
+            document.getElementById('editParentCategoryGroup').classList.remove('hidden');
+            this.loadEditParentCategories();
+            
+            setTimeout(() => {
+                document.getElementById('editParentCategory').value = category.parentId;
+            }, 100);
+        } else {
+            document.getElementById('editParentCategoryGroup').classList.add('hidden');
+        }
+        
+        document.getElementById('editCategoryModal').classList.add('active');
+    }
+    
+    // ==================== BULK ACTIONS ====================
+    
+    toggleBulkMode(type) {
+        this.bulkSelection[type] = this.bulkSelection[type] ? null : new Set();
+        this.refreshBulkList(type);
+    }
+    
+    toggleBulkSelection(type, id, selected) {
+        const selection = this.bulkSelection[type];
+        if (!selection) return;
+        
+        if (selected) {
+            selection.add(id);
+        } else {
+            selection.delete(id);
+        }
+        this.refreshBulkList(type);
+    }
+    
+    // Everything in the current month and search, including collapsed days
+    selectAllVisible(type) {
+        const selection = this.bulkSelection[type];
+        if (!selection) return;
+        
+        const listId = type === 'expense' ? 'expensesByDayList' : 'incomesByDayList';
+        const checkboxes = [...document.querySelectorAll(`#${listId} .bulk-select-checkbox`)];
+        const allSelected = checkboxes.every(checkbox => selection.has(checkbox.dataset.id));
+        
+        checkboxes.forEach(checkbox => {
+            if (allSelected) {
+                selection.delete(checkbox.dataset.id);
+            } else {
+                selection.add(checkbox.dataset.id);
+            }
+        });
+        this.refreshBulkList(type);
+    }
+    
+    // Selected ids that still exist
+    getBulkSelection(type) {
+        const selection = this.bulkSelection[type];
+        if (!selection) return [];
+        
+        const records = type === 'expense' ? this.state.getExpenses() : this.state.getIncomes();
+        return records.filter(record => selection.has(record.id)).map(record => record.id);
+    }
+    
+    exitBulkMode(type) {
+        this.bulkSelection[type] = null;
+        this.refreshBulkList(type);
+    }
+    
+    refreshBulkList(type) {
+        if (type === 'expense') {
+            this.updateExpensesByDay();
+        } else {
+            this.updateIncomesByDay();
+        }
+        this.renderBulkToolbar(type);
+    }
+    
+    renderBulkCheckbox(type, id) {
+        const selection = this.bulkSelection[type];
+        if (!selection) return '';
+        
+        return `<input type="checkbox" class="bulk-select-checkbox" data-id="${id}" ${selection.has(id) ? 'checked' : ''}
+            onchange="window.finTrack.ui.toggleBulkSelection('${type}', '${id}', this.checked)">`;
+    }
+    
+    renderBulkToolbar(type) {
+        const toolbar = document.getElementById(`${type}BulkToolbar`);
+        if (!toolbar) return;
+        
+        const selection = this.bulkSelection[type];
+        if (!selection) {
+            toolbar.innerHTML = `
+                <button class="btn btn-outline bulk-toolbar-btn" onclick="window.finTrack.ui.toggleBulkMode('${type}')">
+                    <i class="fas fa-check-square"></i> Select
+                </button>
+            `;
+            return;
+        }
+        
+        const disabled = selection.size === 0 ? 'disabled' : '';
+        toolbar.innerHTML = `
+            <span class="bulk-toolbar-count">${selection.size} selected</span>
+            <button class="btn btn-outline bulk-toolbar-btn" onclick="window.finTrack.ui.selectAllVisible('${type}')">All</button>
+            ${BULK_ACTIONS[type].map(({ action, label, icon }) => `
+                <button class="btn btn-outline bulk-toolbar-btn" title="${label}" ${disabled} onclick="window.finTrack.ui.openBulkAction('${type}', '${action}')">
+                    <i class="fas ${icon}"></i>
+                </button>
+            `).join('')}
+            <button class="btn btn-outline bulk-toolbar-btn" onclick="window.finTrack.ui.exitBulkMode('${type}')">Done</button>
+        `;
+    }
+    
+    openBulkAction(type, action) {
+        const count = this.getBulkSelection(type).length;
+        if (count === 0) return;
         
-        document.getElementById('editWalletId').value = wallet.id;
-        document.getElementById('editWalletName').value = wallet.name;
+        const { label } = BULK_ACTIONS[type].find(a => a.action === action);
+        const noun = `${count} ${type === 'expense' ? 'expense' : 'income'}${count !== 1 ? 's' : ''}`;
+        const currentWalletId = this.state.getState().currentWalletId;
+        let fields;
+        
+        switch (action) {
+            case 'category':
+                fields = `
+                    <div class="form-group">
+                        <label for="bulkCategory">Category</label>
+                        <select id="bulkCategory" required onchange="window.finTrack.ui.updateBulkSubcategories()">
+                            <option value="">Select category</option>
+                            ${this.state.getMainCategories().map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="bulkSubcategory">Subcategory</label>
+                        <select id="bulkSubcategory">
+                            <option value="">Optional</option>
+                        </select>
+                    </div>
+                `;
+                break;
+            case 'wallet':
+                fields = `
+                    <div class="form-group">
+                        <label for="bulkWallet">Wallet</label>
+                        <select id="bulkWallet" required>
+                            <option value="">Select wallet</option>
+                            ${this.state.getActiveWallets()
+                                .filter(w => w.id !== currentWalletId)
+                                .map(w => `<option value="${w.id}">${w.name}</option>`).join('')}
+                        </select>
+                    </div>
+                `;
+                break;
+            case 'reimbursable':
+                fields = `
+                    <div class="form-group">
+                        <label for="bulkReimbursable">Reimbursable</label>
+                        <select id="bulkReimbursable">
+                            <option value="mark">Mark as reimbursable</option>
+                            <option value="unmark">Mark as not reimbursable</option>
+                        </select>
+                    </div>
+                    <p class="bulk-action-note">Reimbursed expenses keep their link and are left unchanged</p>
+                `;
+                break;
+            case 'date':
+                fields = `
+                    <div class="form-group">
+                        <label for="bulkDate">Date</label>
+                        <input type="date" id="bulkDate" required value="${new Date().toISOString().split('T')[0]}">
+                    </div>
+                `;
+                break;
+            case 'delete':
+                fields = `<p class="bulk-action-note">Move ${noun} to the Trash?</p>`;
+                break;
+        }
         
-        document.getElementById('editWalletModal').classList.add('active');
+        document.getElementById('bulkActionType').value = type;
+        document.getElementById('bulkActionName').value = action;
+        document.getElementById('bulkActionTitle').textContent = `${label} - ${noun}`;
+        document.getElementById('bulkActionFields').innerHTML = fields;
+        
+        const submitBtn = document.getElementById('bulkActionSubmitBtn');
+        submitBtn.classList.toggle('btn-primary', action !== 'delete');
+        submitBtn.classList.toggle('bulk-action-danger', action === 'delete');
+        
+        document.getElementById('bulkActionModal').classList.add('active');
     }
     
-    editCategory(id) {
+    updateBulkSubcategories() {
+        const categoryId = document.getElementById('bulkCategory')?.value;
+        const subcategorySelect = document.getElementById('bulkSubcategory');
+        if (!subcategorySelect) return;
+        
+        subcategorySelect.innerHTML = '<option value="">Optional</option>' +
+            (categoryId ? this.state.getSubcategories(categoryId) : [])
+                .map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+    }
+    
+    // Subcategories can be merged or moved; main categories can only be merged
+    async openCategoryMerge(id) {
         const category = this.state.getCategories().find(c => c.id === id);
         if (!category) return;
         
-        document.getElementById('editCategoryId').value = category.id;
-        document.getElementById('editCategoryName').value = category.name;
-        document.getElementById('editCategoryType').value = category.type;
+        // The merge refiles every month, so the preview has to count them all
+        try {
+            await this.app.transactions.loadAll();
+        } catch (error) {
+            console.error('Error loading transactions to merge:', error);
+            this.app.showError(error, 'Could not load older transactions');
+            return;
+        }
         
-        if (category.type === 'sub') {
-            document.getElementById('editParentCategoryGroup').classList.remove('hidden');
-            this.loadEditParentCategories();
-            
-            setTimeout(() => {
-                document.getElementById('editParentCategory').value = category.parentId;
-            }, 100);
-        } else {
-            document.getElementById('editParentCategoryGroup').classList.add('hidden');
+        document.getElementById('categoryMergeSourceId').value = category.id;
+        document.getElementById('categoryMergeSourceName').textContent = category.name;
+        document.getElementById('categoryMergeAction').value = 'merge';
+        document.getElementById('categoryMergeActionGroup').classList.toggle('hidden', category.type !== 'sub');
+        
+        this.renderCategoryMergeTargets();
+        document.getElementById('categoryMergeModal').classList.add('active');
+    }
+    
+    renderCategoryMergeTargets() {
+        const sourceId = document.getElementById('categoryMergeSourceId').value;
+        const action = document.getElementById('categoryMergeAction').value;
+        const targetSelect = document.getElementById('categoryMergeTarget');
+        
+        const targets = action === 'move'
+            ? this.app.categoryMerge.getMoveTargets(sourceId)
+            : this.app.categoryMerge.getMergeTargets(sourceId);
+        
+        // Subcategories are labelled with their parent, since names repeat across parents
+        const label = (category) => {
+            const parent = category.parentId && this.state.getCategories().find(c => c.id === category.parentId);
+            return parent ? `${parent.name} › ${category.name}` : category.name;
+        };
+        
+        targetSelect.innerHTML = '<option value="">Select category</option>' +
+            targets.map(c => `<option value="${c.id}">${label(c)}</option>`).join('');
+        
+        document.getElementById('categoryMergeTargetLabel').textContent = action === 'move' ? 'New parent' : 'Merge into';
+        this.updateCategoryMergePreview();
+    }
+    
+    updateCategoryMergePreview() {
+        const sourceId = document.getElementById('categoryMergeSourceId').value;
+        const action = document.getElementById('categoryMergeAction').value;
+        const targetId = document.getElementById('categoryMergeTarget').value;
+        const previewEl = document.getElementById('categoryMergePreview');
+        const confirmBtn = document.getElementById('categoryMergeConfirmBtn');
+        
+        const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+        const target = this.state.getCategories().find(c => c.id === targetId);
+        
+        confirmBtn.disabled = !target;
+        if (!target) {
+            previewEl.innerHTML = '';
+            return;
         }
         
-        document.getElementById('editCategoryModal').classList.add('active');
+        try {
+            if (action === 'move') {
+                const { expenses } = this.app.categoryMerge.previewMove(sourceId, targetId);
+                previewEl.innerHTML = `
+                    <div>${plural(expenses, 'expense')} will be filed under ${target.name}</div>
+                `;
+            } else {
+                const preview = this.app.categoryMerge.previewMerge(sourceId, targetId);
+                previewEl.innerHTML = `
+                    <div>${plural(preview.expenses, 'expense')} will move to ${target.name}</div>
+                    ${preview.subcategories > 0 ? `<div>${preview.subcategories} subcategor${preview.subcategories !== 1 ? 'ies' : 'y'} will move under ${target.name}</div>` : ''}
+                    ${preview.budgets > 0 ? `<div>${plural(preview.budgets, 'budget')} will move to ${target.name}</div>` : ''}
+                    ${preview.budgetsTrashed > 0 ? `<div class="category-merge-warning">${plural(preview.budgetsTrashed, 'budget')} will go to the Trash - ${target.name} already has a budget in that wallet</div>` : ''}
+                    <div class="category-merge-note">The emptied category then goes to the Trash</div>
+                `;
+            }
+        } catch (error) {
+            previewEl.innerHTML = `<div class="category-merge-warning">${error.message}</div>`;
+            confirmBtn.disabled = true;
+        }
     }
     
     // ==================== MODAL FUNCTIONS ====================
@@ -4647,16 +6692,25 @@ class UIController {
                     message = `Delete the budget limit for <strong>${name}</strong>? This will NOT delete the category itself, only the spending limit.`;
                     break;
                 case 'category':
-                    message = `Delete category <strong>${name}</strong>? This will also delete all its subcategories. Expenses won't be deleted but will lose their category.`;
+                    message = `Delete category <strong>${name}</strong>? This will also delete all its subcategories. Expenses won't be deleted but will lose their category. You can restore it from the Trash in Settings.`;
                     break;
                 case 'wallet':
-                    message = `Delete wallet <strong>${name}</strong>? All expenses and income in this wallet will also be deleted.`;
+                    message = `What should happen to wallet <strong>${name}</strong> and its transactions?`;
                     break;
                 case 'expense':
-                    message = `Delete expense <strong>${name}</strong>? This <strong>CANNOT</strong> be undone.`;
+                    message = `Move expense <strong>${name}</strong> to the Trash? You can restore it from Settings.`;
                     break;
                 case 'income':
-                    message = `Delete income <strong>${name}</strong>? This <strong>CANNOT</strong> be undone.`;
+                    message = `Move income <strong>${name}</strong> to the Trash? You can restore it from Settings.`;
+                    break;
+                case 'transfer':
+                    message = `Move transfer <strong>${name}</strong> to the Trash? Both wallets' balances change back. You can restore it from Settings.`;
+                    break;
+                case 'merchant':
+                    message = `Move merchant <strong>${name}</strong> to the Trash? Its transactions are kept but show no payee until you restore it from Settings.`;
+                    break;
+                case 'trash':
+                    message = `Permanently delete <strong>${name}</strong>? This <strong>CANNOT</strong> be undone.`;
                     break;
                 default:
                     message = `Delete <strong>${name}</strong>? This <strong>CANNOT</strong> be undone.`;
@@ -4665,9 +6719,86 @@ class UIController {
             deleteMessage.innerHTML = message;
         }
         
+        this.renderWalletDeleteOptions(type === 'wallet' ? id : null);
+        
         document.getElementById('deleteModal').classList.add('active');
     }
     
+    // Policy choices shown in the delete modal for wallets only
+    renderWalletDeleteOptions(walletId) {
+        const options = document.getElementById('walletDeleteOptions');
+        if (!options) return;
+        
+        options.classList.toggle('hidden', !walletId);
+        if (!walletId) {
+            this.updateWalletDeletePolicy();
+            return;
+        }
+        
+        const wallet = this.state.getWallets().find(w => w.id === walletId);
+        const targets = this.state.getActiveWallets().filter(w => w.id !== walletId);
+        
+        const targetSelect = document.getElementById('walletDeleteTarget');
+        targetSelect.innerHTML = targets
+            .map(w => `<option value="${w.id}" ${w.isDefault ? 'selected' : ''}>${w.name}</option>`)
+            .join('');
+        
+        const reassignInput = options.querySelector('input[value="reassign"]');
+        const archiveInput = options.querySelector('input[value="archive"]');
+        reassignInput.disabled = targets.length === 0;
+        targetSelect.disabled = targets.length === 0;
+        archiveInput.closest('.wallet-delete-option').classList.toggle('hidden', !!wallet?.archivedAt);
+        
+        // Suggest moving when there's somewhere to move to, otherwise archiving
+        let policy = 'archive';
+        if (targets.length > 0) policy = 'reassign';
+        else if (wallet?.archivedAt) policy = 'cascade';
+        options.querySelector(`input[value="${policy}"]`).checked = true;
+        
+        // Counts include the months that aren't loaded
+        const { expenseCount: expenses, incomeCount: incomes } = this.state.getWalletTotals(walletId);
+        const budgets = this.state.getBudgets().filter(b => b.walletId === walletId).length;
+        const transfers = this.state.getWalletTransfers(walletId).length;
+        
+        document.getElementById('walletDeleteSummary').textContent = expenses + incomes + budgets + transfers === 0
+            ? 'The wallet is empty'
+            : `${expenses} expense${expenses !== 1 ? 's' : ''}, ${incomes} income${incomes !== 1 ? 's' : ''}, ${budgets} budget${budgets !== 1 ? 's' : ''} and ${transfers} transfer${transfers !== 1 ? 's' : ''} go to the Trash`;
+        
+        this.updateWalletDeletePolicy();
+    }
+    
+    updateWalletDeletePolicy() {
+        const confirmBtn = document.getElementById('confirmDeleteBtn');
+        const pendingDelete = window.finTrack.pendingDelete;
+        if (!confirmBtn) return;
+        
+        if (pendingDelete?.type !== 'wallet') {
+            confirmBtn.innerHTML = '<i class="fas fa-trash"></i> Delete';
+            return;
+        }
+        
+        const policy = document.querySelector('input[name="walletDeletePolicy"]:checked')?.value;
+        const labels = {
+            reassign: '<i class="fas fa-exchange-alt"></i> Move & Delete',
+            archive: '<i class="fas fa-archive"></i> Archive',
+            cascade: '<i class="fas fa-trash"></i> Delete All'
+        };
+        confirmBtn.innerHTML = labels[policy] || labels.cascade;
+        
+        // Budgets the target already has for the same category can't move
+        const moveSummary = document.getElementById('walletDeleteMoveSummary');
+        const targetId = document.getElementById('walletDeleteTarget')?.value;
+        if (moveSummary) {
+            const budgeted = this.state.getBudgets().filter(b => b.walletId === targetId).map(b => b.categoryId);
+            const staying = this.state.getBudgets().filter(b => b.walletId === pendingDelete.id && budgeted.includes(b.categoryId)).length;
+            moveSummary.textContent = !targetId
+                ? 'There is no other wallet to move into'
+                : staying > 0
+                    ? `${staying} budget${staying !== 1 ? 's' : ''} already set in that wallet go to the Trash instead`
+                    : 'Expenses, incomes and budgets all move';
+        }
+    }
+    
     // ==================== FORM RESET FUNCTIONS ====================
     
     resetExpenseForm() {
@@ -4722,6 +6853,7 @@ class UIController {
     
     updateAllUI() {
         this.updateOverviewUI();
+        this.updateTransfersUI();
         this.updateCompactBudgetView(); // ADD THIS
         this.updateBudgetTabUI(); // ADD THIS
         this.updateExpensesTabUI();
@@ -4776,8 +6908,382 @@ class UIController {
         // Update the lists
         this.updateWalletsUI();
         this.updateCategoriesUI();
+        this.renderTrash();
+        this.renderIntegrityIssues();
+        this.renderReceiptCleanup();
+        this.renderRecurringRules();
+        this.renderMerchants();
     }    
 
+    // ==================== REIMBURSEMENT CHECK UI ====================
+    
+    renderIntegrityIssues() {
+        const integrityList = document.getElementById('integrityList');
+        const integrityCount = document.getElementById('integrityCount');
+        const repairAllBtn = document.getElementById('integrityRepairAllBtn');
+        if (!integrityList) return;
+        
+        const issues = this.app.integrity.check();
+        
+        if (integrityCount) {
+            integrityCount.textContent = issues.length === 0
+                ? 'All reimbursements are consistent'
+                : `${issues.length} problem${issues.length !== 1 ? 's' : ''} found`;
+        }
+        if (repairAllBtn) {
+            repairAllBtn.style.display = issues.length > 1 ? '' : 'none';
+        }
+        
+        if (issues.length === 0) {
+            integrityList.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-details">No problems found</div>
+                </div>
+            `;
+            return;
+        }
+        
+        integrityList.innerHTML = issues.map(issue => `
+            <div class="trash-item">
+                <div class="trash-item-icon integrity-item-icon">
+                    <i class="fas fa-unlink"></i>
+                </div>
+                <div class="trash-item-details">
+                    <div class="trash-item-name">${issue.message}</div>
+                    <div class="integrity-repairs">
+                        ${issue.repairs.map((action, index) => `
+                            <button class="btn ${index === 0 ? 'btn-primary' : 'btn-outline'} btn-sm" onclick="window.finTrack.app.handleRepairIntegrityIssue('${issue.key}', '${action}')">
+                                ${REPAIR_LABELS[action]}
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // ==================== RECEIPT CLEANUP UI ====================
+    
+    renderReceiptCleanup({ scanning = false } = {}) {
+        const list = document.getElementById('receiptCleanupList');
+        const count = document.getElementById('receiptCleanupCount');
+        const deleteBtn = document.getElementById('receiptCleanupDeleteBtn');
+        if (!list) return;
+        
+        const { orphans, scannedAt } = this.app.receiptCleanup;
+        const totalSize = this.app.receiptCleanup.getTotalSize(orphans);
+        
+        if (count) {
+            count.textContent = scanning ? 'Scanning...'
+                : !scannedAt ? 'Find receipt files no transaction uses'
+                : orphans.length === 0 ? 'No unused files'
+                : `${orphans.length} unused file${orphans.length !== 1 ? 's' : ''} - ${receiptUtils.formatSize(totalSize)}`;
+        }
+        if (deleteBtn) {
+            deleteBtn.style.display = !scanning && orphans.length > 0 ? '' : 'none';
+        }
+        
+        if (scanning || orphans.length === 0) {
+            list.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-details">${scanning ? 'Scanning...' : scannedAt ? 'No unused files' : 'Not scanned yet'}</div>
+                </div>
+            `;
+            return;
+        }
+        
+        list.innerHTML = orphans.map(file => `
+            <label class="trash-item receipt-cleanup-item">
+                <input type="checkbox" value="${file.path}" checked>
+                <div class="trash-item-icon">
+                    <i class="fas ${receiptUtils.getFileType(file.path) === 'pdf' ? 'fa-file-pdf' : 'fa-file-image'}"></i>
+                </div>
+                <div class="trash-item-details">
+                    <div class="trash-item-name">${file.path.split('/').pop()}</div>
+                    <div class="trash-item-meta">${receiptUtils.formatSize(file.size)} · uploaded ${dateUtils.formatDate(file.createdAt)}</div>
+                </div>
+            </label>
+        `).join('');
+    }
+
+    // ==================== MERCHANTS UI ====================
+    
+    renderMerchants() {
+        const list = document.getElementById('merchantsList');
+        const count = document.getElementById('merchantsCount');
+        if (!list) return;
+        
+        const merchants = this.state.getMerchants();
+        
+        if (count) {
+            count.textContent = merchants.length === 0
+                ? 'Payees and payers you add show here'
+                : `${merchants.length} merchant${merchants.length !== 1 ? 's' : ''}`;
+        }
+        
+        if (merchants.length === 0) {
+            list.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-details">No merchants yet - type a payee when adding an expense</div>
+                </div>
+            `;
+            return;
+        }
+        
+        list.innerHTML = merchants.map(merchant => {
+            const category = merchant.defaultSubcategoryId
+                ? `${this.state.getCategoryName(merchant.defaultCategoryId)} › ${this.state.getCategoryName(merchant.defaultSubcategoryId)}`
+                : this.state.getCategoryName(merchant.defaultCategoryId);
+            const meta = [
+                category || 'No default category',
+                ...(merchant.aliases.length > 0 ? [`also ${merchant.aliases.join(', ')}`] : [])
+            ];
+            return `
+                <div class="trash-item">
+                    <div class="trash-item-icon">
+                        <i class="fas fa-store"></i>
+                    </div>
+                    <div class="trash-item-details">
+                        <div class="trash-item-name">${this.escapeText(merchant.name)}</div>
+                        <div class="trash-item-meta">${this.escapeText(meta.join(' · '))}</div>
+                    </div>
+                    <div class="action-buttons">
+                        <button class="edit-btn" title="Edit" onclick="window.finTrack.ui.openMerchantModal('${merchant.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="delete-btn" title="Delete" onclick="window.finTrack.ui.confirmDelete('merchant', '${merchant.id}', '${this.escapeText(merchant.name.replace(/'/g, "\\'"))}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Add a merchant, or edit one when id is given
+    openMerchantModal(id) {
+        const merchant = id ? this.state.getMerchants().find(m => m.id === id) : null;
+        if (id && !merchant) return;
+        
+        document.getElementById('merchantModalTitle').textContent = merchant ? 'Edit Merchant' : 'Add Merchant';
+        document.getElementById('merchantId').value = merchant?.id || '';
+        document.getElementById('merchantName').value = merchant?.name || '';
+        document.getElementById('merchantAliases').value = merchant?.aliases.join(', ') || '';
+        
+        // Main categories with their subcategories under them
+        const select = document.getElementById('merchantDefaultCategory');
+        select.innerHTML = '<option value="">None</option>';
+        this.state.getMainCategories().forEach(category => {
+            select.appendChild(new Option(category.name, category.id));
+            this.state.getSubcategories(category.id).forEach(subcategory => {
+                select.appendChild(new Option(`${category.name} › ${subcategory.name}`, subcategory.id));
+            });
+        });
+        select.value = merchant?.defaultSubcategoryId || merchant?.defaultCategoryId || '';
+        
+        document.getElementById('merchantModal').classList.add('active');
+    }
+
+    // ==================== RECURRING UI ====================
+    
+    async renderRecurringRules() {
+        const list = document.getElementById('recurringList');
+        const count = document.getElementById('recurringCount');
+        if (!list) return;
+        
+        const recurring = this.app.recurring;
+        let rules;
+        
+        try {
+            rules = await recurring.getRules();
+        } catch (error) {
+            if (count) count.textContent = error.code === 'OFFLINE' ? 'Available when online' : 'Could not load';
+            list.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-details">${getErrorMessage(error, 'Could not load recurring transactions')}</div>
+                </div>
+            `;
+            return;
+        }
+        
+        if (count) {
+            const active = rules.filter(rule => recurring.isActive(rule)).length;
+            count.textContent = rules.length === 0
+                ? 'Nothing repeats yet'
+                : `${active} active${rules.length > active ? `, ${rules.length - active} paused or ended` : ''}`;
+        }
+        
+        if (rules.length === 0) {
+            list.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-details">No recurring transactions - choose Repeat when adding one</div>
+                </div>
+            `;
+            return;
+        }
+        
+        list.innerHTML = rules.map(rule => {
+            const status = rule.pausedAt ? 'paused'
+                : !rule.nextDate ? 'ended'
+                : !recurring.isActive(rule) ? 'wallet removed'
+                : `next ${dateUtils.formatDate(rule.nextDate)}${rule.mode === 'confirm' ? ', asks first' : ''}`;
+            
+            return `
+                <div class="trash-item">
+                    <div class="trash-item-icon">
+                        <i class="fas ${rule.type === 'expense' ? 'fa-shopping-cart' : 'fa-coins'}"></i>
+                    </div>
+                    <div class="trash-item-details">
+                        <div class="trash-item-name">${rule.template.description}</div>
+                        <div class="trash-item-meta">
+                            ${currencyUtils.formatDisplayCurrency(rule.template.amount)} · ${describeSchedule(rule)} · ${status}
+                        </div>
+                    </div>
+                    <div class="action-buttons">
+                        <button class="edit-btn" title="Edit" onclick="window.finTrack.ui.openRecurringRuleModal('${rule.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="edit-btn" title="${rule.pausedAt ? 'Resume' : 'Pause'}" onclick="window.finTrack.app.handleToggleRecurringRule('${rule.id}')">
+                            <i class="fas ${rule.pausedAt ? 'fa-play' : 'fa-pause'}"></i>
+                        </button>
+                        <button class="delete-btn" title="Delete" onclick="window.finTrack.app.handleDeleteRecurringRule('${rule.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    openRecurringRuleModal(id) {
+        const rule = this.app.recurring.rules.find(r => r.id === id);
+        if (!rule) return;
+        
+        document.getElementById('recurringRuleId').value = rule.id;
+        document.getElementById('recurringRuleSchedule').textContent =
+            `${rule.type === 'expense' ? 'Expense' : 'Income'} since ${dateUtils.formatDate(rule.startDate)}`;
+        document.getElementById('recurringRuleDescription').value = rule.template.description || '';
+        document.getElementById('recurringRuleAmount').value = currencyUtils.formatCurrency(String(rule.template.amount));
+        document.getElementById('recurringRuleRepeat').value = rule.frequency;
+        document.getElementById('recurringRuleRepeatInterval').value = rule.interval;
+        document.getElementById('recurringRuleRepeatEnd').value = rule.endDate || '';
+        document.getElementById('recurringRuleRepeatAnchor').value = rule.anchor;
+        document.getElementById('recurringRuleRepeatMode').value = rule.mode;
+        this.app.updateRepeatOptions('recurringRule');
+        
+        document.getElementById('recurringRuleModal').classList.add('active');
+    }
+    
+    // Occurrences of rules that ask first, ticked to be added
+    showRecurringDue(pending) {
+        const list = document.getElementById('recurringDueList');
+        if (!list) return;
+        
+        this.recurringDue = pending;
+        list.innerHTML = pending.map(({ rule, date }) => `
+            <label class="trash-item receipt-cleanup-item">
+                <input type="checkbox" value="${rule.id}|${date}" checked>
+                <div class="trash-item-icon">
+                    <i class="fas ${rule.type === 'expense' ? 'fa-shopping-cart' : 'fa-coins'}"></i>
+                </div>
+                <div class="trash-item-details">
+                    <div class="trash-item-name">${rule.template.description}</div>
+                    <div class="trash-item-meta">${currencyUtils.formatDisplayCurrency(rule.template.amount)} · ${dateUtils.formatDate(date)}</div>
+                </div>
+            </label>
+        `).join('');
+        
+        document.getElementById('recurringDueModal').classList.add('active');
+    }
+
+    // ==================== TRASH UI ====================
+    
+    async renderTrash() {
+        const trashList = document.getElementById('trashList');
+        const trashCount = document.getElementById('trashCount');
+        if (!trashList) return;
+        
+        const trash = this.app.trash;
+        const retentionDays = trash.getRetentionDays();
+        
+        const retentionSelect = document.getElementById('trashRetention');
+        if (retentionSelect) {
+            retentionSelect.innerHTML = RETENTION_OPTIONS
+                .map(days => `<option value="${days}" ${days === retentionDays ? 'selected' : ''}>${days} days</option>`)
+                .join('');
+        }
+        
+        try {
+            this.trashEntries = await trash.getEntries();
+        } catch (error) {
+            this.trashEntries = [];
+            if (trashCount) trashCount.textContent = error.code === 'OFFLINE' ? 'Available when online' : 'Could not load';
+            trashList.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-details">${getErrorMessage(error, 'Could not load the Trash')}</div>
+                </div>
+            `;
+            return;
+        }
+        
+        if (trashCount) {
+            const count = this.trashEntries.length;
+            trashCount.textContent = count === 0
+                ? `Empty - items are kept ${retentionDays} days`
+                : `${count} item${count !== 1 ? 's' : ''} - kept ${retentionDays} days`;
+        }
+        
+        if (this.trashEntries.length === 0) {
+            trashList.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-details">Nothing in the Trash</div>
+                </div>
+            `;
+            return;
+        }
+        
+        const typeIcons = {
+            expense: 'fa-shopping-cart',
+            income: 'fa-coins',
+            wallet: 'fa-wallet',
+            category: 'fa-tags',
+            budget: 'fa-chart-line',
+            transfer: 'fa-exchange-alt',
+            merchant: 'fa-store'
+        };
+        
+        trashList.innerHTML = this.trashEntries.map(entry => {
+            const relatedCount = Object.values(entry.records).reduce((sum, records) => sum + records.length, 0) - 1;
+            const amount = entry.record.amount !== undefined
+                ? ` · ${currencyUtils.formatDisplayCurrency(entry.record.amount)}`
+                : '';
+            const related = relatedCount > 0 ? ` · +${relatedCount} related` : '';
+            const safeName = String(entry.name).replace(/'/g, "\\'");
+            
+            return `
+                <div class="trash-item">
+                    <div class="trash-item-icon">
+                        <i class="fas ${typeIcons[entry.type]}"></i>
+                    </div>
+                    <div class="trash-item-details">
+                        <div class="trash-item-name">${entry.name}</div>
+                        <div class="trash-item-meta">
+                            ${entry.type}${amount}${related} · deleted ${dateUtils.formatDate(entry.deletedAt)} · removed ${dateUtils.formatDate(entry.expiresAt)}
+                        </div>
+                    </div>
+                    <div class="action-buttons">
+                        <button class="edit-btn" title="Restore" onclick="window.finTrack.app.handleRestoreTrashEntry('${entry.key}')">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        <button class="delete-btn" title="Delete permanently" onclick="window.finTrack.ui.confirmDelete('trash', '${entry.key}', '${safeName}')">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
     //v5.2
     openBudgetModal() {
         const modal = document.getElementById('budgetModal');
@@ -4909,17 +7415,9 @@ class UIController {
             const item = document.createElement('div');
             item.className = 'expense-item';
             
-            let categoryText = expense.category;
-            if (expense.subcategory) {
-                categoryText += ` › ${expense.subcategory}`;
-            }
+            const categoryText = categoryUtils.getExpenseLabel(expense);
 
-            let receiptIcon = '';
-            if (expense.receiptUrl) {
-                receiptIcon = `<button class="receipt-icon-btn" onclick="window.finTrack.app.viewReceipt('${expense.id}', '${expense.description.replace(/'/g, "\\'")}', '${expense.receiptUrl}')" title="View receipt">
-                    <i class="fas fa-paperclip"></i>
-                </button>`;
-            }            
+            const receiptIcon = this.renderReceiptButton(expense);
             
             item.innerHTML = `
                 <div style="display: flex; justify-content: space-between; align-items: flex-start; width: 100%;">
@@ -4960,6 +7458,8 @@ class UIController {
             
             container.appendChild(item);
         });
+        
+        this.loadReceiptThumbnails(container);
     }
 
     renderReimbursedExpenses() {
@@ -5055,17 +7555,9 @@ class UIController {
                 expensesContainer.style.borderLeft = '3px solid #10B981';
                 
                 linkedExpenses.forEach(expense => {
-                    let categoryText = expense.category;
-                    if (expense.subcategory) {
-                        categoryText += ` › ${expense.subcategory}`;
-                    }
+                    const categoryText = categoryUtils.getExpenseLabel(expense);
 
-                    let receiptIcon = '';
-                    if (expense.receiptUrl) {
-                        receiptIcon = `<button class="receipt-icon-btn" onclick="window.finTrack.app.viewReceipt('${expense.id}', '${expense.description.replace(/'/g, "\\'")}', '${expense.receiptUrl}')" title="View receipt">
-                            <i class="fas fa-paperclip"></i>
-                        </button>`;
-                    }                    
+                    const receiptIcon = this.renderReceiptButton(expense);
                     
                     const expenseItem = document.createElement('div');
                     expenseItem.className = 'expense-item';
@@ -5096,6 +7588,8 @@ class UIController {
             
             container.appendChild(groupDiv);
         });
+        
+        this.loadReceiptThumbnails(container);
     }
 
     showEmptyReimbursementState(message) {
@@ -5110,78 +7604,76 @@ class UIController {
         document.getElementById('reimbursedList').innerHTML = container.innerHTML;
     }    
 
-    displayReceiptPreview(receiptUrl) {
-        const previewContainer = document.getElementById('editReceiptPreview');
-        if (!previewContainer) return;
-        
-        const isImage = /\.(jpg|jpeg|png|gif|webp)$/i.test(receiptUrl);
-        const isPDF = /\.pdf$/i.test(receiptUrl);
-        
-        let previewHTML = '';
-        
-        if (isImage) {
-            previewHTML = `
-                <div style="position: relative; border: 2px solid var(--light-gray); border-radius: 8px; overflow: hidden; max-width: 300px;">
-                    <img src="${receiptUrl}" 
-                        alt="Receipt" 
-                        style="width: 100%; height: auto; display: block; cursor: pointer;"
-                        onclick="window.open('${receiptUrl}', '_blank')">
-                    <div style="position: absolute; top: 8px; right: 8px; background: rgba(0,0,0,0.6); border-radius: 6px; padding: 6px 10px; display: flex; gap: 8px;">
-                        <a href="${receiptUrl}" 
-                        target="_blank" 
-                        style="color: white; text-decoration: none;"
-                        title="View full size">
-                            <i class="fas fa-external-link-alt"></i>
-                        </a>
-                        <button onclick="window.finTrack.ui.removeReceipt()" 
-                                style="background: none; border: none; color: white; cursor: pointer; padding: 0;"
-                                title="Remove receipt">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
-                </div>
-            `;
-        } else if (isPDF) {
-            previewHTML = `
-                <div style="border: 2px solid var(--light-gray); border-radius: 8px; padding: 16px; display: flex; align-items: center; justify-content: space-between; max-width: 300px;">
-                    <div style="display: flex; align-items: center; gap: 12px;">
-                        <i class="fas fa-file-pdf" style="font-size: 2rem; color: #DC2626;"></i>
-                        <div>
-                            <div style="font-weight: 600; font-size: 0.9rem;">Receipt PDF</div>
-                            <a href="${receiptUrl}" 
-                            target="_blank" 
-                            style="color: var(--primary); text-decoration: none; font-size: 0.8rem;">
-                                <i class="fas fa-external-link-alt"></i> View PDF
-                            </a>
-                        </div>
-                    </div>
-                    <button onclick="window.finTrack.ui.removeReceipt()" 
-                            class="delete-btn"
-                            title="Remove receipt">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            `;
-        }
+    // Paperclip button that opens the attachment gallery, showing the first
+    // thumbnail once it is signed and a count when there are several
+    renderTagChips(record) {
+        const tags = record.tags || [];
+        if (tags.length === 0) return '';
+        
+        return `<div class="tag-chips">${tags.map(tag => `<span class="tag-chip">${this.escapeText(tag)}</span>`).join('')}</div>`;
+    }
+    
+    // Does the record's payee or payer name contain term (lowercase)?
+    matchesPayee(record, term) {
+        const name = this.state.getMerchantName(record.merchantId);
+        return !!name && name.toLowerCase().includes(term);
+    }
+    
+    renderPayee(record) {
+        const name = this.state.getMerchantName(record.merchantId);
+        return name ? `<div class="payee-line"><i class="fas fa-store"></i>${this.escapeText(name)}</div>` : '';
+    }
+    
+    // Tags and merchant names are free text
+    escapeText(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Tags in use on loaded transactions, keeping the current choice
+    populateTagFilter(select) {
+        if (!select) return;
+        
+        const selected = select.value;
+        const tags = tagUtils.collect([...this.state.getExpenses(), ...this.state.getIncomes()]);
+        if (selected && !tags.includes(selected)) tags.push(selected);
         
-        previewContainer.innerHTML = previewHTML;
-        previewContainer.style.display = previewHTML ? 'block' : 'none';
+        select.length = 1;
+        tags.forEach(tag => select.appendChild(new Option(tag, tag)));
+        select.value = selected;
     }
 
-    // Add method to remove receipt
-    removeReceipt() {
-        const previewContainer = document.getElementById('editReceiptPreview');
-        if (previewContainer) {
-            previewContainer.innerHTML = '';
-            previewContainer.style.display = 'none';
-        }
+    renderReceiptButton(record) {
+        const attachments = record.attachments || [];
+        if (attachments.length === 0) return '';
+        
+        const thumbnailPath = attachments[0].thumbnailPath;
+        const thumbnail = thumbnailPath
+            ? `<img class="receipt-thumb" data-receipt-thumb="${thumbnailPath}" alt="">`
+            : '';
+        const count = attachments.length > 1 ? `<span class="receipt-count">${attachments.length}</span>` : '';
         
-        // Mark for deletion
-        const uploadInput = document.getElementById('editReceiptUpload');
-        if (uploadInput) {
-            uploadInput.dataset.deleteExisting = 'true';
+        return `<button class="receipt-icon-btn" onclick="window.finTrack.app.viewReceipt('${record.id}')" title="View attachments">
+            ${thumbnail}<i class="fas fa-paperclip"></i>${count}
+        </button>`;
+    }
+
+    // Sign every thumbnail in a freshly rendered list with one request
+    async loadReceiptThumbnails(container) {
+        const images = [...container.querySelectorAll('img[data-receipt-thumb]')];
+        if (images.length === 0) return;
+        
+        try {
+            const urls = await this.app.db.getReceiptUrls(images.map(img => img.dataset.receiptThumb));
+            images.forEach((img, index) => {
+                if (!urls[index]) return;
+                img.onload = () => img.closest('.receipt-icon-btn')?.classList.add('thumb-loaded');
+                img.src = urls[index];
+            });
+        } catch (error) {
+            // The paperclip icon stays in place
+            console.error('Error loading receipt thumbnails:', error);
         }
-    }    
+    }
 }
 
 // Export app factory function
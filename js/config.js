@@ -10,20 +10,14 @@ window.FINTRACK_CONFIG = window.FINTRACK_CONFIG || {
 // Check if production config loaded
 if (window.FINTRACK_CONFIG.SUPABASE_URL && window.FINTRACK_CONFIG.SUPABASE_ANON_KEY) {
     console.log('✅ Using production configuration from Vercel');
-} else {
-    console.warn('⚠️ No production config found. Using local fallback.');
-    
-    // For local development only
-    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-        window.FINTRACK_CONFIG = {
-            SUPABASE_URL: '',
-            SUPABASE_ANON_KEY: ''
-        };
-        console.log('✅ Using local development configuration');
-    }
+} else if (!window.FINTRACK_CONFIG.BACKEND) {
+    // js/modules/backend.js tries /api/config next and falls back to the
+    // local backend. Set BACKEND to 'local' or 'memory' to skip Supabase.
+    console.warn('⚠️ No production config found. Falling back to /api/config or the local backend.');
 }
 
 console.log('Configuration ready:', 
+    window.FINTRACK_CONFIG.BACKEND ? `${window.FINTRACK_CONFIG.BACKEND} backend` : 'Supabase backend',
     window.FINTRACK_CONFIG.SUPABASE_URL ? 'URL set' : 'URL missing',
     window.FINTRACK_CONFIG.SUPABASE_ANON_KEY ? 'Key set' : 'Key missing'
 );
\ No newline at end of file
@@ -102,6 +102,11 @@ export function initFAB() {
                 modalTitle.textContent = 'Add Income';
                 modalSubtitle.textContent = 'Quick income entry';
                 break;
+            case 'transfer':
+                formId = 'fabTransferForm';
+                modalTitle.textContent = 'Transfer';
+                modalSubtitle.textContent = 'Move money between wallets';
+                break;
             case 'wallet':
                 formId = 'fabWalletForm';
                 modalTitle.textContent = 'Add Wallet';
@@ -131,6 +136,9 @@ export function initFAB() {
                 populateFabCategories();
             } else if (action === 'income') {
                 document.getElementById('fabIncomeDate').value = today;
+            } else if (action === 'transfer') {
+                document.getElementById('fabTransferDate').value = today;
+                populateFabTransferWallets();
             }
             
             // Open modal
@@ -159,7 +167,7 @@ export function initFAB() {
         newCategorySelect.innerHTML = '<option value="">Select category</option>';
         categories.forEach(category => {
             const option = document.createElement('option');
-            option.value = category.name;
+            option.value = category.id;
             option.textContent = category.name;
             newCategorySelect.appendChild(option);
         });
@@ -194,12 +202,12 @@ export function initFAB() {
                 subcategorySelect.innerHTML = '<option value="">Optional</option>';
                 
                 if (lastValue) {
-                    const mainCategory = categories.find(c => c.name === lastValue);
+                    const mainCategory = categories.find(c => c.id === lastValue);
                     if (mainCategory) {
                         const subcategories = window.finTrack.state.getSubcategories(mainCategory.id);
                         subcategories.forEach(subcat => {
                             const option = document.createElement('option');
-                            option.value = subcat.name;
+                            option.value = subcat.id;
                             option.textContent = subcat.name;
                             subcategorySelect.appendChild(option);
                         });
@@ -217,6 +225,29 @@ export function initFAB() {
         });
     }
 
+    // From defaults to the current wallet, To to the next one along
+    function populateFabTransferWallets() {
+        const fromSelect = document.getElementById('fabTransferFrom');
+        const toSelect = document.getElementById('fabTransferTo');
+        if (!fromSelect || !toSelect || !window.finTrack) return;
+
+        const wallets = window.finTrack.state.getActiveWallets();
+        const currentWalletId = window.finTrack.state.getState().currentWalletId;
+        const options = wallets.map(wallet => {
+            const option = document.createElement('option');
+            option.value = wallet.id;
+            option.textContent = wallet.name;
+            return option;
+        });
+
+        fromSelect.replaceChildren(...options);
+        toSelect.replaceChildren(...options.map(option => option.cloneNode(true)));
+
+        fromSelect.value = currentWalletId;
+        const other = wallets.find(wallet => wallet.id !== fromSelect.value);
+        toSelect.value = other ? other.id : '';
+    }
+
     // Add this new function to close FAB when OTHER modals open
     function setupModalWatcher() {
         // Watch for any modal opening
@@ -273,6 +304,12 @@ export function initFAB() {
             }
         }
         
+        // Reset transfer form
+        const transferForm = document.getElementById('fabTransferForm');
+        if (transferForm) {
+            transferForm.reset();
+        }
+        
         // Reset wallet form
         const walletForm = document.getElementById('fabWalletForm');
         if (walletForm) {
@@ -58,7 +58,7 @@ class AnalyticsUI {
                 const categoryId = header.getAttribute('data-category-id');
                 const subcategoryId = header.getAttribute('data-subcategory-id');
                 if (categoryId && subcategoryId) {
-                    this.toggleSubcategory(categoryId, subcategoryId);
+                    this.toggleSubcategory(categoryId, subcategoryId, header);
                 }
             }
         });
@@ -92,7 +92,7 @@ class AnalyticsUI {
         wallets.forEach(wallet => {
             const option = document.createElement('option');
             option.value = wallet.id;
-            option.textContent = wallet.name;
+            option.textContent = wallet.archivedAt ? `${wallet.name} (archived)` : wallet.name;
             selector.appendChild(option);
         });
 
@@ -225,7 +225,7 @@ class AnalyticsUI {
                         <div class="category-progress-bar" style="width: ${categoryProgress}%"></div>
                     </div>
                     <div class="category-content" id="content-${safeCategoryId}">
-                        ${this.renderSubcategoryBreakdown(safeCategoryId, catData.subcategories, catData.total)}
+                        ${this.renderSubcategoryBreakdown(safeCategoryId, catData.subcategories, catData.total, category)}
                     </div>
                 </div>
             `;
@@ -235,7 +235,80 @@ class AnalyticsUI {
         setTimeout(() => this.adjustCategoryFontSizes(), 50);
     }
 
-    renderSubcategoryBreakdown(categoryId, subcategories, categoryTotal) {
+    // Render tag breakdown - one row per tag, biggest spend first
+    renderTagBreakdown(tagBreakdown) {
+        const container = document.getElementById('tagBreakdown');
+        if (!container) return;
+
+        if (!tagBreakdown || tagBreakdown.tags.length === 0) {
+            container.innerHTML = `
+                <div class="no-expenses">
+                    <i class="fas fa-tags" style="font-size: 2rem; margin-bottom: 10px; opacity: 0.3;"></i>
+                    <p>No tagged transactions for this period</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = '';
+        tagBreakdown.tags.forEach(tag => {
+            const row = domUtils.createElement('div', 'tag-row');
+            row.innerHTML = `
+                <div class="tag-row-header">
+                    <span class="tag-name"><i class="fas fa-tag" style="color: var(--primary);"></i> <span></span></span>
+                    <span class="category-total">${currencyUtils.formatDisplayCurrency(tag.expenses)}</span>
+                    <span class="category-percentage">${tag.percentage}%</span>
+                </div>
+                <div class="category-progress">
+                    <div class="category-progress-bar" style="width: ${tag.percentage}%"></div>
+                </div>
+                <div class="tag-row-meta">
+                    ${tag.expenseCount} expense${tag.expenseCount !== 1 ? 's' : ''}${tag.income > 0 ? ` · ${currencyUtils.formatDisplayCurrency(tag.income)} income` : ''}
+                </div>
+            `;
+            // Tags are free text
+            row.querySelector('.tag-name span').textContent = tag.tag;
+            container.appendChild(row);
+        });
+    }
+
+    // Render top merchants - same rows as the tag breakdown, biggest spend first
+    renderTopMerchants(topMerchants) {
+        const container = document.getElementById('topMerchants');
+        if (!container) return;
+
+        if (!topMerchants || topMerchants.merchants.length === 0) {
+            container.innerHTML = `
+                <div class="no-expenses">
+                    <i class="fas fa-store" style="font-size: 2rem; margin-bottom: 10px; opacity: 0.3;"></i>
+                    <p>No expenses with a payee for this period</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = '';
+        topMerchants.merchants.forEach(merchant => {
+            const row = domUtils.createElement('div', 'tag-row');
+            row.innerHTML = `
+                <div class="tag-row-header">
+                    <span class="tag-name"><i class="fas fa-store" style="color: var(--primary);"></i> <span></span></span>
+                    <span class="category-total">${currencyUtils.formatDisplayCurrency(merchant.expenses)}</span>
+                    <span class="category-percentage">${merchant.percentage}%</span>
+                </div>
+                <div class="category-progress">
+                    <div class="category-progress-bar" style="width: ${merchant.percentage}%"></div>
+                </div>
+                <div class="tag-row-meta">
+                    ${merchant.expenseCount} expense${merchant.expenseCount !== 1 ? 's' : ''}${merchant.income > 0 ? ` · ${currencyUtils.formatDisplayCurrency(merchant.income)} income` : ''}
+                </div>
+            `;
+            row.querySelector('.tag-name span').textContent = merchant.name;
+            container.appendChild(row);
+        });
+    }
+
+    renderSubcategoryBreakdown(categoryId, subcategories, categoryTotal, category) {
         const sortedSubcategories = Object.keys(subcategories).sort((a, b) => 
             subcategories[b].total - subcategories[a].total
         );
@@ -255,7 +328,9 @@ class AnalyticsUI {
             <div class="subcategory-group">
                 <div class="subcategory-header" 
                      data-category-id="${categoryId}" 
-                     data-subcategory-id="${safeSubcategoryId}">
+                     data-subcategory-id="${safeSubcategoryId}"
+                     data-category="${encodeURIComponent(category)}"
+                     data-subcategory="${encodeURIComponent(subcategory)}">
                     <h4>
                         <i class="fas fa-folder-open" style="color: var(--secondary); font-size: 0.8rem;"></i>
                         ${subcategory}
@@ -272,7 +347,7 @@ class AnalyticsUI {
                     <div class="subcategory-progress-bar" style="width: ${subcategoryProgress}%"></div>
                 </div>
                 <div class="subcategory-content" id="content-${categoryId}-${safeSubcategoryId}">
-                    ${this.renderExpenseList(subData.expenses)}
+                    <div class="no-expenses" style="padding: 12px; font-size: 0.8rem;">Loading...</div>
                 </div>
             </div>
         `;
@@ -333,7 +408,7 @@ class AnalyticsUI {
         }
     }
 
-    toggleSubcategory(categoryId, subcategoryId) {
+    toggleSubcategory(categoryId, subcategoryId, header) {
         const content = document.getElementById(`content-${categoryId}-${subcategoryId}`);
         const toggle = document.getElementById(`toggle-${categoryId}-${subcategoryId}`);
         
@@ -347,7 +422,30 @@ class AnalyticsUI {
         } else {
             content.classList.add('expanded');
             toggle.innerHTML = '<i class="fas fa-chevron-up"></i>';
+            
+            // Expenses are loaded the first time a subcategory is opened
+            if (header && !content.dataset.loaded) {
+                content.dataset.loaded = 'true';
+                this.emitUIEvent('subcategoryOpened', {
+                    category: decodeURIComponent(header.dataset.category),
+                    subcategory: decodeURIComponent(header.dataset.subcategory),
+                    contentId: content.id
+                });
+            }
+        }
+    }
+
+    renderSubcategoryExpenses(contentId, expenses) {
+        const content = document.getElementById(contentId);
+        if (!content) return;
+        
+        if (!expenses) {
+            // Failed - let the next open try again
+            delete content.dataset.loaded;
+            content.innerHTML = `<div class="no-expenses" style="padding: 12px; font-size: 0.8rem;">Could not load expenses</div>`;
+            return;
         }
+        content.innerHTML = this.renderExpenseList(expenses);
     }
 
     toggleReport() {
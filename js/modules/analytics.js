@@ -2,7 +2,7 @@
 
 import { getState } from './state.js';
 import { getDatabase } from './database.js';
-import { currencyUtils, dateUtils, asyncUtils } from './utils.js';
+import { currencyUtils, dateUtils, asyncUtils, categoryUtils } from './utils.js';
 
 /**
  * Analytics data processing module
@@ -68,7 +68,7 @@ class AnalyticsService {
         const now = new Date();
         const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
         let startDate, endDate;
-
+        
         switch (rangeType) {
             case 'last-7':
                 startDate = new Date(today);
@@ -110,66 +110,101 @@ class AnalyticsService {
             default:
                 return null;
         }
-
+        
         return { startDate, endDate };
     }
 
-    // Filter data by date range
-    filterDataByDateRange(data, startDate, endDate, walletId = 'all') {
-        return data.filter(item => {
-            // Filter by wallet
-            if (walletId !== 'all' && item.walletId !== walletId) {
-                return false;
-            }
-            // Filter by date range
-            const itemDate = new Date(item.date);
-            return itemDate >= startDate && itemDate <= endDate;
-        });
+    // Totals come from the database (sql/aggregates.sql) rather than from
+    // every transaction - only the expenses behind an opened subcategory are
+    // downloaded. Wallet 'all' means no wallet filter.
+    toWalletFilter(walletId) {
+        return walletId === 'all' ? null : walletId;
     }
 
-    // Calculate summary for date range
-    calculateSummaryByDateRange(startDate, endDate, walletId = 'all') {
-        const expenses = this.filterDataByDateRange(this.state.getExpenses(), startDate, endDate, walletId);
-        const incomes = this.filterDataByDateRange(this.state.getIncomes(), startDate, endDate, walletId);
-        
-        const totalExpenses = expenses.reduce((sum, e) => sum + e.amount, 0);
-        const totalIncome = incomes.reduce((sum, i) => sum + i.amount, 0);
-        const balance = totalIncome - totalExpenses;
+    // Data changed - the next read fetches fresh totals
+    clearCache() {
+        this.cache = {
+            periodData: new Map(),
+            chartData: new Map(),
+            lastUpdate: Date.now()
+        };
+    }
+
+    // Totals per period and wallet, fetched once for every wallet
+    async getPeriodTotals() {
+        return this.getCachedData('periodTotals') || this.cacheData('periodTotals', await this.db.getPeriodTotals());
+    }
+
+    // Totals per period for one wallet (or summed over all of them)
+    async getPeriodSummaries(walletId = 'all') {
+        const summaries = new Map();
+        
+        (await this.getPeriodTotals())
+            .filter(row => walletId === 'all' || row.walletId === walletId)
+            .forEach(row => {
+                const summary = summaries.get(row.periodKey) || { expenses: 0, income: 0, expenseCount: 0, incomeCount: 0 };
+                summaries.set(row.periodKey, {
+                    expenses: summary.expenses + row.expenses,
+                    income: summary.income + row.income,
+                    expenseCount: summary.expenseCount + row.expenseCount,
+                    incomeCount: summary.incomeCount + row.incomeCount
+                });
+            });
         
+        return summaries;
+    }
+
+    toSummary({ expenses = 0, income = 0, expenseCount = 0, incomeCount = 0 } = {}) {
         return {
-            expenses: totalExpenses,
-            income: totalIncome,
-            balance,
-            expenseCount: expenses.length,
-            incomeCount: incomes.length
+            expenses,
+            income,
+            balance: income - expenses,
+            expenseCount,
+            incomeCount
         };
     }
 
+    // Calculate summary for date range
+    async calculateSummaryByDateRange(startDate, endDate, walletId = 'all') {
+        const totals = await this.db.getRangeTotals(
+            dateUtils.toISODate(startDate),
+            dateUtils.toISODate(endDate),
+            this.toWalletFilter(walletId)
+        );
+        return this.toSummary(totals);
+    }
+
     // Calculate category breakdown for date range
-    calculateCategoryBreakdownByDateRange(startDate, endDate, walletId = 'all') {
-        const expenses = this.filterDataByDateRange(this.state.getExpenses(), startDate, endDate, walletId);
-        const totalExpenses = expenses.reduce((sum, e) => sum + e.amount, 0);
-        
-        // Get wallets for name lookup
-        const wallets = this.state.getWallets();
+    async calculateCategoryBreakdownByDateRange(startDate, endDate, walletId = 'all') {
+        const rows = await this.db.getCategoryTotals(
+            dateUtils.toISODate(startDate),
+            dateUtils.toISODate(endDate),
+            this.toWalletFilter(walletId)
+        );
         
+        return this.buildCategoryBreakdown(rows, {
+            startDate,
+            endDate,
+            walletId,
+            periodLabel: this.formatDateRangeLabel(startDate, endDate)
+        });
+    }
+
+    // Group category totals by name; the ids behind each group are kept to
+    // load its expenses later (duplicate names share a group)
+    buildCategoryBreakdown(rows, { startDate, endDate, walletId, periodLabel }) {
+        const totalExpenses = rows.reduce((sum, row) => sum + row.total, 0);
         const categories = {};
         
-        expenses.forEach(expense => {
-            const category = expense.category || 'Uncategorized';
-            const subcategory = expense.subcategory || 'General';
-            
-            // Add wallet name to expense
-            const wallet = wallets.find(w => w.id === expense.walletId);
-            const enrichedExpense = {
-                ...expense,
-                walletName: wallet ? wallet.name : 'Unknown'
-            };
+        rows.forEach(row => {
+            const category = row.category || 'Uncategorized';
+            const subcategory = row.subcategory || 'General';
             
             if (!categories[category]) {
                 categories[category] = {
                     total: 0,
                     percentage: 0,
+                    categoryIds: [],
                     subcategories: {}
                 };
             }
@@ -178,13 +213,18 @@ class AnalyticsService {
                 categories[category].subcategories[subcategory] = {
                     total: 0,
                     percentage: 0,
-                    expenses: []
+                    count: 0,
+                    subcategoryIds: []
                 };
             }
             
-            categories[category].total += expense.amount;
-            categories[category].subcategories[subcategory].total += expense.amount;
-            categories[category].subcategories[subcategory].expenses.push(enrichedExpense); // Use enriched expense
+            const categoryData = categories[category];
+            const subcategoryData = categoryData.subcategories[subcategory];
+            categoryData.total += row.total;
+            subcategoryData.total += row.total;
+            subcategoryData.count += row.count;
+            if (!categoryData.categoryIds.includes(row.categoryId)) categoryData.categoryIds.push(row.categoryId);
+            if (!subcategoryData.subcategoryIds.includes(row.subcategoryId)) subcategoryData.subcategoryIds.push(row.subcategoryId);
         });
         
         // Calculate percentages
@@ -192,20 +232,107 @@ class AnalyticsService {
             categories[category].percentage = Math.round((categories[category].total / totalExpenses) * 100);
             
             Object.keys(categories[category].subcategories).forEach(subcategory => {
-                categories[category].subcategories[subcategory].percentage = 
+                categories[category].subcategories[subcategory].percentage =
                     Math.round((categories[category].subcategories[subcategory].total / categories[category].total) * 100);
             });
         });
         
-        const label = `${startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
-        
         return {
             categories,
             totalExpenses,
-            periodLabel: label
+            periodLabel,
+            startDate,
+            endDate,
+            walletId
         };
     }
 
+    /**
+     * The expenses behind one subcategory of a breakdown, newest first
+     * @param {Object} breakdown - From calculateCategoryBreakdown(ByDateRange)
+     * @param {string} category - Category name as shown in the breakdown
+     * @param {string} subcategory - Subcategory name as shown in the breakdown
+     */
+    async getSubcategoryExpenses(breakdown, category, subcategory) {
+        const categoryData = breakdown.categories[category];
+        const subcategoryData = categoryData?.subcategories[subcategory];
+        if (!subcategoryData) return [];
+        
+        // Expenses with no category id can only be told apart by name, here
+        const categoryIds = categoryData.categoryIds.includes(null) ? null : categoryData.categoryIds;
+        const expenses = await this.db.getExpensesBetween(
+            dateUtils.toISODate(breakdown.startDate),
+            dateUtils.toISODate(breakdown.endDate),
+            { walletId: this.toWalletFilter(breakdown.walletId), categoryIds }
+        );
+        
+        const matches = (id, name, ids, groupName, fallback) =>
+            id ? ids.includes(id) : (name || fallback) === groupName && ids.includes(null);
+        const wallets = this.state.getWallets();
+        
+        // A split expense shows up once per line filed here, with that line's amount
+        return expenses.flatMap(expense => categoryUtils.getExpenseLines(expense)
+            .filter(line =>
+                matches(line.categoryId, line.category, categoryData.categoryIds, category, 'Uncategorized') &&
+                matches(line.subcategoryId, line.subcategory, subcategoryData.subcategoryIds, subcategory, 'General'))
+            .map(line => ({
+                ...expense,
+                ...line,
+                walletName: wallets.find(w => w.id === expense.walletId)?.name || 'Unknown'
+            })));
+    }
+
+    /**
+     * Expense and income totals per tag, for the same dates and wallet as a
+     * category breakdown. Tags overlap, so each percentage is of all spending
+     * in the period rather than of the tags' sum.
+     * @param {Object} breakdown - From calculateCategoryBreakdown(ByDateRange)
+     */
+    async calculateTagBreakdown(breakdown) {
+        const rows = await this.db.getTagTotals(
+            dateUtils.toISODate(breakdown.startDate),
+            dateUtils.toISODate(breakdown.endDate),
+            this.toWalletFilter(breakdown.walletId)
+        );
+        
+        const tags = rows
+            .map(row => ({
+                ...row,
+                percentage: breakdown.totalExpenses > 0 ? Math.round((row.expenses / breakdown.totalExpenses) * 100) : 0
+            }))
+            .sort((a, b) => b.expenses - a.expenses || b.income - a.income);
+        
+        return { tags, totalExpenses: breakdown.totalExpenses };
+    }
+
+    /**
+     * The merchants most spent at, for the same dates and wallet as a category
+     * breakdown. Each percentage is of all spending in the period, including
+     * expenses without a payee.
+     * @param {Object} breakdown - From calculateCategoryBreakdown(ByDateRange)
+     * @param {number} limit - How many merchants to list
+     */
+    async calculateTopMerchants(breakdown, limit = 10) {
+        const rows = await this.db.getMerchantTotals(
+            dateUtils.toISODate(breakdown.startDate),
+            dateUtils.toISODate(breakdown.endDate),
+            this.toWalletFilter(breakdown.walletId)
+        );
+        
+        const merchants = rows
+            .filter(row => row.expenses > 0)
+            .map(row => ({
+                ...row,
+                // A merchant in the Trash keeps its records
+                name: this.state.getMerchantName(row.merchantId) || 'Deleted merchant',
+                percentage: breakdown.totalExpenses > 0 ? Math.round((row.expenses / breakdown.totalExpenses) * 100) : 0
+            }))
+            .sort((a, b) => b.expenses - a.expenses || b.expenseCount - a.expenseCount)
+            .slice(0, limit);
+        
+        return { merchants, totalExpenses: breakdown.totalExpenses };
+    }
+
     // Format date range label
     formatDateRangeLabel(startDate, endDate) {
         return `${startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
@@ -234,193 +361,82 @@ class AnalyticsService {
 
     // Generate period key from date
     getPeriodKeyFromDate(dateString) {
-        const date = new Date(dateString);
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        
-        if (day >= 26) {
-            let nextMonth = month + 1;
-            let nextYear = year;
-            if (nextMonth > 12) {
-                nextMonth = 1;
-                nextYear = year + 1;
-            }
-            return `${nextYear}-${String(nextMonth).padStart(2, '0')}`;
-        } else {
-            return `${year}-${String(month).padStart(2, '0')}`;
-        }
+        return dateUtils.getPeriodKey(dateString);
     }
 
-    // Get available periods from data
-    generateAvailablePeriods() {
-        const expenses = this.state.getExpenses();
-        const incomes = this.state.getIncomes();
-        const allDates = [...expenses.map(e => e.date), ...incomes.map(i => i.date)];
-        
-        const periodKeysSet = new Set();
-        allDates.forEach(dateStr => {
-            const periodKey = this.getPeriodKeyFromDate(dateStr);
-            periodKeysSet.add(periodKey);
-        });
-        
-        return Array.from(periodKeysSet).sort().reverse();
-    }
-
-    // Filter data by wallet and period
-    filterDataByPeriodAndWallet(data, periodKey, walletId = 'all') {
-        return data.filter(item => {
-            // Filter by wallet
-            if (walletId !== 'all' && item.walletId !== walletId) {
-                return false;
-            }
-            // Filter by period
-            return this.isDateInPeriod(item.date, periodKey);
-        });
+    // Periods that have any transactions, newest first
+    async generateAvailablePeriods() {
+        const periodKeys = (await this.getPeriodTotals()).map(row => row.periodKey);
+        return [...new Set(periodKeys)].sort().reverse();
     }
 
     // Calculate summary statistics
-    calculateSummary(periodKey, walletId = 'all') {
-        const expenses = this.filterDataByPeriodAndWallet(this.state.getExpenses(), periodKey, walletId);
-        const incomes = this.filterDataByPeriodAndWallet(this.state.getIncomes(), periodKey, walletId);
-        
-        const totalExpenses = expenses.reduce((sum, e) => sum + e.amount, 0);
-        const totalIncome = incomes.reduce((sum, i) => sum + i.amount, 0);
-        const balance = totalIncome - totalExpenses;
-        
-        return {
-            expenses: totalExpenses,
-            income: totalIncome,
-            balance,
-            expenseCount: expenses.length,
-            incomeCount: incomes.length
-        };
+    async calculateSummary(periodKey, walletId = 'all') {
+        const summaries = await this.getPeriodSummaries(walletId);
+        return this.toSummary(summaries.get(periodKey));
     }
 
     // Calculate category breakdown
-    calculateCategoryBreakdown(periodKey, walletId = 'all') {
-        const expenses = this.filterDataByPeriodAndWallet(this.state.getExpenses(), periodKey, walletId);
-        const totalExpenses = expenses.reduce((sum, e) => sum + e.amount, 0);
+    async calculateCategoryBreakdown(periodKey, walletId = 'all') {
+        const { startDate, endDate } = this.calculatePeriodDates(periodKey);
+        const rows = await this.db.getCategoryTotals(
+            dateUtils.toISODate(startDate),
+            dateUtils.toISODate(endDate),
+            this.toWalletFilter(walletId)
+        );
         
-        // Get wallets for name lookup
-        const wallets = this.state.getWallets();
+        return this.buildCategoryBreakdown(rows, {
+            startDate,
+            endDate,
+            walletId,
+            periodLabel: this.getPeriodLabel(periodKey)
+        });
+    }
+
+    // Income and expense totals for each of the periods up to endPeriodKey
+    async calculateTrendData(endPeriodKey, periodCount = 12, walletId = 'all') {
+        if (!endPeriodKey) return {
+            periods: [],
+            labels: [],
+            income: [],
+            expense: []
+        };
         
-        const categories = {};
+        const allPeriods = (await this.generateAvailablePeriods()).sort();
+        let endIndex = allPeriods.indexOf(endPeriodKey);
+        if (endIndex === -1) endIndex = allPeriods.length - 1;
         
-        expenses.forEach(expense => {
-            const category = expense.category || 'Uncategorized';
-            const subcategory = expense.subcategory || 'General';
-            
-            // Add wallet name to expense
-            const wallet = wallets.find(w => w.id === expense.walletId);
-            const enrichedExpense = {
-                ...expense,
-                walletName: wallet ? wallet.name : 'Unknown'
-            };
-            
-            if (!categories[category]) {
-                categories[category] = {
-                    total: 0,
-                    percentage: 0,
-                    subcategories: {}
-                };
-            }
-            
-            if (!categories[category].subcategories[subcategory]) {
-                categories[category].subcategories[subcategory] = {
-                    total: 0,
-                    percentage: 0,
-                    expenses: []
-                };
-            }
-            
-            categories[category].total += expense.amount;
-            categories[category].subcategories[subcategory].total += expense.amount;
-            categories[category].subcategories[subcategory].expenses.push(enrichedExpense); // Use enriched expense
-        });
+        const startIndex = Math.max(0, endIndex - periodCount + 1);
+        const trendPeriods = allPeriods.slice(startIndex, endIndex + 1);
+        const summaries = await this.getPeriodSummaries(walletId);
         
-        // Calculate percentages
-        Object.keys(categories).forEach(category => {
-            categories[category].percentage = Math.round((categories[category].total / totalExpenses) * 100);
-            
-            Object.keys(categories[category].subcategories).forEach(subcategory => {
-                categories[category].subcategories[subcategory].percentage = 
-                    Math.round((categories[category].subcategories[subcategory].total / categories[category].total) * 100);
+        const labels = trendPeriods.map(periodKey => {
+            const [year, month] = periodKey.split('-');
+            return new Date(year, month - 1).toLocaleDateString('en-US', {
+                month: 'short',
+                year: '2-digit'
             });
         });
         
         return {
-            categories,
-            totalExpenses,
-            periodLabel: this.getPeriodLabel(periodKey)
+            periods: trendPeriods,
+            labels,
+            income: trendPeriods.map(periodKey => summaries.get(periodKey)?.income || 0),
+            expense: trendPeriods.map(periodKey => summaries.get(periodKey)?.expenses || 0)
         };
     }
 
-// js/modules/analytics.js - Replace calculateTrendData method with cumulative version
-
-    calculateTrendData(endPeriodKey, periodCount = 12, walletId = 'all') {
-            if (!endPeriodKey) return { 
-                periods: [], 
-                labels: [], 
-                income: [], 
-                expense: []
-            };
-            
-            const allPeriods = this.generateAvailablePeriods().sort();
-            let endIndex = allPeriods.indexOf(endPeriodKey);
-            if (endIndex === -1) endIndex = allPeriods.length - 1;
-            
-            const startIndex = Math.max(0, endIndex - periodCount + 1);
-            const trendPeriods = allPeriods.slice(startIndex, endIndex + 1);
-            
-            console.log('Trend periods for yearly comparison:', {
-                startIndex,
-                endIndex,
-                trendPeriods
-            });
-            
-            // Calculate PERIOD TOTALS (non-cumulative)
-            const periodIncomeData = trendPeriods.map(periodKey => {
-                const periodIncomes = this.filterDataByPeriodAndWallet(
-                    this.state.getIncomes(), 
-                    periodKey, 
-                    walletId
-                );
-                return periodIncomes.reduce((sum, income) => sum + income.amount, 0);
-            });
-            
-            const periodExpenseData = trendPeriods.map(periodKey => {
-                const periodExpenses = this.filterDataByPeriodAndWallet(
-                    this.state.getExpenses(), 
-                    periodKey, 
-                    walletId
-                );
-                return periodExpenses.reduce((sum, expense) => sum + expense.amount, 0);
-            });
-            
-            const labels = trendPeriods.map(periodKey => {
-                const [year, month] = periodKey.split('-');
-                return new Date(year, month - 1).toLocaleDateString('en-US', { 
-                    month: 'short', 
-                    year: '2-digit' 
-                });
-            });
-            
-            return { 
-                periods: trendPeriods, 
-                labels, 
-                income: periodIncomeData,
-                expense: periodExpenseData
-            };
-        }
-
     // Calculate insights
-    calculateInsights(periodKey, walletId = 'all') {
-        const summary = this.calculateSummary(periodKey, walletId);
-        const categoryBreakdown = this.calculateCategoryBreakdown(periodKey, walletId);
+    async calculateInsights(periodKey, walletId = 'all') {
+        const [summary, categoryBreakdown, summaries, allPeriods] = await Promise.all([
+            this.calculateSummary(periodKey, walletId),
+            this.calculateCategoryBreakdown(periodKey, walletId),
+            this.getPeriodSummaries(walletId),
+            this.generateAvailablePeriods()
+        ]);
         
         // Savings rate
-        const savingsRate = summary.income > 0 ? 
+        const savingsRate = summary.income > 0 ?
             Math.round(((summary.income - summary.expenses) / summary.income) * 100) : 0;
         
         // Top category
@@ -435,17 +451,14 @@ class AnalyticsService {
         });
         
         // Average spending
-        const allPeriods = this.generateAvailablePeriods().sort();
+        allPeriods.sort();
         const currentIndex = allPeriods.indexOf(periodKey);
         const startIndex = Math.max(0, currentIndex - 6);
         const lastSixPeriods = allPeriods.slice(startIndex, currentIndex + 1);
         
-        const periodTotals = lastSixPeriods.map(p => {
-            const periodExpenses = this.filterDataByPeriodAndWallet(this.state.getExpenses(), p, walletId);
-            return periodExpenses.reduce((sum, e) => sum + e.amount, 0);
-        });
+        const periodTotals = lastSixPeriods.map(p => summaries.get(p)?.expenses || 0);
         
-        const periodAverage = periodTotals.length > 0 ? 
+        const periodAverage = periodTotals.length > 0 ?
             periodTotals.reduce((sum, amount) => sum + amount, 0) / periodTotals.length : 0;
         
         return {
@@ -457,26 +470,24 @@ class AnalyticsService {
         };
     }
 
-    getDailyExpenseData(periodKey, walletId = 'all') {
-        const { startDate, endDate } = this.calculatePeriodDates(periodKey);
-        const daysInPeriod = Math.floor((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
-        const dailyData = Array(daysInPeriod).fill(0);
-        
-        const periodExpenses = this.filterDataByPeriodAndWallet(
-            this.state.getExpenses(), 
-            periodKey, 
-            walletId
+    // Expense totals keyed by 'YYYY-MM-DD'
+    async getDailyTotals(startDate, endDate, walletId = 'all') {
+        const rows = await this.db.getDailyTotals(
+            dateUtils.toISODate(startDate),
+            dateUtils.toISODate(endDate),
+            this.toWalletFilter(walletId)
         );
-        
-        periodExpenses.forEach(expense => {
-            const expenseDate = new Date(expense.date);
-            const dayIndex = Math.floor((expenseDate - startDate) / (1000 * 60 * 60 * 24));
-            if (dayIndex >= 0 && dayIndex < daysInPeriod) {
-                dailyData[dayIndex] += expense.amount;
-            }
-        });
-        
-        return dailyData;
+        return new Map(rows.map(row => [String(row.date).slice(0, 10), row.total]));
+    }
+
+    // Spending on each day of a period
+    toDailySeries(periodKey, totalsByDate) {
+        return this.getDaysInPeriod(periodKey).map(day => totalsByDate.get(dateUtils.toISODate(day)) || 0);
+    }
+
+    async getDailyExpenseData(periodKey, walletId = 'all') {
+        const { startDate, endDate } = this.calculatePeriodDates(periodKey);
+        return this.toDailySeries(periodKey, await this.getDailyTotals(startDate, endDate, walletId));
     }
 
     getDaysInPeriod(periodKey) {
@@ -492,25 +503,31 @@ class AnalyticsService {
         return days;
     }
 
-    getDailyComparisonData(periodKey, periodCount = 6, walletId = 'all') {
+    async getDailyComparisonData(periodKey, periodCount = 6, walletId = 'all') {
         if (!periodKey) return null;
         
-        const currentPeriodDays = this.getDaysInPeriod(periodKey);
-        const daysInCurrentPeriod = currentPeriodDays.length;
-        const currentPeriodDaily = this.getDailyExpenseData(periodKey, walletId);
-        
-        const periods = this.generateAvailablePeriods().sort();
+        const periods = (await this.generateAvailablePeriods()).sort();
         const currentIndex = periods.indexOf(periodKey);
         if (currentIndex === -1) return null;
         
         const startIndex = Math.max(0, currentIndex - periodCount);
         const historicalPeriods = periods.slice(startIndex, currentIndex);
         
+        // One query covers the current period and every historical one
+        const totalsByDate = await this.getDailyTotals(
+            this.calculatePeriodDates(historicalPeriods[0] || periodKey).startDate,
+            this.calculatePeriodDates(periodKey).endDate,
+            walletId
+        );
+        
+        const currentPeriodDaily = this.toDailySeries(periodKey, totalsByDate);
+        const daysInCurrentPeriod = currentPeriodDaily.length;
+        
         const dailyAverages = Array(daysInCurrentPeriod).fill(0);
         const dayCounts = Array(daysInCurrentPeriod).fill(0);
         
         historicalPeriods.forEach(historicalPeriodKey => {
-            const historicalDailyData = this.getDailyExpenseData(historicalPeriodKey, walletId);
+            const historicalDailyData = this.toDailySeries(historicalPeriodKey, totalsByDate);
             const daysInHistoricalPeriod = historicalDailyData.length;
             
             for (let day = 0; day < daysInCurrentPeriod; day++) {
@@ -525,7 +542,7 @@ class AnalyticsService {
             }
         });
         
-        const historicalAverageDaily = dailyAverages.map((sum, index) => 
+        const historicalAverageDaily = dailyAverages.map((sum, index) =>
             dayCounts[index] > 0 ? sum / dayCounts[index] : 0
         );
         
@@ -549,7 +566,7 @@ class AnalyticsService {
             historicalAverageDaily: historicalAverageDaily,
             historicalAverageCumulative: historicalAverageCumulative
         };
-}
+    }
 }
 
 // Singleton instance
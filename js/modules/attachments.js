@@ -0,0 +1,225 @@
+// js/modules/attachments.js
+
+/**
+ * ATTACHMENTS MODULE
+ * Editor for the files attached to an expense or income - photos and PDFs
+ * with captions. Picked files are shrunk straight away, uploaded when the
+ * form is saved, and files removed from the list are only deleted from
+ * storage once the record no longer points at them.
+ */
+
+import { processReceipt } from './receipt-images.js';
+import { domUtils, receiptUtils } from './utils.js';
+
+// What a record stores for each attachment, in display order
+const toAttachment = ({ path, thumbnailPath, caption }) => ({
+    path,
+    thumbnailPath: thumbnailPath || null,
+    caption: (caption || '').trim()
+});
+
+class AttachmentEditor {
+    /**
+     * @param {Object} db - Storage backend
+     * @param {Object} options.list - Element the attachments are listed in
+     * @param {Object} options.input - File input that adds attachments
+     * @param {Function} options.onError - Called with a message for files that can't be attached
+     */
+    constructor(db, { list, input, onError }) {
+        this.db = db;
+        this.list = list;
+        this.input = input;
+        this.onError = onError;
+        this.items = [];
+        this.initial = [];
+        this.removed = [];
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('change', () => this.addFiles([...this.input.files]));
+        this.input.form?.addEventListener('reset', () => this.load([]));
+
+        this.list.addEventListener('input', (e) => {
+            const item = this.items[this.indexOf(e.target)];
+            if (item && e.target.classList.contains('attachment-caption')) item.caption = e.target.value;
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const index = this.indexOf(button);
+            if (button.dataset.action === 'remove') this.remove(index);
+            if (button.dataset.action === 'up') this.move(index, -1);
+            if (button.dataset.action === 'down') this.move(index, 1);
+        });
+    }
+
+    indexOf(element) {
+        return Number(element.closest('.attachment-item')?.dataset.index);
+    }
+
+    // Start editing a record's attachments (an empty list for a new record)
+    load(attachments = []) {
+        this.releasePreviews();
+        this.items = attachments.map(attachment => ({ ...toAttachment(attachment) }));
+        this.initial = attachments.map(toAttachment);
+        this.removed = [];
+        this.input.value = '';
+        this.render();
+    }
+
+    async addFiles(files) {
+        this.input.value = '';
+
+        for (const file of files) {
+            try {
+                const { file: processed, thumbnail } = await processReceipt(file);
+                this.items.push({
+                    file: processed,
+                    thumbnail,
+                    caption: '',
+                    previewUrl: thumbnail ? URL.createObjectURL(thumbnail) : null
+                });
+            } catch (error) {
+                this.onError?.(`${file.name}: ${error.message}`);
+            }
+        }
+        this.render();
+    }
+
+    remove(index) {
+        const [item] = this.items.splice(index, 1);
+        if (!item) return;
+
+        if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+        if (item.path) this.removed.push(item);
+        this.render();
+    }
+
+    move(index, step) {
+        const target = index + step;
+        if (target < 0 || target >= this.items.length) return;
+
+        [this.items[index], this.items[target]] = [this.items[target], this.items[index]];
+        this.render();
+    }
+
+    hasChanges() {
+        return this.items.some(item => item.file) ||
+            JSON.stringify(this.items.map(toAttachment)) !== JSON.stringify(this.initial);
+    }
+
+    /**
+     * Upload files added since load() and return the list to save on the record
+     * @param {string} recordId - Expense or income id, used in the storage path
+     */
+    async upload(recordId) {
+        for (const item of this.items) {
+            if (!item.file || item.uploaded) continue;
+
+            const { path, thumbnailPath } = await this.db.uploadReceipt(item.file, recordId, {
+                thumbnail: item.thumbnail
+            });
+            // Kept on the item so a retried save doesn't upload it twice
+            Object.assign(item, { path, thumbnailPath, uploaded: true });
+        }
+        return this.items.map(toAttachment);
+    }
+
+    // The record was saved with the list - delete the removed files from
+    // storage, and the uploaded ones now belong to the record
+    async commitRemovals() {
+        const removed = this.removed;
+        this.removed = [];
+        this.items.forEach(item => Object.assign(item, { file: null, thumbnail: null, uploaded: false }));
+        this.initial = this.items.map(toAttachment);
+        await Promise.all(removed.map(item => this.db.deleteReceipt(item.path, item.thumbnailPath)));
+    }
+
+    // The save failed or was abandoned - delete the files uploaded for it. They
+    // stay in the list, to be uploaded again if the form is saved after all.
+    async discardUploads() {
+        const uploaded = this.items
+            .filter(item => item.uploaded)
+            .map(item => {
+                const { path, thumbnailPath } = item;
+                Object.assign(item, { path: null, thumbnailPath: null, uploaded: false });
+                return { path, thumbnailPath };
+            });
+        await Promise.all(uploaded.map(({ path, thumbnailPath }) => this.db.deleteReceipt(path, thumbnailPath)));
+    }
+
+    releasePreviews() {
+        this.items.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.list.style.display = this.items.length > 0 ? 'flex' : 'none';
+
+        this.items.forEach((item, index) => {
+            const row = domUtils.createElement('div', 'attachment-item', { 'data-index': index });
+            const isPdf = receiptUtils.getFileType(item.path || item.file?.name) === 'pdf';
+
+            const preview = domUtils.createElement('div', 'attachment-preview');
+            if (isPdf) {
+                preview.innerHTML = '<i class="fas fa-file-pdf"></i>';
+            } else {
+                const img = domUtils.createElement('img', '', { alt: '' });
+                if (item.previewUrl) img.src = item.previewUrl;
+                preview.appendChild(img);
+            }
+
+            const caption = domUtils.createElement('input', 'attachment-caption', {
+                type: 'text',
+                placeholder: 'Caption (optional)',
+                maxlength: '120'
+            });
+            caption.value = item.caption;
+
+            const actions = domUtils.createElement('div', 'attachment-actions');
+            actions.innerHTML = `
+                <button type="button" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button type="button" data-action="down" title="Move down" ${index === this.items.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                <button type="button" data-action="remove" class="delete-btn" title="Remove"><i class="fas fa-trash"></i></button>
+            `;
+
+            row.append(preview, caption, actions);
+            this.list.appendChild(row);
+        });
+
+        this.loadPreviews();
+    }
+
+    // Saved attachments show their thumbnail through a signed URL
+    async loadPreviews() {
+        const saved = this.items
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.path && !item.previewUrl && receiptUtils.getFileType(item.path) !== 'pdf');
+        if (saved.length === 0) return;
+
+        try {
+            const urls = await this.db.getReceiptUrls(saved.map(({ item }) => item.thumbnailPath || item.path));
+            saved.forEach(({ item, index }, i) => {
+                const img = this.list.querySelector(`.attachment-item[data-index="${index}"] img`);
+                // Skip rows the list was re-rendered without in the meantime
+                if (img && this.items[index] === item && urls[i]) img.src = urls[i];
+            });
+        } catch (error) {
+            console.error('Error loading attachment previews:', error);
+        }
+    }
+}
+
+/**
+ * Attach an editor to a file input and the list shown under it
+ * @returns {AttachmentEditor|null} null when the form isn't on the page
+ */
+export const createAttachmentEditor = (db, { listId, inputId, onError }) => {
+    const list = document.getElementById(listId);
+    const input = document.getElementById(inputId);
+    if (!list || !input) return null;
+
+    return new AttachmentEditor(db, { list, input, onError });
+};
@@ -8,6 +8,14 @@
 import { getState } from './state.js';
 import { getDatabase } from './database.js';
 import { loadAndSetDefaultWallet } from './wallet-persistence.js'; // ← ADD THIS LINE
+import { getLocalStore } from './local-store.js';
+import { getRealtimeSync } from './realtime.js';
+import { getTransactionLoader } from './transaction-loader.js';
+import { storageUtils } from './utils.js';
+
+const CATEGORY_MIGRATION_KEY = 'fintrack_category_ids_migrated';
+const RECEIPT_MIGRATION_KEY = 'fintrack_receipt_paths_migrated';
+const ATTACHMENT_MIGRATION_KEY = 'fintrack_receipt_attachments_migrated';
 
 class AuthService {
     constructor(supabase) {
@@ -16,6 +24,16 @@ class AuthService {
         this.database = getDatabase(supabase);
         this.initialized = false;
         this.walletPersistence = null; // ← ADD THIS LINE
+        this.confirmDiscardWrites = null;
+        this.localStore = getLocalStore();
+        this.syncQueue = this.database.syncQueue;
+        this.realtime = getRealtimeSync(this.database);
+        this.transactions = getTransactionLoader(this.database);
+        this.reconciling = false;
+        this.loadTransactions = true;
+        
+        // The local backend already keeps everything on the device
+        this.offlineEnabled = !!this.syncQueue && this.localStore.isSupported();
     }
 
     // ← ADD THIS NEW METHOD after constructor
@@ -23,10 +41,34 @@ class AuthService {
         this.walletPersistence = walletPersistence;
     }
 
+    // Asked before another account's unsynced writes are thrown away; gets the
+    // number of writes and resolves to true to discard them
+    setConfirmDiscardWrites(confirmDiscardWrites) {
+        this.confirmDiscardWrites = confirmDiscardWrites;
+    }
+
+    // Pages that only need totals (analytics) skip loading every expense and
+    // income - and the offline copy, which would otherwise hold them
+    setLoadTransactions(loadTransactions) {
+        this.loadTransactions = loadTransactions;
+        if (!loadTransactions) this.offlineEnabled = false;
+    }
+
     // Initialize auth state listener
     async initialize() {
         if (this.initialized) return;
         
+        // Offline-first: mirror state into IndexedDB and pick up queued writes
+        if (this.offlineEnabled) {
+            this.localStore.attachToState(this.state);
+            await this.syncQueue.initialize();
+            
+            // Once queued writes reach the server, refresh from it
+            this.syncQueue.subscribe('completed', () => {
+                if (!this.reconciling) this.syncWithServer();
+            });
+        }
+        
         // First, check for existing session
         await this.checkExistingSession();
         
@@ -89,6 +131,9 @@ class AuthService {
             // Load user data
             await this.loadUserData();
             
+            // Signed straight back out to keep another account's offline changes
+            if (!this.state.getUser()) return;
+            
             // Emit custom event
             this.emitAuthEvent('signedIn', { user: session.user });
         } catch (error) {
@@ -98,6 +143,8 @@ class AuthService {
     }
 
     handleSignedOut() {
+        this.realtime.stop();
+        this.transactions.reset();
         this.state.reset();
         
         // Hide navigation links
@@ -196,7 +243,23 @@ class AuthService {
         }
     }
 
-    async signOut() {
+    /**
+     * Sync writes made offline before signing out - signing out wipes the queue
+     * @returns {number} Writes still waiting (offline, or the replay was cut short)
+     */
+    async flushPendingWrites() {
+        if (!this.offlineEnabled) return 0;
+        
+        await this.syncQueue.replay();
+        return this.syncQueue.pendingCount;
+    }
+
+    /**
+     * @param {boolean} options.keepLocalData - Keep the cached data and queued
+     *   writes, e.g. when the session expired rather than the user signing out.
+     *   They are replayed if the same user signs in again.
+     */
+    async signOut({ keepLocalData = false } = {}) {
         try {
             this.state.setLoading(true);
             
@@ -210,13 +273,17 @@ class AuthService {
             }
             
             // Always clear local state regardless of API success
+            this.realtime.stop();
             this.state.reset();
+            if (!keepLocalData) await this.clearLocalData();
             this.emitAuthEvent('signOutSuccess', {});
             return { success: true };
         } catch (error) {
             // Even on error, clear local state
             console.warn('SignOut error (proceeding with local cleanup):', error.message);
+            this.realtime.stop();
             this.state.reset();
+            if (!keepLocalData) await this.clearLocalData();
             this.emitAuthEvent('signOutSuccess', {});
             return { success: true };
         } finally {
@@ -264,23 +331,123 @@ class AuthService {
                 return;
             }
             
+            // Live updates from other devices
+            this.realtime.start();
+            
+            if (!await this.claimLocalStore()) {
+                await this.signOut({ keepLocalData: true });
+                return;
+            }
+            
+            // Show the local copy straight away, then reconcile in the background
+            const hydrated = await this.hydrateFromLocalStore();
+            if (hydrated) {
+                this.syncWithServer();
+                return;
+            }
+            
+            await this.syncWithServer();
+            
+        } catch (error) {
+            console.error('Auth: Error loading user data:', error);
+            this.emitAuthEvent('error', { error: error.message });
+        }
+    }
+
+    /**
+     * Make the signed-in user the owner of the local copy before anything is
+     * read from it or queued in it. Another account's copy is cleared - but its
+     * unsynced writes only after the user agrees, as they can't be recovered.
+     * @returns {boolean} False if the user chose to keep the other account's writes
+     */
+    async claimLocalStore() {
+        if (!this.offlineEnabled) return true;
+        
+        const userId = this.state.getUser().id;
+        const owner = await this.localStore.getMeta('userId');
+        
+        if (owner && owner !== userId) {
+            const pending = this.syncQueue.pendingCount;
+            if (pending > 0 && !await this.confirmDiscardWrites?.(pending)) return false;
+            
+            await this.clearLocalData();
+        }
+        
+        if (owner !== userId) await this.localStore.setMeta('userId', userId);
+        return true;
+    }
+
+    async hydrateFromLocalStore() {
+        if (!this.offlineEnabled) return false;
+        
+        const snapshot = await this.localStore.loadSnapshot();
+        if (snapshot.wallets.length === 0) return false;
+        
+        // The next sync only fetches what changed since this copy was saved
+        this.transactions.restoreWindow(await this.localStore.getMeta('transactionWindow'));
+        await this.applyUserData(snapshot);
+        return true;
+    }
+
+    // Replay queued writes, then bring local data up to date with the server:
+    // the recent months on first load, only what changed after that
+    async syncWithServer() {
+        if (!this.state.getUser() || this.reconciling) return;
+        
+        this.reconciling = true;
+        
+        try {
             const userId = this.state.getUser().id;
             
+            if (this.offlineEnabled) {
+                await this.syncQueue.replay();
+                
+                // Keep optimistic local data until every queued write has synced
+                if (this.syncQueue.pendingCount > 0) return;
+            }
+            
+            await this.migrateExpenseCategories(userId);
+            await this.migrateReceiptPaths(userId);
+            await this.migrateReceiptAttachments(userId);
+            
             //v5.2
-            const [wallets, categories, expenses, incomes, budgets] = await Promise.all([
+            const [wallets, categories, { expenses, incomes }, budgets, transfers, merchants] = await Promise.all([
                 this.database.getWallets(),
                 this.database.getCategories(),
-                this.database.getExpenses(),
-                this.database.getIncomes(),
-                this.database.getBudgets()
+                this.loadTransactions ? this.transactions.load() : { expenses: [], incomes: [] },
+                this.database.getBudgets(),
+                this.database.getTransfers(),
+                this.database.getMerchants()
             ]);
+            
+            await this.applyUserData({ wallets, categories, expenses, incomes, budgets, transfers, merchants });
+            
+            if (this.offlineEnabled) {
+                await this.localStore.saveSnapshot({ wallets, categories, expenses, incomes, budgets, transfers, merchants });
+                await this.localStore.setMeta('userId', userId);
+                await this.localStore.setMeta('lastSyncedAt', new Date().toISOString());
+                await this.localStore.setMeta('transactionWindow', this.transactions.getWindow());
+            }
+        } catch (error) {
+            console.error('Auth: Error syncing with server:', error);
+            this.emitAuthEvent('error', { error: error.message });
+        } finally {
+            this.reconciling = false;
+        }
+    }
 
+    async applyUserData({ wallets, categories, expenses, incomes, budgets, transfers = [], merchants = [] }) {
+        try {
+            const userId = this.state.getUser().id;
+            
             //v5.2
             this.state.setWallets(wallets);
             this.state.setCategories(categories);
             this.state.setExpenses(expenses);
             this.state.setIncomes(incomes);
             this.state.setBudgets(budgets);
+            this.state.setTransfers(transfers);
+            this.state.setMerchants(merchants);
             
             // Load and set default wallet using persistence
             if (this.walletPersistence && wallets.length > 0) {
@@ -297,14 +464,63 @@ class AuthService {
             }
 
             //v5.2
-            this.emitAuthEvent('dataLoaded', { wallets, categories, expenses, incomes, budgets });
+            this.emitAuthEvent('dataLoaded', { wallets, categories, expenses, incomes, budgets, transfers, merchants });
             
         } catch (error) {
-            console.error('Auth: Error loading user data:', error);
+            console.error('Auth: Error applying user data:', error);
             this.emitAuthEvent('error', { error: error.message });
         }
     }
 
+    // Expenses saved when categories were referenced by name get their ids, once per user
+    async migrateExpenseCategories(userId) {
+        const key = `${CATEGORY_MIGRATION_KEY}_${userId}`;
+        if (storageUtils.getItem(key)) return;
+        
+        try {
+            await this.database.migrateExpenseCategories();
+            storageUtils.setItem(key, true);
+        } catch (error) {
+            // Retried on the next sync; state still matches these expenses by name
+            console.error('Auth: Error migrating expense categories:', error);
+        }
+    }
+
+    // Receipts saved as public URLs keep only their storage path, once per user
+    async migrateReceiptPaths(userId) {
+        const key = `${RECEIPT_MIGRATION_KEY}_${userId}`;
+        if (storageUtils.getItem(key)) return;
+        
+        try {
+            await this.database.migrateReceiptPaths();
+            storageUtils.setItem(key, true);
+        } catch (error) {
+            // Retried on the next sync; getReceiptUrl still signs legacy URLs
+            console.error('Auth: Error migrating receipt paths:', error);
+        }
+    }
+
+    // Single receipts move into the attachments list, once per user
+    async migrateReceiptAttachments(userId) {
+        const key = `${ATTACHMENT_MIGRATION_KEY}_${userId}`;
+        if (storageUtils.getItem(key)) return;
+        
+        try {
+            await this.database.migrateReceiptAttachments();
+            storageUtils.setItem(key, true);
+        } catch (error) {
+            // Retried on the next sync; until then the receipt isn't listed
+            console.error('Auth: Error migrating receipt attachments:', error);
+        }
+    }
+
+    async clearLocalData() {
+        if (!this.offlineEnabled) return;
+        
+        await this.localStore.clear();
+        this.syncQueue.reset();
+    }
+
     // Event system
     emitAuthEvent(eventName, data) {
         const event = new CustomEvent(`auth:${eventName}`, {
@@ -0,0 +1,118 @@
+// js/modules/backend.js
+
+/**
+ * STORAGE BACKEND MODULE
+ * Backend interface shared by DatabaseService (Supabase) and LocalBackend,
+ * plus client selection from the runtime configuration
+ */
+
+import { createLocalClient } from './local-backend.js';
+import { resilientFetch } from './network.js';
+
+// Every storage backend must implement these methods with DatabaseService semantics:
+// camelCase records in and out, shaped by the models in models.js, and deletes
+// that resolve to true. Deletes are soft: rows get a deleted_at marker and are
+// only returned by getDeleted until purged
+export const STORAGE_BACKEND_METHODS = [
+    'setUser', 'getUser', 'toCamelCase', 'toSnakeCase', 'toRecord',
+    'create', 'read', 'update', 'delete',
+    'getDeleted', 'restore', 'purge', 'getHistory',
+    'createExpense', 'getExpenses', 'updateExpense', 'deleteExpense',
+    'uploadReceipt', 'getReceiptUrl', 'getReceiptUrls', 'listReceiptFiles', 'deleteReceipt', 'migrateReceiptPaths', 'migrateReceiptAttachments',
+    'createIncome', 'getIncomes', 'updateIncome', 'deleteIncome',
+    'createWallet', 'getWallets', 'updateWallet', 'deleteWallet', 'setDefaultWallet', 'getDefaultWallet',
+    'reassignWallet', 'archiveWallet',
+    'createCategory', 'getCategories', 'updateCategory', 'deleteCategory', 'migrateExpenseCategories',
+    'mergeCategory', 'moveSubcategory',
+    'getMonthlySummary', 'getRangeTotals', 'getPeriodTotals', 'getCategoryTotals', 'getTagTotals', 'getMerchantTotals', 'getDailyTotals', 'getExpensesBetween',
+    'getIncomesBetween', 'getChangedSince', 'getServerTime', 'getTotalsBefore',
+    'batchDeleteExpenses', 'batchDeleteIncomes', 'batchUpdate', 'batchSetReimbursable',
+    'createBudget', 'getBudgets', 'deleteBudget',
+    'createTransfer', 'getTransfers', 'deleteTransfer',
+    'createMerchant', 'getMerchants', 'updateMerchant', 'deleteMerchant',
+    'getPendingReimbursableExpenses', 'linkReimbursement', 'relinkReimbursement', 'unlinkReimbursement',
+    'getLinkedIncome', 'getLinkedExpenses', 'getPendingReimbursementTotal',
+    'subscribeToChanges'
+];
+
+export const BACKEND_TYPES = {
+    SUPABASE: 'supabase',
+    LOCAL: 'local',     // persisted in localStorage
+    MEMORY: 'memory'    // discarded on reload, for automated tests
+};
+
+/**
+ * Throw if a backend does not implement the full interface
+ * @param {Object} backend - Backend instance
+ */
+export const assertStorageBackend = (backend) => {
+    const missing = STORAGE_BACKEND_METHODS.filter(method => typeof backend[method] !== 'function');
+
+    if (missing.length > 0) {
+        throw new Error(`Storage backend is missing methods: ${missing.join(', ')}`);
+    }
+    return backend;
+};
+
+/**
+ * Work out which backend to use.
+ * Order: ?backend= query param, window.FINTRACK_CONFIG, then /api/config.
+ * The local backend is only used when asked for, or when there is no config
+ * endpoint at all. A config request that fails throws instead, so a deployment
+ * that should talk to Supabase never quietly signs users into an empty local store.
+ */
+export const resolveBackendConfig = async () => {
+    const requested = new URLSearchParams(window.location.search).get('backend');
+    if (requested === BACKEND_TYPES.LOCAL || requested === BACKEND_TYPES.MEMORY) {
+        return { backend: requested };
+    }
+
+    const staticConfig = window.FINTRACK_CONFIG || {};
+    if (staticConfig.BACKEND === BACKEND_TYPES.LOCAL || staticConfig.BACKEND === BACKEND_TYPES.MEMORY) {
+        return { backend: staticConfig.BACKEND };
+    }
+    if (staticConfig.SUPABASE_URL && staticConfig.SUPABASE_ANON_KEY) {
+        return {
+            backend: BACKEND_TYPES.SUPABASE,
+            supabaseUrl: staticConfig.SUPABASE_URL,
+            supabaseAnonKey: staticConfig.SUPABASE_ANON_KEY
+        };
+    }
+
+    let response;
+    try {
+        response = await fetch('/api/config');
+    } catch (error) {
+        throw new Error(`Could not load the app configuration: ${error.message}`);
+    }
+
+    // No config endpoint, e.g. a plain static server - nothing to connect to
+    if (response.status === 404) {
+        console.warn('No Supabase configuration found - using the local backend');
+        return { backend: BACKEND_TYPES.LOCAL };
+    }
+    if (!response.ok) {
+        throw new Error(`Could not load the app configuration (HTTP ${response.status})`);
+    }
+
+    const config = await response.json();
+    if (!config.supabaseUrl || !config.supabaseAnonKey) {
+        throw new Error('The app configuration has no Supabase URL or key');
+    }
+    return { backend: BACKEND_TYPES.SUPABASE, ...config };
+};
+
+/**
+ * Create the client passed to createApp / initializeAnalyticsApp
+ */
+export const createBackendClient = async () => {
+    const config = await resolveBackendConfig();
+
+    if (config.backend === BACKEND_TYPES.SUPABASE) {
+        return window.supabase.createClient(config.supabaseUrl, config.supabaseAnonKey, {
+            global: { fetch: resilientFetch }
+        });
+    }
+
+    return createLocalClient({ persist: config.backend === BACKEND_TYPES.LOCAL });
+};
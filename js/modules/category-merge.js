@@ -0,0 +1,160 @@
+// js/modules/category-merge.js
+
+/**
+ * CATEGORY MERGE MODULE
+ * Consolidates duplicate categories and moves subcategories to another
+ * parent, with a preview of what each change will touch
+ */
+
+import { getState } from './state.js';
+import { categoryUtils } from './utils.js';
+
+const mergeError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+class CategoryMergeService {
+    constructor(db) {
+        this.db = db;
+        this.state = getState();
+    }
+
+    getCategory(id) {
+        return this.state.getCategories().find(c => c.id === id) || null;
+    }
+
+    // Categories a source can be merged into
+    getMergeTargets(sourceId) {
+        const source = this.getCategory(sourceId);
+        return this.state.getCategories().filter(c => !categoryUtils.getMergeError(source, c));
+    }
+
+    // Main categories a subcategory can move under
+    getMoveTargets(id) {
+        const subcategory = this.getCategory(id);
+        return this.state.getMainCategories().filter(c => !categoryUtils.getMoveError(subcategory, c));
+    }
+
+    // Wallets where the target already has a budget - the source's budget loses there
+    getBudgetedWallets(categoryId) {
+        return this.state.getBudgets().filter(b => b.categoryId === categoryId).map(b => b.walletId);
+    }
+
+    /**
+     * What merging source into target will change. Expenses are counted in
+     * state, so load every month first - the merge refiles them all.
+     * @returns {Object} { expenses, subcategories, budgets, budgetsTrashed }
+     */
+    previewMerge(sourceId, targetId) {
+        const source = this.getCategory(sourceId);
+        const target = this.getCategory(targetId);
+        const message = categoryUtils.getMergeError(source, target);
+        if (message) throw mergeError(message, 'INVALID_CATEGORY_MERGE');
+
+        const column = source.type === 'sub' ? 'subcategoryId' : 'categoryId';
+        const budgetedWallets = this.getBudgetedWallets(targetId);
+        const budgets = this.state.getBudgets().filter(b => b.categoryId === sourceId);
+
+        return {
+            expenses: this.state.getExpenses().filter(e =>
+                categoryUtils.getExpenseLines(e).some(line => line[column] === sourceId)).length,
+            subcategories: source.type === 'main' ? this.state.getSubcategories(sourceId).length : 0,
+            budgets: budgets.filter(b => !budgetedWallets.includes(b.walletId)).length,
+            budgetsTrashed: budgets.filter(b => budgetedWallets.includes(b.walletId)).length
+        };
+    }
+
+    /**
+     * What moving a subcategory under a new parent will change (every month
+     * loaded, as for previewMerge)
+     * @returns {Object} { expenses }
+     */
+    previewMove(id, parentId) {
+        const message = categoryUtils.getMoveError(this.getCategory(id), this.getCategory(parentId));
+        if (message) throw mergeError(message, 'INVALID_CATEGORY_MOVE');
+
+        return {
+            expenses: this.state.getExpenses().filter(e =>
+                categoryUtils.getExpenseLines(e).some(line => line.subcategoryId === id)).length
+        };
+    }
+
+    /**
+     * Merge source into target and trash the source
+     * @returns {Object} The preview of what moved
+     */
+    async merge(sourceId, targetId) {
+        const preview = this.previewMerge(sourceId, targetId);
+        const source = this.getCategory(sourceId);
+        const target = this.getCategory(targetId);
+        const budgetedWallets = this.getBudgetedWallets(targetId);
+
+        await this.db.mergeCategory(sourceId, targetId);
+
+        // Categories last - setCategories refreshes the names on expenses and budgets
+        const refile = item => {
+            if (source.type === 'sub') {
+                return item.subcategoryId === sourceId
+                    ? { ...item, subcategoryId: targetId, categoryId: target.parentId }
+                    : item;
+            }
+            return item.categoryId === sourceId ? { ...item, categoryId: targetId } : item;
+        };
+        this.state.setExpenses(this.state.getExpenses().map(expense => ({
+            ...refile(expense),
+            splits: expense.splits.map(refile)
+        })));
+        this.state.setBudgets(this.state.getBudgets()
+            .filter(b => b.categoryId !== sourceId || !budgetedWallets.includes(b.walletId))
+            .map(b => b.categoryId === sourceId ? { ...b, categoryId: targetId } : b));
+        this.state.setMerchants(this.state.getMerchants().map(merchant => {
+            if (source.type === 'sub') {
+                return merchant.defaultSubcategoryId === sourceId
+                    ? { ...merchant, defaultSubcategoryId: targetId, defaultCategoryId: target.parentId }
+                    : merchant;
+            }
+            return merchant.defaultCategoryId === sourceId ? { ...merchant, defaultCategoryId: targetId } : merchant;
+        }));
+        this.state.setCategories(this.state.getCategories()
+            .filter(c => c.id !== sourceId)
+            .map(c => c.parentId === sourceId ? { ...c, parentId: targetId } : c));
+
+        return preview;
+    }
+
+    /**
+     * Move a subcategory under another parent, re-filing its expenses
+     * @returns {Object} The preview of what moved
+     */
+    async move(id, parentId) {
+        const preview = this.previewMove(id, parentId);
+
+        await this.db.moveSubcategory(id, parentId);
+
+        const refile = item => item.subcategoryId === id ? { ...item, categoryId: parentId } : item;
+        this.state.setExpenses(this.state.getExpenses().map(expense => ({
+            ...refile(expense),
+            splits: expense.splits.map(refile)
+        })));
+        this.state.setMerchants(this.state.getMerchants().map(merchant =>
+            merchant.defaultSubcategoryId === id ? { ...merchant, defaultCategoryId: parentId } : merchant
+        ));
+        this.state.setCategories(this.state.getCategories().map(c =>
+            c.id === id ? { ...c, parentId } : c
+        ));
+
+        return preview;
+    }
+}
+
+// Create singleton instance
+let categoryMergeInstance = null;
+
+export const getCategoryMerge = (db) => {
+    if (!categoryMergeInstance) {
+        categoryMergeInstance = new CategoryMergeService(db);
+    }
+    return categoryMergeInstance;
+};
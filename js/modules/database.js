@@ -3,14 +3,34 @@
 /**
  * DATABASE MODULE
  * Supabase CRUD operations and data management
+ * (Supabase implementation of the storage backend interface in backend.js)
  */
 
-import { validationUtils } from './utils.js';
+import { validationUtils, caseUtils, categoryUtils, versionUtils, receiptUtils, dateUtils, tagUtils } from './utils.js';
+import { models } from './models.js';
+import { getSyncQueue } from './sync-queue.js';
+import { LocalBackend } from './local-backend.js';
+import { assertStorageBackend } from './backend.js';
+import { REALTIME_TABLES } from './realtime.js';
+import { TRASH_TABLES } from './trash.js';
+import { toAppError } from './errors.js';
+
+// Columns that hold each side of a reimbursement link
+const LINK_COLUMNS = {
+  incomes: ['is_reimbursement', 'linked_expense_ids'],
+  expenses: ['reimbursement_status', 'linked_income_id']
+};
+
+// The receipts bucket is private (sql/receipts-storage.sql); files are only
+// reachable through signed URLs, which expire after this many seconds
+const RECEIPT_URL_TTL = 60 * 5;
+const RECEIPT_LIST_PAGE = 100;
 
 class DatabaseService {
   constructor(supabase) {
     this.supabase = supabase;
     this.user = null;
+    this.syncQueue = getSyncQueue(this);
   }
 
   // User management
@@ -22,39 +42,32 @@ class DatabaseService {
     return this.user;
   }
 
+  // Offline-first: writes made while offline (or failing on the network)
+  // are queued and replayed in order once the connection returns
+  shouldQueueWrite(error = null) {
+    if (!this.syncQueue || this.syncQueue.replaying) return false;
+    return error ? this.syncQueue.isNetworkError(error) : this.syncQueue.shouldQueue();
+  }
+
   // Data transformation helpers
   toCamelCase(obj) {
-    if (!obj) return obj;
-    if (Array.isArray(obj)) return obj.map(item => this.toCamelCase(item));
-    if (typeof obj !== 'object') return obj;
-
-    const transformed = {};
-    for (const [key, value] of Object.entries(obj)) {
-      // Convert snake_case to camelCase
-      const camelKey = key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
-      transformed[camelKey] = value;
-    }
-    return transformed;
+    return caseUtils.toCamelCase(obj);
   }
 
   toSnakeCase(obj) {
-    if (!obj) return obj;
-    if (Array.isArray(obj)) return obj.map(item => this.toSnakeCase(item));
-    if (typeof obj !== 'object') return obj;
-
-    const transformed = {};
-    for (const [key, value] of Object.entries(obj)) {
-      // Convert camelCase to snake_case
-      const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
-      transformed[snakeKey] = value;
-    }
-    return transformed;
+    return caseUtils.toSnakeCase(obj);
+  }
+
+  // Rows in their state shape, normalized by the table's model
+  toRecord(table, rows) {
+    return models.fromRow(table, rows);
   }
 
   // Generic CRUD operations
   async create(table, data) {
     try {
       if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('create', [table, data]);
       
       const { data: result, error } = await this.supabase
         .from(table)
@@ -63,10 +76,12 @@ class DatabaseService {
         .single();
       
       if (error) throw error;
-      return this.toCamelCase(result);
+      await this.recordAudit(table, 'create', null, [result]);
+      return this.toRecord(table, result);
     } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('create', [table, data]);
       console.error(`Error creating ${table}:`, error);
-      throw error;
+      throw toAppError(error);
     }
   }
 
@@ -77,7 +92,8 @@ class DatabaseService {
           let query = this.supabase
               .from(table)
               .select('*')
-              .eq('user_id', this.user.id);
+              .eq('user_id', this.user.id)
+              .is('deleted_at', null);
           
           // Apply filters - convert keys to snake_case
           Object.entries(filters).forEach(([key, value]) => {
@@ -96,55 +112,236 @@ class DatabaseService {
           const { data, error } = await query;
           
           if (error) throw error;
-          return this.toCamelCase(data);
+          return this.toRecord(table, data);
       } catch (error) {
           console.error(`Error reading ${table}:`, error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
-  async update(table, id, updates) {
+  async update(table, id, updates, { expectedUpdatedAt } = {}) {
     try {
       if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('update', [table, id, updates, { expectedUpdatedAt }]);
       
-      const { data, error } = await this.supabase
-        .from(table)
-        .update(updates)
-        .eq('id', id)
-        .eq('user_id', this.user.id)
-        .select()
-        .single();
+      const before = await this.fetchRows(table, [id]);
+      const { data, error } = await this.matchVersion(
+        this.supabase
+          .from(table)
+          .update(versionUtils.stamp(table, updates))
+          .eq('id', id)
+          .eq('user_id', this.user.id),
+        expectedUpdatedAt
+      ).select().maybeSingle();
       
       if (error) throw error;
-      return this.toCamelCase(data);
+      if (!data) await this.rejectStaleWrite(table, id, new Error(`${table} record ${id} not found`));
+      await this.recordAudit(table, 'update', before, [data]);
+      return this.toRecord(table, data);
     } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('update', [table, id, updates, { expectedUpdatedAt }]);
       console.error(`Error updating ${table}:`, error);
-      throw error;
+      throw toAppError(error);
+    }
+  }
+
+  // Optimistic concurrency (expenses, incomes, wallets and recurring_rules need
+  // a nullable updated_at timestamptz column the database stamps on every
+  // update - sql/versions.sql). Queued offline writes keep their expectation,
+  // so a change saved elsewhere meanwhile fails the replay as a conflict.
+  matchVersion(query, expectedUpdatedAt) {
+    if (expectedUpdatedAt === undefined) return query;
+    return expectedUpdatedAt === null
+      ? query.is('updated_at', null)
+      : query.eq('updated_at', expectedUpdatedAt);
+  }
+  
+  // A conditional update that matched nothing - someone else saved first, or the row is gone
+  async rejectStaleWrite(table, id, missingError) {
+    const [current] = await this.fetchRows(table, [id]);
+    if (current && !current.deleted_at) {
+      throw versionUtils.conflictError(this.toRecord(table, current));
     }
+    throw missingError;
   }
 
+  // Soft delete - the row gets a deleted_at marker and moves to the Trash
+  // (every data table needs a nullable deleted_at timestamptz column - sql/trash.sql)
   async delete(table, id) {
     try {
       if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('delete', [table, id]);
+      
+      await this.markDeleted(table, 'id', [id], new Date().toISOString());
+      return true;
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('delete', [table, id]);
+      console.error(`Error deleting ${table}:`, error);
+      throw toAppError(error);
+    }
+  }
+
+  async markDeleted(table, column, values, deletedAt) {
+    const { data, error } = await this.supabase
+      .from(table)
+      .update({ deleted_at: deletedAt })
+      .in(column, values)
+      .eq('user_id', this.user.id)
+      .is('deleted_at', null)
+      .select();
+    
+    if (error) throw error;
+    
+    const before = (data || []).map(row => ({ ...row, deleted_at: null }));
+    await this.recordAudit(table, 'delete', before, data);
+  }
+
+  // Audit log - a before/after snapshot of each row every mutation touches
+  // (audit_log table: id, user_id, table_name, record_id, action, before jsonb,
+  // after jsonb, changed_by, created_at - sql/audit-log.sql)
+  async fetchRows(table, ids) {
+    if (ids.length === 0) return [];
+    
+    const { data, error } = await this.supabase
+      .from(table)
+      .select('*')
+      .in('id', ids)
+      .eq('user_id', this.user.id);
+    
+    if (error) throw error;
+    return data || [];
+  }
+
+  async recordAudit(table, action, beforeRows, afterRows) {
+    try {
+      const before = beforeRows || [];
+      const after = afterRows || [];
+      const ids = [...new Set([...before, ...after].map(row => row.id))];
+      if (ids.length === 0) return;
+      
+      // Budgets come back with a categories join - keep only the row itself
+      const snapshot = (rows, id) => {
+        const row = rows.find(r => r.id === id);
+        if (!row) return null;
+        const { categories, ...fields } = row;
+        return fields;
+      };
       
       const { error } = await this.supabase
+        .from('audit_log')
+        .insert(ids.map(id => ({
+          user_id: this.user.id,
+          table_name: table,
+          record_id: id,
+          action,
+          before: snapshot(before, id),
+          after: snapshot(after, id),
+          changed_by: this.user.email || this.user.id
+        })));
+      
+      if (error) throw error;
+    } catch (error) {
+      // A failed audit write must not fail the change itself
+      console.error('recordAudit - Error:', error);
+    }
+  }
+
+  // Change history for one record, newest first
+  async getHistory(table, recordId) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      
+      const { data, error } = await this.supabase
+        .from('audit_log')
+        .select('*')
+        .eq('user_id', this.user.id)
+        .eq('table_name', table)
+        .eq('record_id', recordId)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      // Shallow conversion - before/after stay as raw rows
+      return this.toCamelCase(data || []);
+    } catch (error) {
+      console.error('getHistory - Error:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // Trash - soft-deleted rows from every table, most recently deleted first
+  async getDeleted() {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      
+      const results = await Promise.all(TRASH_TABLES.map(table =>
+        this.supabase
+          .from(table)
+          .select(table === 'budgets' ? '*, categories(name, type)' : '*')
+          .eq('user_id', this.user.id)
+          .not('deleted_at', 'is', null)
+          .order('deleted_at', { ascending: false })
+      ));
+      
+      return Object.fromEntries(TRASH_TABLES.map((table, index) => {
+        const { data, error } = results[index];
+        if (error) throw error;
+        return [table, this.toRecord(table, data || [])];
+      }));
+    } catch (error) {
+      console.error('getDeleted - Error:', error);
+      throw toAppError(error);
+    }
+  }
+
+  async restore(table, ids) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      
+      const before = await this.fetchRows(table, ids);
+      const { data, error } = await this.supabase
+        .from(table)
+        .update(versionUtils.stamp(table, { deleted_at: null }))
+        .in('id', ids)
+        .eq('user_id', this.user.id)
+        .select(table === 'budgets' ? '*, categories(name, type)' : '*');
+      
+      if (error) throw error;
+      await this.recordAudit(table, 'restore', before, data);
+      return this.toRecord(table, data || []);
+    } catch (error) {
+      console.error(`Error restoring ${table}:`, error);
+      throw toAppError(error);
+    }
+  }
+
+  // Permanent delete - only rows already in the Trash
+  async purge(table, ids) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      
+      const { data, error } = await this.supabase
         .from(table)
         .delete()
-        .eq('id', id)
-        .eq('user_id', this.user.id);
+        .in('id', ids)
+        .eq('user_id', this.user.id)
+        .not('deleted_at', 'is', null)
+        .select();
       
       if (error) throw error;
+      await this.recordAudit(table, 'purge', data, null);
       return true;
     } catch (error) {
-      console.error(`Error deleting ${table}:`, error);
-      throw error;
+      console.error(`Error purging ${table}:`, error);
+      throw toAppError(error);
     }
   }
 
   //5.2
-  async createExpense(expenseData) {
+  async createExpense(expenseData, { expectedUpdatedAt } = {}) {
       try {
           if (!this.user) throw new Error('Not authenticated');
+          models.assertValid('expense', expenseData);
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('createExpense', [expenseData, { expectedUpdatedAt }]);
 
           const expenseRecord = {
               user_id: this.user.id,
@@ -152,13 +349,24 @@ class DatabaseService {
               description: expenseData.description,
               amount: expenseData.amount,
               date: expenseData.date,
+              category_id: expenseData.categoryId || null,
+              subcategory_id: expenseData.subcategoryId || null,
+              // Names are kept as a snapshot for rows whose category is later purged
               category: expenseData.category,
               subcategory: expenseData.subcategory || null,
               is_reimbursable: expenseData.isReimbursable || false,
               reimbursement_status: expenseData.isReimbursable ? 'pending' : 'not_applicable',
-              receipt_url: expenseData.receiptUrl || null
+              ...(expenseData.recurringRuleId !== undefined && { recurring_rule_id: expenseData.recurringRuleId }),
+              ...(expenseData.attachments !== undefined && { attachments: expenseData.attachments }),
+              // Unsplit expenses store null, so split ones can be found with `splits is not null`
+              ...(expenseData.splits !== undefined && { splits: expenseData.splits.length > 0 ? expenseData.splits : null }),
+              ...(expenseData.tags !== undefined && { tags: tagUtils.normalizeList(expenseData.tags) }),
+              ...(expenseData.merchantId !== undefined && { merchant_id: expenseData.merchantId || null })
           };
           
+          // Id generated while offline, kept so queued follow-up writes still match
+          if (expenseData.clientId) expenseRecord.id = expenseData.clientId;
+          
           if (expenseData.id) {
               const { data: existingExpense, error: checkError } = await this.supabase
                   .from('expenses')
@@ -182,39 +390,47 @@ class DatabaseService {
                   expenseRecord.reimbursement_status = 'not_applicable';
               }
               
-              const { data, error } = await this.supabase
+              const { data, error } = await this.matchVersion(this.supabase
                   .from('expenses')
-                  .update({
+                  .update(versionUtils.stamp('expenses', {
                       description: expenseRecord.description,
                       amount: expenseRecord.amount,
                       date: expenseRecord.date,
+                      category_id: expenseRecord.category_id,
+                      subcategory_id: expenseRecord.subcategory_id,
                       category: expenseRecord.category,
                       subcategory: expenseRecord.subcategory,
                       is_reimbursable: expenseRecord.is_reimbursable,
                       reimbursement_status: expenseRecord.reimbursement_status,
                       wallet_id: expenseRecord.wallet_id,
-                      receipt_url: expenseRecord.receipt_url,
+                      ...(expenseRecord.attachments !== undefined && { 
+                          attachments: expenseRecord.attachments 
+                      }),
+                      ...(expenseRecord.splits !== undefined && { splits: expenseRecord.splits }),
+                      ...(expenseRecord.tags !== undefined && { tags: expenseRecord.tags }),
+                      ...(expenseRecord.merchant_id !== undefined && { merchant_id: expenseRecord.merchant_id }),
                       ...(expenseRecord.linked_income_id !== undefined && { 
                           linked_income_id: expenseRecord.linked_income_id 
                       })
-                  })
+                  }))
                   .eq('id', expenseData.id)
-                  .eq('user_id', this.user.id)
+                  .eq('user_id', this.user.id), expectedUpdatedAt)
                   .select()
                   .maybeSingle();
               
               if (error) {
                   console.error('createExpense - Update error:', error);
-                  throw error;
+                  throw toAppError(error);
               }
               
               if (!data) {
                   const notFoundError = new Error('Expense update failed - record not found');
                   notFoundError.code = 'EXPENSE_NOT_FOUND';
-                  throw notFoundError;
+                  await this.rejectStaleWrite('expenses', expenseData.id, notFoundError);
               }
               
-              return this.toCamelCase(data);
+              await this.recordAudit('expenses', 'update', [existingExpense], [data]);
+              return this.toRecord('expenses', data);
           } else {
               const { data, error } = await this.supabase
                   .from('expenses')
@@ -224,60 +440,148 @@ class DatabaseService {
               
               if (error) {
                   console.error('createExpense - Insert error:', error);
-                  throw error;
+                  throw toAppError(error);
               }
-              return this.toCamelCase(data);
+              await this.recordAudit('expenses', 'create', null, [data]);
+              return this.toRecord('expenses', data);
           }
       } catch (error) {
+          if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('createExpense', [expenseData, { expectedUpdatedAt }]);
           console.error('createExpense - Fatal error:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
-  async uploadReceipt(file, expenseId) {
+  /**
+   * Upload a receipt prepared by processReceipt
+   * @param {File} file - Receipt file
+   * @param {string} expenseId - Expense the receipt belongs to
+   * @param {File} options.thumbnail - Small JPEG for lists and previews
+   * @returns {Object} { path, thumbnailPath } - storage paths to save on the expense
+   */
+  async uploadReceipt(file, expenseId, { thumbnail } = {}) {
       try {
           if (!this.user) throw new Error('Not authenticated');
+          if (this.syncQueue?.isOffline()) {
+              const offlineError = new Error('Receipts can only be uploaded while online');
+              offlineError.code = 'OFFLINE';
+              throw offlineError;
+          }
           
           // Create unique filename
           const fileExt = file.name.split('.').pop();
-          const fileName = `${this.user.id}/${expenseId}_${Date.now()}.${fileExt}`;
+          const baseName = `${this.user.id}/${expenseId}_${Date.now()}`;
+          const uploads = [[`${baseName}.${fileExt}`, file]];
+          if (thumbnail) uploads.push([`${baseName}_thumb.jpg`, thumbnail]);
           
           // Upload to Supabase Storage
+          const results = await Promise.all(uploads.map(([path, body]) =>
+              this.supabase.storage
+                  .from(receiptUtils.BUCKET)
+                  .upload(path, body, {
+                      cacheControl: '3600',
+                      upsert: false
+                  })
+          ));
+          
+          const failed = results.find(result => result.error);
+          if (failed) {
+              await this.deleteReceipt(...uploads.map(([path]) => path));
+              throw failed.error;
+          }
+          
+          // The expense keeps the paths; links are signed on demand by getReceiptUrl
+          return { path: uploads[0][0], thumbnailPath: uploads[1]?.[0] || null };
+      } catch (error) {
+          console.error('Error uploading receipt:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Short-lived signed URL for a receipt
+   * @param {string} receipt - Storage path (or a not yet migrated public URL)
+   * @param {string} options.download - Serve as an attachment with this file name
+   */
+  async getReceiptUrl(receipt, { download } = {}) {
+      try {
+          const filePath = receiptUtils.getPath(receipt);
+          if (!filePath) return receipt || null;
+          
           const { data, error } = await this.supabase.storage
-              .from('receipts')
-              .upload(fileName, file, {
-                  cacheControl: '3600',
-                  upsert: false
-              });
+              .from(receiptUtils.BUCKET)
+              .createSignedUrl(filePath, RECEIPT_URL_TTL, download ? { download } : undefined);
           
           if (error) throw error;
+          return data.signedUrl;
+      } catch (error) {
+          console.error('Error signing receipt URL:', error);
+          throw toAppError(error);
+      }
+  }
+
+  // Signed URLs for several receipts in one request, in the same order
+  async getReceiptUrls(receipts) {
+      try {
+          const filePaths = receipts.map(receipt => receiptUtils.getPath(receipt));
+          const toSign = [...new Set(filePaths.filter(Boolean))];
+          if (toSign.length === 0) return receipts.map(receipt => receipt || null);
           
-          // Get public URL
-          const { data: { publicUrl } } = this.supabase.storage
-              .from('receipts')
-              .getPublicUrl(fileName);
+          const { data, error } = await this.supabase.storage
+              .from(receiptUtils.BUCKET)
+              .createSignedUrls(toSign, RECEIPT_URL_TTL);
           
-          return publicUrl;
+          if (error) throw error;
+          const signed = new Map(data.filter(item => !item.error).map(item => [item.path, item.signedUrl]));
+          return receipts.map((receipt, index) =>
+              filePaths[index] ? signed.get(filePaths[index]) || null : receipt || null
+          );
       } catch (error) {
-          console.error('Error uploading receipt:', error);
-          throw error;
+          console.error('Error signing receipt URLs:', error);
+          throw toAppError(error);
       }
   }
 
-  // Add method to delete receipt from storage
-  async deleteReceipt(receiptUrl) {
+  /**
+   * Every file in the user's folder of the receipts bucket
+   * @returns {Array} [{ path, size, createdAt }]
+   */
+  async listReceiptFiles() {
       try {
-          if (!receiptUrl) return true;
-          
-          // Extract file path from URL
-          const urlParts = receiptUrl.split('/receipts/');
-          if (urlParts.length < 2) return true;
+          if (!this.user) throw new Error('Not authenticated');
           
-          const filePath = urlParts[1];
+          const files = [];
+          for (let offset = 0; ; offset += RECEIPT_LIST_PAGE) {
+              const { data, error } = await this.supabase.storage
+                  .from(receiptUtils.BUCKET)
+                  .list(this.user.id, { limit: RECEIPT_LIST_PAGE, offset, sortBy: { column: 'name', order: 'asc' } });
+              
+              if (error) throw error;
+              
+              // Entries without an id are folder placeholders
+              data.filter(item => item.id).forEach(item => files.push({
+                  path: `${this.user.id}/${item.name}`,
+                  size: item.metadata?.size || 0,
+                  createdAt: item.created_at
+              }));
+              if (data.length < RECEIPT_LIST_PAGE) return files;
+          }
+      } catch (error) {
+          console.error('Error listing receipt files:', error);
+          throw toAppError(error);
+      }
+  }
+
+  // Add method to delete receipt from storage - the file and its thumbnail
+  async deleteReceipt(...receipts) {
+      try {
+          // Accepts paths or legacy public URLs
+          const filePaths = receipts.map(receipt => receiptUtils.getPath(receipt)).filter(Boolean);
+          if (filePaths.length === 0) return true;
           
           const { error } = await this.supabase.storage
-              .from('receipts')
-              .remove([filePath]);
+              .from(receiptUtils.BUCKET)
+              .remove(filePaths);
           
           if (error) throw error;
           return true;
@@ -292,9 +596,11 @@ class DatabaseService {
     return await this.read('expenses', filters, { column: 'date', ascending: false });
   }
 
-  async updateExpense(id, updates) {
+  async updateExpense(id, updates, { expectedUpdatedAt } = {}) {
       try {
           if (!this.user) throw new Error('Not authenticated');
+          models.assertValid('expense', updates, { partial: true });
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('updateExpense', [id, updates, { expectedUpdatedAt }]);
           
           const { data: existingExpense, error: checkError } = await this.supabase
               .from('expenses')
@@ -311,15 +617,25 @@ class DatabaseService {
               throw notFoundError;
           }
           
+          // Split lines are checked against the amount they must add up to
+          if ((updates.splits ?? existingExpense.splits)?.length > 0) {
+              models.assertValid('expense', { ...existingExpense, ...updates });
+          }
+          
           const updateData = {};
           
           if (updates.description !== undefined) updateData.description = updates.description;
           if (updates.amount !== undefined) updateData.amount = updates.amount;
           if (updates.date !== undefined) updateData.date = updates.date;
+          if (updates.category_id !== undefined) updateData.category_id = updates.category_id;
+          if (updates.subcategory_id !== undefined) updateData.subcategory_id = updates.subcategory_id;
           if (updates.category !== undefined) updateData.category = updates.category;
           if (updates.subcategory !== undefined) updateData.subcategory = updates.subcategory;
           if (updates.wallet_id !== undefined) updateData.wallet_id = updates.wallet_id;
-          if (updates.receipt_url !== undefined) updateData.receipt_url = updates.receipt_url;
+          if (updates.attachments !== undefined) updateData.attachments = updates.attachments;
+          if (updates.splits !== undefined) updateData.splits = updates.splits.length > 0 ? updates.splits : null;
+          if (updates.tags !== undefined) updateData.tags = tagUtils.normalizeList(updates.tags);
+          if (updates.merchant_id !== undefined) updateData.merchant_id = updates.merchant_id || null;
           
           if (updates.is_reimbursable !== undefined) {
               updateData.is_reimbursable = updates.is_reimbursable;
@@ -340,29 +656,31 @@ class DatabaseService {
               updateData.linked_income_id = updates.linked_income_id;
           }
           
-          const { data, error } = await this.supabase
+          const { data, error } = await this.matchVersion(this.supabase
               .from('expenses')
-              .update(updateData)
+              .update(versionUtils.stamp('expenses', updateData))
               .eq('id', id)
-              .eq('user_id', this.user.id)
+              .eq('user_id', this.user.id), expectedUpdatedAt)
               .select()
               .maybeSingle();
           
           if (error) {
               console.error('updateExpense - Error:', error);
-              throw error;
+              throw toAppError(error);
           }
           
           if (!data) {
               const notFoundError = new Error('Expense update failed - record not found');
               notFoundError.code = 'EXPENSE_NOT_FOUND';
-              throw notFoundError;
+              await this.rejectStaleWrite('expenses', id, notFoundError);
           }
           
-          return this.toCamelCase(data);
+          await this.recordAudit('expenses', 'update', [existingExpense], [data]);
+          return this.toRecord('expenses', data);
       } catch (error) {
+          if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('updateExpense', [id, updates, { expectedUpdatedAt }]);
           console.error('updateExpense - Fatal error:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
@@ -371,9 +689,11 @@ class DatabaseService {
   }
 
   // Income-specific operations
-  async createIncome(incomeData) {
+  async createIncome(incomeData, { expectedUpdatedAt } = {}) {
       try {
           if (!this.user) throw new Error('Not authenticated');
+          models.assertValid('income', incomeData);
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('createIncome', [incomeData, { expectedUpdatedAt }]);
           
           const incomeRecord = {
               user_id: this.user.id,
@@ -384,21 +704,36 @@ class DatabaseService {
               wallet_id: incomeData.walletId,
               // NEW: Add reimbursement fields
               is_reimbursement: incomeData.isReimbursement || false,
-              linked_expense_ids: incomeData.linkedExpenseIds || []
+              linked_expense_ids: incomeData.linkedExpenseIds || [],
+              ...(incomeData.recurringRuleId !== undefined && { recurring_rule_id: incomeData.recurringRuleId }),
+              ...(incomeData.attachments !== undefined && { attachments: incomeData.attachments }),
+              ...(incomeData.tags !== undefined && { tags: tagUtils.normalizeList(incomeData.tags) }),
+              ...(incomeData.merchantId !== undefined && { merchant_id: incomeData.merchantId || null })
           };
           
+          if (incomeData.clientId) incomeRecord.id = incomeData.clientId;
+          
           if (incomeData.id) {
               // Update existing
-              const { data, error } = await this.supabase
+              const before = await this.fetchRows('incomes', [incomeData.id]);
+              const { data, error } = await this.matchVersion(this.supabase
                   .from('incomes')
-                  .update(incomeRecord)
+                  .update(versionUtils.stamp('incomes', incomeRecord))
                   .eq('id', incomeData.id)
-                  .eq('user_id', this.user.id)
+                  .eq('user_id', this.user.id), expectedUpdatedAt)
                   .select()
-                  .single();
+                  .maybeSingle();
               
               if (error) throw error;
-              return this.toCamelCase(data);
+              
+              if (!data) {
+                  const notFoundError = new Error(`Income with ID ${incomeData.id} not found`);
+                  notFoundError.code = 'INCOME_NOT_FOUND';
+                  await this.rejectStaleWrite('incomes', incomeData.id, notFoundError);
+              }
+              
+              await this.recordAudit('incomes', 'update', before, [data]);
+              return this.toRecord('incomes', data);
           } else {
               // Insert new
               const { data, error } = await this.supabase
@@ -408,17 +743,27 @@ class DatabaseService {
                   .single();
               
               if (error) throw error;
+              await this.recordAudit('incomes', 'create', null, [data]);
               
               // If this is a reimbursement, link the expenses
               if (incomeData.isReimbursement && incomeData.linkedExpenseIds?.length > 0) {
-                  await this.linkReimbursement(data.id, incomeData.linkedExpenseIds);
+                  try {
+                      const { income } = await this.linkReimbursement(data.id, incomeData.linkedExpenseIds);
+                      return income;
+                  } catch (linkError) {
+                      // Don't leave a reimbursement income behind with nothing linked
+                      await this.supabase.from('incomes').delete().eq('id', data.id).eq('user_id', this.user.id);
+                      await this.recordAudit('incomes', 'purge', [data], null);
+                      throw linkError;
+                  }
               }
               
-              return this.toCamelCase(data);
+              return this.toRecord('incomes', data);
           }
       } catch (error) {
+          if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('createIncome', [incomeData, { expectedUpdatedAt }]);
           console.error('createIncome - Error:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
@@ -426,9 +771,11 @@ class DatabaseService {
     return await this.read('incomes', filters, { column: 'date', ascending: false });
   }
 
-  async updateIncome(id, updates) {
+  async updateIncome(id, updates, { expectedUpdatedAt } = {}) {
       try {
           if (!this.user) throw new Error('Not authenticated');
+          models.assertValid('income', updates, { partial: true });
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('updateIncome', [id, updates, { expectedUpdatedAt }]);
           
           // Build the update object with proper snake_case conversion
           const updateData = {};
@@ -438,6 +785,9 @@ class DatabaseService {
           if (updates.date !== undefined) updateData.date = updates.date;
           if (updates.source !== undefined) updateData.source = updates.source;
           if (updates.wallet_id !== undefined) updateData.wallet_id = updates.wallet_id;
+          if (updates.attachments !== undefined) updateData.attachments = updates.attachments;
+          if (updates.tags !== undefined) updateData.tags = tagUtils.normalizeList(updates.tags);
+          if (updates.merchant_id !== undefined) updateData.merchant_id = updates.merchant_id || null;
           
           // ⭐ CRITICAL: Handle is_reimbursement and linked_expense_ids fields
           if (updates.isReimbursement !== undefined) {
@@ -450,24 +800,34 @@ class DatabaseService {
               console.log('🔧 DATABASE: Updating linked_expense_ids to:', updates.linkedExpenseIds);
           }
           
-          const { data, error } = await this.supabase
+          const before = await this.fetchRows('incomes', [id]);
+          const { data, error } = await this.matchVersion(this.supabase
               .from('incomes')
-              .update(updateData)
+              .update(versionUtils.stamp('incomes', updateData))
               .eq('id', id)
-              .eq('user_id', this.user.id)
+              .eq('user_id', this.user.id), expectedUpdatedAt)
               .select()
-              .single();
+              .maybeSingle();
           
           if (error) {
               console.error('updateIncome - Error:', error);
-              throw error;
+              throw toAppError(error);
+          }
+          
+          if (!data) {
+              const notFoundError = new Error(`Income with ID ${id} not found`);
+              notFoundError.code = 'INCOME_NOT_FOUND';
+              await this.rejectStaleWrite('incomes', id, notFoundError);
           }
           
+          await this.recordAudit('incomes', 'update', before, [data]);
+          
           console.log('✅ DATABASE: Income updated successfully');
-          return this.toCamelCase(data);
+          return this.toRecord('incomes', data);
       } catch (error) {
+          if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('updateIncome', [id, updates, { expectedUpdatedAt }]);
           console.error('updateIncome - Fatal error:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
@@ -477,7 +837,11 @@ class DatabaseService {
 
   // Wallet-specific operations
   async createWallet(walletData) {
+      models.assertValid('wallet', walletData);
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('createWallet', [walletData]);
+      
       const data = { name: walletData.name };
+      if (walletData.clientId) data.id = walletData.clientId;
       
       // If this is marked as default or it's the first wallet, set as default
       if (walletData.isDefault) {
@@ -502,7 +866,10 @@ class DatabaseService {
     return await this.read('wallets');
   }
 
-  async updateWallet(id, updates) {
+  async updateWallet(id, updates, options = {}) {
+      models.assertValid('wallet', updates, { partial: true });
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('updateWallet', [id, updates]);
+      
       const data = {};
       if (updates.name) data.name = updates.name;
       
@@ -520,16 +887,109 @@ class DatabaseService {
           }
       }
       
-      return await this.update('wallets', id, data);
+      return await this.update('wallets', id, data, options);
   }
 
+  // The wallet's transactions, transfers and budgets go to the Trash with the
+  // same deleted_at, so restoring the wallet brings them back as one entry
   async deleteWallet(id) {
-    return await this.delete('wallets', id);
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('deleteWallet', [id]);
+      
+      const deletedAt = new Date().toISOString();
+      await this.markDeleted('expenses', 'wallet_id', [id], deletedAt);
+      await this.markDeleted('incomes', 'wallet_id', [id], deletedAt);
+      await this.markDeleted('transfers', 'from_wallet_id', [id], deletedAt);
+      await this.markDeleted('transfers', 'to_wallet_id', [id], deletedAt);
+      await this.markDeleted('budgets', 'wallet_id', [id], deletedAt);
+      await this.markDeleted('wallets', 'id', [id], deletedAt);
+      return true;
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('deleteWallet', [id]);
+      console.error('Error deleting wallet:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // Move a wallet's transactions, transfers and budgets into another wallet,
+  // then trash the emptied wallet. A budget for a category the target wallet
+  // already has a budget for, and a transfer with the target wallet, stay
+  // behind and go to the Trash with it.
+  async reassignWallet(id, targetWalletId) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('reassignWallet', [id, targetWalletId]);
+      if (id === targetWalletId) throw new Error('Choose a different wallet to move into');
+      
+      const { data: targetBudgets, error } = await this.supabase
+        .from('budgets')
+        .select('category_id')
+        .eq('user_id', this.user.id)
+        .eq('wallet_id', targetWalletId);
+      
+      if (error) throw error;
+      const budgeted = (targetBudgets || []).map(budget => budget.category_id);
+      
+      const moveTo = { wallet_id: targetWalletId };
+      await this.moveRows('expenses', 'wallet_id', id, moveTo);
+      await this.moveRows('incomes', 'wallet_id', id, moveTo);
+      await this.moveRows('transfers', 'from_wallet_id', id, { from_wallet_id: targetWalletId },
+        transfer => transfer.to_wallet_id !== targetWalletId);
+      await this.moveRows('transfers', 'to_wallet_id', id, { to_wallet_id: targetWalletId },
+        transfer => transfer.from_wallet_id !== targetWalletId);
+      await this.moveRows('budgets', 'wallet_id', id, moveTo, budget => !budgeted.includes(budget.category_id));
+      await this.refileRuleTemplates('walletId', id, { walletId: targetWalletId });
+      
+      return await this.deleteWallet(id);
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('reassignWallet', [id, targetWalletId]);
+      console.error('Error reassigning wallet:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // Update every row whose `column` is fromId. Trashed rows move too, so they
+  // can still be restored after the wallet or category they belonged to is gone.
+  async moveRows(table, column, fromId, updates, shouldMove = () => true) {
+    const { data: rows, error } = await this.supabase
+      .from(table)
+      .select('*')
+      .eq('user_id', this.user.id)
+      .eq(column, fromId);
+    
+    if (error) throw error;
+    
+    const before = (rows || []).filter(shouldMove);
+    if (before.length === 0) return [];
+    
+    const { data, error: updateError } = await this.supabase
+      .from(table)
+      .update(versionUtils.stamp(table, updates))
+      .in('id', before.map(row => row.id))
+      .eq('user_id', this.user.id)
+      .select();
+    
+    if (updateError) throw updateError;
+    await this.recordAudit(table, 'update', before, data);
+    return data;
+  }
+
+  // Archived wallets are hidden from the wallet picker but keep their data for
+  // analytics (wallets need a nullable archived_at timestamptz column - sql/wallet-archive.sql)
+  async archiveWallet(id, archived = true) {
+    const updates = { archived_at: archived ? new Date().toISOString() : null };
+    if (archived) updates.is_default = false;
+    
+    return await this.update('wallets', id, updates);
   }
 
   async setDefaultWallet(walletId) {
     try {
       if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('setDefaultWallet', [walletId]);
+      
+      const before = await this.fetchRows('wallets', [walletId]);
       
       // First, unset all wallets as default
       await this.supabase
@@ -547,10 +1007,12 @@ class DatabaseService {
         .single();
       
       if (error) throw error;
-      return this.toCamelCase(data);
+      await this.recordAudit('wallets', 'update', before, [data]);
+      return this.toRecord('wallets', data);
     } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('setDefaultWallet', [walletId]);
       console.error('Error setting default wallet:', error);
-      throw error;
+      throw toAppError(error);
     }
   }
 
@@ -563,10 +1025,12 @@ class DatabaseService {
         .select('*')
         .eq('user_id', this.user.id)
         .eq('is_default', true)
+        .is('deleted_at', null)
+        .is('archived_at', null)
         .single();
       
       if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
-      return data ? this.toCamelCase(data) : null;
+      return data ? this.toRecord('wallets', data) : null;
     } catch (error) {
       console.error('Error getting default wallet:', error);
       return null;
@@ -577,6 +1041,7 @@ class DatabaseService {
   async createCategory(categoryData) {
     try {
       if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('createCategory', [categoryData]);
       
       const data = {
         name: categoryData.name,
@@ -592,6 +1057,7 @@ class DatabaseService {
       // Check if we're updating an existing category
       if (categoryData.id && validationUtils.isValidUUID(categoryData.id)) {
         // UPDATE existing category
+        const before = await this.fetchRows('categories', [categoryData.id]);
         const { data: result, error } = await this.supabase
           .from('categories')
           .update(data)
@@ -601,9 +1067,16 @@ class DatabaseService {
           .single();
         
         if (error) throw error;
+        await this.recordAudit('categories', 'update', before, [result]);
+        
+        if (before[0]?.name !== result.name) {
+          await this.renameExpenseCategory(result);
+        }
         return this.toCamelCase(result);
       } else {
         // INSERT new category
+        if (categoryData.clientId) data.id = categoryData.clientId;
+        
         const { data: result, error } = await this.supabase
           .from('categories')
           .insert([{ ...data, user_id: this.user.id }])
@@ -611,11 +1084,13 @@ class DatabaseService {
           .single();
         
         if (error) throw error;
+        await this.recordAudit('categories', 'create', null, [result]);
         return this.toCamelCase(result);
       }
     } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('createCategory', [categoryData]);
       console.error('Error in createCategory:', error);
-      throw error;
+      throw toAppError(error);
     }
   }
 
@@ -624,97 +1099,757 @@ class DatabaseService {
   }
 
   async updateCategory(id, updates) {
-    return await this.update('categories', id, updates);
+    const category = await this.update('categories', id, updates);
+    
+    if (updates.name !== undefined && !this.shouldQueueWrite()) {
+      await this.renameExpenseCategory(this.toSnakeCase(category));
+    }
+    return category;
   }
 
-  async deleteCategory(id) {
-    return await this.delete('categories', id);
+  // Refresh the name snapshot on expenses after a rename - the id stays the reference
+  async renameExpenseCategory(category) {
+    const [idColumn, nameColumn] = category.type === 'sub'
+      ? ['subcategory_id', 'subcategory']
+      : ['category_id', 'category'];
+    
+    const { data: before, error } = await this.supabase
+      .from('expenses')
+      .select('*')
+      .eq('user_id', this.user.id)
+      .eq(idColumn, category.id)
+      .neq(nameColumn, category.name);
+    
+    if (error) throw error;
+    
+    if (before?.length > 0) {
+      const { data, error: updateError } = await this.supabase
+        .from('expenses')
+        .update(versionUtils.stamp('expenses', { [nameColumn]: category.name }))
+        .in('id', before.map(row => row.id))
+        .eq('user_id', this.user.id)
+        .select();
+      
+      if (updateError) throw updateError;
+      await this.recordAudit('expenses', 'update', before, data);
+    }
+    
+    await this.refileSplitLines(idColumn === 'category_id' ? 'categoryId' : 'subcategoryId', category.id, {
+      [nameColumn]: category.name
+    });
   }
 
-  // Aggregated queries
-  async getMonthlySummary(month, year, walletId = null) {
+  /**
+   * Split lines keep their own category ids and names. Apply updates to the
+   * lines where field is fromId - one write per expense, as each row's lines differ.
+   * @param {string} field - 'categoryId' or 'subcategoryId'
+   */
+  async refileSplitLines(field, fromId, updates) {
+    const { data: rows, error } = await this.supabase
+      .from('expenses')
+      .select('*')
+      .eq('user_id', this.user.id)
+      .not('splits', 'is', null);
+    
+    if (error) throw error;
+    
+    const changes = line => line[field] === fromId && Object.entries(updates).some(([key, value]) => line[key] !== value);
+    const before = (rows || []).filter(row => row.splits.some(changes));
+    const after = [];
+    
+    for (const row of before) {
+      const splits = row.splits.map(line => changes(line) ? { ...line, ...updates } : line);
+      const { data, error: updateError } = await this.supabase
+        .from('expenses')
+        .update(versionUtils.stamp('expenses', { splits }))
+        .eq('id', row.id)
+        .eq('user_id', this.user.id)
+        .select()
+        .single();
+      
+      if (updateError) throw updateError;
+      after.push(data);
+    }
+    
+    if (before.length > 0) await this.recordAudit('expenses', 'update', before, after);
+  }
+
+  /**
+   * Recurring rules keep the transaction they add as a template, split lines
+   * included. Apply updates where field is fromId, so the next occurrence
+   * lands in the merged category or the wallet the rule was moved into.
+   * @param {string} field - 'categoryId', 'subcategoryId' or 'walletId'
+   */
+  async refileRuleTemplates(field, fromId, updates) {
+    const { data: rows, error } = await this.supabase
+      .from('recurring_rules')
+      .select('*')
+      .eq('user_id', this.user.id);
+    
+    if (error) throw error;
+    
+    const changes = item => item[field] === fromId && Object.entries(updates).some(([key, value]) => item[key] !== value);
+    const refile = item => changes(item) ? { ...item, ...updates } : item;
+    const before = (rows || []).filter(row => changes(row.template) || row.template.splits?.some(changes));
+    const after = [];
+    
+    for (const row of before) {
+      const template = refile(row.template);
+      if (row.template.splits) template.splits = row.template.splits.map(refile);
+      
+      const { data, error: updateError } = await this.supabase
+        .from('recurring_rules')
+        .update(versionUtils.stamp('recurring_rules', { template }))
+        .eq('id', row.id)
+        .eq('user_id', this.user.id)
+        .select()
+        .single();
+      
+      if (updateError) throw updateError;
+      after.push(data);
+    }
+    
+    if (before.length > 0) await this.recordAudit('recurring_rules', 'update', before, after);
+  }
+
+  /**
+   * One-time backfill of category_id/subcategory_id for expenses saved when
+   * categories were referenced by name (expenses need nullable uuid columns
+   * category_id and subcategory_id - sql/category-ids.sql)
+   * @returns {number} Number of expenses migrated
+   */
+  async migrateExpenseCategories() {
     try {
       if (!this.user) throw new Error('User not authenticated');
       
-      // Get start and end dates for the month
-      const startDate = new Date(year, month, 1).toISOString();
-      const endDate = new Date(year, month + 1, 0).toISOString();
+      const [expenseResult, categoryResult] = await Promise.all([
+        this.supabase
+          .from('expenses')
+          .select('*')
+          .eq('user_id', this.user.id)
+          .is('category_id', null)
+          .not('category', 'is', null),
+        this.supabase
+          .from('categories')
+          .select('*')
+          .eq('user_id', this.user.id)
+      ]);
+      
+      if (expenseResult.error) throw expenseResult.error;
+      if (categoryResult.error) throw categoryResult.error;
+      
+      // One update per distinct category/subcategory pair
+      const groups = new Map();
+      (expenseResult.data || []).forEach(expense => {
+        const { categoryId, subcategoryId } = categoryUtils.matchCategoryIds(
+          expense.category, expense.subcategory, categoryResult.data || []
+        );
+        if (!categoryId) return;
+        
+        const key = `${categoryId}:${subcategoryId}`;
+        if (!groups.has(key)) {
+          groups.set(key, { ids: { category_id: categoryId, subcategory_id: subcategoryId }, rows: [] });
+        }
+        groups.get(key).rows.push(expense);
+      });
+      
+      let migrated = 0;
+      for (const { ids, rows } of groups.values()) {
+        const { data, error } = await this.supabase
+          .from('expenses')
+          .update(versionUtils.stamp('expenses', ids))
+          .in('id', rows.map(row => row.id))
+          .eq('user_id', this.user.id)
+          .select();
+        
+        if (error) throw error;
+        await this.recordAudit('expenses', 'update', rows, data);
+        migrated += rows.length;
+      }
+      return migrated;
+    } catch (error) {
+      console.error('Error migrating expense categories:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // Expenses saved while the bucket was public hold a public URL - keep only the path
+  async migrateReceiptPaths() {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
       
-      // Build expense query
-      let expenseQuery = this.supabase
+      const { data: rows, error } = await this.supabase
         .from('expenses')
-        .select('amount')
+        .select('*')
         .eq('user_id', this.user.id)
-        .gte('date', startDate)
-        .lte('date', endDate);
+        .like('receipt_url', 'http%');
+      
+      if (error) throw error;
       
-      if (walletId) {
-        expenseQuery = expenseQuery.eq('wallet_id', walletId);
+      let migrated = 0;
+      for (const row of rows || []) {
+        const { data, error: updateError } = await this.supabase
+          .from('expenses')
+          .update(versionUtils.stamp('expenses', { receipt_url: receiptUtils.getPath(row.receipt_url) }))
+          .eq('id', row.id)
+          .eq('user_id', this.user.id)
+          .select();
+        
+        if (updateError) throw updateError;
+        await this.recordAudit('expenses', 'update', [row], data);
+        migrated++;
       }
+      return migrated;
+    } catch (error) {
+      console.error('Error migrating receipt paths:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // An expense's single receipt from before attachments becomes its first attachment
+  async migrateReceiptAttachments() {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
       
-      // Build income query
-      let incomeQuery = this.supabase
-        .from('incomes')
-        .select('amount')
+      const { data: rows, error } = await this.supabase
+        .from('expenses')
+        .select('*')
         .eq('user_id', this.user.id)
-        .gte('date', startDate)
-        .lte('date', endDate);
+        .not('receipt_url', 'is', null);
+      
+      if (error) throw error;
       
-      if (walletId) {
-        incomeQuery = incomeQuery.eq('wallet_id', walletId);
+      let migrated = 0;
+      for (const row of rows || []) {
+        const receipt = {
+          path: receiptUtils.getPath(row.receipt_url),
+          thumbnailPath: row.receipt_thumbnail_url || null,
+          caption: ''
+        };
+        const { data, error: updateError } = await this.supabase
+          .from('expenses')
+          .update(versionUtils.stamp('expenses', {
+            attachments: [receipt, ...(row.attachments || [])],
+            receipt_url: null,
+            receipt_thumbnail_url: null
+          }))
+          .eq('id', row.id)
+          .eq('user_id', this.user.id)
+          .select();
+        
+        if (updateError) throw updateError;
+        await this.recordAudit('expenses', 'update', [row], data);
+        migrated++;
       }
+      return migrated;
+    } catch (error) {
+      console.error('Error migrating receipt attachments:', error);
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Move everything filed under one category into another, then trash the
+   * emptied source. Merging a main category re-homes its subcategories under
+   * the target; a budget the target already has in that wallet wins and the
+   * source's budget goes to the Trash with it.
+   */
+  async mergeCategory(sourceId, targetId) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('mergeCategory', [sourceId, targetId]);
       
-      // Execute both queries in parallel
-      const [expensesResult, incomesResult] = await Promise.all([
-        expenseQuery,
-        incomeQuery
-      ]);
+      const categories = await this.fetchRows('categories', [sourceId, targetId]);
+      const source = categories.find(c => c.id === sourceId);
+      const target = categories.find(c => c.id === targetId);
+      this.assertCategoryChange(categoryUtils.getMergeError(source, target), 'INVALID_CATEGORY_MERGE');
       
-      if (expensesResult.error) throw expensesResult.error;
-      if (incomesResult.error) throw incomesResult.error;
+      const { data: targetBudgets, error } = await this.supabase
+        .from('budgets')
+        .select('wallet_id')
+        .eq('user_id', this.user.id)
+        .eq('category_id', targetId);
       
-      const totalExpenses = expensesResult.data.reduce((sum, item) => sum + item.amount, 0);
-      const totalIncomes = incomesResult.data.reduce((sum, item) => sum + item.amount, 0);
+      if (error) throw error;
+      const budgetedWallets = (targetBudgets || []).map(budget => budget.wallet_id);
       
-      return {
-        expenses: totalExpenses,
-        incomes: totalIncomes,
-        balance: totalIncomes - totalExpenses,
-        expenseCount: expensesResult.data.length,
-        incomeCount: incomesResult.data.length
-      };
+      if (target.type === 'sub') {
+        const [parent] = await this.fetchRows('categories', [target.parent_id]);
+        await this.moveRows('expenses', 'subcategory_id', sourceId, {
+          subcategory_id: targetId,
+          subcategory: target.name,
+          category_id: target.parent_id,
+          category: parent?.name ?? null
+        });
+        await this.refileSplitLines('subcategoryId', sourceId, {
+          subcategoryId: targetId,
+          subcategory: target.name,
+          categoryId: target.parent_id,
+          category: parent?.name ?? null
+        });
+        await this.moveRows('merchants', 'default_subcategory_id', sourceId, {
+          default_subcategory_id: targetId,
+          default_category_id: target.parent_id
+        });
+        await this.refileRuleTemplates('subcategoryId', sourceId, {
+          subcategoryId: targetId,
+          subcategory: target.name,
+          categoryId: target.parent_id,
+          category: parent?.name ?? null
+        });
+      } else {
+        await this.moveRows('expenses', 'category_id', sourceId, { category_id: targetId, category: target.name });
+        await this.refileSplitLines('categoryId', sourceId, { categoryId: targetId, category: target.name });
+        await this.moveRows('categories', 'parent_id', sourceId, { parent_id: targetId });
+        await this.moveRows('merchants', 'default_category_id', sourceId, { default_category_id: targetId });
+        await this.refileRuleTemplates('categoryId', sourceId, { categoryId: targetId, category: target.name });
+      }
+      await this.moveRows('budgets', 'category_id', sourceId, { category_id: targetId },
+        budget => !budgetedWallets.includes(budget.wallet_id));
+      
+      return await this.deleteCategory(sourceId);
     } catch (error) {
-      console.error('Error getting monthly summary:', error);
-      throw error;
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('mergeCategory', [sourceId, targetId]);
+      console.error('Error merging categories:', error);
+      throw toAppError(error);
     }
   }
 
-  // Batch operations
-  async batchDeleteExpenses(expenseIds) {
+  // Re-home a subcategory and re-file its expenses under the new parent
+  async moveSubcategory(id, parentId) {
     try {
       if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('moveSubcategory', [id, parentId]);
       
-      const { error } = await this.supabase
-        .from('expenses')
-        .delete()
-        .in('id', expenseIds)
-        .eq('user_id', this.user.id);
+      const categories = await this.fetchRows('categories', [id, parentId]);
+      const subcategory = categories.find(c => c.id === id);
+      const parent = categories.find(c => c.id === parentId);
+      this.assertCategoryChange(categoryUtils.getMoveError(subcategory, parent), 'INVALID_CATEGORY_MOVE');
       
-      if (error) throw error;
-      return true;
+      await this.moveRows('expenses', 'subcategory_id', id, { category_id: parentId, category: parent.name });
+      await this.refileSplitLines('subcategoryId', id, { categoryId: parentId, category: parent.name });
+      await this.moveRows('merchants', 'default_subcategory_id', id, { default_category_id: parentId });
+      await this.refileRuleTemplates('subcategoryId', id, { categoryId: parentId, category: parent.name });
+      return await this.update('categories', id, { parent_id: parentId });
     } catch (error) {
-      console.error('Error batch deleting expenses:', error);
-      throw error;
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('moveSubcategory', [id, parentId]);
+      console.error('Error moving subcategory:', error);
+      throw toAppError(error);
     }
   }
 
-  // v5.2
-  async createBudget(budgetData) {
-      try {
-          // Use the stored user instead of calling getUser()
-          if (!this.user) throw new Error('Not authenticated');
+  assertCategoryChange(message, code) {
+    if (!message) return;
+    
+    const error = new Error(message);
+    error.code = code;
+    throw error;
+  }
+
+  // Subcategories and budgets go to the Trash along with the category
+  async deleteCategory(id) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('deleteCategory', [id]);
+      
+      const { data: subcategories, error } = await this.supabase
+        .from('categories')
+        .select('id')
+        .eq('parent_id', id)
+        .eq('user_id', this.user.id)
+        .is('deleted_at', null);
+      
+      if (error) throw error;
+      
+      const categoryIds = [id, ...(subcategories || []).map(c => c.id)];
+      const deletedAt = new Date().toISOString();
+      await this.markDeleted('budgets', 'category_id', categoryIds, deletedAt);
+      await this.markDeleted('categories', 'id', categoryIds, deletedAt);
+      return true;
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('deleteCategory', [id]);
+      console.error('Error deleting category:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // Aggregated queries - computed by the functions in sql/aggregates.sql so
+  // totals never need every row downloaded. Dates are 'YYYY-MM-DD' strings.
+  async callAggregate(fn, params) {
+      if (!this.user) throw new Error('User not authenticated');
+      
+      const { data, error } = await this.supabase.rpc(fn, params);
+      if (error) throw error;
+      return data || [];
+  }
+
+  async getMonthlySummary(month, year, walletId = null) {
+    try {
+      const { expenses, income, expenseCount, incomeCount } = await this.getRangeTotals(
+        dateUtils.toISODate(new Date(year, month, 1)),
+        dateUtils.toISODate(new Date(year, month + 1, 0)),
+        walletId
+      );
+      
+      return {
+        expenses,
+        incomes: income,
+        balance: income - expenses,
+        expenseCount,
+        incomeCount
+      };
+    } catch (error) {
+      console.error('Error getting monthly summary:', error);
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Totals between two dates (inclusive)
+   * @returns {Object} { expenses, income, expenseCount, incomeCount }
+   */
+  async getRangeTotals(startDate, endDate, walletId = null) {
+      try {
+          const [row] = await this.callAggregate('range_totals', {
+              p_start: startDate,
+              p_end: endDate,
+              p_wallet_id: walletId
+          });
+          
+          return {
+              expenses: Number(row?.expense_total || 0),
+              income: Number(row?.income_total || 0),
+              expenseCount: Number(row?.expense_count || 0),
+              incomeCount: Number(row?.income_count || 0)
+          };
+      } catch (error) {
+          console.error('Error getting range totals:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Totals per budget period (26th-25th) and wallet, oldest period first
+   * @returns {Array} [{ periodKey, walletId, expenses, income, expenseCount, incomeCount }]
+   */
+  async getPeriodTotals(walletId = null) {
+      try {
+          const rows = await this.callAggregate('period_totals', { p_wallet_id: walletId });
+          
+          return rows.map(row => ({
+              periodKey: row.period_key,
+              walletId: row.wallet_id,
+              expenses: Number(row.expense_total),
+              income: Number(row.income_total),
+              expenseCount: Number(row.expense_count),
+              incomeCount: Number(row.income_count)
+          }));
+      } catch (error) {
+          console.error('Error getting period totals:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Expense totals per category, subcategory and wallet between two dates
+   * @returns {Array} [{ categoryId, category, subcategoryId, subcategory, walletId, total, count }]
+   */
+  async getCategoryTotals(startDate, endDate, walletId = null) {
+      try {
+          const rows = await this.callAggregate('category_totals', {
+              p_start: startDate,
+              p_end: endDate,
+              p_wallet_id: walletId
+          });
+          
+          return rows.map(row => ({
+              categoryId: row.category_id,
+              category: row.category,
+              subcategoryId: row.subcategory_id,
+              subcategory: row.subcategory,
+              walletId: row.wallet_id,
+              total: Number(row.total),
+              count: Number(row.expense_count)
+          }));
+      } catch (error) {
+          console.error('Error getting category totals:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Expense and income totals per tag between two dates. A record with
+   * several tags counts in full towards each.
+   * @returns {Array} [{ tag, expenses, expenseCount, income, incomeCount }]
+   */
+  async getTagTotals(startDate, endDate, walletId = null) {
+      try {
+          const rows = await this.callAggregate('tag_totals', {
+              p_start: startDate,
+              p_end: endDate,
+              p_wallet_id: walletId
+          });
+          
+          return rows.map(row => ({
+              tag: row.tag,
+              expenses: Number(row.expense_total),
+              expenseCount: Number(row.expense_count),
+              income: Number(row.income_total),
+              incomeCount: Number(row.income_count)
+          }));
+      } catch (error) {
+          console.error('Error getting tag totals:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Expense and income totals per merchant between two dates, records
+   * without a payee or payer left out
+   * @returns {Array} [{ merchantId, expenses, expenseCount, income, incomeCount }]
+   */
+  async getMerchantTotals(startDate, endDate, walletId = null) {
+      try {
+          const rows = await this.callAggregate('merchant_totals', {
+              p_start: startDate,
+              p_end: endDate,
+              p_wallet_id: walletId
+          });
+          
+          return rows.map(row => ({
+              merchantId: row.merchant_id,
+              expenses: Number(row.expense_total),
+              expenseCount: Number(row.expense_count),
+              income: Number(row.income_total),
+              incomeCount: Number(row.income_count)
+          }));
+      } catch (error) {
+          console.error('Error getting merchant totals:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Expense totals per day between two dates, days without expenses left out
+   * @returns {Array} [{ date, total }]
+   */
+  async getDailyTotals(startDate, endDate, walletId = null) {
+      try {
+          const rows = await this.callAggregate('daily_expense_totals', {
+              p_start: startDate,
+              p_end: endDate,
+              p_wallet_id: walletId
+          });
+          
+          return rows.map(row => ({ date: row.day, total: Number(row.total) }));
+      } catch (error) {
+          console.error('Error getting daily totals:', error);
+          throw toAppError(error);
+      }
+  }
+
+  // The expenses behind a total - for drilling into one category of a report,
+  // or loading a few months of history (no endDate means up to the latest)
+  async getExpensesBetween(startDate, endDate, { walletId = null, categoryIds = null } = {}) {
+      try {
+          if (!this.user) throw new Error('User not authenticated');
+          
+          let query = this.supabase
+              .from('expenses')
+              .select('*')
+              .eq('user_id', this.user.id)
+              .is('deleted_at', null)
+              .gte('date', startDate);
+          
+          if (endDate) query = query.lte('date', endDate);
+          if (walletId) query = query.eq('wallet_id', walletId);
+          // A split expense can have a line in these categories under another
+          // first line; callers pick out the lines they want
+          if (categoryIds) query = query.or(`category_id.in.(${categoryIds.join(',')}),splits.not.is.null`);
           
-          // Check for existing budget first
+          const { data, error } = await query.order('date', { ascending: false });
+          
+          if (error) throw error;
+          return this.toRecord('expenses', data || []);
+      } catch (error) {
+          console.error('Error getting expenses between dates:', error);
+          throw toAppError(error);
+      }
+  }
+
+  async getIncomesBetween(startDate, endDate, { walletId = null } = {}) {
+      try {
+          if (!this.user) throw new Error('User not authenticated');
+          
+          let query = this.supabase
+              .from('incomes')
+              .select('*')
+              .eq('user_id', this.user.id)
+              .is('deleted_at', null)
+              .gte('date', startDate);
+          
+          if (endDate) query = query.lte('date', endDate);
+          if (walletId) query = query.eq('wallet_id', walletId);
+          
+          const { data, error } = await query.order('date', { ascending: false });
+          
+          if (error) throw error;
+          return this.toRecord('incomes', data || []);
+      } catch (error) {
+          console.error('Error getting incomes between dates:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Rows created, edited, deleted or restored after a moment - for refreshing
+   * without loading everything again. Deleted rows are included (with
+   * deletedAt set) so they can be removed. Deleting and restoring are
+   * updates, so the database's created_at and updated_at stamps cover every
+   * change (sql/versions.sql).
+   * @param {string} table - 'expenses' or 'incomes'
+   * @param {string} since - ISO timestamp from getServerTime
+   */
+  async getChangedSince(table, since) {
+      try {
+          if (!this.user) throw new Error('User not authenticated');
+          
+          const { data, error } = await this.supabase
+              .from(table)
+              .select('*')
+              .eq('user_id', this.user.id)
+              .or(`created_at.gt.${since},updated_at.gt.${since}`)
+              .order('date', { ascending: false });
+          
+          if (error) throw error;
+          return this.toRecord(table, data || []);
+      } catch (error) {
+          console.error(`Error getting ${table} changed since ${since}:`, error);
+          throw toAppError(error);
+      }
+  }
+
+  // The database's clock - a refresh cursor every device agrees on
+  async getServerTime() {
+      try {
+          if (!this.user) throw new Error('User not authenticated');
+          
+          const { data, error } = await this.supabase.rpc('server_now');
+          if (error) throw error;
+          return new Date(data).toISOString();
+      } catch (error) {
+          console.error('Error getting server time:', error);
+          throw toAppError(error);
+      }
+  }
+
+  /**
+   * Totals per wallet for everything dated before a day - what the loaded
+   * months leave out of a balance
+   * @returns {Array} [{ walletId, expenses, income, expenseCount, incomeCount, firstDate }]
+   */
+  async getTotalsBefore(date) {
+      try {
+          const rows = await this.callAggregate('totals_before', { p_before: date });
+          
+          return rows.map(row => ({
+              walletId: row.wallet_id,
+              expenses: Number(row.expense_total),
+              income: Number(row.income_total),
+              expenseCount: Number(row.expense_count),
+              incomeCount: Number(row.income_count),
+              firstDate: row.first_date
+          }));
+      } catch (error) {
+          console.error('Error getting totals before date:', error);
+          throw toAppError(error);
+      }
+  }
+
+  // Batch operations
+  async batchDeleteExpenses(expenseIds) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('batchDeleteExpenses', [expenseIds]);
+      
+      await this.markDeleted('expenses', 'id', expenseIds, new Date().toISOString());
+      return true;
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('batchDeleteExpenses', [expenseIds]);
+      console.error('Error batch deleting expenses:', error);
+      throw toAppError(error);
+    }
+  }
+
+  async batchDeleteIncomes(incomeIds) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('batchDeleteIncomes', [incomeIds]);
+      
+      await this.markDeleted('incomes', 'id', incomeIds, new Date().toISOString());
+      return true;
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('batchDeleteIncomes', [incomeIds]);
+      console.error('Error batch deleting incomes:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // Apply the same updates to many rows in one request
+  async batchUpdate(table, ids, updates) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('batchUpdate', [table, ids, updates]);
+      if (ids.length === 0) return [];
+      
+      const before = await this.fetchRows(table, ids);
+      const { data, error } = await this.supabase
+        .from(table)
+        .update(versionUtils.stamp(table, updates))
+        .in('id', ids)
+        .eq('user_id', this.user.id)
+        .is('deleted_at', null)
+        .select();
+      
+      if (error) throw error;
+      await this.recordAudit(table, 'update', before, data);
+      return this.toRecord(table, data || []);
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('batchUpdate', [table, ids, updates]);
+      console.error(`Error batch updating ${table}:`, error);
+      throw toAppError(error);
+    }
+  }
+
+  // Reimbursed expenses are skipped - their income has to be unlinked first
+  async batchSetReimbursable(expenseIds, isReimbursable) {
+    try {
+      if (!this.user) throw new Error('User not authenticated');
+      if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('batchSetReimbursable', [expenseIds, isReimbursable]);
+      
+      const expenses = await this.fetchRows('expenses', expenseIds);
+      const ids = expenses.filter(e => !e.linked_income_id && !e.deleted_at).map(e => e.id);
+      
+      return await this.batchUpdate('expenses', ids, {
+        is_reimbursable: isReimbursable,
+        reimbursement_status: isReimbursable ? 'pending' : 'not_applicable'
+      });
+    } catch (error) {
+      if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('batchSetReimbursable', [expenseIds, isReimbursable]);
+      console.error('Error batch updating reimbursable expenses:', error);
+      throw toAppError(error);
+    }
+  }
+
+  // v5.2
+  async createBudget(budgetData) {
+      try {
+          // Use the stored user instead of calling getUser()
+          if (!this.user) throw new Error('Not authenticated');
+          models.assertValid('budget', budgetData);
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('createBudget', [budgetData]);
+          
+          // Check for existing budget first (a trashed one is brought back)
           const { data: existingBudget, error: checkError } = await this.supabase
               .from('budgets')
               .select('id')
@@ -738,16 +1873,20 @@ class DatabaseService {
               updated_at: new Date().toISOString()
           };
           
+          if (budgetData.clientId) budgetRecord.id = budgetData.clientId;
+          
           let result;
           
           if (existingBudget) {
+              const before = await this.fetchRows('budgets', [existingBudget.id]);
               const { data, error } = await this.supabase
                   .from('budgets')
                   .update({
                       amount: budgetRecord.amount,
                       period: budgetRecord.period,
                       start_date: budgetRecord.start_date,
-                      updated_at: budgetRecord.updated_at
+                      updated_at: budgetRecord.updated_at,
+                      deleted_at: null
                   })
                   .eq('id', existingBudget.id)
                   .select('*, categories(name, type)')
@@ -755,8 +1894,9 @@ class DatabaseService {
               
               if (error) {
                   console.error('createBudget - Update error:', error);
-                  throw error;
+                  throw toAppError(error);
               }
+              await this.recordAudit('budgets', 'update', before, [data]);
               result = data;
           } else {
               const { data, error } = await this.supabase
@@ -767,18 +1907,56 @@ class DatabaseService {
               
               if (error) {
                   console.error('createBudget - Insert error:', error);
-                  throw error;
+                  throw toAppError(error);
               }
+              await this.recordAudit('budgets', 'create', null, [data]);
               result = data;
           }
-          return result;
+          return this.toRecord('budgets', result);
           
       } catch (error) {
+          if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('createBudget', [budgetData]);
           console.error('createBudget - Fatal error:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
+  // Transfers - money moved between two of the user's wallets. Neither side
+  // is an expense or an income, so analytics and budgets leave them out.
+  async createTransfer(transferData) {
+      models.assertValid('transfer', transferData);
+      return await this.create('transfers', models.toRow('transfer', transferData));
+  }
+
+  async getTransfers() {
+      return await this.read('transfers', {}, { column: 'date', ascending: false });
+  }
+
+  async deleteTransfer(id) {
+      return await this.delete('transfers', id);
+  }
+
+  // Merchants - payees and payers. Expenses and incomes point at one with
+  // merchant_id; a trashed merchant keeps its records pointing at it, so
+  // restoring it brings the payee back too.
+  async createMerchant(merchantData) {
+      models.assertValid('merchant', merchantData);
+      return await this.create('merchants', models.toRow('merchant', merchantData));
+  }
+
+  async getMerchants() {
+      return await this.read('merchants', {}, { column: 'name', ascending: true });
+  }
+
+  async updateMerchant(id, updates) {
+      models.assertValid('merchant', updates, { partial: true });
+      return await this.update('merchants', id, models.toRow('merchant', updates));
+  }
+
+  async deleteMerchant(id) {
+      return await this.delete('merchants', id);
+  }
+
   // Also update getBudgets to use this.user instead of getUser():
   async getBudgets() {
       try {
@@ -787,13 +1965,14 @@ class DatabaseService {
           const { data, error } = await this.supabase
               .from('budgets')
               .select('*, categories(name, type)')
-              .eq('user_id', this.user.id);
+              .eq('user_id', this.user.id)
+              .is('deleted_at', null);
           
           if (error) {
               console.error('getBudgets - Error:', error);
-              throw error;
+              throw toAppError(error);
           }
-          return data || [];
+          return this.toRecord('budgets', data || []);
       } catch (error) {
           console.error('getBudgets - Fatal error:', error);
           return [];
@@ -804,21 +1983,14 @@ class DatabaseService {
   async deleteBudget(id) {
       try {
           if (!this.user) throw new Error('Not authenticated');
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('deleteBudget', [id]);
           
-          const { error } = await this.supabase
-              .from('budgets')
-              .delete()
-              .eq('id', id)
-              .eq('user_id', this.user.id); // Add user_id check for security
-          
-          if (error) {
-              console.error('deleteBudget - Error:', error);
-              throw error;
-          }
+          await this.markDeleted('budgets', 'id', [id], new Date().toISOString());
           return true;
       } catch (error) {
+          if (this.shouldQueueWrite(error)) return await this.syncQueue.enqueue('deleteBudget', [id]);
           console.error('deleteBudget - Fatal error:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
@@ -831,103 +2003,193 @@ class DatabaseService {
               .eq('user_id', this.user.id)
               .eq('is_reimbursable', true)
               .eq('reimbursement_status', 'pending')
+              .is('deleted_at', null)
               .order('date', { ascending: false });
 
           if (error) throw error;
-          return this.toCamelCase(data) || [];
+          return this.toRecord('expenses', data) || [];
       } catch (error) {
           console.error('Error fetching pending reimbursable expenses:', error);
+          throw toAppError(error);
+      }
+  }
+
+  // Reimbursement links live on both sides (incomes.linked_expense_ids and
+  // expenses.linked_income_id), so each change runs as a list of steps. If a
+  // step fails, the rows changed by earlier steps are written back.
+  async runLinkSteps(action, steps) {
+      const completed = [];
+
+      try {
+          for (const step of steps) {
+              step.after = await step.run();
+              completed.push(step);
+          }
+      } catch (error) {
+          const rolledBack = await this.rollbackLinkSteps(completed);
+          throw this.linkError(action, error, rolledBack);
+      }
+
+      for (const step of completed) {
+          await this.recordAudit(step.table, action, step.before, step.after);
+      }
+      return completed;
+  }
+
+  linkStep(table, rows, updates) {
+      return {
+          table,
+          before: rows,
+          run: async () => {
+              if (rows.length === 0) return [];
+
+              const { data, error } = await this.supabase
+                  .from(table)
+                  .update(versionUtils.stamp(table, updates))
+                  .in('id', rows.map(row => row.id))
+                  .eq('user_id', this.user.id)
+                  .select();
+
+              if (error) throw error;
+              return data || [];
+          }
+      };
+  }
+
+  // Unlinked expenses go back to pending, or not_applicable if they aren't reimbursable
+  resetLinkSteps(rows) {
+      return [true, false].map(reimbursable => this.linkStep(
+          'expenses',
+          rows.filter(row => !!row.is_reimbursable === reimbursable),
+          { reimbursement_status: reimbursable ? 'pending' : 'not_applicable', linked_income_id: null }
+      ));
+  }
+
+  async rollbackLinkSteps(steps) {
+      let rolledBack = true;
+
+      for (const step of [...steps].reverse()) {
+          for (const row of step.before) {
+              const previous = Object.fromEntries(LINK_COLUMNS[step.table].map(column => [column, row[column]]));
+              const { error } = await this.supabase
+                  .from(step.table)
+                  .update(versionUtils.stamp(step.table, previous))
+                  .eq('id', row.id)
+                  .eq('user_id', this.user.id);
+
+              if (error) {
+                  console.error(`rollbackLinkSteps - Could not restore ${step.table} ${row.id}:`, error);
+                  rolledBack = false;
+              }
+          }
+      }
+      return rolledBack;
+  }
+
+  linkError(action, cause, rolledBack) {
+      const error = new Error(rolledBack
+          ? `Could not ${action} the reimbursement, no changes were saved (${cause.message})`
+          : `Could not ${action} the reimbursement and some changes could not be undone - reload before trying again (${cause.message})`);
+      error.code = rolledBack ? 'REIMBURSEMENT_LINK_FAILED' : 'REIMBURSEMENT_ROLLBACK_FAILED';
+      error.cause = cause;
+      return error;
+  }
+
+  // Every selected expense must exist and not be reimbursed by another income
+  assertLinkable(incomeId, expenseIds, expenses) {
+      const missing = expenseIds.filter(id => !expenses.some(e => e.id === id && !e.deleted_at));
+      if (missing.length > 0) {
+          const error = new Error(`${missing.length} selected expense${missing.length > 1 ? 's no longer exist' : ' no longer exists'}`);
+          error.code = 'EXPENSE_NOT_FOUND';
+          throw error;
+      }
+
+      const taken = expenses.find(e => e.linked_income_id && e.linked_income_id !== incomeId);
+      if (taken) {
+          const error = new Error(`"${taken.description}" is already reimbursed by another income`);
+          error.code = 'EXPENSE_ALREADY_REIMBURSED';
           throw error;
       }
   }
 
-  // Link income with expenses (mark as reimbursed)
+  // Link income with expenses (mark as reimbursed). Expenses previously
+  // linked to the income but not in expenseIds go back to pending.
   async linkReimbursement(incomeId, expenseIds) {
+      return await this.applyReimbursementLink('link', incomeId, expenseIds);
+  }
+
+  // Replace the expenses an income reimburses in one all-or-nothing change
+  async relinkReimbursement(incomeId, expenseIds, options = {}) {
+      return await this.applyReimbursementLink('relink', incomeId, expenseIds, options);
+  }
+
+  async applyReimbursementLink(action, incomeId, expenseIds, { expectedUpdatedAt } = {}) {
+      const method = `${action}Reimbursement`;
+
       try {
-          // 1. Update income to mark as reimbursement
-          const { data: incomeData, error: incomeError } = await this.supabase
-              .from('incomes')
-              .update({
-                  is_reimbursement: true,
-                  linked_expense_ids: expenseIds
-              })
-              .eq('id', incomeId)
-              .eq('user_id', this.user.id)
-              .select()
-              .single();
+          if (!this.user) throw new Error('Not authenticated');
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue(method, [incomeId, expenseIds, { expectedUpdatedAt }]);
 
-          if (incomeError) throw incomeError;
+          const [income] = await this.fetchRows('incomes', [incomeId]);
+          if (!income || income.deleted_at) {
+              const notFoundError = new Error(`Income with ID ${incomeId} not found`);
+              notFoundError.code = 'INCOME_NOT_FOUND';
+              throw notFoundError;
+          }
+          if (versionUtils.isStale(income, expectedUpdatedAt)) {
+              throw versionUtils.conflictError(this.toRecord('incomes', income));
+          }
 
-          // 2. Update each expense to link to this income
-          const { data: expenseData, error: expenseError } = await this.supabase
-              .from('expenses')
-              .update({
-                  reimbursement_status: 'reimbursed',
-                  linked_income_id: incomeId
-              })
-              .in('id', expenseIds)
-              .eq('user_id', this.user.id)
-              .select();
+          const expenses = await this.fetchRows('expenses', expenseIds);
+          this.assertLinkable(incomeId, expenseIds, expenses);
 
-          if (expenseError) throw expenseError;
+          const removedIds = (income.linked_expense_ids || []).filter(id => !expenseIds.includes(id));
+          const removed = (await this.fetchRows('expenses', removedIds))
+              .filter(e => !e.linked_income_id || e.linked_income_id === incomeId);
+
+          const incomeStep = this.linkStep('incomes', [income], { is_reimbursement: true, linked_expense_ids: expenseIds });
+          const expenseStep = this.linkStep('expenses', expenses, { reimbursement_status: 'reimbursed', linked_income_id: incomeId });
+          await this.runLinkSteps(action, [...this.resetLinkSteps(removed), incomeStep, expenseStep]);
 
           return {
-              income: this.toCamelCase(incomeData),
-              expenses: this.toCamelCase(expenseData)
+              income: this.toRecord('incomes', incomeStep.after[0]),
+              expenses: this.toRecord('expenses', expenseStep.after)
           };
       } catch (error) {
-          console.error('Error linking reimbursement:', error);
-          throw error;
+          if (this.shouldQueueWrite(error.cause || error)) return await this.syncQueue.enqueue(method, [incomeId, expenseIds, { expectedUpdatedAt }]);
+          console.error(`Error in ${method}:`, error);
+          throw toAppError(error);
       }
   }
 
   // Unlink reimbursement (revert to pending)
-  async unlinkReimbursement(incomeId) {
+  async unlinkReimbursement(incomeId, { expectedUpdatedAt } = {}) {
       try {
-          // 1. Get the income to find linked expenses
-          const { data: income, error: fetchError } = await this.supabase
-              .from('incomes')
-              .select('linked_expense_ids')
-              .eq('id', incomeId)
-              .eq('user_id', this.user.id)
-              .single();
-
-          if (fetchError) throw fetchError;
-
-          const expenseIds = income.linked_expense_ids || [];
-
-          // 2. Reset expenses to pending
-          if (expenseIds.length > 0) {
-              const { error: expenseError } = await this.supabase
-                  .from('expenses')
-                  .update({
-                      reimbursement_status: 'pending',
-                      linked_income_id: null
-                  })
-                  .in('id', expenseIds)
-                  .eq('user_id', this.user.id);
+          if (!this.user) throw new Error('Not authenticated');
+          if (this.shouldQueueWrite()) return await this.syncQueue.enqueue('unlinkReimbursement', [incomeId, { expectedUpdatedAt }]);
 
-              if (expenseError) throw expenseError;
+          const [income] = await this.fetchRows('incomes', [incomeId]);
+          if (!income || income.deleted_at) {
+              const notFoundError = new Error(`Income with ID ${incomeId} not found`);
+              notFoundError.code = 'INCOME_NOT_FOUND';
+              throw notFoundError;
+          }
+          if (versionUtils.isStale(income, expectedUpdatedAt)) {
+              throw versionUtils.conflictError(this.toRecord('incomes', income));
           }
 
-          // 3. Reset income
-          const { data: incomeData, error: incomeError } = await this.supabase
-              .from('incomes')
-              .update({
-                  is_reimbursement: false,
-                  linked_expense_ids: []
-              })
-              .eq('id', incomeId)
-              .eq('user_id', this.user.id)
-              .select()
-              .single();
+          // Leave alone expenses that another income has since claimed
+          const expenses = (await this.fetchRows('expenses', income.linked_expense_ids || []))
+              .filter(e => !e.linked_income_id || e.linked_income_id === incomeId);
 
-          if (incomeError) throw incomeError;
+          const incomeStep = this.linkStep('incomes', [income], { is_reimbursement: false, linked_expense_ids: [] });
+          await this.runLinkSteps('unlink', [...this.resetLinkSteps(expenses), incomeStep]);
 
-          return this.toCamelCase(incomeData);
+          return this.toRecord('incomes', incomeStep.after[0]);
       } catch (error) {
+          if (this.shouldQueueWrite(error.cause || error)) return await this.syncQueue.enqueue('unlinkReimbursement', [incomeId, { expectedUpdatedAt }]);
           console.error('Error unlinking reimbursement:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
@@ -945,19 +2207,21 @@ class DatabaseService {
 
           if (!expense.linked_income_id) return null;
 
+          // A trashed income counts as not linked
           const { data: income, error: incomeError } = await this.supabase
               .from('incomes')
               .select('*')
               .eq('id', expense.linked_income_id)
               .eq('user_id', this.user.id)
-              .single();
+              .is('deleted_at', null)
+              .maybeSingle();
 
           if (incomeError) throw incomeError;
 
-          return this.toCamelCase(income);
+          return income ? this.toRecord('incomes', income) : null;
       } catch (error) {
           console.error('Error fetching linked income:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
@@ -981,17 +2245,56 @@ class DatabaseService {
               .select('*')
               .in('id', expenseIds)
               .eq('user_id', this.user.id)
+              .is('deleted_at', null)
               .order('date', { ascending: false });
 
           if (expensesError) throw expensesError;
 
-          return this.toCamelCase(expenses);
+          return this.toRecord('expenses', expenses);
       } catch (error) {
           console.error('Error fetching linked expenses:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
+  // Realtime: forward row changes on the user's tables to onChange
+  // Returns an unsubscribe function
+  subscribeToChanges(onChange) {
+      if (!this.user) return () => {};
+
+      const channel = this.supabase.channel(`fintrack-changes-${this.user.id}`);
+      const forward = (table) => (payload) => onChange({
+          table,
+          eventType: payload.eventType,
+          new: payload.new,
+          old: payload.old
+      });
+
+      REALTIME_TABLES.forEach(table => {
+          channel
+              .on('postgres_changes',
+                  { event: 'INSERT', schema: 'public', table, filter: `user_id=eq.${this.user.id}` },
+                  forward(table))
+              .on('postgres_changes',
+                  { event: 'UPDATE', schema: 'public', table, filter: `user_id=eq.${this.user.id}` },
+                  forward(table))
+              // Delete events can't be filtered; only the primary key is sent
+              .on('postgres_changes',
+                  { event: 'DELETE', schema: 'public', table },
+                  forward(table));
+      });
+
+      channel.subscribe((status) => {
+          if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+              console.error('subscribeToChanges - Channel status:', status);
+          }
+      });
+
+      return () => {
+          this.supabase.removeChannel(channel);
+      };
+  }
+
   // Get total pending reimbursement amount for a wallet
   async getPendingReimbursementTotal(walletId) {
       try {
@@ -1001,7 +2304,8 @@ class DatabaseService {
               .eq('wallet_id', walletId)
               .eq('user_id', this.user.id)
               .eq('is_reimbursable', true)
-              .eq('reimbursement_status', 'pending');
+              .eq('reimbursement_status', 'pending')
+              .is('deleted_at', null);
 
           if (error) throw error;
 
@@ -1009,7 +2313,7 @@ class DatabaseService {
           return total;
       } catch (error) {
           console.error('Error calculating pending reimbursement total:', error);
-          throw error;
+          throw toAppError(error);
       }
   }
 
@@ -1020,7 +2324,11 @@ let databaseInstance = null;
 
 export const getDatabase = (supabaseClient) => {
   if (!databaseInstance) {
-    databaseInstance = new DatabaseService(supabaseClient);
+    // A local client (see local-backend.js) swaps in the Supabase-free backend
+    databaseInstance = supabaseClient?.isLocal
+      ? new LocalBackend(supabaseClient)
+      : new DatabaseService(supabaseClient);
+    assertStorageBackend(databaseInstance);
   }
   return databaseInstance;
 };
\ No newline at end of file
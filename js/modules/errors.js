@@ -0,0 +1,171 @@
+// js/modules/errors.js
+
+/**
+ * ERRORS MODULE
+ * Maps whatever a backend call throws - Supabase/PostgREST errors, storage
+ * errors, network failures and the app's own coded errors - onto a small set
+ * of error types, each with a message that can be shown to the user as is
+ */
+
+export const ERROR_TYPES = {
+    NOT_AUTHENTICATED: 'not_authenticated',
+    NOT_FOUND: 'not_found',
+    CONFLICT: 'conflict',
+    OFFLINE: 'offline',
+    PERMISSION: 'permission',
+    VALIDATION: 'validation',
+    UNKNOWN: 'unknown'
+};
+
+const MESSAGES = {
+    [ERROR_TYPES.NOT_AUTHENTICATED]: 'Your session has expired - please sign in again',
+    [ERROR_TYPES.NOT_FOUND]: 'This item no longer exists - it may have been deleted on another device',
+    [ERROR_TYPES.CONFLICT]: 'This was changed somewhere else - reload and try again',
+    [ERROR_TYPES.OFFLINE]: "Can't reach the server - check your connection and try again",
+    [ERROR_TYPES.PERMISSION]: "You don't have permission to do that",
+    [ERROR_TYPES.VALIDATION]: 'Some of the details were not accepted - check them and try again',
+    [ERROR_TYPES.UNKNOWN]: 'Something went wrong - please try again'
+};
+
+// PostgREST and Postgres error codes
+const PG_CODES = {
+    PGRST116: ERROR_TYPES.NOT_FOUND,          // .single() matched no rows
+    PGRST301: ERROR_TYPES.NOT_AUTHENTICATED,  // JWT expired or invalid
+    PGRST302: ERROR_TYPES.NOT_AUTHENTICATED,  // anonymous access not allowed
+    42501: ERROR_TYPES.PERMISSION,            // insufficient privilege (row level security)
+    23505: ERROR_TYPES.CONFLICT               // unique violation
+};
+
+// Codes the app raises itself
+const APP_CODES = {
+    OFFLINE: ERROR_TYPES.OFFLINE,
+    TIMEOUT: ERROR_TYPES.OFFLINE,
+    NOT_FOUND: ERROR_TYPES.NOT_FOUND,
+    EXPENSE_NOT_FOUND: ERROR_TYPES.NOT_FOUND,
+    INCOME_NOT_FOUND: ERROR_TYPES.NOT_FOUND,
+    VERSION_CONFLICT: ERROR_TYPES.CONFLICT,
+    EXPENSE_ALREADY_REIMBURSED: ERROR_TYPES.CONFLICT,
+    PARENT_DELETED: ERROR_TYPES.CONFLICT,
+    INVALID_RECORD: ERROR_TYPES.VALIDATION,
+    INVALID_CATEGORY: ERROR_TYPES.VALIDATION,
+    INVALID_CATEGORY_MERGE: ERROR_TYPES.VALIDATION,
+    INVALID_CATEGORY_MOVE: ERROR_TYPES.VALIDATION,
+    NO_TARGET_WALLET: ERROR_TYPES.VALIDATION,
+    INVALID_RECURRING_RULE: ERROR_TYPES.VALIDATION,
+    NOT_REVERTIBLE: ERROR_TYPES.VALIDATION,
+    RECEIPT_TOO_LARGE: ERROR_TYPES.VALIDATION,
+    RECEIPT_UNSUPPORTED: ERROR_TYPES.VALIDATION,
+    RECEIPT_UNREADABLE: ERROR_TYPES.VALIDATION
+};
+
+const APP_CODE = /^[A-Z][A-Z_]+$/;
+
+// Where the type's message would mislead
+const CODE_MESSAGES = {
+    23505: 'This already exists - use a different name'
+};
+
+const STATUSES = {
+    401: ERROR_TYPES.NOT_AUTHENTICATED,
+    403: ERROR_TYPES.PERMISSION,
+    404: ERROR_TYPES.NOT_FOUND,
+    409: ERROR_TYPES.CONFLICT,
+    400: ERROR_TYPES.VALIDATION,
+    413: ERROR_TYPES.VALIDATION,
+    422: ERROR_TYPES.VALIDATION
+};
+
+const NETWORK_MESSAGE = /Failed to fetch|NetworkError|Load failed|Network request failed/i;
+
+// Storage and fetch errors keep the underlying failure one level down
+const getCause = error => error?.originalError || error?.cause || null;
+
+// Errors the app raised itself, as opposed to ones from Supabase or fetch
+const isOwnError = error =>
+    error instanceof Error && !error.__isStorageError && !error.__isAuthError && error.status === undefined &&
+    (error.code === undefined || (APP_CODE.test(error.code) && !error.code.startsWith('PGRST')));
+
+/**
+ * Did the request fail before reaching the server (or time out on the way)?
+ * @param {Error|Object} error - Anything a backend call threw
+ */
+export const isNetworkError = (error) => {
+    if (!error) return false;
+    if (error.type === ERROR_TYPES.OFFLINE || error.code === 'TIMEOUT') return true;
+    return NETWORK_MESSAGE.test(error.message || String(error)) || isNetworkError(getCause(error));
+};
+
+const classify = (error) => {
+    if (APP_CODES[error.code]) return APP_CODES[error.code];
+    if (isNetworkError(error)) return ERROR_TYPES.OFFLINE;
+    if (PG_CODES[error.code]) return PG_CODES[error.code];
+
+    // Postgres classes 22 (bad data) and 23 (constraint violations)
+    if (/^2[23][0-9A-Z]{3}$/.test(error.code || '')) return ERROR_TYPES.VALIDATION;
+
+    const status = Number(error.status || error.statusCode);
+    if (STATUSES[status]) return STATUSES[status];
+
+    if (/not authenticated|jwt expired|invalid jwt/i.test(error.message || '')) return ERROR_TYPES.NOT_AUTHENTICATED;
+
+    // A wrapper like a failed reimbursement link takes its cause's type
+    const cause = getCause(error);
+    return cause ? classify(cause) : ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Create a typed error
+ * @param {string} type - One of ERROR_TYPES
+ * @param {string} message - Shown to the user (defaults to the type's message)
+ * @param {Object} options - { code, cause }
+ */
+export const appError = (type, message = MESSAGES[type], { code, cause } = {}) => {
+    const error = new Error(message);
+    error.type = type;
+    error.code = code || type.toUpperCase();
+    if (cause) error.cause = cause;
+    return error;
+};
+
+/**
+ * Give any error a type and a message fit for the user. The app's own coded
+ * errors keep their message (and fields like `current` on a version
+ * conflict); anything from Supabase is wrapped, with the original as `cause`.
+ * @param {Error|Object} error - Anything a backend call threw
+ * @returns {Error} Error with `type`, `code` and `message`
+ */
+export const toAppError = (error) => {
+    if (!error || error.type) return error;
+
+    const type = classify(error);
+
+    // Not-found messages name record ids, and auth and browser network
+    // messages ("Failed to fetch") mean nothing to the user
+    const keepMessage = isOwnError(error) &&
+        type !== ERROR_TYPES.NOT_FOUND && type !== ERROR_TYPES.NOT_AUTHENTICATED &&
+        (type !== ERROR_TYPES.OFFLINE || error.code !== undefined);
+    if (keepMessage) {
+        error.type = type;
+        return error;
+    }
+
+    const typed = appError(type, CODE_MESSAGES[error.code] || MESSAGES[type], { code: error.code || undefined, cause: error });
+    if (error.current) typed.current = error.current;
+    return typed;
+};
+
+/**
+ * Message for an alert: the typed message, or the fallback when nothing
+ * more specific than "it failed" is known
+ * @param {Error|Object} error - Anything a backend call threw
+ * @param {string} fallback - e.g. 'Error saving expense'
+ */
+export const getErrorMessage = (error, fallback = MESSAGES[ERROR_TYPES.UNKNOWN]) => {
+    const typed = toAppError(error);
+    if (!typed) return fallback;
+
+    // Uncoded unknown errors are bugs ("x is undefined"), not messages
+    const generic = typed.type === ERROR_TYPES.UNKNOWN &&
+        (typed.code === undefined || typed.message === MESSAGES[ERROR_TYPES.UNKNOWN]);
+    return generic ? fallback : typed.message;
+};
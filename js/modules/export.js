@@ -5,7 +5,7 @@
  * Handles data export to CSV, Excel, and PDF formats
  */
 
-import { currencyUtils, dateUtils } from './utils.js';
+import { currencyUtils, dateUtils, categoryUtils } from './utils.js';
 import { getState } from './state.js';
 
 class ExportService {
@@ -23,15 +23,18 @@ class ExportService {
             throw new Error('No expenses to export for the selected period');
         }
 
-        const csvData = expenses.map(expense => ({
+        const csvData = this.getExpenseLineRows(expenses).map(({ expense, line, split }) => ({
             'Date': this.formatDate(expense.date),
             'Description': expense.description,
-            'Amount': expense.amount,
-            'Category': expense.category || 'Uncategorized',
-            'Subcategory': expense.subcategory || '-',
+            'Payee': this.getPayeeName(expense),
+            'Amount': line.amount,
+            'Category': line.category || 'Uncategorized',
+            'Subcategory': line.subcategory || '-',
+            'Split': split,
             'Wallet': this.getWalletName(expense.walletId),
             'Reimbursable': expense.isReimbursable ? 'Yes' : 'No',
             'Status': this.getReimbursementStatus(expense),
+            'Tags': this.formatTags(expense),
             'Type': 'Expense'
         }));
 
@@ -53,10 +56,12 @@ class ExportService {
         const csvData = incomes.map(income => ({
             'Date': this.formatDate(income.date),
             'Description': income.description,
+            'Payer': this.getPayeeName(income),
             'Amount': income.amount,
             'Source': income.source || 'Other',
             'Wallet': this.getWalletName(income.walletId),
             'Is Reimbursement': income.isReimbursement ? 'Yes' : 'No',
+            'Tags': this.formatTags(income),
             'Type': 'Income'
         }));
 
@@ -66,27 +71,31 @@ class ExportService {
     }
 
     /**
-     * Export both expenses and incomes to CSV
+     * Export expenses, incomes and transfers to CSV
      */
     exportAllTransactionsToCSV(filters = {}) {
         const expenses = this.getFilteredExpenses(filters);
         const incomes = this.getFilteredIncomes(filters);
+        const transferSides = this.getTransferSides(filters);
         
-        if (expenses.length === 0 && incomes.length === 0) {
+        if (expenses.length === 0 && incomes.length === 0 && transferSides.length === 0) {
             throw new Error('No transactions to export for the selected period');
         }
 
-        // Map expenses
-        const expenseData = expenses.map(expense => ({
+        // Map expenses, one row per split line
+        const expenseData = this.getExpenseLineRows(expenses).map(({ expense, line, split }) => ({
             'Date': this.formatDate(expense.date),
             'Type': 'Expense',
             'Description': expense.description,
-            'Amount': -expense.amount, // Negative for expenses
-            'Category/Source': expense.category || 'Uncategorized',
-            'Subcategory': expense.subcategory || '-',
+            'Payee/Payer': this.getPayeeName(expense),
+            'Amount': -line.amount, // Negative for expenses
+            'Category/Source': line.category || 'Uncategorized',
+            'Subcategory': line.subcategory || '-',
+            'Split': split,
             'Wallet': this.getWalletName(expense.walletId),
             'Reimbursable': expense.isReimbursable ? 'Yes' : 'No',
-            'Status': this.getReimbursementStatus(expense)
+            'Status': this.getReimbursementStatus(expense),
+            'Tags': this.formatTags(expense)
         }));
 
         // Map incomes
@@ -94,22 +103,43 @@ class ExportService {
             'Date': this.formatDate(income.date),
             'Type': 'Income',
             'Description': income.description,
+            'Payee/Payer': this.getPayeeName(income),
             'Amount': income.amount, // Positive for income
             'Category/Source': income.source || 'Other',
             'Subcategory': '-',
+            'Split': '-',
             'Wallet': this.getWalletName(income.walletId),
             'Reimbursable': '-',
-            'Status': income.isReimbursement ? 'Reimbursement' : '-'
+            'Status': income.isReimbursement ? 'Reimbursement' : '-',
+            'Tags': this.formatTags(income)
+        }));
+
+        // Map transfers - the sending side pays the fee too
+        const transferData = transferSides.map(({ transfer, outgoing }) => ({
+            'Date': this.formatDate(transfer.date),
+            'Type': 'Transfer',
+            'Description': transfer.description || 'Transfer',
+            'Payee/Payer': '-',
+            'Amount': outgoing ? -(transfer.amount + transfer.fee) : transfer.amount,
+            'Category/Source': outgoing
+                ? `Transfer to ${this.getWalletName(transfer.toWalletId)}`
+                : `Transfer from ${this.getWalletName(transfer.fromWalletId)}`,
+            'Subcategory': '-',
+            'Split': '-',
+            'Wallet': this.getWalletName(outgoing ? transfer.fromWalletId : transfer.toWalletId),
+            'Reimbursable': '-',
+            'Status': outgoing && transfer.fee > 0 ? `Fee ${transfer.fee}` : '-',
+            'Tags': '-'
         }));
 
         // Combine and sort by date
-        const allData = [...expenseData, ...incomeData].sort((a, b) => 
+        const allData = [...expenseData, ...incomeData, ...transferData].sort((a, b) => 
             new Date(b.Date) - new Date(a.Date)
         );
 
         const filename = this.generateFilename('all-transactions', filters);
         this.downloadCSV(allData, filename);
-        return expenses.length + incomes.length;
+        return expenses.length + incomes.length + transferSides.length;
     }
 
     /**
@@ -123,14 +153,21 @@ class ExportService {
         const totalIncome = incomes.reduce((sum, i) => sum + i.amount, 0);
         const balance = totalIncome - totalExpenses;
 
-        // Category breakdown
+        // Transfers move money between wallets, so they stay out of the totals above
+        const transferSides = this.getTransferSides(filters);
+        const transfersIn = transferSides.filter(side => !side.outgoing).reduce((sum, { transfer }) => sum + transfer.amount, 0);
+        const outgoing = transferSides.filter(side => side.outgoing);
+        const transfersOut = outgoing.reduce((sum, { transfer }) => sum + transfer.amount, 0);
+        const transferFees = outgoing.reduce((sum, { transfer }) => sum + transfer.fee, 0);
+
+        // Category breakdown - split lines count towards their own category
         const categoryBreakdown = {};
-        expenses.forEach(expense => {
-            const cat = expense.category || 'Uncategorized';
+        expenses.flatMap(expense => categoryUtils.getExpenseLines(expense)).forEach(line => {
+            const cat = line.category || 'Uncategorized';
             if (!categoryBreakdown[cat]) {
                 categoryBreakdown[cat] = 0;
             }
-            categoryBreakdown[cat] += expense.amount;
+            categoryBreakdown[cat] += line.amount;
         });
 
         // Build summary data
@@ -140,6 +177,9 @@ class ExportService {
             { 'Metric': 'Net Balance', 'Value': balance },
             { 'Metric': 'Number of Expenses', 'Value': expenses.length },
             { 'Metric': 'Number of Incomes', 'Value': incomes.length },
+            { 'Metric': 'Transfers In', 'Value': transfersIn },
+            { 'Metric': 'Transfers Out', 'Value': transfersOut },
+            { 'Metric': 'Transfer Fees', 'Value': transferFees },
             { 'Metric': '', 'Value': '' }, // Empty row
             { 'Metric': 'EXPENSES BY CATEGORY', 'Value': '' }
         ];
@@ -173,10 +213,10 @@ class ExportService {
         }
 
         const csvData = budgets
-            .filter(b => b.wallet_id === walletId)
+            .filter(b => b.walletId === walletId)
             .map(budget => {
-                const categoryName = budget.categories?.name || 'Unknown';
-                const status = this.state.getCategoryBudgetStatus(budget.category_id, walletId);
+                const categoryName = budget.categoryName || 'Unknown';
+                const status = this.state.getCategoryBudgetStatus(budget.categoryId, walletId);
                 
                 return {
                     'Category': categoryName,
@@ -185,7 +225,7 @@ class ExportService {
                     'Remaining': status?.remaining || 0,
                     'Percentage Used': status ? Math.round(status.percentage) + '%' : '0%',
                     'Status': status?.status || 'ok',
-                    'Period': budget.period || 'monthly'
+                    'Period': budget.period
                 };
             });
 
@@ -196,6 +236,21 @@ class ExportService {
 
     // ==================== HELPER METHODS ====================
 
+    /**
+     * One entry per category line: a split expense becomes several rows,
+     * labelled "Line 1 of 3" and so on
+     */
+    getExpenseLineRows(expenses) {
+        return expenses.flatMap(expense => {
+            const lines = categoryUtils.getExpenseLines(expense);
+            return lines.map((line, index) => ({
+                expense,
+                line,
+                split: lines.length > 1 ? `Line ${index + 1} of ${lines.length}` : '-'
+            }));
+        });
+    }
+
     /**
      * Filter expenses based on date range and wallet
      */
@@ -236,6 +291,25 @@ class ExportService {
         return incomes.sort((a, b) => new Date(b.date) - new Date(a.date));
     }
 
+    /**
+     * Transfers in the date range, one entry per side in the wallet - both
+     * sides when exporting every wallet
+     * @returns {Array} [{ transfer, outgoing }]
+     */
+    getTransferSides(filters) {
+        let transfers = this.state.getTransfers();
+
+        if (filters.dateRange) {
+            transfers = this.filterByDateRange(transfers, filters.dateRange, filters.startDate, filters.endDate);
+        }
+
+        const walletId = filters.walletId || this.state.getState().currentWalletId;
+        return transfers.flatMap(transfer => [
+            ...(!walletId || transfer.fromWalletId === walletId ? [{ transfer, outgoing: true }] : []),
+            ...(!walletId || transfer.toWalletId === walletId ? [{ transfer, outgoing: false }] : [])
+        ]);
+    }
+
     /**
      * Filter data by date range
      */
@@ -312,6 +386,15 @@ class ExportService {
         return '-';
     }
 
+    // Tags in one cell, e.g. "work trip, tax-deductible"
+    formatTags(record) {
+        return record.tags?.length > 0 ? record.tags.join(', ') : '-';
+    }
+
+    getPayeeName(record) {
+        return this.state.getMerchantName(record.merchantId) || '-';
+    }
+
     /**
      * Format date for export
      */
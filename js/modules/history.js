@@ -0,0 +1,125 @@
+// js/modules/history.js
+
+/**
+ * HISTORY MODULE
+ * Per-record change history from the audit log, and reverting a record
+ * to one of its earlier versions
+ */
+
+import { getState } from './state.js';
+
+const TYPE_TABLES = {
+    expense: 'expenses',
+    income: 'incomes'
+};
+
+// Fields a revert writes back. Reimbursement links are left alone so a
+// revert can't leave an income and its expenses pointing at different things.
+const REVERTIBLE_FIELDS = {
+    expenses: ['description', 'amount', 'date', 'category_id', 'subcategory_id', 'category', 'subcategory', 'wallet_id', 'splits', 'tags', 'merchant_id'],
+    incomes: ['description', 'amount', 'date', 'source', 'wallet_id', 'tags', 'merchant_id']
+};
+
+// A version without these had none
+const LIST_FIELDS = ['splits', 'tags'];
+
+// Bookkeeping columns that aren't shown as changes. The receipt columns are
+// only ever cleared, when their file moves into attachments
+const IGNORED_FIELDS = ['id', 'user_id', 'created_at', 'updated_at', 'receipt_url', 'receipt_thumbnail_url'];
+
+// Name snapshots that repeat an id change shown alongside them
+const SNAPSHOT_FIELDS = { category: 'category_id', subcategory: 'subcategory_id' };
+
+const historyError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+class HistoryService {
+    constructor(db) {
+        this.db = db;
+        this.state = getState();
+    }
+
+    /**
+     * Audit entries for a record, newest first
+     * @param {string} type - 'expense' or 'income'
+     * @param {string} id - Record id
+     */
+    async getHistory(type, id) {
+        if (this.db.syncQueue?.isOffline()) {
+            throw historyError('History is only available while online', 'OFFLINE');
+        }
+        return await this.db.getHistory(TYPE_TABLES[type], id);
+    }
+
+    /**
+     * Fields that differ between an entry's before and after snapshots
+     * @returns {Array} [{ field, before, after }]
+     */
+    getChanges(entry) {
+        const before = entry.before || {};
+        const after = entry.after || {};
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        const changed = fields
+            .filter(field => !IGNORED_FIELDS.includes(field))
+            .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+
+        return changed
+            .filter(field => !changed.includes(SNAPSHOT_FIELDS[field]))
+            .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+    }
+
+    canRevert(entry) {
+        return !!entry.after && !entry.after.deleted_at;
+    }
+
+    /**
+     * Write a version's fields back to the record
+     * @param {string} type - 'expense' or 'income'
+     * @param {Object} entry - Audit entry whose `after` snapshot is the version to restore
+     * @param {string|null} options.expectedUpdatedAt - updated_at the record had when
+     *   its history was opened; a newer one rejects the revert with VERSION_CONFLICT
+     */
+    async revert(type, entry, { expectedUpdatedAt } = {}) {
+        if (!this.canRevert(entry)) {
+            throw historyError('This version cannot be restored', 'NOT_REVERTIBLE');
+        }
+
+        const table = TYPE_TABLES[type];
+        const version = entry.after;
+
+        if (!this.state.getWallets().some(w => w.id === version.wallet_id)) {
+            throw historyError('The wallet from this version no longer exists', 'PARENT_DELETED');
+        }
+
+        const updates = Object.fromEntries(
+            REVERTIBLE_FIELDS[table].map(field => [field, version[field] ?? (LIST_FIELDS.includes(field) ? [] : null)])
+        );
+
+        // Through updateExpense/updateIncome, so split lines are checked against the amount
+        if (type === 'expense') {
+            const updated = await this.db.updateExpense(entry.recordId, updates, { expectedUpdatedAt });
+            const existing = this.state.getExpenses().find(e => e.id === entry.recordId);
+            this.state.updateExpense({ ...existing, ...updated });
+            return updated;
+        }
+
+        const updated = await this.db.updateIncome(entry.recordId, updates, { expectedUpdatedAt });
+        const existing = this.state.getIncomes().find(i => i.id === entry.recordId);
+        this.state.updateIncome({ ...existing, ...updated });
+        return updated;
+    }
+}
+
+// Create singleton instance
+let historyInstance = null;
+
+export const getHistoryService = (db) => {
+    if (!historyInstance) {
+        historyInstance = new HistoryService(db);
+    }
+    return historyInstance;
+};
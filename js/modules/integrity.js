@@ -0,0 +1,207 @@
+// js/modules/integrity.js
+
+/**
+ * INTEGRITY MODULE
+ * Finds reimbursement links where incomes and expenses disagree
+ * (incomes.linked_expense_ids vs expenses.linked_income_id and
+ * reimbursement_status) and repairs them
+ */
+
+import { getState } from './state.js';
+
+// Repairs offered for each kind of problem, suggested fix first
+const ISSUE_REPAIRS = {
+    income_missing: ['reset'],
+    not_listed: ['relink', 'reset'],
+    status_mismatch: ['relink', 'reset'],
+    expense_missing: ['unlist'],
+    not_reimbursable: ['unlist'],
+    claimed_elsewhere: ['unlist'],
+    not_linked_back: ['relink', 'unlist']
+};
+
+export const REPAIR_LABELS = {
+    reset: 'Reset to pending',
+    relink: 'Re-link',
+    unlist: 'Remove link'
+};
+
+// Stops repairAll from looping if a repair keeps producing new problems
+const MAX_REPAIR_PASSES = 3;
+
+class IntegrityChecker {
+    constructor(db) {
+        this.db = db;
+        this.state = getState();
+        this.issues = [];
+    }
+
+    /**
+     * Every inconsistent reimbursement link in state
+     * @returns {Array} [{ key, type, message, expenseId, incomeId, repairs }]
+     */
+    check() {
+        const expenses = this.state.getExpenses();
+        const incomes = this.state.getIncomes();
+        const issues = [];
+        // A record missing from state may just be in months not loaded yet
+        const canTellMissing = this.state.isHistoryComplete();
+
+        const add = (type, message, expenseId, incomeId = null) => {
+            issues.push({
+                key: `${type}:${incomeId || ''}:${expenseId}`,
+                type,
+                message,
+                expenseId,
+                incomeId,
+                repairs: ISSUE_REPAIRS[type]
+            });
+        };
+
+        // Expense side - its income must exist and list it back
+        expenses.forEach(expense => {
+            if (!expense.linkedIncomeId) {
+                if (expense.reimbursementStatus === 'reimbursed') {
+                    add('income_missing', `"${expense.description}" is marked reimbursed without a linked income`, expense.id);
+                }
+                return;
+            }
+
+            const income = incomes.find(i => i.id === expense.linkedIncomeId);
+
+            if (!income) {
+                if (canTellMissing) add('income_missing', `"${expense.description}" is marked reimbursed, but its income was deleted`, expense.id);
+            } else if (!income.isReimbursement || !(income.linkedExpenseIds || []).includes(expense.id)) {
+                add('not_listed', `"${expense.description}" points to "${income.description}", which doesn't list it`, expense.id, income.id);
+            } else if (expense.reimbursementStatus !== 'reimbursed') {
+                add('status_mismatch', `"${expense.description}" is linked to "${income.description}" but still ${expense.reimbursementStatus}`, expense.id, income.id);
+            }
+        });
+
+        // Income side - every listed expense must exist, be reimbursable and point back
+        incomes.forEach(income => {
+            (income.linkedExpenseIds || []).forEach(expenseId => {
+                const expense = expenses.find(e => e.id === expenseId);
+
+                if (!expense) {
+                    if (canTellMissing) add('expense_missing', `"${income.description}" lists an expense that was deleted`, expenseId, income.id);
+                } else if (!expense.isReimbursable) {
+                    add('not_reimbursable', `"${income.description}" lists "${expense.description}", which is not reimbursable`, expenseId, income.id);
+                } else if (!expense.linkedIncomeId) {
+                    add('not_linked_back', `"${income.description}" lists "${expense.description}", which is still ${expense.reimbursementStatus}`, expenseId, income.id);
+                } else if (expense.linkedIncomeId !== income.id && incomes.some(i => i.id === expense.linkedIncomeId)) {
+                    add('claimed_elsewhere', `"${income.description}" lists "${expense.description}", which another income reimburses`, expenseId, income.id);
+                }
+            });
+        });
+
+        this.issues = issues;
+        return issues;
+    }
+
+    /**
+     * Apply one repair to an issue from the latest check()
+     * @param {string} key - Issue key
+     * @param {string} action - One of the issue's repairs
+     */
+    async repair(key, action) {
+        const issue = this.check().find(i => i.key === key);
+        if (!issue) return false;
+
+        if (!issue.repairs.includes(action)) {
+            throw new Error(`Cannot ${action} this problem`);
+        }
+
+        switch (action) {
+            case 'reset':
+                await this.resetExpense(issue.expenseId);
+                break;
+            case 'relink':
+                await this.relink(issue.incomeId, issue.expenseId);
+                break;
+            case 'unlist':
+                await this.unlist(issue.incomeId, issue.expenseId);
+                break;
+        }
+
+        this.check();
+        return true;
+    }
+
+    /**
+     * Apply the suggested repair to every issue
+     * @returns {number} Number of problems fixed
+     */
+    async repairAll() {
+        const found = this.check().length;
+
+        for (let pass = 0; pass < MAX_REPAIR_PASSES && this.issues.length > 0; pass++) {
+            for (const issue of [...this.issues]) {
+                // An earlier repair may already have fixed this one
+                await this.repair(issue.key, issue.repairs[0]);
+            }
+        }
+        return found - this.issues.length;
+    }
+
+    // Expense back to pending, and off any income that still lists it
+    async resetExpense(expenseId) {
+        const expense = this.state.getExpenses().find(e => e.id === expenseId);
+        if (!expense) return;
+
+        const updated = await this.db.update('expenses', expenseId, {
+            reimbursement_status: expense.isReimbursable ? 'pending' : 'not_applicable',
+            linked_income_id: null
+        });
+        this.state.updateExpense({ ...expense, ...updated });
+
+        const listing = this.state.getIncomes().filter(i => (i.linkedExpenseIds || []).includes(expenseId));
+        for (const income of listing) {
+            await this.unlist(income.id, expenseId);
+        }
+    }
+
+    // Link both sides, keeping the income's other expenses that are still valid
+    async relink(incomeId, expenseId) {
+        const income = this.state.getIncomes().find(i => i.id === incomeId);
+        if (!income) return;
+
+        const expenseIds = [...new Set([...(income.linkedExpenseIds || []), expenseId])].filter(id => {
+            const expense = this.state.getExpenses().find(e => e.id === id);
+            return expense &&
+                (id === expenseId || expense.isReimbursable) &&
+                (!expense.linkedIncomeId || expense.linkedIncomeId === incomeId);
+        });
+
+        await this.db.relinkReimbursement(incomeId, expenseIds);
+        this.state.linkReimbursement(incomeId, expenseIds);
+    }
+
+    // Drop an expense from an income's list, clearing the expense's side if it points here
+    async unlist(incomeId, expenseId) {
+        const income = this.state.getIncomes().find(i => i.id === incomeId);
+        if (!income) return;
+
+        const linkedExpenseIds = (income.linkedExpenseIds || []).filter(id => id !== expenseId);
+        const updated = await this.db.update('incomes', incomeId, {
+            is_reimbursement: linkedExpenseIds.length > 0,
+            linked_expense_ids: linkedExpenseIds
+        });
+        this.state.updateIncome({ ...income, ...updated });
+
+        const expense = this.state.getExpenses().find(e => e.id === expenseId);
+        if (expense?.linkedIncomeId === incomeId) {
+            await this.resetExpense(expenseId);
+        }
+    }
+}
+
+// Create singleton instance
+let integrityInstance = null;
+
+export const getIntegrityChecker = (db) => {
+    if (!integrityInstance) {
+        integrityInstance = new IntegrityChecker(db);
+    }
+    return integrityInstance;
+};
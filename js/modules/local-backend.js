@@ -0,0 +1,1400 @@
+// js/modules/local-backend.js
+
+/**
+ * LOCAL BACKEND MODULE
+ * Storage backend with no Supabase project: data lives in localStorage
+ * (or in memory for tests). Implements the DatabaseService interface.
+ */
+
+import { caseUtils, categoryUtils, dateUtils, storageUtils, tagUtils, validationUtils, versionUtils } from './utils.js';
+import { models } from './models.js';
+import { toAppError } from './errors.js';
+
+const DB_KEY = 'fintrack_local_db';
+const USERS_KEY = 'fintrack_local_users';
+const SESSION_KEY = 'fintrack_local_session';
+
+const TABLES = ['expenses', 'incomes', 'wallets', 'categories', 'budgets', 'recurring_rules', 'transfers', 'merchants'];
+const AUDIT_TABLE = 'audit_log';
+
+// Key/value storage - localStorage when persisting, a Map otherwise
+const createKeyValueStore = (persist) => {
+    if (persist) {
+        return {
+            get: (key) => storageUtils.getItem(key),
+            set: (key, value) => {
+                if (!storageUtils.setItem(key, value)) {
+                    throw new Error('Local storage is full or unavailable');
+                }
+            },
+            remove: (key) => storageUtils.removeItem(key)
+        };
+    }
+
+    const memory = new Map();
+    return {
+        get: (key) => (memory.has(key) ? structuredClone(memory.get(key)) : null),
+        set: (key, value) => memory.set(key, structuredClone(value)),
+        remove: (key) => memory.delete(key)
+    };
+};
+
+const notFound = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const hashPassword = async (password) => {
+    const bytes = new TextEncoder().encode(password);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+};
+
+/**
+ * Minimal stand-in for supabase.auth used by AuthService
+ */
+class LocalAuth {
+    constructor(store) {
+        this.store = store;
+        this.callbacks = new Set();
+    }
+
+    async getSession() {
+        return { data: { session: this.store.get(SESSION_KEY) }, error: null };
+    }
+
+    onAuthStateChange(callback) {
+        this.callbacks.add(callback);
+        return {
+            data: {
+                subscription: { unsubscribe: () => this.callbacks.delete(callback) }
+            }
+        };
+    }
+
+    async signUp({ email, password }) {
+        const users = this.store.get(USERS_KEY) || {};
+        const key = email.toLowerCase();
+
+        if (users[key]) {
+            return { data: { user: null, session: null }, error: { message: 'User already registered' } };
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            email,
+            created_at: new Date().toISOString(),
+            identities: [{ provider: 'email' }]
+        };
+
+        users[key] = { user, passwordHash: await hashPassword(password) };
+        this.store.set(USERS_KEY, users);
+
+        const session = this.startSession(user);
+        return { data: { user, session }, error: null };
+    }
+
+    async signInWithPassword({ email, password }) {
+        const users = this.store.get(USERS_KEY) || {};
+        const entry = users[email.toLowerCase()];
+
+        if (!entry || entry.passwordHash !== await hashPassword(password)) {
+            return { data: { user: null, session: null }, error: { message: 'Invalid login credentials' } };
+        }
+
+        const session = this.startSession(entry.user);
+        return { data: { user: entry.user, session }, error: null };
+    }
+
+    async signOut() {
+        this.store.remove(SESSION_KEY);
+        this.notify('SIGNED_OUT', null);
+        return { error: null };
+    }
+
+    startSession(user) {
+        const session = { user, access_token: 'local', token_type: 'bearer' };
+        this.store.set(SESSION_KEY, session);
+        this.notify('SIGNED_IN', session);
+        return session;
+    }
+
+    notify(event, session) {
+        // Supabase fires auth events asynchronously
+        setTimeout(() => this.callbacks.forEach(callback => callback(event, session)), 0);
+    }
+}
+
+class LocalBackend {
+    constructor(client) {
+        this.client = client;
+        this.store = client.store;
+        this.supabase = null;
+        this.syncQueue = null;
+        this.user = null;
+        this.tables = this.load();
+    }
+
+    // User management
+    setUser(user) {
+        this.user = user;
+    }
+
+    getUser() {
+        return this.user;
+    }
+
+    // Data transformation helpers
+    toCamelCase(obj) {
+        return caseUtils.toCamelCase(obj);
+    }
+
+    // Rows in their state shape, normalized by the table's model. Budgets
+    // get the categories join first, as Supabase returns them.
+    toRecord(table, rows) {
+        if (table !== 'budgets' || !rows) return models.fromRow(table, rows);
+
+        const joined = Array.isArray(rows)
+            ? rows.map(budget => this.withCategoryJoin(budget))
+            : this.withCategoryJoin(rows);
+        return models.fromRow(table, joined);
+    }
+
+    toSnakeCase(obj) {
+        return caseUtils.toSnakeCase(obj);
+    }
+
+    // Persistence
+    load() {
+        const saved = this.store.get(DB_KEY) || {};
+        return Object.fromEntries([...TABLES, AUDIT_TABLE].map(table => [table, saved[table] || []]));
+    }
+
+    save() {
+        this.store.set(DB_KEY, this.tables);
+    }
+
+    requireUser() {
+        if (!this.user) throw new Error('Not authenticated');
+    }
+
+    // Every row the user owns, including ones in the Trash
+    userRows(table) {
+        return this.tables[table].filter(row => row.user_id === this.user.id);
+    }
+
+    // Rows outside the Trash - what every read returns
+    rows(table) {
+        return this.userRows(table).filter(row => !row.deleted_at);
+    }
+
+    findRow(table, id) {
+        return this.rows(table).find(row => row.id === id) || null;
+    }
+
+    insertRow(table, data) {
+        const row = {
+            ...data,
+            id: data.id || crypto.randomUUID(),
+            user_id: this.user.id,
+            created_at: new Date().toISOString()
+        };
+        this.tables[table].push(row);
+        this.recordAudit(table, 'create', null, row);
+        this.save();
+        return row;
+    }
+
+    updateRow(table, id, updates, action = 'update') {
+        const row = this.userRows(table).find(r => r.id === id);
+        if (!row) return null;
+
+        const before = structuredClone(row);
+        Object.assign(row, versionUtils.stamp(table, updates));
+        this.recordAudit(table, action, before, row);
+        this.save();
+        return row;
+    }
+
+    // Reject an edit that started from an older version of the row
+    assertCurrent(table, row, expectedUpdatedAt) {
+        if (versionUtils.isStale(row, expectedUpdatedAt)) {
+            throw versionUtils.conflictError(this.toRecord(table, row));
+        }
+    }
+
+    markDeleted(table, column, values, deletedAt) {
+        this.rows(table)
+            .filter(row => values.includes(row[column]))
+            .forEach(row => {
+                const before = structuredClone(row);
+                row.deleted_at = deletedAt;
+                this.recordAudit(table, 'delete', before, row);
+            });
+        this.save();
+    }
+
+    // Audit log - before/after snapshots, saved with the change itself
+    recordAudit(table, action, before, after) {
+        this.tables[AUDIT_TABLE].push({
+            id: crypto.randomUUID(),
+            user_id: this.user.id,
+            table_name: table,
+            record_id: (before || after).id,
+            action,
+            before: before ? structuredClone(before) : null,
+            after: after ? structuredClone(after) : null,
+            changed_by: this.user.email || this.user.id,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    async getHistory(table, recordId) {
+        this.requireUser();
+
+        const entries = this.userRows(AUDIT_TABLE)
+            .filter(entry => entry.table_name === table && entry.record_id === recordId)
+            .reverse();
+        return this.toCamelCase(this.sortRows(entries, 'created_at', false));
+    }
+
+    // Run a multi-row change as one unit - on error every table is put back
+    atomically(fn) {
+        const snapshot = structuredClone(this.tables);
+
+        try {
+            return fn();
+        } catch (error) {
+            this.tables = snapshot;
+            this.save();
+            throw error;
+        }
+    }
+
+    removeRows(table, ids) {
+        this.tables[table] = this.tables[table].filter(
+            row => row.user_id !== this.user.id || !ids.includes(row.id)
+        );
+        this.save();
+    }
+
+    sortRows(rows, column, ascending) {
+        return [...rows].sort((a, b) => {
+            if (a[column] === b[column]) return 0;
+            const result = a[column] > b[column] ? 1 : -1;
+            return ascending ? result : -result;
+        });
+    }
+
+    // Generic CRUD operations
+    async create(table, data) {
+        try {
+            this.requireUser();
+            return this.toRecord(table, this.insertRow(table, data));
+        } catch (error) {
+            console.error(`Error creating ${table}:`, error);
+            throw toAppError(error);
+        }
+    }
+
+    async read(table, filters = {}, orderBy = { column: 'created_at', ascending: false }) {
+        try {
+            this.requireUser();
+
+            let rows = this.rows(table);
+            Object.entries(this.toSnakeCase(filters)).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) {
+                    rows = rows.filter(row => row[key] === value);
+                }
+            });
+
+            if (orderBy) {
+                rows = this.sortRows(rows, orderBy.column, orderBy.ascending);
+            }
+
+            return this.toRecord(table, rows);
+        } catch (error) {
+            console.error(`Error reading ${table}:`, error);
+            throw toAppError(error);
+        }
+    }
+
+    async update(table, id, updates, { expectedUpdatedAt } = {}) {
+        try {
+            this.requireUser();
+
+            const existing = this.userRows(table).find(row => row.id === id);
+            if (!existing) throw notFound(`${table} record ${id} not found`, 'NOT_FOUND');
+            this.assertCurrent(table, existing, expectedUpdatedAt);
+
+            return this.toRecord(table, this.updateRow(table, id, updates));
+        } catch (error) {
+            console.error(`Error updating ${table}:`, error);
+            throw toAppError(error);
+        }
+    }
+
+    // Soft delete - the row gets a deleted_at marker and moves to the Trash
+    async delete(table, id) {
+        try {
+            this.requireUser();
+            this.markDeleted(table, 'id', [id], new Date().toISOString());
+            return true;
+        } catch (error) {
+            console.error(`Error deleting ${table}:`, error);
+            throw toAppError(error);
+        }
+    }
+
+    // Trash
+    async getDeleted() {
+        this.requireUser();
+
+        return Object.fromEntries(TABLES.map(table => {
+            const rows = this.sortRows(
+                this.userRows(table).filter(row => row.deleted_at),
+                'deleted_at',
+                false
+            );
+            return [table, this.toRecord(table, rows)];
+        }));
+    }
+
+    async restore(table, ids) {
+        try {
+            this.requireUser();
+
+            const rows = this.userRows(table).filter(row => ids.includes(row.id));
+            rows.forEach(row => {
+                const before = structuredClone(row);
+                Object.assign(row, versionUtils.stamp(table, { deleted_at: null }));
+                this.recordAudit(table, 'restore', before, row);
+            });
+            this.save();
+
+            return this.toRecord(table, rows);
+        } catch (error) {
+            console.error(`Error restoring ${table}:`, error);
+            throw toAppError(error);
+        }
+    }
+
+    // Permanent delete - only rows already in the Trash
+    async purge(table, ids) {
+        try {
+            this.requireUser();
+
+            const trashed = this.userRows(table).filter(row => row.deleted_at && ids.includes(row.id));
+            trashed.forEach(row => this.recordAudit(table, 'purge', row, null));
+            this.removeRows(table, trashed.map(row => row.id));
+            return true;
+        } catch (error) {
+            console.error(`Error purging ${table}:`, error);
+            throw toAppError(error);
+        }
+    }
+
+    // Expenses
+    async createExpense(expenseData, { expectedUpdatedAt } = {}) {
+        try {
+            this.requireUser();
+            models.assertValid('expense', expenseData);
+
+            const expenseRecord = {
+                wallet_id: expenseData.walletId,
+                description: expenseData.description,
+                amount: expenseData.amount,
+                date: expenseData.date,
+                category_id: expenseData.categoryId || null,
+                subcategory_id: expenseData.subcategoryId || null,
+                category: expenseData.category,
+                subcategory: expenseData.subcategory || null,
+                is_reimbursable: expenseData.isReimbursable || false,
+                reimbursement_status: expenseData.isReimbursable ? 'pending' : 'not_applicable',
+                ...(expenseData.recurringRuleId !== undefined && { recurring_rule_id: expenseData.recurringRuleId }),
+                ...(expenseData.attachments !== undefined && { attachments: expenseData.attachments }),
+                // Unsplit expenses store null, as on the server
+                ...(expenseData.splits !== undefined && { splits: expenseData.splits.length > 0 ? expenseData.splits : null }),
+                ...(expenseData.tags !== undefined && { tags: tagUtils.normalizeList(expenseData.tags) }),
+                ...(expenseData.merchantId !== undefined && { merchant_id: expenseData.merchantId || null })
+            };
+
+            if (expenseData.id) {
+                const existing = this.findRow('expenses', expenseData.id);
+                if (!existing) {
+                    throw notFound(`Expense with ID ${expenseData.id} not found`, 'EXPENSE_NOT_FOUND');
+                }
+                this.assertCurrent('expenses', existing, expectedUpdatedAt);
+
+                if (existing.reimbursement_status === 'reimbursed' &&
+                    !expenseData.isReimbursable &&
+                    existing.linked_income_id) {
+                    expenseRecord.linked_income_id = null;
+                }
+
+                return this.toRecord('expenses', this.updateRow('expenses', expenseData.id, expenseRecord));
+            }
+
+            return this.toRecord('expenses', this.insertRow('expenses', {
+                ...expenseRecord,
+                id: expenseData.clientId,
+                linked_income_id: null
+            }));
+        } catch (error) {
+            console.error('createExpense - Fatal error:', error);
+            throw toAppError(error);
+        }
+    }
+
+    // Receipts are stored inline as data URLs
+    async uploadReceipt(file, expenseId, { thumbnail } = {}) {
+        try {
+            this.requireUser();
+
+            const [path, thumbnailPath] = await Promise.all([
+                this.readAsDataUrl(file),
+                thumbnail ? this.readAsDataUrl(thumbnail) : null
+            ]);
+            return { path, thumbnailPath };
+        } catch (error) {
+            console.error('Error uploading receipt:', error);
+            throw toAppError(error);
+        }
+    }
+
+    readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Already a self-contained link - nothing to sign
+    async getReceiptUrl(receipt) {
+        return receipt || null;
+    }
+
+    async getReceiptUrls(receipts) {
+        return receipts.map(receipt => receipt || null);
+    }
+
+    // No storage bucket - every file lives on the row that references it
+    async listReceiptFiles() {
+        this.requireUser();
+        return [];
+    }
+
+    async deleteReceipt() {
+        // Nothing to remove - the data URL lives on the expense row
+        return true;
+    }
+
+    async getExpenses(filters = {}) {
+        return await this.read('expenses', filters, { column: 'date', ascending: false });
+    }
+
+    async updateExpense(id, updates, { expectedUpdatedAt } = {}) {
+        try {
+            this.requireUser();
+            models.assertValid('expense', updates, { partial: true });
+
+            const existing = this.findRow('expenses', id);
+            if (!existing) {
+                throw notFound(`Expense with ID ${id} not found or does not belong to user`, 'EXPENSE_NOT_FOUND');
+            }
+            this.assertCurrent('expenses', existing, expectedUpdatedAt);
+
+            // Split lines are checked against the amount they must add up to
+            if ((updates.splits ?? existing.splits)?.length > 0) {
+                models.assertValid('expense', { ...existing, ...updates });
+            }
+
+            const updateData = {};
+            ['description', 'amount', 'date', 'category_id', 'subcategory_id', 'category', 'subcategory', 'wallet_id', 'attachments', 'linked_income_id']
+                .forEach(field => {
+                    if (updates[field] !== undefined) updateData[field] = updates[field];
+                });
+            if (updates.splits !== undefined) updateData.splits = updates.splits.length > 0 ? updates.splits : null;
+            if (updates.tags !== undefined) updateData.tags = tagUtils.normalizeList(updates.tags);
+            if (updates.merchant_id !== undefined) updateData.merchant_id = updates.merchant_id || null;
+
+            if (updates.is_reimbursable !== undefined) {
+                updateData.is_reimbursable = updates.is_reimbursable;
+
+                if (!updates.is_reimbursable && existing.reimbursement_status !== 'not_applicable') {
+                    updateData.reimbursement_status = 'not_applicable';
+                    if (existing.reimbursement_status === 'reimbursed') updateData.linked_income_id = null;
+                } else if (updates.is_reimbursable && existing.reimbursement_status === 'not_applicable') {
+                    updateData.reimbursement_status = 'pending';
+                }
+            }
+
+            return this.toRecord('expenses', this.updateRow('expenses', id, updateData));
+        } catch (error) {
+            console.error('updateExpense - Fatal error:', error);
+            throw toAppError(error);
+        }
+    }
+
+    async deleteExpense(id) {
+        return await this.delete('expenses', id);
+    }
+
+    // Incomes
+    async createIncome(incomeData, { expectedUpdatedAt } = {}) {
+        try {
+            this.requireUser();
+            models.assertValid('income', incomeData);
+
+            const incomeRecord = {
+                description: incomeData.description,
+                amount: incomeData.amount,
+                date: incomeData.date,
+                source: incomeData.source,
+                wallet_id: incomeData.walletId,
+                is_reimbursement: incomeData.isReimbursement || false,
+                linked_expense_ids: incomeData.linkedExpenseIds || [],
+                ...(incomeData.recurringRuleId !== undefined && { recurring_rule_id: incomeData.recurringRuleId }),
+                ...(incomeData.attachments !== undefined && { attachments: incomeData.attachments }),
+                ...(incomeData.tags !== undefined && { tags: tagUtils.normalizeList(incomeData.tags) }),
+                ...(incomeData.merchantId !== undefined && { merchant_id: incomeData.merchantId || null })
+            };
+
+            if (incomeData.id) {
+                const existing = this.findRow('incomes', incomeData.id);
+                if (!existing) throw notFound(`Income with ID ${incomeData.id} not found`, 'INCOME_NOT_FOUND');
+                this.assertCurrent('incomes', existing, expectedUpdatedAt);
+
+                return this.toRecord('incomes', this.updateRow('incomes', incomeData.id, incomeRecord));
+            }
+
+            return this.atomically(() => {
+                const row = this.insertRow('incomes', { ...incomeRecord, id: incomeData.clientId });
+
+                if (incomeData.isReimbursement && incomeData.linkedExpenseIds?.length > 0) {
+                    return this.applyReimbursementLink('link', row.id, incomeData.linkedExpenseIds).income;
+                }
+
+                return this.toRecord('incomes', row);
+            });
+        } catch (error) {
+            console.error('createIncome - Error:', error);
+            throw toAppError(error);
+        }
+    }
+
+    async getIncomes(filters = {}) {
+        return await this.read('incomes', filters, { column: 'date', ascending: false });
+    }
+
+    async updateIncome(id, updates, { expectedUpdatedAt } = {}) {
+        try {
+            this.requireUser();
+            models.assertValid('income', updates, { partial: true });
+
+            const existing = this.findRow('incomes', id);
+            if (!existing) throw notFound(`Income with ID ${id} not found`, 'INCOME_NOT_FOUND');
+            this.assertCurrent('incomes', existing, expectedUpdatedAt);
+
+            const updateData = {};
+            ['description', 'amount', 'date', 'source', 'wallet_id', 'attachments'].forEach(field => {
+                if (updates[field] !== undefined) updateData[field] = updates[field];
+            });
+            if (updates.isReimbursement !== undefined) updateData.is_reimbursement = updates.isReimbursement;
+            if (updates.linkedExpenseIds !== undefined) updateData.linked_expense_ids = updates.linkedExpenseIds;
+            if (updates.tags !== undefined) updateData.tags = tagUtils.normalizeList(updates.tags);
+            if (updates.merchant_id !== undefined) updateData.merchant_id = updates.merchant_id || null;
+
+            return this.toRecord('incomes', this.updateRow('incomes', id, updateData));
+        } catch (error) {
+            console.error('updateIncome - Fatal error:', error);
+            throw toAppError(error);
+        }
+    }
+
+    async deleteIncome(id) {
+        return await this.delete('incomes', id);
+    }
+
+    // Wallets
+    async createWallet(walletData) {
+        this.requireUser();
+        models.assertValid('wallet', walletData);
+
+        const wallet = this.insertRow('wallets', {
+            id: walletData.clientId,
+            name: walletData.name,
+            is_default: !!walletData.isDefault
+        });
+
+        if (walletData.isDefault) {
+            this.unsetDefaultWallets(wallet.id);
+        }
+
+        return this.toRecord('wallets', wallet);
+    }
+
+    async getWallets() {
+        return await this.read('wallets');
+    }
+
+    async updateWallet(id, updates, options = {}) {
+        models.assertValid('wallet', updates, { partial: true });
+
+        const data = {};
+        if (updates.name) data.name = updates.name;
+
+        if (updates.isDefault !== undefined) {
+            data.is_default = updates.isDefault;
+            if (updates.isDefault) this.unsetDefaultWallets(id);
+        }
+
+        return await this.update('wallets', id, data, options);
+    }
+
+    // Transactions, transfers and budgets go to the Trash with the wallet
+    async deleteWallet(id) {
+        this.requireUser();
+
+        const deletedAt = new Date().toISOString();
+        this.markDeleted('expenses', 'wallet_id', [id], deletedAt);
+        this.markDeleted('incomes', 'wallet_id', [id], deletedAt);
+        this.markDeleted('transfers', 'from_wallet_id', [id], deletedAt);
+        this.markDeleted('transfers', 'to_wallet_id', [id], deletedAt);
+        this.markDeleted('budgets', 'wallet_id', [id], deletedAt);
+        this.markDeleted('wallets', 'id', [id], deletedAt);
+        return true;
+    }
+
+    // A budget for a category the target wallet already has, and a transfer
+    // with the target wallet, stay behind and go to the Trash with the wallet
+    async reassignWallet(id, targetWalletId) {
+        this.requireUser();
+        if (id === targetWalletId) throw new Error('Choose a different wallet to move into');
+
+        const budgeted = this.userRows('budgets')
+            .filter(budget => budget.wallet_id === targetWalletId)
+            .map(budget => budget.category_id);
+
+        const moveTo = { wallet_id: targetWalletId };
+        this.moveRows('expenses', 'wallet_id', id, moveTo);
+        this.moveRows('incomes', 'wallet_id', id, moveTo);
+        this.moveRows('transfers', 'from_wallet_id', id, { from_wallet_id: targetWalletId },
+            transfer => transfer.to_wallet_id !== targetWalletId);
+        this.moveRows('transfers', 'to_wallet_id', id, { to_wallet_id: targetWalletId },
+            transfer => transfer.from_wallet_id !== targetWalletId);
+        this.moveRows('budgets', 'wallet_id', id, moveTo, budget => !budgeted.includes(budget.category_id));
+        this.refileRuleTemplates('walletId', id, { walletId: targetWalletId });
+
+        return await this.deleteWallet(id);
+    }
+
+    async archiveWallet(id, archived = true) {
+        const updates = { archived_at: archived ? new Date().toISOString() : null };
+        if (archived) updates.is_default = false;
+
+        return await this.update('wallets', id, updates);
+    }
+
+    unsetDefaultWallets(exceptId = null) {
+        this.rows('wallets')
+            .filter(wallet => wallet.id !== exceptId)
+            .forEach(wallet => { wallet.is_default = false; });
+        this.save();
+    }
+
+    async setDefaultWallet(walletId) {
+        try {
+            this.requireUser();
+            this.unsetDefaultWallets(walletId);
+            return await this.update('wallets', walletId, { is_default: true });
+        } catch (error) {
+            console.error('Error setting default wallet:', error);
+            throw toAppError(error);
+        }
+    }
+
+    async getDefaultWallet() {
+        if (!this.user) return null;
+        const wallet = this.rows('wallets').find(w => w.is_default && !w.archived_at);
+        return wallet ? this.toRecord('wallets', wallet) : null;
+    }
+
+    // Categories
+    async createCategory(categoryData) {
+        try {
+            this.requireUser();
+
+            const data = {
+                name: categoryData.name,
+                type: categoryData.type || 'main',
+                parent_id: validationUtils.isValidUUID(categoryData.parentId) ? categoryData.parentId : null
+            };
+
+            if (categoryData.id && validationUtils.isValidUUID(categoryData.id)) {
+                return await this.updateCategory(categoryData.id, data);
+            }
+
+            return this.toCamelCase(this.insertRow('categories', { ...data, id: categoryData.clientId }));
+        } catch (error) {
+            console.error('Error in createCategory:', error);
+            throw toAppError(error);
+        }
+    }
+
+    async getCategories() {
+        return await this.read('categories', {}, { column: 'created_at', ascending: true });
+    }
+
+    async updateCategory(id, updates) {
+        const category = await this.update('categories', id, updates);
+        if (updates.name !== undefined) this.renameExpenseCategory(this.toSnakeCase(category));
+        return category;
+    }
+
+    // Refresh the name snapshot on expenses after a rename - the id stays the reference
+    renameExpenseCategory(category) {
+        const [idColumn, nameColumn] = category.type === 'sub'
+            ? ['subcategory_id', 'subcategory']
+            : ['category_id', 'category'];
+
+        this.userRows('expenses')
+            .filter(row => row[idColumn] === category.id && row[nameColumn] !== category.name)
+            .forEach(row => this.updateRow('expenses', row.id, { [nameColumn]: category.name }));
+
+        this.refileSplitLines(idColumn === 'category_id' ? 'categoryId' : 'subcategoryId', category.id, {
+            [nameColumn]: category.name
+        });
+    }
+
+    // Split lines keep their own category ids and names
+    refileSplitLines(field, fromId, updates) {
+        const changes = line => line[field] === fromId && Object.entries(updates).some(([key, value]) => line[key] !== value);
+
+        this.userRows('expenses')
+            .filter(row => row.splits?.some(changes))
+            .forEach(row => this.updateRow('expenses', row.id, {
+                splits: row.splits.map(line => changes(line) ? { ...line, ...updates } : line)
+            }));
+    }
+
+    // So are recurring rule templates, split lines included
+    refileRuleTemplates(field, fromId, updates) {
+        const changes = item => item[field] === fromId && Object.entries(updates).some(([key, value]) => item[key] !== value);
+        const refile = item => changes(item) ? { ...item, ...updates } : item;
+
+        this.userRows('recurring_rules')
+            .filter(row => changes(row.template) || row.template.splits?.some(changes))
+            .forEach(row => {
+                const template = refile(row.template);
+                if (row.template.splits) template.splits = row.template.splits.map(refile);
+                this.updateRow('recurring_rules', row.id, { template });
+            });
+    }
+
+    async migrateExpenseCategories() {
+        this.requireUser();
+
+        const categories = this.userRows('categories');
+        let migrated = 0;
+
+        this.userRows('expenses')
+            .filter(row => !row.category_id && row.category)
+            .forEach(row => {
+                const { categoryId, subcategoryId } = categoryUtils.matchCategoryIds(row.category, row.subcategory, categories);
+                if (!categoryId) return;
+
+                this.updateRow('expenses', row.id, { category_id: categoryId, subcategory_id: subcategoryId });
+                migrated++;
+            });
+        return migrated;
+    }
+
+    // Receipts never had public URLs here
+    async migrateReceiptPaths() {
+        this.requireUser();
+        return 0;
+    }
+
+    async migrateReceiptAttachments() {
+        this.requireUser();
+
+        const rows = this.userRows('expenses').filter(row => row.receipt_url);
+        rows.forEach(row => {
+            const receipt = { path: row.receipt_url, thumbnailPath: row.receipt_thumbnail_url || null, caption: '' };
+            this.updateRow('expenses', row.id, {
+                attachments: [receipt, ...(row.attachments || [])],
+                receipt_url: null,
+                receipt_thumbnail_url: null
+            });
+        });
+        return rows.length;
+    }
+
+    // Update every row (trashed ones too) whose `column` is fromId
+    moveRows(table, column, fromId, updates, shouldMove = () => true) {
+        this.userRows(table)
+            .filter(row => row[column] === fromId)
+            .filter(shouldMove)
+            .forEach(row => this.updateRow(table, row.id, updates));
+    }
+
+    assertCategoryChange(message, code) {
+        if (!message) return;
+
+        const error = new Error(message);
+        error.code = code;
+        throw error;
+    }
+
+    // A budget the target already has in a wallet wins; the source's goes to
+    // the Trash with the source category
+    async mergeCategory(sourceId, targetId) {
+        this.requireUser();
+
+        const source = this.findRow('categories', sourceId);
+        const target = this.findRow('categories', targetId);
+        this.assertCategoryChange(categoryUtils.getMergeError(source, target), 'INVALID_CATEGORY_MERGE');
+
+        const budgetedWallets = this.userRows('budgets')
+            .filter(budget => budget.category_id === targetId)
+            .map(budget => budget.wallet_id);
+
+        if (target.type === 'sub') {
+            const parent = this.userRows('categories').find(c => c.id === target.parent_id);
+            this.moveRows('expenses', 'subcategory_id', sourceId, {
+                subcategory_id: targetId,
+                subcategory: target.name,
+                category_id: target.parent_id,
+                category: parent?.name ?? null
+            });
+            this.refileSplitLines('subcategoryId', sourceId, {
+                subcategoryId: targetId,
+                subcategory: target.name,
+                categoryId: target.parent_id,
+                category: parent?.name ?? null
+            });
+            this.moveRows('merchants', 'default_subcategory_id', sourceId, {
+                default_subcategory_id: targetId,
+                default_category_id: target.parent_id
+            });
+            this.refileRuleTemplates('subcategoryId', sourceId, {
+                subcategoryId: targetId,
+                subcategory: target.name,
+                categoryId: target.parent_id,
+                category: parent?.name ?? null
+            });
+        } else {
+            this.moveRows('expenses', 'category_id', sourceId, { category_id: targetId, category: target.name });
+            this.refileSplitLines('categoryId', sourceId, { categoryId: targetId, category: target.name });
+            this.moveRows('categories', 'parent_id', sourceId, { parent_id: targetId });
+            this.moveRows('merchants', 'default_category_id', sourceId, { default_category_id: targetId });
+            this.refileRuleTemplates('categoryId', sourceId, { categoryId: targetId, category: target.name });
+        }
+        this.moveRows('budgets', 'category_id', sourceId, { category_id: targetId },
+            budget => !budgetedWallets.includes(budget.wallet_id));
+
+        return await this.deleteCategory(sourceId);
+    }
+
+    async moveSubcategory(id, parentId) {
+        this.requireUser();
+
+        const subcategory = this.findRow('categories', id);
+        const parent = this.findRow('categories', parentId);
+        this.assertCategoryChange(categoryUtils.getMoveError(subcategory, parent), 'INVALID_CATEGORY_MOVE');
+
+        this.moveRows('expenses', 'subcategory_id', id, { category_id: parentId, category: parent.name });
+        this.refileSplitLines('subcategoryId', id, { categoryId: parentId, category: parent.name });
+        this.moveRows('merchants', 'default_subcategory_id', id, { default_category_id: parentId });
+        this.refileRuleTemplates('subcategoryId', id, { categoryId: parentId, category: parent.name });
+        return await this.update('categories', id, { parent_id: parentId });
+    }
+
+    // Subcategories and budgets go to the Trash with the category
+    async deleteCategory(id) {
+        this.requireUser();
+
+        const categoryIds = [id, ...this.rows('categories').filter(c => c.parent_id === id).map(c => c.id)];
+        const deletedAt = new Date().toISOString();
+        this.markDeleted('budgets', 'category_id', categoryIds, deletedAt);
+        this.markDeleted('categories', 'id', categoryIds, deletedAt);
+        return true;
+    }
+
+    // Aggregated queries - the same totals the Supabase functions in
+    // sql/aggregates.sql return, worked out over the stored rows
+    rowsBetween(table, startDate, endDate, walletId) {
+        return this.rows(table).filter(row => {
+            const date = String(row.date).slice(0, 10);
+            return date >= startDate && (!endDate || date <= endDate) && (!walletId || row.wallet_id === walletId);
+        });
+    }
+
+    sumAmounts(rows) {
+        return rows.reduce((sum, row) => sum + row.amount, 0);
+    }
+
+    async getMonthlySummary(month, year, walletId = null) {
+        const { expenses, income, expenseCount, incomeCount } = await this.getRangeTotals(
+            dateUtils.toISODate(new Date(year, month, 1)),
+            dateUtils.toISODate(new Date(year, month + 1, 0)),
+            walletId
+        );
+
+        return {
+            expenses,
+            incomes: income,
+            balance: income - expenses,
+            expenseCount,
+            incomeCount
+        };
+    }
+
+    async getRangeTotals(startDate, endDate, walletId = null) {
+        this.requireUser();
+
+        const expenses = this.rowsBetween('expenses', startDate, endDate, walletId);
+        const incomes = this.rowsBetween('incomes', startDate, endDate, walletId);
+
+        return {
+            expenses: this.sumAmounts(expenses),
+            income: this.sumAmounts(incomes),
+            expenseCount: expenses.length,
+            incomeCount: incomes.length
+        };
+    }
+
+    async getPeriodTotals(walletId = null) {
+        this.requireUser();
+
+        const totals = new Map();
+        const add = (row, amountKey, countKey) => {
+            if (walletId && row.wallet_id !== walletId) return;
+
+            const periodKey = dateUtils.getPeriodKey(row.date);
+            const key = `${periodKey}|${row.wallet_id}`;
+            if (!totals.has(key)) {
+                totals.set(key, { periodKey, walletId: row.wallet_id, expenses: 0, income: 0, expenseCount: 0, incomeCount: 0 });
+            }
+            totals.get(key)[amountKey] += row.amount;
+            totals.get(key)[countKey]++;
+        };
+
+        this.rows('expenses').forEach(row => add(row, 'expenses', 'expenseCount'));
+        this.rows('incomes').forEach(row => add(row, 'income', 'incomeCount'));
+
+        return [...totals.values()].sort((a, b) => a.periodKey.localeCompare(b.periodKey));
+    }
+
+    async getCategoryTotals(startDate, endDate, walletId = null) {
+        this.requireUser();
+
+        const categories = this.userRows('categories');
+        const nameOf = (id, fallback) => categories.find(c => c.id === id)?.name || fallback || null;
+        const totals = new Map();
+
+        // Each split line counts towards its own category
+        this.rowsBetween('expenses', startDate, endDate, walletId).forEach(row => {
+            categoryUtils.getExpenseLines(row).forEach(line => {
+                const key = [line.categoryId, line.category, line.subcategoryId, line.subcategory, row.wallet_id].join('|');
+                if (!totals.has(key)) {
+                    totals.set(key, {
+                        categoryId: line.categoryId || null,
+                        category: nameOf(line.categoryId, line.category),
+                        subcategoryId: line.subcategoryId || null,
+                        subcategory: nameOf(line.subcategoryId, line.subcategory),
+                        walletId: row.wallet_id,
+                        total: 0,
+                        count: 0
+                    });
+                }
+                totals.get(key).total += Number(line.amount);
+                totals.get(key).count++;
+            });
+        });
+
+        return [...totals.values()];
+    }
+
+    async getTagTotals(startDate, endDate, walletId = null) {
+        this.requireUser();
+
+        const totals = new Map();
+        const add = (row, amountKey, countKey) => (row.tags || []).forEach(tag => {
+            if (!totals.has(tag)) totals.set(tag, { tag, expenses: 0, expenseCount: 0, income: 0, incomeCount: 0 });
+            totals.get(tag)[amountKey] += row.amount;
+            totals.get(tag)[countKey]++;
+        });
+
+        this.rowsBetween('expenses', startDate, endDate, walletId).forEach(row => add(row, 'expenses', 'expenseCount'));
+        this.rowsBetween('incomes', startDate, endDate, walletId).forEach(row => add(row, 'income', 'incomeCount'));
+
+        return [...totals.values()];
+    }
+
+    async getMerchantTotals(startDate, endDate, walletId = null) {
+        this.requireUser();
+
+        const totals = new Map();
+        const add = (row, amountKey, countKey) => {
+            if (!row.merchant_id) return;
+            if (!totals.has(row.merchant_id)) {
+                totals.set(row.merchant_id, { merchantId: row.merchant_id, expenses: 0, expenseCount: 0, income: 0, incomeCount: 0 });
+            }
+            totals.get(row.merchant_id)[amountKey] += row.amount;
+            totals.get(row.merchant_id)[countKey]++;
+        };
+
+        this.rowsBetween('expenses', startDate, endDate, walletId).forEach(row => add(row, 'expenses', 'expenseCount'));
+        this.rowsBetween('incomes', startDate, endDate, walletId).forEach(row => add(row, 'income', 'incomeCount'));
+
+        return [...totals.values()];
+    }
+
+    async getDailyTotals(startDate, endDate, walletId = null) {
+        this.requireUser();
+
+        const totals = new Map();
+        this.rowsBetween('expenses', startDate, endDate, walletId).forEach(row => {
+            const date = String(row.date).slice(0, 10);
+            totals.set(date, (totals.get(date) || 0) + row.amount);
+        });
+
+        return [...totals.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, total]) => ({ date, total }));
+    }
+
+    async getExpensesBetween(startDate, endDate, { walletId = null, categoryIds = null } = {}) {
+        this.requireUser();
+
+        const rows = this.rowsBetween('expenses', startDate, endDate, walletId)
+            .filter(row => !categoryIds || categoryUtils.getExpenseLines(row).some(line => categoryIds.includes(line.categoryId)));
+        return this.toRecord('expenses', this.sortRows(rows, 'date', false));
+    }
+
+    async getIncomesBetween(startDate, endDate, { walletId = null } = {}) {
+        this.requireUser();
+
+        const rows = this.rowsBetween('incomes', startDate, endDate, walletId);
+        return this.toRecord('incomes', this.sortRows(rows, 'date', false));
+    }
+
+    async getChangedSince(table, since) {
+        this.requireUser();
+
+        const rows = this.userRows(table).filter(row =>
+            [row.created_at, row.updated_at, row.deleted_at].some(time => time && time > since)
+        );
+        return this.toRecord(table, this.sortRows(rows, 'date', false));
+    }
+
+    // Everything here is stamped by this device's clock
+    async getServerTime() {
+        this.requireUser();
+        return new Date().toISOString();
+    }
+
+    async getTotalsBefore(date) {
+        this.requireUser();
+
+        const totals = new Map();
+        const add = (row, amountKey, countKey) => {
+            const day = String(row.date).slice(0, 10);
+            if (day >= date) return;
+
+            if (!totals.has(row.wallet_id)) {
+                totals.set(row.wallet_id, { walletId: row.wallet_id, expenses: 0, income: 0, expenseCount: 0, incomeCount: 0, firstDate: day });
+            }
+            const walletTotals = totals.get(row.wallet_id);
+            walletTotals[amountKey] += row.amount;
+            walletTotals[countKey]++;
+            if (day < walletTotals.firstDate) walletTotals.firstDate = day;
+        };
+
+        this.rows('expenses').forEach(row => add(row, 'expenses', 'expenseCount'));
+        this.rows('incomes').forEach(row => add(row, 'income', 'incomeCount'));
+
+        return [...totals.values()];
+    }
+
+    async batchDeleteExpenses(expenseIds) {
+        this.requireUser();
+        this.markDeleted('expenses', 'id', expenseIds, new Date().toISOString());
+        return true;
+    }
+
+    async batchDeleteIncomes(incomeIds) {
+        this.requireUser();
+        this.markDeleted('incomes', 'id', incomeIds, new Date().toISOString());
+        return true;
+    }
+
+    async batchUpdate(table, ids, updates) {
+        this.requireUser();
+        return ids
+            .filter(id => this.findRow(table, id))
+            .map(id => this.toRecord(table, this.updateRow(table, id, updates)));
+    }
+
+    async batchSetReimbursable(expenseIds, isReimbursable) {
+        this.requireUser();
+
+        const ids = expenseIds.filter(id => {
+            const expense = this.findRow('expenses', id);
+            return expense && !expense.linked_income_id;
+        });
+
+        return await this.batchUpdate('expenses', ids, {
+            is_reimbursable: isReimbursable,
+            reimbursement_status: isReimbursable ? 'pending' : 'not_applicable'
+        });
+    }
+
+    // Budgets - the categories join Supabase returns with them
+    withCategoryJoin(budget) {
+        const category = this.userRows('categories').find(c => c.id === budget.category_id);
+        return {
+            ...budget,
+            categories: category ? { name: category.name, type: category.type } : null
+        };
+    }
+
+    async createBudget(budgetData) {
+        try {
+            this.requireUser();
+            models.assertValid('budget', budgetData);
+
+            // A trashed budget for the same wallet and category is brought back
+            const existing = this.userRows('budgets').find(
+                b => b.wallet_id === budgetData.walletId && b.category_id === budgetData.categoryId
+            );
+
+            const budgetRecord = {
+                amount: budgetData.amount,
+                period: budgetData.period || 'monthly',
+                start_date: budgetData.startDate || new Date().toISOString().split('T')[0],
+                updated_at: new Date().toISOString(),
+                deleted_at: null
+            };
+
+            const row = existing
+                ? this.updateRow('budgets', existing.id, budgetRecord)
+                : this.insertRow('budgets', {
+                    ...budgetRecord,
+                    id: budgetData.clientId,
+                    wallet_id: budgetData.walletId,
+                    category_id: budgetData.categoryId
+                });
+
+            return this.toRecord('budgets', row);
+        } catch (error) {
+            console.error('createBudget - Fatal error:', error);
+            throw toAppError(error);
+        }
+    }
+
+    async getBudgets() {
+        if (!this.user) return [];
+        return this.toRecord('budgets', this.rows('budgets'));
+    }
+
+    async deleteBudget(id) {
+        return await this.delete('budgets', id);
+    }
+
+    // Transfers
+    async createTransfer(transferData) {
+        models.assertValid('transfer', transferData);
+        return await this.create('transfers', models.toRow('transfer', transferData));
+    }
+
+    async getTransfers() {
+        return await this.read('transfers', {}, { column: 'date', ascending: false });
+    }
+
+    async deleteTransfer(id) {
+        return await this.delete('transfers', id);
+    }
+
+    // Merchants
+    async createMerchant(merchantData) {
+        models.assertValid('merchant', merchantData);
+        return await this.create('merchants', models.toRow('merchant', merchantData));
+    }
+
+    async getMerchants() {
+        return await this.read('merchants', {}, { column: 'name', ascending: true });
+    }
+
+    async updateMerchant(id, updates) {
+        models.assertValid('merchant', updates, { partial: true });
+        return await this.update('merchants', id, models.toRow('merchant', updates));
+    }
+
+    async deleteMerchant(id) {
+        return await this.delete('merchants', id);
+    }
+
+    // Reimbursements
+    async getPendingReimbursableExpenses(walletId) {
+        this.requireUser();
+
+        const rows = this.rows('expenses').filter(e =>
+            e.wallet_id === walletId && e.is_reimbursable && e.reimbursement_status === 'pending'
+        );
+        return this.toRecord('expenses', this.sortRows(rows, 'date', false));
+    }
+
+    // Every selected expense must exist and not be reimbursed by another income
+    assertLinkable(incomeId, expenseIds) {
+        const expenses = expenseIds.map(id => this.findRow('expenses', id));
+
+        const missing = expenses.filter(e => !e).length;
+        if (missing > 0) {
+            throw notFound(`${missing} selected expense${missing > 1 ? 's no longer exist' : ' no longer exists'}`, 'EXPENSE_NOT_FOUND');
+        }
+
+        const taken = expenses.find(e => e.linked_income_id && e.linked_income_id !== incomeId);
+        if (taken) {
+            const error = new Error(`"${taken.description}" is already reimbursed by another income`);
+            error.code = 'EXPENSE_ALREADY_REIMBURSED';
+            throw error;
+        }
+    }
+
+    // Unlinked expenses go back to pending, or not_applicable if they aren't reimbursable
+    unlinkedExpenseFields(expense) {
+        return {
+            reimbursement_status: expense.is_reimbursable ? 'pending' : 'not_applicable',
+            linked_income_id: null
+        };
+    }
+
+    async linkReimbursement(incomeId, expenseIds) {
+        return this.applyReimbursementLink('link', incomeId, expenseIds);
+    }
+
+    async relinkReimbursement(incomeId, expenseIds, options = {}) {
+        return this.applyReimbursementLink('relink', incomeId, expenseIds, options);
+    }
+
+    // Expenses previously linked to the income but not in expenseIds go back to pending
+    applyReimbursementLink(action, incomeId, expenseIds, { expectedUpdatedAt } = {}) {
+        try {
+            this.requireUser();
+
+            return this.atomically(() => {
+                const income = this.findRow('incomes', incomeId);
+                if (!income) throw notFound(`Income with ID ${incomeId} not found`, 'INCOME_NOT_FOUND');
+                this.assertCurrent('incomes', income, expectedUpdatedAt);
+
+                this.assertLinkable(incomeId, expenseIds);
+
+                (income.linked_expense_ids || [])
+                    .filter(id => !expenseIds.includes(id))
+                    .map(id => this.findRow('expenses', id))
+                    .filter(e => e && (!e.linked_income_id || e.linked_income_id === incomeId))
+                    .forEach(e => {
+                        this.updateRow('expenses', e.id, this.unlinkedExpenseFields(e), action);
+                    });
+
+                const updated = this.updateRow('incomes', incomeId, {
+                    is_reimbursement: true,
+                    linked_expense_ids: expenseIds
+                }, action);
+
+                const expenses = expenseIds.map(id => this.updateRow('expenses', id, {
+                    reimbursement_status: 'reimbursed',
+                    linked_income_id: incomeId
+                }, action));
+
+                return {
+                    income: this.toRecord('incomes', updated),
+                    expenses: this.toRecord('expenses', expenses)
+                };
+            });
+        } catch (error) {
+            console.error(`Error in ${action}Reimbursement:`, error);
+            throw toAppError(error);
+        }
+    }
+
+    async unlinkReimbursement(incomeId, { expectedUpdatedAt } = {}) {
+        try {
+            this.requireUser();
+
+            return this.atomically(() => {
+                const income = this.findRow('incomes', incomeId);
+                if (!income) throw notFound(`Income with ID ${incomeId} not found`, 'INCOME_NOT_FOUND');
+                this.assertCurrent('incomes', income, expectedUpdatedAt);
+
+                // Leave alone expenses that another income has since claimed
+                (income.linked_expense_ids || [])
+                    .map(id => this.findRow('expenses', id))
+                    .filter(e => e && (!e.linked_income_id || e.linked_income_id === incomeId))
+                    .forEach(e => {
+                        this.updateRow('expenses', e.id, this.unlinkedExpenseFields(e), 'unlink');
+                    });
+
+                return this.toRecord('incomes', this.updateRow('incomes', incomeId, {
+                    is_reimbursement: false,
+                    linked_expense_ids: []
+                }, 'unlink'));
+            });
+        } catch (error) {
+            console.error('Error unlinking reimbursement:', error);
+            throw toAppError(error);
+        }
+    }
+
+    async getLinkedIncome(expenseId) {
+        this.requireUser();
+
+        const expense = this.findRow('expenses', expenseId);
+        if (!expense?.linked_income_id) return null;
+        return this.toRecord('incomes', this.findRow('incomes', expense.linked_income_id));
+    }
+
+    async getLinkedExpenses(incomeId) {
+        this.requireUser();
+
+        const ids = this.findRow('incomes', incomeId)?.linked_expense_ids || [];
+        const rows = this.rows('expenses').filter(e => ids.includes(e.id));
+        return this.toRecord('expenses', this.sortRows(rows, 'date', false));
+    }
+
+    async getPendingReimbursementTotal(walletId) {
+        const pending = await this.getPendingReimbursableExpenses(walletId);
+        return pending.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
+    }
+
+    // Single device - there are no remote changes to listen for
+    subscribeToChanges() {
+        return () => {};
+    }
+}
+
+/**
+ * Create a client object that AuthService and getDatabase accept in place
+ * of a Supabase client
+ * @param {Object} options
+ * @param {boolean} options.persist - Keep data in localStorage (false = memory only)
+ */
+export const createLocalClient = ({ persist = true } = {}) => {
+    const store = createKeyValueStore(persist);
+    return {
+        isLocal: true,
+        persist,
+        store,
+        auth: new LocalAuth(store)
+    };
+};
+
+export { LocalBackend };
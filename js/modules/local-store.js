@@ -0,0 +1,205 @@
+// js/modules/local-store.js
+
+/**
+ * LOCAL STORE MODULE
+ * IndexedDB copy of user data and the offline write queue
+ */
+
+const DB_NAME = 'fintrack';
+// Bumped when a store is added, so onupgradeneeded creates it
+const DB_VERSION = 3;
+
+export const DATA_STORES = ['expenses', 'incomes', 'wallets', 'categories', 'budgets', 'transfers', 'merchants'];
+const QUEUE_STORE = 'syncQueue';
+const META_STORE = 'meta';
+
+class LocalStore {
+    constructor() {
+        this.dbPromise = null;
+        this.unsubscribers = [];
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                DATA_STORES.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+                if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                    db.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    // Run a callback inside a transaction and resolve once it commits
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+
+            result = callback(tx);
+        });
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Data stores
+    async getAll(storeName) {
+        try {
+            const db = await this.open();
+            const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+            return await this.requestToPromise(store.getAll());
+        } catch (error) {
+            console.error(`LocalStore - Error reading ${storeName}:`, error);
+            return [];
+        }
+    }
+
+    async replaceAll(storeName, records) {
+        try {
+            await this.transaction(storeName, 'readwrite', (tx) => {
+                const store = tx.objectStore(storeName);
+                store.clear();
+                (records || []).forEach(record => store.put(record));
+            });
+            return true;
+        } catch (error) {
+            console.error(`LocalStore - Error writing ${storeName}:`, error);
+            return false;
+        }
+    }
+
+    async loadSnapshot() {
+        const entries = await Promise.all(
+            DATA_STORES.map(async name => [name, await this.getAll(name)])
+        );
+        return Object.fromEntries(entries);
+    }
+
+    async saveSnapshot(snapshot) {
+        await Promise.all(
+            DATA_STORES
+                .filter(name => Array.isArray(snapshot[name]))
+                .map(name => this.replaceAll(name, snapshot[name]))
+        );
+    }
+
+    // Meta (owner of the cached data, last sync time)
+    async getMeta(key) {
+        try {
+            const db = await this.open();
+            const store = db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+            const entry = await this.requestToPromise(store.get(key));
+            return entry ? entry.value : null;
+        } catch (error) {
+            console.error('LocalStore - Error reading meta:', error);
+            return null;
+        }
+    }
+
+    async setMeta(key, value) {
+        try {
+            await this.transaction(META_STORE, 'readwrite', (tx) => {
+                tx.objectStore(META_STORE).put({ key, value });
+            });
+        } catch (error) {
+            console.error('LocalStore - Error writing meta:', error);
+        }
+    }
+
+    // Sync queue (ordered by auto-increment sequence)
+    async addToQueue(entry) {
+        return await this.transaction(QUEUE_STORE, 'readwrite', (tx) => {
+            tx.objectStore(QUEUE_STORE).add(entry);
+        });
+    }
+
+    async getQueue() {
+        try {
+            const db = await this.open();
+            const store = db.transaction(QUEUE_STORE, 'readonly').objectStore(QUEUE_STORE);
+            return await this.requestToPromise(store.getAll());
+        } catch (error) {
+            console.error('LocalStore - Error reading sync queue:', error);
+            return [];
+        }
+    }
+
+    async removeFromQueue(seq) {
+        await this.transaction(QUEUE_STORE, 'readwrite', (tx) => {
+            tx.objectStore(QUEUE_STORE).delete(seq);
+        });
+    }
+
+    async clear() {
+        try {
+            await this.transaction([...DATA_STORES, QUEUE_STORE, META_STORE], 'readwrite', (tx) => {
+                [...DATA_STORES, QUEUE_STORE, META_STORE].forEach(name => tx.objectStore(name).clear());
+            });
+        } catch (error) {
+            console.error('LocalStore - Error clearing store:', error);
+        }
+    }
+
+    /**
+     * Mirror state collections into IndexedDB whenever they change
+     * @param {Object} state - FinTrackState instance
+     */
+    attachToState(state) {
+        this.detachFromState();
+
+        this.unsubscribers = DATA_STORES.map(name =>
+            state.subscribe(name, (records) => {
+                // Signed out - the store is cleared explicitly on sign out
+                if (!state.getUser()) return;
+                this.replaceAll(name, records);
+            })
+        );
+    }
+
+    detachFromState() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Create singleton instance
+let localStoreInstance = null;
+
+export const getLocalStore = () => {
+    if (!localStoreInstance) {
+        localStoreInstance = new LocalStore();
+    }
+    return localStoreInstance;
+};
@@ -0,0 +1,307 @@
+// js/modules/models.js
+
+/**
+ * MODELS MODULE
+ * One definition per entity - its fields, types and required/optional
+ * rules - and the conversions between database rows (snake_case) and the
+ * camelCase records kept in state
+ */
+
+import { caseUtils, merchantUtils, tagUtils } from './utils.js';
+
+// Bookkeeping columns every table has. Read back, never written by the app.
+const SYSTEM_FIELDS = {
+    id: { type: 'id' },
+    userId: { type: 'id' },
+    createdAt: { type: 'timestamp' },
+    updatedAt: { type: 'timestamp' },
+    deletedAt: { type: 'timestamp' }
+};
+
+export const MODELS = {
+    expense: {
+        table: 'expenses',
+        fields: {
+            walletId: { type: 'id', required: true, message: 'Select a wallet first' },
+            description: { type: 'string', required: true, message: 'Enter a description' },
+            amount: { type: 'amount', required: true, message: 'Enter a valid amount' },
+            date: { type: 'date', required: true, message: 'Enter a valid date' },
+            categoryId: { type: 'id' },
+            subcategoryId: { type: 'id' },
+            // Names are kept as a snapshot for rows whose category is later purged
+            category: { type: 'string', required: true, message: 'Select a category' },
+            subcategory: { type: 'string' },
+            isReimbursable: { type: 'boolean' },
+            reimbursementStatus: {
+                type: 'enum',
+                values: ['not_applicable', 'pending', 'reimbursed'],
+                default: 'not_applicable'
+            },
+            linkedIncomeId: { type: 'id' },
+            recurringRuleId: { type: 'id' },
+            attachments: { type: 'attachmentList', message: 'Every attachment needs a file' },
+            // Empty unless the expense is split across categories. The category
+            // fields above then hold the first line's, for views showing one.
+            splits: { type: 'splitList', message: 'Every split line needs an amount and a category' },
+            tags: { type: 'tagList', message: `Tags can be up to ${tagUtils.MAX_LENGTH} characters` },
+            // The payee
+            merchantId: { type: 'id' }
+        },
+        check: record => splitProblem(record)
+    },
+    income: {
+        table: 'incomes',
+        fields: {
+            walletId: { type: 'id', required: true, message: 'Select a wallet first' },
+            description: { type: 'string', required: true, message: 'Enter a description' },
+            amount: { type: 'amount', required: true, message: 'Enter a valid amount' },
+            date: { type: 'date', required: true, message: 'Enter a valid date' },
+            source: { type: 'string', required: true, message: 'Select a source' },
+            isReimbursement: { type: 'boolean' },
+            linkedExpenseIds: { type: 'idList' },
+            recurringRuleId: { type: 'id' },
+            attachments: { type: 'attachmentList', message: 'Every attachment needs a file' },
+            tags: { type: 'tagList', message: `Tags can be up to ${tagUtils.MAX_LENGTH} characters` },
+            // The payer
+            merchantId: { type: 'id' }
+        }
+    },
+    wallet: {
+        table: 'wallets',
+        fields: {
+            name: { type: 'string', required: true, message: 'Enter a wallet name' },
+            isDefault: { type: 'boolean' },
+            archivedAt: { type: 'timestamp' }
+        }
+    },
+    budget: {
+        table: 'budgets',
+        fields: {
+            walletId: { type: 'id', required: true, message: 'Select a wallet first' },
+            categoryId: { type: 'id', required: true, message: 'Select a category' },
+            amount: { type: 'amount', required: true, message: 'Enter a valid amount' },
+            period: { type: 'enum', values: ['monthly'], default: 'monthly' },
+            startDate: { type: 'date' },
+            // From the categories(name) join - not a column
+            categoryName: { type: 'string', derived: record => record.categories?.name }
+        },
+        joins: ['categories']
+    },
+    recurringRule: {
+        table: 'recurring_rules',
+        fields: {
+            type: { type: 'enum', values: ['expense', 'income'], required: true, message: 'Choose expense or income' },
+            // The expense or income to add, without its date
+            template: { type: 'object', required: true, message: 'Enter the transaction to repeat' },
+            frequency: {
+                type: 'enum',
+                values: ['daily', 'weekly', 'monthly', 'yearly'],
+                required: true,
+                message: 'Choose how often it repeats'
+            },
+            interval: { type: 'count', default: 1, message: 'Repeat every 1 or more periods' },
+            startDate: { type: 'date', required: true, message: 'Enter a valid start date' },
+            endDate: { type: 'date', message: 'Enter a valid end date' },
+            anchor: { type: 'enum', values: ['date', 'last_day', 'last_business_day'], default: 'date' },
+            mode: { type: 'enum', values: ['auto', 'confirm'], default: 'auto' },
+            nextDate: { type: 'date' },
+            pausedAt: { type: 'timestamp' }
+        }
+    },
+    transfer: {
+        table: 'transfers',
+        fields: {
+            fromWalletId: { type: 'id', required: true, message: 'Choose the wallet to move money from' },
+            toWalletId: { type: 'id', required: true, message: 'Choose the wallet to move money to' },
+            amount: { type: 'amount', required: true, message: 'Enter a valid amount' },
+            fee: { type: 'fee', default: 0, message: 'Enter a valid fee' },
+            date: { type: 'date', required: true, message: 'Enter a valid date' },
+            description: { type: 'string' }
+        },
+        // Checks across fields, once each field is valid
+        check: record => record.fromWalletId && record.fromWalletId === record.toWalletId
+            ? { field: 'toWalletId', message: 'Choose two different wallets' }
+            : null
+    },
+    merchant: {
+        table: 'merchants',
+        fields: {
+            name: { type: 'string', required: true, message: 'Enter a merchant name' },
+            // Other spellings that mean this merchant, e.g. "INDOMARET 123"
+            aliases: { type: 'aliasList', message: 'Enter each alias as text' },
+            // Filled in on a new expense with this payee
+            defaultCategoryId: { type: 'id' },
+            defaultSubcategoryId: { type: 'id' }
+        }
+    }
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// A split has at least two lines, and they add up to the expense
+const splitProblem = ({ amount, splits }) => {
+    if (!Array.isArray(splits) || splits.length === 0) return null;
+    if (splits.length < 2) return { field: 'splits', message: 'A split needs at least two lines' };
+
+    const total = splits.reduce((sum, line) => sum + Number(line.amount), 0);
+    return Math.abs(total - Number(amount)) > 0.005
+        ? { field: 'splits', message: 'Split lines must add up to the total' }
+        : null;
+};
+
+const COERCE = {
+    id: value => isEmpty(value) ? null : value,
+    string: value => isEmpty(value) ? null : String(value),
+    // numeric columns can come back from PostgREST as strings
+    amount: value => isEmpty(value) ? null : Number(value),
+    fee: value => isEmpty(value) ? 0 : Number(value),
+    date: value => isEmpty(value) ? null : String(value),
+    timestamp: value => isEmpty(value) ? null : value,
+    boolean: value => !!value,
+    count: value => isEmpty(value) ? null : Number(value),
+    object: value => value && typeof value === 'object' && !Array.isArray(value) ? value : {},
+    enum: value => isEmpty(value) ? null : value,
+    idList: value => Array.isArray(value) ? value : [],
+    // { path, thumbnailPath, caption } in display order. thumbnailPath is null for PDFs;
+    // paths are storage paths, or data URLs on the local backend
+    attachmentList: value => Array.isArray(value)
+        ? value.map(({ path, thumbnailPath, caption }) => ({
+            path,
+            thumbnailPath: thumbnailPath || null,
+            caption: caption || ''
+        }))
+        : [],
+    // { amount, categoryId, subcategoryId, category, subcategory } - names are
+    // a snapshot, like the expense's own
+    splitList: value => Array.isArray(value)
+        ? value.map(({ amount, categoryId, subcategoryId, category, subcategory }) => ({
+            amount: Number(amount),
+            categoryId: categoryId || null,
+            subcategoryId: subcategoryId || null,
+            category: category || null,
+            subcategory: subcategory || null
+        }))
+        : [],
+    tagList: value => Array.isArray(value) ? tagUtils.normalizeList(value) : [],
+    aliasList: value => Array.isArray(value) ? merchantUtils.normalizeAliases(value) : []
+};
+
+const CHECKS = {
+    amount: value => Number.isFinite(Number(value)) && Number(value) > 0,
+    fee: value => Number.isFinite(Number(value)) && Number(value) >= 0,
+    date: value => /^\d{4}-\d{2}-\d{2}/.test(String(value)),
+    count: value => Number.isInteger(Number(value)) && Number(value) >= 1,
+    object: value => typeof value === 'object' && !Array.isArray(value),
+    idList: value => Array.isArray(value),
+    attachmentList: value => Array.isArray(value) && value.every(item => typeof item?.path === 'string' && item.path),
+    splitList: value => Array.isArray(value) && value.every(line =>
+        CHECKS.amount(line?.amount) && typeof line.category === 'string' && line.category),
+    tagList: value => Array.isArray(value) && value.every(tag => tagUtils.normalize(tag).length <= tagUtils.MAX_LENGTH),
+    aliasList: value => Array.isArray(value) && value.every(alias => typeof alias === 'string')
+};
+
+const getModel = (type) => {
+    const model = MODELS[type];
+    if (!model) throw new Error(`Unknown model: ${type}`);
+    return model;
+};
+
+const TABLE_MODELS = Object.fromEntries(
+    Object.entries(MODELS).map(([type, model]) => [model.table, type])
+);
+
+const modelError = (message, field) => {
+    const error = new Error(message);
+    error.code = 'INVALID_RECORD';
+    error.field = field;
+    return error;
+};
+
+// { field, message } for the first invalid field, or null
+const findProblem = (type, data, partial) => {
+    const record = caseUtils.toCamelCase(data || {});
+
+    for (const [field, spec] of Object.entries(getModel(type).fields)) {
+        if (spec.derived) continue;
+
+        const value = record[field];
+        const message = spec.message || `Invalid ${field}`;
+
+        if (isEmpty(value)) {
+            if (spec.required && (!partial || field in record)) return { field, message };
+            continue;
+        }
+        if (CHECKS[spec.type] && !CHECKS[spec.type](value)) return { field, message };
+        if (spec.type === 'enum' && !spec.values.includes(value)) {
+            return { field, message: `${field} must be one of ${spec.values.join(', ')}` };
+        }
+    }
+    return partial ? null : getModel(type).check?.(record) || null;
+};
+
+export const models = {
+    /**
+     * A record in its state shape: camelCase, every field present and
+     * coerced to its type. Columns the model doesn't know are kept.
+     * @param {string} type - A MODELS key, e.g. 'expense' or 'recurringRule'
+     * @param {Object} data - Database row or camelCase record
+     */
+    normalize(type, data) {
+        if (!data) return data;
+
+        const model = getModel(type);
+        const camel = caseUtils.toCamelCase(data);
+        const record = { ...camel };
+        (model.joins || []).forEach(join => { delete record[join]; });
+
+        Object.entries({ ...SYSTEM_FIELDS, ...model.fields }).forEach(([key, spec]) => {
+            const value = spec.derived ? spec.derived(camel) ?? camel[key] : camel[key];
+            record[key] = isEmpty(value) && spec.default !== undefined
+                ? spec.default
+                : COERCE[spec.type](value);
+        });
+
+        return record;
+    },
+
+    // Rows from a table, normalized by its model; tables without one are only camelCased
+    fromRow(table, rows) {
+        const type = TABLE_MODELS[table];
+        if (!type) return caseUtils.toCamelCase(rows);
+        if (Array.isArray(rows)) return rows.map(row => this.normalize(type, row));
+        return this.normalize(type, rows);
+    },
+
+    /**
+     * The first problem with a record, or null if it is valid
+     * @param {Object} data - camelCase record or snake_case row
+     * @param {Object} options.partial - Only check the fields present, for updates
+     */
+    validate(type, data, { partial = false } = {}) {
+        return findProblem(type, data, partial)?.message || null;
+    },
+
+    // Throw an INVALID_RECORD error naming the first problem
+    assertValid(type, data, { partial = false } = {}) {
+        const problem = findProblem(type, data, partial);
+        if (problem) throw modelError(problem.message, problem.field);
+        return data;
+    },
+
+    /**
+     * snake_case columns to write. Only the model's fields present in data
+     * are included, so this works for partial updates too; bookkeeping and
+     * derived fields are left out.
+     */
+    toRow(type, data) {
+        const record = caseUtils.toCamelCase(data || {});
+        const picked = {};
+
+        Object.entries(getModel(type).fields).forEach(([field, spec]) => {
+            if (spec.derived || record[field] === undefined) return;
+            picked[field] = COERCE[spec.type](record[field]);
+        });
+
+        return caseUtils.toSnakeCase(picked);
+    }
+};
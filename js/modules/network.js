@@ -0,0 +1,79 @@
+// js/modules/network.js
+
+/**
+ * NETWORK MODULE
+ * fetch wrapper handed to the Supabase client. Every request gets a timeout,
+ * and reads that fail on the network or with a temporary server error are
+ * retried with backoff. Writes are sent once - one that fails on the network
+ * goes to the offline queue (sync-queue.js) instead of being repeated here.
+ */
+
+import { asyncUtils } from './utils.js';
+import { appError, isNetworkError, ERROR_TYPES } from './errors.js';
+
+export const REQUEST_TIMEOUT_MS = 15000;
+// Receipts are up to 10 MB - give uploads longer on a slow connection
+export const UPLOAD_TIMEOUT_MS = 60000;
+
+const READ_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 500;
+
+// Responses worth another try: overloaded, rate limited or a gateway hiccup
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+const timeoutError = () => appError(
+    ERROR_TYPES.OFFLINE,
+    'The server took too long to respond - check your connection and try again',
+    { code: 'TIMEOUT' }
+);
+
+const isUpload = body => typeof Blob !== 'undefined' && (body instanceof Blob || body instanceof FormData);
+
+const fetchWithTimeout = async (input, init, timeoutMs) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(timeoutError()), timeoutMs);
+
+    // Keep honouring a signal the caller passed in
+    const forwardAbort = () => controller.abort(init.signal.reason);
+    if (init.signal?.aborted) forwardAbort();
+    init.signal?.addEventListener('abort', forwardAbort);
+
+    try {
+        return await fetch(input, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (controller.signal.reason?.code === 'TIMEOUT') throw controller.signal.reason;
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        init.signal?.removeEventListener('abort', forwardAbort);
+    }
+};
+
+// No point retrying while the browser knows it is offline, or after the caller gave up
+const shouldRetry = error =>
+    navigator.onLine !== false && error.name !== 'AbortError' &&
+    (error.retryable || isNetworkError(error));
+
+/**
+ * Drop-in replacement for fetch with timeouts and retries
+ * (pass as `global.fetch` when creating the Supabase client)
+ */
+export const resilientFetch = (input, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+    const timeoutMs = isUpload(init.body) ? UPLOAD_TIMEOUT_MS : REQUEST_TIMEOUT_MS;
+
+    if (!SAFE_METHODS.includes(method)) return fetchWithTimeout(input, init, timeoutMs);
+
+    return asyncUtils.retry(async (attempt) => {
+        const response = await fetchWithTimeout(input, init, timeoutMs);
+
+        // The last attempt hands the response back for the client to report
+        if (RETRY_STATUSES.includes(response.status) && attempt < READ_ATTEMPTS - 1) {
+            const error = new Error(`Request failed with status ${response.status}`);
+            error.retryable = true;
+            throw error;
+        }
+        return response;
+    }, READ_ATTEMPTS, RETRY_DELAY_MS, { shouldRetry });
+};
@@ -0,0 +1,87 @@
+// js/modules/payee-input.js
+
+/**
+ * PAYEE INPUT MODULE
+ * Payee field for the expense forms and payer field for the income forms.
+ * What's typed is looked up in the merchant directory by name and alias, so
+ * "INDOMARET 123" is recorded as Indomaret; a name that isn't listed becomes
+ * a new merchant when the form is saved. Only the description autofill
+ * searches within the text.
+ */
+
+import { merchantUtils } from './utils.js';
+
+class PayeeInput {
+    /**
+     * @param {Object} state - App state, for the merchant directory
+     * @param {Object} options.input - Text input the payee is typed into
+     * @param {Object} options.suggestions - <datalist> of merchant names
+     * @param {Object} options.description - Description input; a merchant named
+     *   in it fills an empty payee
+     * @param {Function} options.onMatch - Called with the merchant a new entry matched
+     */
+    constructor(state, { input, suggestions, description, onMatch }) {
+        this.state = state;
+        this.input = input;
+        this.suggestions = suggestions;
+        this.description = description;
+        this.onMatch = onMatch;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('focus', () => this.renderSuggestions());
+        this.input.addEventListener('change', () => this.announce(this.getMerchant()));
+
+        this.description?.addEventListener('change', () => {
+            if (this.input.value.trim()) return;
+
+            const merchant = merchantUtils.match(this.state.getMerchants(), this.description.value);
+            if (!merchant) return;
+            this.input.value = merchant.name;
+            this.announce(merchant);
+        });
+    }
+
+    announce(merchant) {
+        if (merchant) this.onMatch?.(merchant);
+    }
+
+    // Start editing a record's payee (none for a new record)
+    load(merchantId) {
+        this.input.value = this.state.getMerchantName(merchantId);
+    }
+
+    getName() {
+        return this.input.value.trim().replace(/\s+/g, ' ');
+    }
+
+    // The directory entry with exactly the typed name or alias, or null -
+    // "Shell Select" is its own merchant, not Shell
+    getMerchant() {
+        return merchantUtils.find(this.state.getMerchants(), this.getName());
+    }
+
+    renderSuggestions() {
+        if (!this.suggestions) return;
+
+        this.suggestions.innerHTML = '';
+        this.state.getMerchants().forEach(merchant => this.suggestions.appendChild(new Option(merchant.name, merchant.name)));
+    }
+}
+
+/**
+ * Attach a payee field to its input
+ * @returns {PayeeInput|null} null when the form isn't on the page
+ */
+export const createPayeeInput = (state, { inputId, descriptionId, onMatch }) => {
+    const input = document.getElementById(inputId);
+    if (!input) return null;
+
+    return new PayeeInput(state, {
+        input,
+        suggestions: input.list,
+        description: descriptionId ? document.getElementById(descriptionId) : null,
+        onMatch
+    });
+};
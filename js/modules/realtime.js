@@ -0,0 +1,130 @@
+// js/modules/realtime.js
+
+/**
+ * REALTIME SYNC MODULE
+ * Applies row changes made on other devices to FinTrackState
+ */
+
+import { getState } from './state.js';
+
+// How each table maps onto FinTrackState
+const TABLE_HANDLERS = {
+    expenses: { type: 'expense', list: 'getExpenses', add: 'addExpense', update: 'updateExpense', remove: 'deleteExpense' },
+    incomes: { type: 'income', list: 'getIncomes', add: 'addIncome', update: 'updateIncome', remove: 'deleteIncome' },
+    wallets: { type: 'wallet', list: 'getWallets', add: 'addWallet', update: 'updateWallet', remove: 'deleteWallet' },
+    categories: { type: 'category', list: 'getCategories', add: 'addCategory', update: 'updateCategory', remove: 'deleteCategory' },
+    budgets: { type: 'budget', list: 'getBudgets', add: 'addBudget', update: 'updateBudget', remove: 'deleteBudget' },
+    transfers: { type: 'transfer', list: 'getTransfers', add: 'addTransfer', update: 'updateTransfer', remove: 'deleteTransfer' },
+    merchants: { type: 'merchant', list: 'getMerchants', add: 'addMerchant', update: 'updateMerchant', remove: 'deleteMerchant' }
+};
+
+export const REALTIME_TABLES = Object.keys(TABLE_HANDLERS);
+
+class RealtimeSync {
+    constructor(db) {
+        this.db = db;
+        this.state = getState();
+        this.unsubscribe = null;
+    }
+
+    start() {
+        if (this.unsubscribe || !this.db.getUser()) return;
+        if (typeof this.db.subscribeToChanges !== 'function') return;
+
+        this.unsubscribe = this.db.subscribeToChanges((change) => this.applyChange(change));
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Apply one change to state
+     * @param {Object} change - { table, eventType, new, old } with raw snake_case rows
+     */
+    applyChange({ table, eventType, new: newRow, old: oldRow }) {
+        const handler = TABLE_HANDLERS[table];
+        if (!handler) return;
+
+        const id = newRow?.id || oldRow?.id;
+        if (!id) return;
+
+        const existing = this.state[handler.list]().find(item => item.id === id);
+
+        // Moving a row to the Trash arrives as an update that sets deleted_at
+        const removed = eventType === 'DELETE' || !!newRow?.deleted_at;
+
+        if (removed) {
+            // Delete events carry only the primary key, so ignore unknown ids
+            if (!existing) return;
+            this.state[handler.remove](id);
+        } else {
+            const record = this.normalize(table, newRow, existing);
+
+            // Our own writes echo back - nothing to do when state already matches
+            if (existing && this.isSameRecord(existing, record)) return;
+
+            if (existing) {
+                this.state[handler.update]({ ...existing, ...record });
+            } else {
+                this.state[handler.add](record);
+            }
+        }
+
+        this.emitRealtimeEvent('change', {
+            type: handler.type,
+            id,
+            eventType: removed ? 'DELETE' : eventType,
+            previous: existing || null
+        });
+    }
+
+    // Rows in their state shape. Budgets arrive without the categories join.
+    normalize(table, row, existing) {
+        const record = this.db.toRecord(table, row);
+        if (table !== 'budgets') return record;
+
+        return {
+            ...record,
+            categoryName: this.state.getCategoryName(record.categoryId) || existing?.categoryName || null
+        };
+    }
+
+    isSameRecord(existing, record) {
+        return Object.keys(record).every(key =>
+            JSON.stringify(existing[key] ?? null) === JSON.stringify(record[key] ?? null)
+        );
+    }
+
+    // Event system
+    emitRealtimeEvent(eventName, data) {
+        const event = new CustomEvent(`realtime:${eventName}`, {
+            detail: data,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    subscribe(eventName, callback) {
+        const handler = (event) => callback(event.detail);
+        document.addEventListener(`realtime:${eventName}`, handler);
+
+        // Return unsubscribe function
+        return () => {
+            document.removeEventListener(`realtime:${eventName}`, handler);
+        };
+    }
+}
+
+// Create singleton instance
+let realtimeInstance = null;
+
+export const getRealtimeSync = (db) => {
+    if (!realtimeInstance) {
+        realtimeInstance = new RealtimeSync(db);
+    }
+    return realtimeInstance;
+};
@@ -0,0 +1,132 @@
+// js/modules/receipt-cleanup.js
+
+/**
+ * RECEIPT CLEANUP MODULE
+ * Finds files in the user's receipts folder that no expense or income
+ * references any more - left behind by failed deletes or abandoned uploads -
+ * and deletes them in bulk
+ */
+
+import { receiptUtils } from './utils.js';
+
+// Newer files may belong to an edit that hasn't been saved yet
+const MIN_ORPHAN_AGE_MS = 60 * 60 * 1000;
+
+// Paths per storage remove() call
+const DELETE_BATCH_SIZE = 100;
+
+const cleanupError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+class ReceiptCleanupService {
+    constructor(db) {
+        this.db = db;
+        this.orphans = [];
+        this.scannedAt = null;
+    }
+
+    requireOnline() {
+        if (this.db.syncQueue?.isOffline()) {
+            throw cleanupError('Storage cleanup is only available while online', 'OFFLINE');
+        }
+    }
+
+    // Paths referenced by any record, including those in the Trash (restoring
+    // one brings its files back) and receipts not yet moved into attachments.
+    // Read from the backend - state may only hold recent months.
+    async getReferencedPaths() {
+        const [expenses, incomes, trash] = await Promise.all([
+            this.db.getExpenses(),
+            this.db.getIncomes(),
+            this.db.getDeleted()
+        ]);
+        const records = [
+            ...expenses,
+            ...incomes,
+            ...(trash.expenses || []),
+            ...(trash.incomes || [])
+        ];
+
+        const paths = new Set();
+        records.forEach(record => {
+            (record.attachments || []).forEach(({ path, thumbnailPath }) => {
+                paths.add(receiptUtils.getPath(path));
+                paths.add(receiptUtils.getPath(thumbnailPath));
+            });
+            paths.add(receiptUtils.getPath(record.receiptUrl));
+            paths.add(receiptUtils.getPath(record.receiptThumbnailUrl));
+        });
+        paths.delete(null);
+        return paths;
+    }
+
+    async findOrphans() {
+        const [files, referenced] = await Promise.all([
+            this.db.listReceiptFiles(),
+            this.getReferencedPaths()
+        ]);
+        const cutoff = Date.now() - MIN_ORPHAN_AGE_MS;
+
+        return files.filter(file =>
+            !referenced.has(file.path) && new Date(file.createdAt).getTime() < cutoff
+        );
+    }
+
+    /**
+     * List the files nothing references
+     * @returns {Object} { files: [{ path, size, createdAt }], totalSize }
+     */
+    async scan() {
+        this.requireOnline();
+
+        this.orphans = await this.findOrphans();
+        this.scannedAt = new Date();
+        return { files: this.orphans, totalSize: this.getTotalSize(this.orphans) };
+    }
+
+    getTotalSize(files) {
+        return files.reduce((total, file) => total + file.size, 0);
+    }
+
+    /**
+     * Delete orphaned files from the last scan. Each is checked again first,
+     * so a file attached since the scan is kept.
+     * @param {Array} paths - Paths to delete (default: every orphan)
+     * @returns {Object} { deleted, failed, freed } - counts and bytes
+     */
+    async deleteOrphans(paths = this.orphans.map(file => file.path)) {
+        this.requireOnline();
+
+        const stillOrphaned = await this.findOrphans();
+        const toDelete = stillOrphaned.filter(file => paths.includes(file.path));
+        let deleted = [];
+        let failed = 0;
+
+        for (let i = 0; i < toDelete.length; i += DELETE_BATCH_SIZE) {
+            const batch = toDelete.slice(i, i + DELETE_BATCH_SIZE);
+            // deleteReceipt logs and reports failures instead of throwing
+            if (await this.db.deleteReceipt(...batch.map(file => file.path))) {
+                deleted = deleted.concat(batch);
+            } else {
+                failed += batch.length;
+            }
+        }
+
+        const deletedPaths = deleted.map(file => file.path);
+        this.orphans = stillOrphaned.filter(file => !deletedPaths.includes(file.path));
+        return { deleted: deleted.length, failed, freed: this.getTotalSize(deleted) };
+    }
+}
+
+// Create singleton instance
+let receiptCleanupInstance = null;
+
+export const getReceiptCleanup = (db) => {
+    if (!receiptCleanupInstance) {
+        receiptCleanupInstance = new ReceiptCleanupService(db);
+    }
+    return receiptCleanupInstance;
+};
@@ -0,0 +1,93 @@
+// js/modules/receipt-images.js
+
+/**
+ * RECEIPT IMAGES MODULE
+ * Prepares receipts in the browser before upload: photos are turned upright
+ * from their EXIF orientation, downscaled and recompressed, with a thumbnail
+ * for lists and previews. PDFs are uploaded as they are.
+ */
+
+import { receiptUtils } from './utils.js';
+
+// Largest file accepted from the picker, checked before any processing
+export const MAX_RECEIPT_BYTES = 10 * 1024 * 1024;
+
+const FULL_IMAGE = { maxDimension: 1600, quality: 0.82 };
+const THUMBNAIL = { maxDimension: 240, quality: 0.7 };
+
+const receiptError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const isPdf = file => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+
+// 'from-image' applies the EXIF orientation while decoding; the JPEG written
+// back has no EXIF, so nothing rotates it a second time
+const decode = async (file) => {
+    try {
+        return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+        throw receiptError("This image couldn't be read. Try a JPEG or PNG photo, or a PDF.", 'RECEIPT_UNREADABLE');
+    }
+};
+
+const encode = (bitmap, { maxDimension, quality }) => {
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency - flatten PNGs onto white rather than black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            blob => blob ? resolve(blob) : reject(receiptError('Could not compress this image', 'RECEIPT_UNREADABLE')),
+            'image/jpeg',
+            quality
+        );
+    });
+};
+
+const toJpegFile = (blob, originalName, suffix = '') => {
+    const baseName = originalName.replace(/\.[^.]+$/, '') || 'receipt';
+    return new File([blob], `${baseName}${suffix}.jpg`, { type: 'image/jpeg' });
+};
+
+/**
+ * Check a receipt picked for upload and shrink it if it is a photo
+ * @param {File} file - File from the receipt input
+ * @returns {Object} { file, thumbnail } - thumbnail is null for PDFs
+ */
+export const processReceipt = async (file) => {
+    if (file.size > MAX_RECEIPT_BYTES) {
+        throw receiptError(
+            `This receipt is ${receiptUtils.formatSize(file.size)} - the limit is ${receiptUtils.formatSize(MAX_RECEIPT_BYTES)}. ` +
+            'Try a lower camera resolution, or save the receipt as a PDF.',
+            'RECEIPT_TOO_LARGE'
+        );
+    }
+    if (isPdf(file)) return { file, thumbnail: null };
+    if (!file.type.startsWith('image/')) {
+        throw receiptError('Receipts must be a photo or a PDF', 'RECEIPT_UNSUPPORTED');
+    }
+
+    const bitmap = await decode(file);
+    try {
+        const [full, thumbnail] = await Promise.all([
+            encode(bitmap, FULL_IMAGE),
+            encode(bitmap, THUMBNAIL)
+        ]);
+        return {
+            file: toJpegFile(full, file.name),
+            thumbnail: toJpegFile(thumbnail, file.name, '_thumb')
+        };
+    } finally {
+        bitmap.close();
+    }
+};
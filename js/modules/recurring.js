@@ -0,0 +1,388 @@
+// js/modules/recurring.js
+
+/**
+ * RECURRING MODULE
+ * Rules that repeat an expense or income - every few days, weeks, months or
+ * years until an optional end date - and the schedule engine that works out
+ * when each occurrence falls. Occurrences that have come due are added when
+ * data loads, straight away or once the user confirms them.
+ */
+
+import { getState } from './state.js';
+import { models } from './models.js';
+import { ERROR_TYPES } from './errors.js';
+import { dateUtils } from './utils.js';
+
+const TABLE = 'recurring_rules';
+
+// Occurrences caught up per rule in one go - a daily rule left alone for a
+// year shouldn't add hundreds of rows at once
+const MAX_CATCH_UP = 60;
+
+const DAYS_PER_STEP = { daily: 1, weekly: 7 };
+const MONTHS_PER_STEP = { monthly: 1, yearly: 12 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Template fields per type - everything the create form takes except the date
+const TEMPLATE_FIELDS = {
+    expense: ['walletId', 'description', 'amount', 'categoryId', 'subcategoryId', 'category', 'subcategory', 'isReimbursable', 'splits', 'tags', 'merchantId'],
+    income: ['walletId', 'description', 'amount', 'source', 'tags', 'merchantId']
+};
+
+// [every one, unit of several]
+const FREQUENCY_LABELS = {
+    daily: ['Daily', 'days'],
+    weekly: ['Weekly', 'weeks'],
+    monthly: ['Monthly', 'months'],
+    yearly: ['Yearly', 'years']
+};
+
+const recurringError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// 'YYYY-MM-DD' strings are read as local dates, not UTC midnight
+const toDate = value => new Date(`${String(value).slice(0, 10)}T00:00:00`);
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Last Monday to Friday of the month - public holidays aren't known
+const lastBusinessDay = (year, month) => {
+    const date = new Date(year, month, daysInMonth(year, month));
+    while (date.getDay() === 0 || date.getDay() === 6) date.setDate(date.getDate() - 1);
+    return date;
+};
+
+const today = () => dateUtils.toISODate(new Date());
+
+/**
+ * Date of a rule's nth occurrence, counting from 0 at the start date. Each
+ * is worked out from the start date, so a rule starting on the 31st falls on
+ * the 30th in short months and is back on the 31st after them.
+ * @param {Object} rule - { frequency, interval, startDate, anchor }
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const occurrenceDate = (rule, n) => {
+    const start = toDate(rule.startDate);
+    const steps = n * (rule.interval || 1);
+
+    if (DAYS_PER_STEP[rule.frequency]) {
+        return dateUtils.toISODate(addDays(start, steps * DAYS_PER_STEP[rule.frequency]));
+    }
+
+    const monthStart = new Date(start.getFullYear(), start.getMonth() + steps * MONTHS_PER_STEP[rule.frequency], 1);
+    const year = monthStart.getFullYear();
+    const month = monthStart.getMonth();
+
+    if (rule.anchor === 'last_business_day') return dateUtils.toISODate(lastBusinessDay(year, month));
+    const day = rule.anchor === 'last_day' ? daysInMonth(year, month) : Math.min(start.getDate(), daysInMonth(year, month));
+    return dateUtils.toISODate(new Date(year, month, day));
+};
+
+// An occurrence index that falls before the date
+const indexBefore = (rule, date) => {
+    const start = toDate(rule.startDate);
+    const target = toDate(date);
+    const step = rule.interval || 1;
+
+    if (DAYS_PER_STEP[rule.frequency]) {
+        const days = Math.round((target - start) / DAY_MS);
+        return Math.floor(days / (step * DAYS_PER_STEP[rule.frequency])) - 1;
+    }
+    const months = (target.getFullYear() - start.getFullYear()) * 12 + target.getMonth() - start.getMonth();
+    return Math.floor(months / (step * MONTHS_PER_STEP[rule.frequency])) - 1;
+};
+
+/**
+ * First occurrence on or after a date
+ * @returns {string|null} 'YYYY-MM-DD', or null once the rule has ended
+ */
+export const firstOccurrenceFrom = (rule, from) => {
+    const date = from > rule.startDate ? from : rule.startDate;
+
+    let n = Math.max(0, indexBefore(rule, date));
+    let occurrence = occurrenceDate(rule, n);
+    while (occurrence < date) occurrence = occurrenceDate(rule, ++n);
+
+    return rule.endDate && occurrence > rule.endDate ? null : occurrence;
+};
+
+export const occurrenceAfter = (rule, date) =>
+    firstOccurrenceFrom(rule, dateUtils.toISODate(addDays(toDate(date), 1)));
+
+/**
+ * Occurrences from the rule's next date up to a date
+ * @param {string} until - 'YYYY-MM-DD' (default: today)
+ */
+export const dueDates = (rule, until = today()) => {
+    const dates = [];
+    let date = rule.nextDate;
+
+    while (date && date <= until && dates.length < MAX_CATCH_UP) {
+        dates.push(date);
+        date = occurrenceAfter(rule, date);
+    }
+    return dates;
+};
+
+/**
+ * "Monthly on the last business day", "Every 2 weeks"
+ */
+export const describeSchedule = (rule) => {
+    const [once, unit] = FREQUENCY_LABELS[rule.frequency];
+    const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}` : once;
+
+    if (!MONTHS_PER_STEP[rule.frequency] || rule.anchor === 'date') return every;
+    return `${every} on the ${rule.anchor === 'last_day' ? 'last day' : 'last business day'}`;
+};
+
+class RecurringService {
+    constructor(db) {
+        this.db = db;
+        this.state = getState();
+        this.rules = [];
+        this.processing = null;
+    }
+
+    requireOnline() {
+        if (this.db.syncQueue?.isOffline()) {
+            throw recurringError('Recurring transactions can only be changed while online', 'OFFLINE');
+        }
+    }
+
+    /**
+     * Every rule, paused and ended ones included
+     */
+    async getRules() {
+        this.rules = await this.db.read(TABLE, {}, { column: 'start_date', ascending: true });
+        return this.rules;
+    }
+
+    // Paused, past its end date, or its wallet is gone
+    isActive(rule) {
+        if (rule.pausedAt || !rule.nextDate) return false;
+
+        const wallet = this.state.getWallets().find(w => w.id === rule.template.walletId);
+        return !!wallet && !wallet.archivedAt;
+    }
+
+    /**
+     * Start repeating a transaction
+     * @param {string} type - 'expense' or 'income'
+     * @param {Object} data - The transaction; its date is the first occurrence
+     * @param {Object} schedule - { frequency, interval, endDate, anchor, mode }
+     * @param {Object} options.firstAdded - The first occurrence was saved by the caller
+     */
+    async createRule(type, data, schedule, { firstAdded = false } = {}) {
+        this.requireOnline();
+
+        const rule = {
+            type,
+            template: this.toTemplate(type, data),
+            frequency: schedule.frequency,
+            interval: Number(schedule.interval) || 1,
+            startDate: data.date,
+            endDate: schedule.endDate || null,
+            anchor: schedule.anchor || 'date',
+            mode: schedule.mode || 'auto'
+        };
+        models.assertValid('recurringRule', rule);
+        this.assertValidSchedule(rule);
+
+        rule.nextDate = firstAdded ? occurrenceAfter(rule, rule.startDate) : firstOccurrenceFrom(rule, rule.startDate);
+
+        const saved = await this.db.create(TABLE, models.toRow('recurringRule', rule));
+        this.rules = [...this.rules, saved];
+        return saved;
+    }
+
+    /**
+     * Change what a rule adds or when. A new schedule applies from the next
+     * occurrence on; what was already added stays as it is.
+     * @param {Object} updates - Template fields and/or schedule fields
+     */
+    async updateRule(id, updates) {
+        this.requireOnline();
+
+        const rule = this.findRule(id);
+        const template = this.toTemplate(rule.type, { ...rule.template, ...updates });
+        const next = {
+            ...rule,
+            template,
+            ...['frequency', 'interval', 'endDate', 'anchor', 'mode']
+                .filter(field => updates[field] !== undefined)
+                .reduce((fields, field) => ({ ...fields, [field]: updates[field] }), {})
+        };
+        next.interval = Number(next.interval) || 1;
+        next.endDate = next.endDate || null;
+        models.assertValid('recurringRule', next);
+        this.assertValidSchedule(next);
+
+        // Pick up from where the rule had got to, on the new schedule
+        next.nextDate = rule.nextDate
+            ? firstOccurrenceFrom(next, rule.nextDate)
+            : firstOccurrenceFrom(next, today());
+
+        return this.saveRule(rule, models.toRow('recurringRule', next));
+    }
+
+    async pauseRule(id) {
+        this.requireOnline();
+
+        const rule = this.findRule(id);
+        return this.saveRule(rule, { paused_at: new Date().toISOString() });
+    }
+
+    // Occurrences that fell while the rule was paused are skipped
+    async resumeRule(id) {
+        this.requireOnline();
+
+        const rule = this.findRule(id);
+        const from = rule.nextDate && rule.nextDate > today() ? rule.nextDate : today();
+        return this.saveRule(rule, {
+            paused_at: null,
+            next_date: firstOccurrenceFrom(rule, from)
+        });
+    }
+
+    // Transactions it added are kept, still pointing at the rule
+    async deleteRule(id) {
+        this.requireOnline();
+
+        await this.db.delete(TABLE, id);
+        this.rules = this.rules.filter(rule => rule.id !== id);
+    }
+
+    /**
+     * Add the occurrences that have come due. Auto rules add theirs; those of
+     * rules set to ask first are returned for the user to confirm.
+     * @returns {Object} { added: [{ rule, record }], pending: [{ rule, date }] }
+     */
+    async processDue() {
+        // Rules and their next dates come from the server - another device may
+        // already have caught up
+        if (this.db.syncQueue?.isOffline()) return { added: [], pending: [] };
+
+        // Data loads overlap (local copy, then the server) - run once at a time
+        if (!this.processing) {
+            this.processing = this.addDue().finally(() => { this.processing = null; });
+        }
+        return this.processing;
+    }
+
+    async addDue() {
+        const rules = await this.getRules();
+        const added = [];
+        const pending = [];
+
+        for (const rule of rules.filter(rule => this.isActive(rule))) {
+            const dates = dueDates(rule);
+            if (dates.length === 0) continue;
+
+            if (rule.mode === 'confirm') {
+                dates.forEach(date => pending.push({ rule, date }));
+                continue;
+            }
+
+            try {
+                const records = await this.addOccurrences(rule, dates);
+                records.forEach(record => added.push({ rule, record }));
+            } catch (error) {
+                // The other rules still run; this one is retried on the next load
+                console.error(`Error adding occurrences of recurring rule ${rule.id}:`, error);
+            }
+        }
+        return { added, pending };
+    }
+
+    /**
+     * Add the confirmed occurrences of a rule and skip the rest of those due
+     * @param {Array} dates - Dates to add
+     * @param {Array} skipped - Due dates the user turned down
+     * @returns {Array} [{ rule, record }] for the added transactions
+     */
+    async confirm(id, dates, skipped = []) {
+        const rule = this.findRule(id);
+        const last = [...dates, ...skipped].sort().pop();
+        if (!last) return [];
+
+        const records = await this.addOccurrences(rule, [...dates].sort(), last);
+        return records.map(record => ({ rule, record }));
+    }
+
+    // Save each occurrence, then move the rule past the last one handled
+    async addOccurrences(rule, dates, through = dates[dates.length - 1]) {
+        const records = [];
+
+        for (const date of dates) {
+            const record = await this.addOccurrence(rule, date);
+            if (record) records.push(record);
+        }
+
+        try {
+            await this.saveRule(rule, { next_date: occurrenceAfter(rule, through) });
+        } catch (error) {
+            // Another device moved the rule on first - its occurrences are the ones kept
+            if (error.type !== ERROR_TYPES.CONFLICT) throw error;
+        }
+        return records;
+    }
+
+    async addOccurrence(rule, date) {
+        const data = { ...rule.template, date, recurringRuleId: rule.id };
+
+        try {
+            return rule.type === 'expense'
+                ? await this.db.createExpense(data)
+                : await this.db.createIncome(data);
+        } catch (error) {
+            // One transaction per rule and date - another device added this one
+            if (error.type === ERROR_TYPES.CONFLICT) return null;
+            throw error;
+        }
+    }
+
+    async saveRule(rule, updates) {
+        const saved = await this.db.update(TABLE, rule.id, updates, { expectedUpdatedAt: rule.updatedAt });
+        this.rules = this.rules.map(r => r.id === rule.id ? saved : r);
+        return saved;
+    }
+
+    findRule(id) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule) throw recurringError(`Recurring rule ${id} not found`, 'NOT_FOUND');
+        return rule;
+    }
+
+    toTemplate(type, data) {
+        const template = Object.fromEntries(
+            (TEMPLATE_FIELDS[type] || [])
+                .filter(field => data[field] !== undefined)
+                .map(field => [field, data[field]])
+        );
+
+        // Checked as the transaction it will add
+        models.assertValid(type, { ...template, date: data.date || today() });
+        return template;
+    }
+
+    assertValidSchedule(rule) {
+        if (rule.endDate && rule.endDate < rule.startDate) {
+            throw recurringError('The end date is before the first occurrence', 'INVALID_RECURRING_RULE');
+        }
+    }
+}
+
+// Create singleton instance
+let recurringInstance = null;
+
+export const getRecurring = (db) => {
+    if (!recurringInstance) {
+        recurringInstance = new RecurringService(db);
+    }
+    return recurringInstance;
+};
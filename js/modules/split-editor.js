@@ -0,0 +1,216 @@
+// js/modules/split-editor.js
+
+/**
+ * SPLIT EDITOR MODULE
+ * Editor for splitting one expense across several categories. Each line has
+ * its own amount, category and subcategory; while the expense is split the
+ * form's single category row is hidden and the lines must add up to the
+ * amount field.
+ */
+
+import { currencyUtils, domUtils } from './utils.js';
+
+const emptyLine = (amount = 0, categoryId = '', subcategoryId = '') => ({ amount, categoryId, subcategoryId });
+
+class SplitEditor {
+    /**
+     * @param {Object} state - App state, for the category lists and names
+     * @param {Object} options.toggle - Button that splits and unsplits the expense
+     * @param {Object} options.list - Element the lines are listed in
+     * @param {Object} options.categoryRow - The form's single category row, hidden while split
+     * @param {string} options.amountId - Id of the expense amount input (looked up each time,
+     *                                    as the edit modal replaces it)
+     */
+    constructor(state, { toggle, list, categoryRow, amountId }) {
+        this.state = state;
+        this.toggle = toggle;
+        this.list = list;
+        this.categoryRow = categoryRow;
+        this.amountId = amountId;
+        this.form = toggle.form;
+        this.lines = [];
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.toggle.addEventListener('click', () => {
+            if (this.isSplit()) {
+                this.load([]);
+            } else {
+                this.start();
+            }
+        });
+        this.form?.addEventListener('reset', () => this.load([]));
+        // The remaining amount follows the expense amount too
+        this.form?.addEventListener('input', (e) => {
+            if (e.target.id === this.amountId) this.renderRemaining();
+        });
+
+        this.list.addEventListener('input', (e) => {
+            const line = this.lines[this.indexOf(e.target)];
+            if (!line || !e.target.classList.contains('split-amount')) return;
+
+            e.target.value = currencyUtils.formatCurrency(e.target.value);
+            line.amount = currencyUtils.parseCurrency(e.target.value);
+            this.renderRemaining();
+        });
+        this.list.addEventListener('change', (e) => {
+            const line = this.lines[this.indexOf(e.target)];
+            if (!line) return;
+
+            if (e.target.classList.contains('split-category')) {
+                line.categoryId = e.target.value;
+                line.subcategoryId = '';
+                this.render();
+            } else if (e.target.classList.contains('split-subcategory')) {
+                line.subcategoryId = e.target.value;
+            }
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'add') this.addLine();
+            if (button.dataset.action === 'remove') this.removeLine(this.indexOf(button));
+        });
+    }
+
+    indexOf(element) {
+        return Number(element.closest('.split-line')?.dataset.index);
+    }
+
+    getAmount() {
+        const input = document.getElementById(this.amountId);
+        return input ? currencyUtils.parseCurrency(input.value) : 0;
+    }
+
+    isSplit() {
+        return this.lines.length > 0;
+    }
+
+    // Start editing an expense's split lines (an empty list when it isn't split)
+    load(splits = []) {
+        this.lines = (splits || []).map(line => emptyLine(line.amount, line.categoryId || '', line.subcategoryId || ''));
+        this.render();
+    }
+
+    // Split the expense: the first line takes its current category and amount
+    start() {
+        const [categorySelect, subcategorySelect] = this.categoryRow.querySelectorAll('select');
+        this.lines = [
+            emptyLine(this.getAmount(), categorySelect?.value || '', subcategorySelect?.value || ''),
+            emptyLine()
+        ];
+        this.render();
+    }
+
+    addLine() {
+        this.lines.push(emptyLine(Math.max(this.getAmount() - this.getAssigned(), 0)));
+        this.render();
+    }
+
+    // A split needs two lines, so removing the second-to-last unsplits it
+    removeLine(index) {
+        this.lines.splice(index, 1);
+        if (this.lines.length < 2) this.lines = [];
+        this.render();
+    }
+
+    getAssigned() {
+        return this.lines.reduce((sum, line) => sum + line.amount, 0);
+    }
+
+    /**
+     * The lines to save on the expense, with category names as a snapshot
+     * @returns {Array} [] when the expense isn't split
+     */
+    getSplits() {
+        return this.lines.map(line => ({
+            amount: line.amount,
+            categoryId: line.categoryId || null,
+            subcategoryId: line.subcategoryId || null,
+            category: this.state.getCategoryName(line.categoryId) || null,
+            subcategory: line.subcategoryId ? this.state.getCategoryName(line.subcategoryId) : null
+        }));
+    }
+
+    createSelect(className, placeholder, categories, value) {
+        const select = domUtils.createElement('select', className);
+        select.appendChild(new Option(placeholder, ''));
+        categories.forEach(category => select.appendChild(new Option(category.name, category.id)));
+        select.value = value;
+        return select;
+    }
+
+    render() {
+        const split = this.isSplit();
+        this.list.innerHTML = '';
+        this.list.style.display = split ? 'flex' : 'none';
+        this.categoryRow.classList.toggle('hidden', split);
+        // The lines' own category selects are required instead
+        this.categoryRow.querySelector('select').required = !split;
+        this.toggle.innerHTML = split
+            ? '<i class="fas fa-times"></i> Don\'t split'
+            : '<i class="fas fa-divide"></i> Split across categories';
+        if (!split) return;
+
+        const mainCategories = this.state.getMainCategories();
+        this.lines.forEach((line, index) => {
+            const row = domUtils.createElement('div', 'split-line', { 'data-index': index });
+
+            const category = this.createSelect('split-category', 'Category', mainCategories, line.categoryId);
+            category.required = true;
+            const subcategory = this.createSelect('split-subcategory', 'Subcategory',
+                line.categoryId ? this.state.getSubcategories(line.categoryId) : [], line.subcategoryId);
+
+            const amount = domUtils.createElement('div', 'currency-input split-amount-input');
+            amount.innerHTML = '<span class="currency-symbol">Rp</span>';
+            const input = domUtils.createElement('input', 'split-amount', { type: 'text', inputmode: 'numeric', placeholder: '0' });
+            input.value = line.amount ? currencyUtils.formatCurrency(String(line.amount)) : '';
+            amount.appendChild(input);
+
+            const remove = domUtils.createElement('button', 'delete-btn', { type: 'button', 'data-action': 'remove', title: 'Remove line' });
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+
+            row.append(category, subcategory, amount, remove);
+            this.list.appendChild(row);
+        });
+
+        const footer = domUtils.createElement('div', 'split-footer');
+        footer.innerHTML = `
+            <button type="button" class="btn btn-secondary btn-sm" data-action="add"><i class="fas fa-plus"></i> Add line</button>
+            <span class="split-remaining"></span>
+        `;
+        this.list.appendChild(footer);
+        this.renderRemaining();
+    }
+
+    renderRemaining() {
+        const label = this.list.querySelector('.split-remaining');
+        if (!label) return;
+
+        const remaining = this.getAmount() - this.getAssigned();
+        label.classList.toggle('over', remaining < 0);
+        label.classList.toggle('done', remaining === 0);
+        if (remaining === 0) {
+            label.textContent = 'Lines add up to the total';
+        } else if (remaining > 0) {
+            label.textContent = `${currencyUtils.formatDisplayCurrency(remaining)} left to assign`;
+        } else {
+            label.textContent = `${currencyUtils.formatDisplayCurrency(-remaining)} over the total`;
+        }
+    }
+}
+
+/**
+ * Attach a split editor to an expense form
+ * @returns {SplitEditor|null} null when the form isn't on the page
+ */
+export const createSplitEditor = (state, { toggleId, listId, categoryRowId, amountId }) => {
+    const toggle = document.getElementById(toggleId);
+    const list = document.getElementById(listId);
+    const categoryRow = document.getElementById(categoryRowId);
+    if (!toggle || !list || !categoryRow) return null;
+
+    return new SplitEditor(state, { toggle, list, categoryRow, amountId });
+};
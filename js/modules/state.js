@@ -5,6 +5,9 @@
  * Centralized state management with observer pattern
  */
 
+import { categoryUtils } from './utils.js';
+import { models } from './models.js';
+
 class FinTrackState {
   constructor() {
     this.state = {
@@ -18,6 +21,16 @@ class FinTrackState {
       wallets: [],
       categories: [],
       budgets: [],
+      // Every transfer is loaded - they are few next to expenses and incomes
+      transfers: [],
+      // Payees and payers, by name
+      merchants: [],
+      
+      // Only recent months of expenses and incomes are loaded at first -
+      // loadedFrom is the earliest date loaded (null means everything),
+      // firstDate the earliest date that exists, and carried the per-wallet
+      // totals of the months before loadedFrom
+      transactionHistory: { loadedFrom: null, firstDate: null, carried: {} },
       
       // UI state
       currentWalletId: null,
@@ -76,10 +89,25 @@ class FinTrackState {
     return [...this.state.wallets];
   }
 
+  // Wallets that can be selected - archived ones only show up in analytics
+  getActiveWallets() {
+    return this.state.wallets.filter(w => !w.archivedAt);
+  }
+
   getCategories() {
     return [...this.state.categories];
   }
 
+  getTransactionHistory() {
+    return this.state.transactionHistory;
+  }
+
+  // Is every expense and income loaded?
+  isHistoryComplete() {
+    const { loadedFrom, firstDate } = this.state.transactionHistory;
+    return !loadedFrom || !firstDate || firstDate >= loadedFrom;
+  }
+
   getCurrentWallet() {
     return this.state.wallets.find(w => w.id === this.state.currentWalletId);
   }
@@ -104,28 +132,83 @@ class FinTrackState {
     });
   }
 
+  // Records go through their model on the way in, so state has one shape
+  // whichever backend, realtime event or optimistic write produced them
   setExpenses(expenses) {
-      const result = this.setState({ expenses });
-      return result;
+      const normalized = expenses.map(expense => models.normalize('expense', expense));
+      return this.setState({ expenses: this.withCategoryNames(normalized) });
   }
 
   setIncomes(incomes) {
-    return this.setState({ incomes });
+    return this.setState({ incomes: incomes.map(income => models.normalize('income', income)) });
+  }
+
+  setTransactionHistory(transactionHistory) {
+    return this.setState({ transactionHistory });
   }
 
   setWallets(wallets) {
+    wallets = wallets.map(wallet => models.normalize('wallet', wallet));
     let newState = { wallets };
+    const activeWallets = wallets.filter(w => !w.archivedAt);
     
-    // If no current wallet is set and we have wallets, set the first one
-    if (!this.state.currentWalletId && wallets.length > 0) {
-      newState.currentWalletId = wallets[0].id;
+    // If the current wallet is unset, gone or archived, fall back to the first active one
+    if (!activeWallets.some(w => w.id === this.state.currentWalletId)) {
+      if (this.state.currentWalletId || activeWallets.length > 0) {
+        newState.currentWalletId = activeWallets[0]?.id || null;
+      }
     }
     
     return this.setState(newState);
   }
 
+  // Renames reach every expense and budget that references the category
   setCategories(categories) {
-    return this.setState({ categories });
+    return this.setState({
+      categories,
+      expenses: this.withCategoryNames(this.state.expenses, categories),
+      budgets: this.withBudgetCategories(this.state.budgets, categories)
+    });
+  }
+
+  /**
+   * Expenses reference categories by id; category/subcategory hold the
+   * current names for display, search, analytics and exports. Expenses
+   * without ids (saved before the migration, or queued offline) are
+   * matched by name.
+   */
+  withCategoryNames(expenses, categories = this.state.categories) {
+    return expenses.map(expense => {
+      const matched = expense.categoryId
+        ? { categoryId: expense.categoryId, subcategoryId: expense.subcategoryId || null }
+        : categoryUtils.matchCategoryIds(expense.category, expense.subcategory, categories);
+
+      const category = categories.find(c => c.id === matched.categoryId);
+      const subcategory = categories.find(c => c.id === matched.subcategoryId);
+      const nameOf = (id, fallback) => categories.find(c => c.id === id)?.name ?? fallback ?? null;
+
+      return {
+        ...expense,
+        categoryId: matched.categoryId,
+        subcategoryId: matched.subcategoryId,
+        // A purged category keeps its last known name
+        category: category?.name ?? expense.category,
+        subcategory: subcategory?.name ?? expense.subcategory ?? null,
+        splits: (expense.splits || []).map(line => ({
+          ...line,
+          category: nameOf(line.categoryId, line.category),
+          subcategory: nameOf(line.subcategoryId, line.subcategory)
+        }))
+      };
+    });
+  }
+
+  // categoryName follows renames; budgets whose category is gone keep the old one
+  withBudgetCategories(budgets, categories = this.state.categories) {
+    return budgets.map(budget => {
+      const category = categories.find(c => c.id === budget.categoryId);
+      return category ? { ...budget, categoryName: category.name } : budget;
+    });
   }
 
   setCurrentWallet(walletId) {
@@ -172,6 +255,18 @@ class FinTrackState {
     return this.setExpenses(expenses);
   }
 
+  // Batch versions notify listeners once for the whole selection
+  updateExpenses(updatedExpenses) {
+    const byId = new Map(updatedExpenses.map(expense => [expense.id, expense]));
+    const expenses = this.state.expenses.map(expense => byId.get(expense.id) || expense);
+    return this.setExpenses(expenses);
+  }
+
+  deleteExpenses(expenseIds) {
+    const expenses = this.state.expenses.filter(expense => !expenseIds.includes(expense.id));
+    return this.setExpenses(expenses);
+  }
+
   addIncome(income) {
     const incomes = [...this.state.incomes, income];
     return this.setIncomes(incomes);
@@ -189,6 +284,17 @@ class FinTrackState {
     return this.setIncomes(incomes);
   }
 
+  updateIncomes(updatedIncomes) {
+    const byId = new Map(updatedIncomes.map(income => [income.id, income]));
+    const incomes = this.state.incomes.map(income => byId.get(income.id) || income);
+    return this.setIncomes(incomes);
+  }
+
+  deleteIncomes(incomeIds) {
+    const incomes = this.state.incomes.filter(income => !incomeIds.includes(income.id));
+    return this.setIncomes(incomes);
+  }
+
   addWallet(wallet) {
     const wallets = [...this.state.wallets, wallet];
     return this.setWallets(wallets);
@@ -203,11 +309,12 @@ class FinTrackState {
 
   deleteWallet(walletId) {
     const wallets = this.state.wallets.filter(wallet => wallet.id !== walletId);
+    const activeWallets = wallets.filter(w => !w.archivedAt);
     let newState = { wallets };
     
     // If deleting the current wallet, switch to another if available
-    if (this.state.currentWalletId === walletId && wallets.length > 0) {
-      newState.currentWalletId = wallets[0].id;
+    if (this.state.currentWalletId === walletId && activeWallets.length > 0) {
+      newState.currentWalletId = activeWallets[0].id;
     } else if (this.state.currentWalletId === walletId) {
       newState.currentWalletId = null;
     }
@@ -237,13 +344,38 @@ class FinTrackState {
       const targetWalletId = walletId || this.state.currentWalletId;
       if (!targetWalletId) return 0;  // Return 0 if no wallet selected
       
-      const walletExpenses = this.state.expenses.filter(e => e.walletId === targetWalletId);
-      const walletIncomes = this.state.incomes.filter(i => i.walletId === targetWalletId);
-      
-      const totalExpenses = walletExpenses.reduce((sum, expense) => sum + expense.amount, 0);
-      const totalIncomes = walletIncomes.reduce((sum, income) => sum + income.amount, 0);
+      const { expenses, income } = this.getWalletTotals(targetWalletId);
+      const { received, sent } = this.getWalletTransferTotals(targetWalletId);
+      return income - expenses + received - sent;
+  }
+
+  // Money moved in and out of a wallet by transfers - sent includes the fees
+  getWalletTransferTotals(walletId) {
+      return this.state.transfers.reduce((totals, transfer) => {
+          if (transfer.toWalletId === walletId) totals.received += transfer.amount;
+          if (transfer.fromWalletId === walletId) totals.sent += transfer.amount + transfer.fee;
+          return totals;
+      }, { received: 0, sent: 0 });
+  }
+
+  // All-time totals: loaded rows plus what was carried from older months.
+  // Rows before loadedFrom (pending reimbursements are always loaded) are
+  // already in the carried totals.
+  getWalletTotals(walletId) {
+      const { loadedFrom, carried } = this.state.transactionHistory;
+      const older = carried[walletId] || {};
+      const counted = rows => rows.filter(row => row.walletId === walletId &&
+          (!loadedFrom || String(row.date).slice(0, 10) >= loadedFrom));
+      const sum = rows => rows.reduce((total, row) => total + row.amount, 0);
+      const expenses = counted(this.state.expenses);
+      const incomes = counted(this.state.incomes);
       
-      return totalIncomes - totalExpenses;
+      return {
+          expenses: sum(expenses) + (older.expenses || 0),
+          income: sum(incomes) + (older.income || 0),
+          expenseCount: expenses.length + (older.expenseCount || 0),
+          incomeCount: incomes.length + (older.incomeCount || 0)
+      };
   }
 
   getMonthlyExpenses(month, year, walletId = null) {
@@ -282,7 +414,8 @@ class FinTrackState {
   }
 
   setBudgets(budgets) {
-      return this.setState({ budgets }); // Use setState to trigger listeners properly
+      const normalized = budgets.map(budget => models.normalize('budget', budget));
+      return this.setState({ budgets: this.withBudgetCategories(normalized) }); // Use setState to trigger listeners properly
   }
 
   addBudget(budget) {
@@ -302,10 +435,64 @@ class FinTrackState {
       return this.setBudgets(budgets);
   }
 
+  // Transfers between wallets
+  getTransfers() {
+      return [...this.state.transfers];
+  }
+
+  // Newest first, as lists show them
+  setTransfers(transfers) {
+      const normalized = transfers
+          .map(transfer => models.normalize('transfer', transfer))
+          .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+      return this.setState({ transfers: normalized });
+  }
+
+  addTransfer(transfer) {
+      return this.setTransfers([...this.state.transfers, transfer]);
+  }
+
+  updateTransfer(transfer) {
+      return this.setTransfers(this.state.transfers.map(t => t.id === transfer.id ? transfer : t));
+  }
+
+  deleteTransfer(id) {
+      return this.setTransfers(this.state.transfers.filter(t => t.id !== id));
+  }
+
+  // Transfers into or out of a wallet
+  getWalletTransfers(walletId) {
+      return this.state.transfers.filter(t => t.fromWalletId === walletId || t.toWalletId === walletId);
+  }
+
+  // Merchants (payees and payers)
+  getMerchants() {
+      return [...this.state.merchants];
+  }
+
+  setMerchants(merchants) {
+      const normalized = merchants
+          .map(merchant => models.normalize('merchant', merchant))
+          .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      return this.setState({ merchants: normalized });
+  }
+
+  addMerchant(merchant) {
+      return this.setMerchants([...this.state.merchants, merchant]);
+  }
+
+  updateMerchant(merchant) {
+      return this.setMerchants(this.state.merchants.map(m => m.id === merchant.id ? merchant : m));
+  }
+
+  deleteMerchant(id) {
+      return this.setMerchants(this.state.merchants.filter(m => m.id !== id));
+  }
+
   // Budget period: 26th of previous month to 25th of current month
   getCategoryBudgetStatus(categoryId, walletId) {
       const budget = this.state.budgets.find(
-          b => b.category_id === categoryId && b.wallet_id === walletId
+          b => b.categoryId === categoryId && b.walletId === walletId
       );
       
       if (!budget) return null;
@@ -330,14 +517,16 @@ class FinTrackState {
       const expenses = this.state.expenses.filter(e => {
           const expenseDate = new Date(e.date);
           const matches = e.walletId === walletId &&
-                e.category === this.getCategoryName(categoryId) &&
                 expenseDate >= startDate &&
                 expenseDate <= endDate &&
                 !e.isReimbursable;
           return matches;
       });
       
-      const spent = expenses.reduce((sum, e) => sum + e.amount, 0);
+      // Split expenses count only their lines in this category
+      const spent = expenses.reduce((sum, e) => sum + categoryUtils.getExpenseLines(e)
+          .filter(line => line.categoryId === categoryId)
+          .reduce((lineSum, line) => lineSum + line.amount, 0), 0);
       const remaining = budget.amount - spent;
       const percentage = (spent / budget.amount) * 100;
 
@@ -355,6 +544,16 @@ class FinTrackState {
       return category ? category.name : '';
   }
 
+  getWalletName(walletId) {
+      const wallet = this.state.wallets.find(w => w.id === walletId);
+      return wallet ? wallet.name : '';
+  }
+
+  getMerchantName(merchantId) {
+      const merchant = merchantId && this.state.merchants.find(m => m.id === merchantId);
+      return merchant ? merchant.name : '';
+  }
+
   // Event system
   subscribe(key, callback) {
     if (!this.listeners.has(key)) {
@@ -420,6 +619,9 @@ class FinTrackState {
       categories: [],
       //v5.2
       budgets: [],
+      transfers: [],
+      merchants: [],
+      transactionHistory: { loadedFrom: null, firstDate: null, carried: {} },
       currentWalletId: null,
       activeTab: 'overview',
       activeModal: null,
@@ -518,6 +720,10 @@ class FinTrackState {
 
   // Link reimbursement (update both expense and income)
   linkReimbursement(incomeId, expenseIds) {
+      // Expenses the income reimbursed before but no longer does
+      const previousIds = (this.state.incomes.find(i => i.id === incomeId)?.linkedExpenseIds || [])
+          .filter(id => !expenseIds.includes(id));
+
       // Update income
       const incomes = this.state.incomes.map(income => 
           income.id === incomeId 
@@ -526,13 +732,18 @@ class FinTrackState {
       );
       
       // Update expenses
-      const expenses = this.state.expenses.map(expense => 
-          expenseIds.includes(expense.id)
-              ? { ...expense, reimbursementStatus: 'reimbursed', linkedIncomeId: incomeId }
-              : expense
-      );
+      const expenses = this.state.expenses.map(expense => {
+          if (expenseIds.includes(expense.id)) {
+              return { ...expense, reimbursementStatus: 'reimbursed', linkedIncomeId: incomeId };
+          }
+          if (previousIds.includes(expense.id) && expense.linkedIncomeId === incomeId) {
+              return { ...expense, reimbursementStatus: 'pending', linkedIncomeId: null };
+          }
+          return expense;
+      });
       
       // Update both at once
+      const oldState = { ...this.state };
       this.state = {
           ...this.state,
           expenses,
@@ -540,7 +751,7 @@ class FinTrackState {
       };
       
       // Notify listeners
-      this.notifyListeners({ ...this.state }, this.state);
+      this.notifyListeners(oldState, this.state);
       
       return this.state;
   }
@@ -567,6 +778,7 @@ class FinTrackState {
       );
       
       // Update both at once
+      const oldState = { ...this.state };
       this.state = {
           ...this.state,
           expenses,
@@ -574,7 +786,7 @@ class FinTrackState {
       };
       
       // Notify listeners
-      this.notifyListeners({ ...this.state }, this.state);
+      this.notifyListeners(oldState, this.state);
       
       return this.state;
   }
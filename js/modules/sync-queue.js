@@ -0,0 +1,425 @@
+// js/modules/sync-queue.js
+
+/**
+ * SYNC QUEUE MODULE
+ * Queues DatabaseService writes made while offline and replays them in order
+ */
+
+import { getLocalStore } from './local-store.js';
+import { getState } from './state.js';
+import { isNetworkError } from './errors.js';
+
+const RETRY_DELAY_MS = 15000;
+
+// Methods that insert a new row get a client-generated id so later queued
+// writes (and the optimistic state) can reference the record before it syncs
+const CREATE_METHODS = ['create', 'createExpense', 'createIncome', 'createWallet', 'createCategory', 'createBudget'];
+
+// Writes checked against the version they started from: the record's id and
+// where the { expectedUpdatedAt } option sits in their arguments
+const VERSIONED_METHODS = {
+    update: { id: args => args[1], options: 3 },
+    createExpense: { id: args => args[0].id, options: 1 },
+    updateExpense: { id: args => args[0], options: 2 },
+    createIncome: { id: args => args[0].id, options: 1 },
+    updateIncome: { id: args => args[0], options: 2 },
+    relinkReimbursement: { id: args => args[0], options: 2 },
+    unlinkReimbursement: { id: args => args[0], options: 1 }
+};
+
+class SyncQueue {
+    constructor(db) {
+        this.db = db;
+        this.localStore = getLocalStore();
+        this.state = getState();
+        this.pendingCount = 0;
+        this.replaying = false;
+        this.initialized = false;
+        this.retryTimer = null;
+        // The queued write the server rejected; replay stops there until the
+        // user retries or discards it
+        this.failed = null;
+        // Record id => updated_at the replayed writes left it at
+        this.replayedVersions = new Map();
+    }
+
+    async initialize() {
+        if (this.initialized || !this.localStore.isSupported()) return;
+
+        const queue = await this.localStore.getQueue();
+        this.pendingCount = queue.length;
+
+        window.addEventListener('online', () => this.replay());
+        window.addEventListener('offline', () => this.emitStatus());
+
+        this.initialized = true;
+        this.emitStatus();
+    }
+
+    isOffline() {
+        return !navigator.onLine;
+    }
+
+    // Queue when offline, or when earlier writes are still waiting (keeps order)
+    shouldQueue() {
+        if (!this.initialized || this.replaying) return false;
+        return this.isOffline() || this.pendingCount > 0;
+    }
+
+    isNetworkError(error) {
+        if (!this.initialized || !error) return false;
+        return this.isOffline() || isNetworkError(error);
+    }
+
+    /**
+     * Persist a write for later replay and return an optimistic result
+     * @param {string} method - DatabaseService method name
+     * @param {Array} args - Arguments the method was called with
+     */
+    async enqueue(method, args) {
+        const queuedArgs = this.withClientId(method, args);
+        const result = this.buildOptimisticResult(method, queuedArgs);
+
+        await this.localStore.addToQueue({
+            method,
+            args: queuedArgs,
+            createdAt: new Date().toISOString()
+        });
+
+        this.pendingCount++;
+        this.emitStatus();
+        this.scheduleReplay();
+
+        return result;
+    }
+
+    scheduleReplay() {
+        if (this.retryTimer || this.isOffline()) return;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.replay();
+        }, RETRY_DELAY_MS);
+    }
+
+    async replay() {
+        if (!this.initialized || this.replaying || this.failed || this.isOffline()) return;
+        if (!this.db.getUser()) return;
+
+        const queue = await this.localStore.getQueue();
+        this.pendingCount = queue.length;
+        if (queue.length === 0) {
+            this.emitStatus();
+            return;
+        }
+
+        this.replaying = true;
+        this.emitStatus();
+
+        let replayed = 0;
+        let interrupted = false;
+
+        try {
+            for (const entry of queue) {
+                try {
+                    const result = await this.db[entry.method](...this.withReplayedVersion(entry));
+                    this.rememberVersions(result);
+                    replayed++;
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        interrupted = true;
+                        break;
+                    }
+
+                    // The server rejected this write. Later writes may depend on it,
+                    // so stop here and let the user decide rather than drop it
+                    console.error(`SyncQueue - Queued ${entry.method} was rejected:`, error);
+                    this.failed = {
+                        seq: entry.seq,
+                        method: entry.method,
+                        args: entry.args,
+                        error: error.message,
+                        code: error.code,
+                        // The newer version a conflicting edit lost to
+                        current: error.current
+                    };
+                    this.emitSyncEvent('failed', this.failed);
+                    break;
+                }
+
+                await this.localStore.removeFromQueue(entry.seq);
+                this.pendingCount = Math.max(0, this.pendingCount - 1);
+                this.emitStatus();
+            }
+        } finally {
+            this.replaying = false;
+        }
+
+        this.emitStatus();
+
+        if (interrupted) {
+            this.scheduleReplay();
+        } else if (!this.failed) {
+            this.replayedVersions.clear();
+            this.emitSyncEvent('completed', { replayed });
+        }
+    }
+
+    // A queued edit started from the version the user saw while offline. If an
+    // earlier queued write to the same record has since moved it on, that
+    // write is the user's own - expect what it left instead
+    withReplayedVersion({ method, args }) {
+        const versioned = VERSIONED_METHODS[method];
+        const options = versioned && args[versioned.options];
+        const id = versioned?.id(args);
+        if (options?.expectedUpdatedAt === undefined || !this.replayedVersions.has(id)) return args;
+
+        const replayedArgs = [...args];
+        replayedArgs[versioned.options] = { ...options, expectedUpdatedAt: this.replayedVersions.get(id) };
+        return replayedArgs;
+    }
+
+    rememberVersions(result) {
+        const records = Array.isArray(result) ? result : [result, result?.income, ...(result?.expenses || [])];
+        records.forEach(record => {
+            if (record?.id && record.updatedAt !== undefined) this.replayedVersions.set(record.id, record.updatedAt);
+        });
+    }
+
+    getFailed() {
+        return this.failed;
+    }
+
+    // Send the rejected write again, e.g. once whatever the server objected to is fixed
+    async retryFailed() {
+        this.failed = null;
+        await this.replay();
+    }
+
+    // Give up on the rejected write and carry on with the ones after it
+    async discardFailed() {
+        if (!this.failed) return;
+
+        await this.localStore.removeFromQueue(this.failed.seq);
+        this.pendingCount = Math.max(0, this.pendingCount - 1);
+        this.failed = null;
+        await this.replay();
+    }
+
+    withClientId(method, args) {
+        if (!CREATE_METHODS.includes(method)) return args;
+
+        if (method === 'create') {
+            const [table, data] = args;
+            return [table, { ...data, id: data.id || crypto.randomUUID() }];
+        }
+
+        const [data, ...rest] = args;
+        // An id means the caller is updating an existing record
+        if (data.id) return args;
+        return [{ ...data, clientId: data.clientId || crypto.randomUUID() }, ...rest];
+    }
+
+    // Mirror what each DatabaseService method would have returned
+    buildOptimisticResult(method, args) {
+        const now = new Date().toISOString();
+        const userId = this.db.getUser()?.id;
+
+        switch (method) {
+            case 'create': {
+                const [table, data] = args;
+                return this.db.toRecord(table, { ...data, user_id: userId, created_at: now });
+            }
+            case 'update': {
+                const [table, id, updates] = args;
+                return this.mergeExisting(table, id, this.db.toCamelCase(updates));
+            }
+            case 'createExpense': {
+                const [data] = args;
+                if (data.id) {
+                    return this.mergeExisting('expenses', data.id, this.expenseFields(data));
+                }
+                return this.db.toRecord('expenses', { id: data.clientId, userId, createdAt: now, ...this.expenseFields(data), linkedIncomeId: null });
+            }
+            case 'batchUpdate': {
+                const [table, ids, updates] = args;
+                return ids.map(id => this.mergeExisting(table, id, this.db.toCamelCase(updates)));
+            }
+            case 'batchSetReimbursable': {
+                const [ids, isReimbursable] = args;
+                return ids
+                    .map(id => this.mergeExisting('expenses', id, {}))
+                    .filter(expense => !expense.linkedIncomeId)
+                    .map(expense => ({
+                        ...expense,
+                        isReimbursable,
+                        reimbursementStatus: isReimbursable ? 'pending' : 'not_applicable'
+                    }));
+            }
+            case 'updateExpense': {
+                const [id, updates] = args;
+                return this.mergeExisting('expenses', id, this.db.toCamelCase(updates));
+            }
+            case 'createIncome': {
+                const [data] = args;
+                const fields = {
+                    description: data.description,
+                    amount: data.amount,
+                    date: data.date,
+                    source: data.source,
+                    walletId: data.walletId,
+                    isReimbursement: data.isReimbursement || false,
+                    linkedExpenseIds: data.linkedExpenseIds || [],
+                    ...(data.recurringRuleId !== undefined && { recurringRuleId: data.recurringRuleId }),
+                    ...(data.tags !== undefined && { tags: data.tags }),
+                    ...(data.merchantId !== undefined && { merchantId: data.merchantId })
+                };
+                if (data.id) return this.mergeExisting('incomes', data.id, fields);
+                return this.db.toRecord('incomes', { id: data.clientId, userId, createdAt: now, ...fields });
+            }
+            case 'updateIncome': {
+                const [id, updates] = args;
+                return this.mergeExisting('incomes', id, this.db.toCamelCase(updates));
+            }
+            case 'createWallet': {
+                const [data] = args;
+                return this.db.toRecord('wallets', { id: data.clientId, userId, createdAt: now, name: data.name, isDefault: !!data.isDefault });
+            }
+            case 'updateWallet': {
+                const [id, updates] = args;
+                return this.mergeExisting('wallets', id, updates);
+            }
+            case 'setDefaultWallet': {
+                const [id] = args;
+                return this.mergeExisting('wallets', id, { isDefault: true });
+            }
+            case 'createCategory': {
+                const [data] = args;
+                const fields = { name: data.name, type: data.type || 'main', parentId: data.parentId || null };
+                if (data.id) return this.mergeExisting('categories', data.id, fields);
+                return { id: data.clientId, userId, createdAt: now, ...fields };
+            }
+            case 'updateCategory': {
+                const [id, updates] = args;
+                return this.mergeExisting('categories', id, this.db.toCamelCase(updates));
+            }
+            case 'moveSubcategory': {
+                const [id, parentId] = args;
+                return this.mergeExisting('categories', id, { parentId });
+            }
+            case 'createBudget': {
+                const [data] = args;
+                const existing = this.state.getBudgets().find(
+                    b => b.walletId === data.walletId && b.categoryId === data.categoryId
+                );
+                return this.db.toRecord('budgets', {
+                    ...existing,
+                    id: existing?.id || data.clientId,
+                    userId,
+                    walletId: data.walletId,
+                    categoryId: data.categoryId,
+                    amount: data.amount,
+                    period: data.period,
+                    startDate: data.startDate || now.split('T')[0],
+                    updatedAt: now,
+                    categoryName: this.state.getCategoryName(data.categoryId) || existing?.categoryName
+                });
+            }
+            case 'linkReimbursement':
+            case 'relinkReimbursement': {
+                const [incomeId, expenseIds] = args;
+                return {
+                    income: this.mergeExisting('incomes', incomeId, { isReimbursement: true, linkedExpenseIds: expenseIds }),
+                    expenses: expenseIds.map(id =>
+                        this.mergeExisting('expenses', id, { reimbursementStatus: 'reimbursed', linkedIncomeId: incomeId })
+                    )
+                };
+            }
+            case 'unlinkReimbursement': {
+                const [incomeId] = args;
+                return this.mergeExisting('incomes', incomeId, { isReimbursement: false, linkedExpenseIds: [] });
+            }
+            default:
+                // Deletes resolve to true, matching the online methods
+                return true;
+        }
+    }
+
+    expenseFields(data) {
+        return {
+            walletId: data.walletId,
+            description: data.description,
+            amount: data.amount,
+            date: data.date,
+            categoryId: data.categoryId || null,
+            subcategoryId: data.subcategoryId || null,
+            category: data.category,
+            subcategory: data.subcategory || null,
+            isReimbursable: data.isReimbursable || false,
+            reimbursementStatus: data.isReimbursable ? 'pending' : 'not_applicable',
+            ...(data.recurringRuleId !== undefined && { recurringRuleId: data.recurringRuleId }),
+            ...(data.attachments !== undefined && { attachments: data.attachments }),
+            ...(data.splits !== undefined && { splits: data.splits }),
+            ...(data.tags !== undefined && { tags: data.tags }),
+            ...(data.merchantId !== undefined && { merchantId: data.merchantId })
+        };
+    }
+
+    mergeExisting(table, id, updates) {
+        const collection = this.state.getState()[table] || [];
+        const existing = collection.find(item => item.id === id);
+        return this.db.toRecord(table, { ...existing, ...updates, id });
+    }
+
+    // Called when the local store is wiped (sign out, account switch)
+    reset() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.pendingCount = 0;
+        this.failed = null;
+        this.replayedVersions.clear();
+        this.emitStatus();
+    }
+
+    // Status and events
+    getStatus() {
+        return {
+            online: !this.isOffline(),
+            pending: this.pendingCount,
+            syncing: this.replaying,
+            failed: !!this.failed
+        };
+    }
+
+    emitStatus() {
+        this.emitSyncEvent('status', this.getStatus());
+    }
+
+    emitSyncEvent(eventName, data) {
+        const event = new CustomEvent(`sync:${eventName}`, {
+            detail: data,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    subscribe(eventName, callback) {
+        const handler = (event) => callback(event.detail);
+        document.addEventListener(`sync:${eventName}`, handler);
+
+        // Return unsubscribe function
+        return () => {
+            document.removeEventListener(`sync:${eventName}`, handler);
+        };
+    }
+}
+
+// Create singleton instance
+let syncQueueInstance = null;
+
+export const getSyncQueue = (db) => {
+    if (!syncQueueInstance) {
+        syncQueueInstance = new SyncQueue(db);
+    }
+    return syncQueueInstance;
+};
@@ -0,0 +1,114 @@
+// js/modules/tag-input.js
+
+/**
+ * TAG INPUT MODULE
+ * Tag field for the expense and income forms. Tags show as chips in front of
+ * a text input; Enter, a comma or picking a suggestion adds one. Suggestions
+ * are the tags already used on loaded transactions, most used first.
+ */
+
+import { domUtils, tagUtils } from './utils.js';
+
+class TagInput {
+    /**
+     * @param {Object} state - App state, for the tags already in use
+     * @param {Object} options.container - Element holding the chips and the input
+     * @param {Object} options.input - Text input new tags are typed into
+     * @param {Object} options.suggestions - <datalist> the input autocompletes from
+     */
+    constructor(state, { container, input, suggestions }) {
+        this.state = state;
+        this.container = container;
+        this.input = input;
+        this.suggestions = suggestions;
+        this.tags = [];
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.form?.addEventListener('reset', () => this.load([]));
+        this.input.addEventListener('focus', () => this.renderSuggestions());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                // Enter adds the tag instead of submitting the form
+                if (this.input.value.trim() || e.key === ',') e.preventDefault();
+                this.commit();
+            } else if (e.key === 'Backspace' && !this.input.value && this.tags.length > 0) {
+                this.remove(this.tags.length - 1);
+            }
+        });
+        // Fires on picking a suggestion, and on leaving the field with a half-typed tag
+        this.input.addEventListener('change', () => this.commit());
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-index]');
+            if (button) this.remove(Number(button.dataset.index));
+        });
+    }
+
+    // Start editing a record's tags (an empty list for a new record)
+    load(tags = []) {
+        this.tags = tagUtils.normalizeList(tags);
+        this.input.value = '';
+        this.render();
+    }
+
+    // Add whatever has been typed, split on commas
+    commit() {
+        const typed = tagUtils.normalizeList(this.input.value.split(','));
+        this.input.value = '';
+        if (typed.length === 0) return;
+
+        this.tags = tagUtils.normalizeList([...this.tags, ...typed]);
+        this.render();
+    }
+
+    remove(index) {
+        this.tags.splice(index, 1);
+        this.render();
+    }
+
+    // The tags to save, including one still being typed
+    getTags() {
+        this.commit();
+        return [...this.tags];
+    }
+
+    render() {
+        this.container.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+
+        this.tags.forEach((tag, index) => {
+            const chip = domUtils.createElement('span', 'tag-chip');
+            chip.textContent = tag;
+
+            const remove = domUtils.createElement('button', '', { type: 'button', 'data-index': index, title: `Remove ${tag}` });
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            chip.appendChild(remove);
+
+            this.container.insertBefore(chip, this.input);
+        });
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        if (!this.suggestions) return;
+
+        const used = tagUtils.collect([...this.state.getExpenses(), ...this.state.getIncomes()]);
+        this.suggestions.innerHTML = '';
+        used.filter(tag => !this.tags.includes(tag))
+            .forEach(tag => this.suggestions.appendChild(new Option(tag, tag)));
+    }
+}
+
+/**
+ * Attach a tag field to its input
+ * @returns {TagInput|null} null when the form isn't on the page
+ */
+export const createTagInput = (state, { containerId, inputId }) => {
+    const container = document.getElementById(containerId);
+    const input = document.getElementById(inputId);
+    if (!container || !input) return null;
+
+    return new TagInput(state, { container, input, suggestions: input.list });
+};
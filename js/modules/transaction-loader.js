@@ -0,0 +1,206 @@
+// js/modules/transaction-loader.js
+
+/**
+ * TRANSACTION LOADER MODULE
+ * Loads expenses and incomes a few calendar months at a time: the recent
+ * months at sign-in, older ones when the user scrolls back or picks an older
+ * month. Later refreshes fetch only the rows changed since the last load.
+ */
+
+import { getState } from './state.js';
+import { dateUtils } from './utils.js';
+
+// The current month and the two before it
+const RECENT_MONTHS = 3;
+
+// Months fetched each time the user reaches the end of what is loaded
+const PAGE_MONTHS = 3;
+
+// Changes are found by the database's timestamps, from its time when the last
+// load started. A write still committing then is stamped a little earlier -
+// look back far enough to catch it.
+const REFRESH_OVERLAP_MS = 60 * 1000;
+
+// First day of the month `monthsBack` months before the date's month
+const monthStart = (date, monthsBack = 0) =>
+    dateUtils.toISODate(new Date(date.getFullYear(), date.getMonth() - monthsBack, 1));
+
+// 'YYYY-MM-DD' strings are read as local dates, not UTC midnight
+const toDate = value => typeof value === 'string' ? new Date(`${value.slice(0, 10)}T00:00:00`) : value;
+
+const dayOf = row => String(row.date).slice(0, 10);
+
+const isPendingReimbursement = row => row.isReimbursable && row.reimbursementStatus === 'pending';
+
+// Rows by id, later lists winning
+const mergeRows = (...lists) => [...new Map(lists.flat().map(row => [row.id, row])).values()];
+
+class TransactionLoader {
+    constructor(db) {
+        this.db = db;
+        this.state = getState();
+        this.reset();
+    }
+
+    reset() {
+        this.loadedFrom = null;
+        this.lastLoadedAt = null;
+        this.loadingOlder = null;
+    }
+
+    // Saved with the offline copy, so a reload refreshes instead of starting over
+    getWindow() {
+        return { ...this.state.getTransactionHistory(), lastLoadedAt: this.lastLoadedAt };
+    }
+
+    restoreWindow(saved) {
+        if (!saved?.loadedFrom) return;
+
+        const { lastLoadedAt, ...history } = saved;
+        this.loadedFrom = history.loadedFrom;
+        this.lastLoadedAt = lastLoadedAt || null;
+        this.state.setTransactionHistory(history);
+    }
+
+    /**
+     * Expenses and incomes for state: what is loaded plus the rows changed
+     * since the last load, or the recent months if nothing is loaded yet
+     * @returns {Object} { expenses, incomes }
+     */
+    async load() {
+        const startedAt = await this.db.getServerTime();
+        const data = this.lastLoadedAt ? await this.fetchChanges() : await this.fetchRecent();
+
+        await this.updateHistory();
+        this.lastLoadedAt = startedAt;
+        return data;
+    }
+
+    async fetchRecent() {
+        const loadedFrom = monthStart(new Date(), RECENT_MONTHS - 1);
+        const [expenses, incomes, pending] = await Promise.all([
+            this.db.getExpensesBetween(loadedFrom, null),
+            this.db.getIncomesBetween(loadedFrom, null),
+            // Pending reimbursements are listed whatever their date
+            this.db.read('expenses', { isReimbursable: true, reimbursementStatus: 'pending' })
+        ]);
+
+        this.loadedFrom = loadedFrom;
+        return { expenses: mergeRows(expenses, pending), incomes };
+    }
+
+    async fetchChanges() {
+        const since = new Date(new Date(this.lastLoadedAt).getTime() - REFRESH_OVERLAP_MS).toISOString();
+        const [expenses, incomes] = await Promise.all([
+            this.db.getChangedSince('expenses', since),
+            this.db.getChangedSince('incomes', since)
+        ]);
+
+        return {
+            expenses: this.applyChanges(this.state.getExpenses(), expenses),
+            incomes: this.applyChanges(this.state.getIncomes(), incomes)
+        };
+    }
+
+    // Deleted rows leave, changed ones replace their loaded copy, and new ones
+    // join if they fall in the loaded months
+    applyChanges(rows, changes) {
+        const byId = new Map(rows.map(row => [row.id, row]));
+
+        changes.forEach(row => {
+            const belongs = dayOf(row) >= this.loadedFrom || byId.has(row.id) || isPendingReimbursement(row);
+            if (row.deletedAt || !belongs) {
+                byId.delete(row.id);
+            } else {
+                byId.set(row.id, row);
+            }
+        });
+        return [...byId.values()];
+    }
+
+    // Balances add up the loaded rows plus these totals for everything older
+    async updateHistory() {
+        if (!this.loadedFrom) return;
+
+        const totals = await this.db.getTotalsBefore(this.loadedFrom);
+        const carried = {};
+        let firstDate = null;
+
+        totals.forEach(({ walletId, firstDate: walletFirstDate, ...walletTotals }) => {
+            carried[walletId] = walletTotals;
+            if (!firstDate || walletFirstDate < firstDate) firstDate = walletFirstDate;
+        });
+
+        this.state.setTransactionHistory({ loadedFrom: this.loadedFrom, firstDate, carried });
+    }
+
+    hasOlder() {
+        return !this.state.isHistoryComplete();
+    }
+
+    /**
+     * Is the month containing a date loaded?
+     * @param {Date|string} date
+     */
+    isLoaded(date) {
+        return !this.hasOlder() || monthStart(toDate(date)) >= this.loadedFrom;
+    }
+
+    /**
+     * Load the months before the loaded ones
+     * @returns {boolean} false when there was nothing older to load
+     */
+    async loadOlder() {
+        if (!this.hasOlder()) return false;
+        return this.loadUntil(monthStart(toDate(this.loadedFrom), PAGE_MONTHS));
+    }
+
+    /**
+     * Load everything from the start of a date's month onwards
+     * @param {Date|string} date
+     * @returns {boolean} false when it was already loaded
+     */
+    async loadUntil(date) {
+        // One page at a time - a second call waits, then loads what is still missing
+        while (this.loadingOlder) await this.loadingOlder;
+        if (this.isLoaded(date)) return false;
+
+        this.loadingOlder = this.fetchBefore(monthStart(toDate(date)));
+        try {
+            await this.loadingOlder;
+        } finally {
+            this.loadingOlder = null;
+        }
+        return true;
+    }
+
+    async loadAll() {
+        const { firstDate } = this.state.getTransactionHistory();
+        return firstDate ? this.loadUntil(firstDate) : false;
+    }
+
+    async fetchBefore(startDate) {
+        const loadedFrom = toDate(this.loadedFrom);
+        const endDate = dateUtils.toISODate(new Date(loadedFrom.getFullYear(), loadedFrom.getMonth(), loadedFrom.getDate() - 1));
+        const [expenses, incomes] = await Promise.all([
+            this.db.getExpensesBetween(startDate, endDate),
+            this.db.getIncomesBetween(startDate, endDate)
+        ]);
+
+        // Loaded rows win - they may hold edits that haven't synced yet
+        this.state.setExpenses(mergeRows(expenses, this.state.getExpenses()));
+        this.state.setIncomes(mergeRows(incomes, this.state.getIncomes()));
+        this.loadedFrom = startDate;
+        await this.updateHistory();
+    }
+}
+
+// Create singleton instance
+let transactionLoaderInstance = null;
+
+export const getTransactionLoader = (db) => {
+    if (!transactionLoaderInstance) {
+        transactionLoaderInstance = new TransactionLoader(db);
+    }
+    return transactionLoaderInstance;
+};
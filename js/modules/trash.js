@@ -0,0 +1,345 @@
+// js/modules/trash.js
+
+/**
+ * TRASH MODULE
+ * Lists soft-deleted records, restores or permanently purges them, and
+ * purges automatically once they are older than the retention window
+ */
+
+import { getState } from './state.js';
+import { storageUtils } from './utils.js';
+
+export const TRASH_TABLES = ['expenses', 'incomes', 'wallets', 'categories', 'budgets', 'transfers', 'merchants'];
+
+export const RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+const DEFAULT_RETENTION_DAYS = 30;
+const RETENTION_KEY = 'fintrack_trash_retention_days';
+const LAST_PURGE_KEY = 'fintrack_trash_last_purge';
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parents are restored before their children, and purged after them
+const RESTORE_ORDER = ['wallets', 'categories', 'merchants', 'expenses', 'incomes', 'budgets', 'transfers'];
+const PURGE_ORDER = ['expenses', 'incomes', 'budgets', 'transfers', 'merchants', 'categories', 'wallets'];
+
+const TABLE_TYPES = {
+    expenses: 'expense',
+    incomes: 'income',
+    wallets: 'wallet',
+    categories: 'category',
+    budgets: 'budget',
+    transfers: 'transfer',
+    merchants: 'merchant'
+};
+
+const STATE_COLLECTIONS = {
+    expenses: { get: 'getExpenses', set: 'setExpenses' },
+    incomes: { get: 'getIncomes', set: 'setIncomes' },
+    wallets: { get: 'getWallets', set: 'setWallets' },
+    categories: { get: 'getCategories', set: 'setCategories' },
+    budgets: { get: 'getBudgets', set: 'setBudgets' },
+    transfers: { get: 'getTransfers', set: 'setTransfers' },
+    merchants: { get: 'getMerchants', set: 'setMerchants' }
+};
+
+const trashError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+class TrashService {
+    constructor(db) {
+        this.db = db;
+        this.state = getState();
+    }
+
+    // Retention setting (per device)
+    getRetentionDays() {
+        const days = storageUtils.getItem(RETENTION_KEY);
+        return RETENTION_OPTIONS.includes(days) ? days : DEFAULT_RETENTION_DAYS;
+    }
+
+    setRetentionDays(days) {
+        if (!RETENTION_OPTIONS.includes(days)) {
+            throw new Error(`Retention must be one of ${RETENTION_OPTIONS.join(', ')} days`);
+        }
+        storageUtils.setItem(RETENTION_KEY, days);
+    }
+
+    requireOnline() {
+        if (this.db.syncQueue?.isOffline()) {
+            throw trashError('The Trash is only available while online', 'OFFLINE');
+        }
+    }
+
+    getDeletedAt(record) {
+        return record.deletedAt;
+    }
+
+    /**
+     * Trash entries, most recently deleted first. Records that were deleted
+     * together with a wallet or parent category are grouped under it.
+     */
+    async getEntries() {
+        this.requireOnline();
+
+        const trash = await this.db.getDeleted();
+        const entries = new Map();
+
+        TRASH_TABLES.forEach(table => {
+            (trash[table] || []).forEach(record => {
+                const root = this.findRoot(trash, table, record);
+                const key = `${root.table}:${root.record.id}`;
+
+                if (!entries.has(key)) {
+                    entries.set(key, this.createEntry(key, root.table, root.record));
+                }
+                entries.get(key).records[table].push(record);
+            });
+        });
+
+        return [...entries.values()].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    createEntry(key, table, record) {
+        const deletedAt = this.getDeletedAt(record);
+
+        return {
+            key,
+            table,
+            type: TABLE_TYPES[table],
+            id: record.id,
+            name: this.getRecordName(table, record),
+            deletedAt,
+            expiresAt: new Date(new Date(deletedAt).getTime() + this.getRetentionDays() * DAY_MS).toISOString(),
+            record,
+            records: Object.fromEntries(TRASH_TABLES.map(t => [t, []]))
+        };
+    }
+
+    getRecordName(table, record) {
+        switch (table) {
+            case 'expenses':
+            case 'incomes':
+                return record.description;
+            case 'budgets':
+                return record.categoryName || 'Budget';
+            case 'transfers':
+                return record.description || 'Transfer';
+            default:
+                return record.name;
+        }
+    }
+
+    // The wallet or parent category that was deleted in the same operation
+    findParent(trash, table, record) {
+        const deletedAt = this.getDeletedAt(record);
+        const lookup = (parentTable, id) => {
+            const parent = (trash[parentTable] || []).find(
+                row => row.id === id && this.getDeletedAt(row) === deletedAt
+            );
+            return parent ? { table: parentTable, record: parent } : null;
+        };
+
+        switch (table) {
+            case 'expenses':
+            case 'incomes':
+                return lookup('wallets', record.walletId);
+            case 'budgets':
+                return lookup('wallets', record.walletId) || lookup('categories', record.categoryId);
+            case 'transfers':
+                return lookup('wallets', record.fromWalletId) || lookup('wallets', record.toWalletId);
+            case 'categories':
+                return record.parentId ? lookup('categories', record.parentId) : null;
+            default:
+                return null;
+        }
+    }
+
+    findRoot(trash, table, record) {
+        let current = { table, record };
+        let parent = this.findParent(trash, table, record);
+
+        while (parent) {
+            current = parent;
+            parent = this.findParent(trash, current.table, current.record);
+        }
+        return current;
+    }
+
+    /**
+     * Restore an entry and everything deleted with it
+     * @param {Object} entry - Entry from getEntries()
+     */
+    async restore(entry) {
+        this.requireOnline();
+        this.assertParentsExist(entry);
+
+        const restored = {};
+
+        for (const table of RESTORE_ORDER) {
+            // A transfer deleted with this wallet stays in the Trash while the
+            // wallet on its other side is still there
+            const records = table === 'transfers'
+                ? entry.records[table].filter(record => this.hasTransferWallets(record))
+                : entry.records[table];
+            const ids = records.map(record => record.id);
+            if (ids.length === 0) continue;
+
+            restored[table] = await this.db.restore(table, ids);
+
+            const { get, set } = STATE_COLLECTIONS[table];
+            const restoredIds = restored[table].map(record => record.id);
+            this.state[set]([
+                ...this.state[get]().filter(record => !restoredIds.includes(record.id)),
+                ...restored[table]
+            ]);
+        }
+
+        await this.restoreReimbursementLinks(restored.expenses || [], restored.incomes || []);
+
+        return restored;
+    }
+
+    // A record can't come back into a wallet or category that is still in the Trash
+    assertParentsExist(entry) {
+        const { table, record } = entry;
+        const walletIds = this.state.getWallets().map(w => w.id);
+        const categoryIds = this.state.getCategories().map(c => c.id);
+
+        if ((table === 'expenses' || table === 'incomes') && !walletIds.includes(record.walletId)) {
+            throw trashError('Restore its wallet first', 'PARENT_DELETED');
+        }
+        if (table === 'budgets' &&
+            (!walletIds.includes(record.walletId) || !categoryIds.includes(record.categoryId))) {
+            throw trashError('Restore its wallet and category first', 'PARENT_DELETED');
+        }
+        if (table === 'categories' && record.parentId && !categoryIds.includes(record.parentId)) {
+            throw trashError('Restore the parent category first', 'PARENT_DELETED');
+        }
+        if (table === 'transfers' && !this.hasTransferWallets(record)) {
+            throw trashError('Restore both of its wallets first', 'PARENT_DELETED');
+        }
+    }
+
+    hasTransferWallets(transfer) {
+        const walletIds = this.state.getWallets().map(w => w.id);
+        return walletIds.includes(transfer.fromWalletId) && walletIds.includes(transfer.toWalletId);
+    }
+
+    /**
+     * Reconnect restored expenses and reimbursement incomes. An expense whose
+     * income is gone goes back to pending; a restored income picks up its
+     * expenses again unless they were reimbursed by something else meanwhile.
+     * The other side is read from the database: state only holds recent months.
+     */
+    async restoreReimbursementLinks(expenses, incomes) {
+        for (const expense of expenses) {
+            if (!expense.linkedIncomeId) continue;
+
+            const income = await this.db.getLinkedIncome(expense.id);
+
+            if (!income) {
+                const updated = await this.db.update('expenses', expense.id, {
+                    reimbursement_status: 'pending',
+                    linked_income_id: null
+                });
+                this.state.updateExpense({ ...expense, ...updated });
+            } else if (!(income.linkedExpenseIds || []).includes(expense.id)) {
+                const updated = await this.db.update('incomes', income.id, {
+                    is_reimbursement: true,
+                    linked_expense_ids: [...(income.linkedExpenseIds || []), expense.id]
+                });
+                this.state.updateIncome({ ...income, ...updated });
+            }
+        }
+
+        for (const income of incomes) {
+            if (!income.isReimbursement) continue;
+
+            const linkedExpenses = await this.db.getLinkedExpenses(income.id);
+            const linkedIds = [];
+            for (const id of income.linkedExpenseIds || []) {
+                const expense = linkedExpenses.find(e => e.id === id);
+                if (!expense) continue;
+
+                if (expense.linkedIncomeId === income.id) {
+                    linkedIds.push(id);
+                } else if (!expense.linkedIncomeId && expense.isReimbursable) {
+                    const updated = await this.db.update('expenses', id, {
+                        reimbursement_status: 'reimbursed',
+                        linked_income_id: income.id
+                    });
+                    this.state.updateExpense({ ...expense, ...updated });
+                    linkedIds.push(id);
+                }
+            }
+
+            if (linkedIds.length !== (income.linkedExpenseIds || []).length) {
+                const updated = await this.db.update('incomes', income.id, { linked_expense_ids: linkedIds });
+                this.state.updateIncome({ ...income, ...updated });
+            }
+        }
+    }
+
+    /**
+     * Permanently delete an entry, including attachment files
+     * @param {Object} entry - Entry from getEntries()
+     */
+    async purge(entry) {
+        this.requireOnline();
+
+        for (const record of [...entry.records.expenses, ...entry.records.incomes]) {
+            for (const attachment of record.attachments || []) {
+                await this.db.deleteReceipt(attachment.path, attachment.thumbnailPath);
+            }
+        }
+
+        for (const table of PURGE_ORDER) {
+            const ids = entry.records[table].map(record => record.id);
+            if (ids.length > 0) {
+                await this.db.purge(table, ids);
+            }
+        }
+    }
+
+    /**
+     * Purge entries older than the retention window. Runs at most once a day
+     * per user unless forced (e.g. after shortening the retention window).
+     * @returns {number} Number of entries purged
+     */
+    async purgeExpired({ force = false } = {}) {
+        const user = this.db.getUser();
+        if (!user || this.db.syncQueue?.isOffline()) return 0;
+
+        const lastPurgeKey = `${LAST_PURGE_KEY}_${user.id}`;
+        const lastPurge = storageUtils.getItem(lastPurgeKey);
+        if (!force && lastPurge && Date.now() - lastPurge < PURGE_INTERVAL_MS) return 0;
+
+        try {
+            const now = new Date().toISOString();
+            const expired = (await this.getEntries()).filter(entry => entry.expiresAt <= now);
+
+            for (const entry of expired) {
+                await this.purge(entry);
+            }
+
+            storageUtils.setItem(lastPurgeKey, Date.now());
+            return expired.length;
+        } catch (error) {
+            console.error('Trash - Error purging expired items:', error);
+            return 0;
+        }
+    }
+}
+
+// Create singleton instance
+let trashInstance = null;
+
+export const getTrash = (db) => {
+    if (!trashInstance) {
+        trashInstance = new TrashService(db);
+    }
+    return trashInstance;
+};
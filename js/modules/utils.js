@@ -50,6 +50,273 @@ export const validationUtils = {
   }
 };
 
+// Key case conversion (database rows are snake_case, app objects camelCase)
+export const caseUtils = {
+  toCamelCase(obj) {
+    if (!obj) return obj;
+    if (Array.isArray(obj)) return obj.map(item => this.toCamelCase(item));
+    if (typeof obj !== 'object') return obj;
+
+    const transformed = {};
+    for (const [key, value] of Object.entries(obj)) {
+      // Convert snake_case to camelCase
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+      transformed[camelKey] = value;
+    }
+    return transformed;
+  },
+
+  toSnakeCase(obj) {
+    if (!obj) return obj;
+    if (Array.isArray(obj)) return obj.map(item => this.toSnakeCase(item));
+    if (typeof obj !== 'object') return obj;
+
+    const transformed = {};
+    for (const [key, value] of Object.entries(obj)) {
+      // Convert camelCase to snake_case
+      const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+      transformed[snakeKey] = value;
+    }
+    return transformed;
+  }
+};
+
+// Category lookups (work on raw rows and camelCase records alike)
+// Rows are snake_case from the database and camelCase in state
+const isTrashed = row => !!(row.deleted_at || row.deletedAt);
+
+export const categoryUtils = {
+  /**
+   * Category ids for an expense that only has category/subcategory names,
+   * e.g. one saved before expenses referenced categories by id. Categories
+   * outside the Trash win over trashed ones with the same name.
+   */
+  matchCategoryIds(categoryName, subcategoryName, categories) {
+    const sorted = [...categories].sort((a, b) => isTrashed(a) - isTrashed(b));
+
+    const main = sorted.find(c => c.type === 'main' && c.name === categoryName);
+    const sub = main && subcategoryName
+      ? sorted.find(c => (c.parent_id ?? c.parentId) === main.id && c.name === subcategoryName)
+      : null;
+
+    return { categoryId: main?.id || null, subcategoryId: sub?.id || null };
+  },
+
+  /**
+   * Why source can't be merged into target, or null if it can. Main
+   * categories merge into main categories and subcategories into subcategories.
+   */
+  getMergeError(source, target) {
+    if (!source || !target || isTrashed(source) || isTrashed(target)) return 'Category not found';
+    if (source.id === target.id) return 'Choose a different category to merge into';
+    if (source.type !== target.type) return 'A category can only be merged into one of the same level';
+    return null;
+  },
+
+  /**
+   * The category lines an expense counts towards: its split lines, or one
+   * line for the whole amount. Totals and budgets go through this.
+   * @returns {Array} [{ amount, categoryId, subcategoryId, category, subcategory }]
+   */
+  getExpenseLines(expense) {
+    if (expense.splits?.length > 0) return expense.splits;
+
+    return [{
+      amount: expense.amount,
+      categoryId: expense.category_id ?? expense.categoryId ?? null,
+      subcategoryId: expense.subcategory_id ?? expense.subcategoryId ?? null,
+      category: expense.category,
+      subcategory: expense.subcategory
+    }];
+  },
+
+  // Short label for a split expense, e.g. "Groceries, Household +1"
+  describeSplit(splits) {
+    const names = [...new Set(splits.map(line => line.category || 'Uncategorized'))];
+    return names.length > 2 ? `${names.slice(0, 2).join(', ')} +${names.length - 2}` : names.join(', ');
+  },
+
+  // "Category › Subcategory", or the categories of a split expense
+  getExpenseLabel(expense, separator = ' › ') {
+    if (expense.splits?.length > 0) return this.describeSplit(expense.splits);
+    return expense.subcategory ? `${expense.category}${separator}${expense.subcategory}` : expense.category;
+  },
+
+  // Does the description, a tag or any line's category name contain term (lowercase)?
+  matchesSearch(expense, term) {
+    if ((expense.description || '').toLowerCase().includes(term)) return true;
+    if ((expense.tags || []).some(tag => tag.includes(term))) return true;
+    return this.getExpenseLines(expense).some(line =>
+      [line.category, line.subcategory].some(name => (name || '').toLowerCase().includes(term))
+    );
+  },
+
+  // Why a subcategory can't move under parent, or null if it can
+  getMoveError(subcategory, parent) {
+    if (!subcategory || !parent || isTrashed(subcategory) || isTrashed(parent)) return 'Category not found';
+    if (subcategory.type !== 'sub') return 'Only subcategories can be moved to another parent';
+    if (parent.type !== 'main') return 'Choose a main category as the new parent';
+    if ((subcategory.parent_id ?? subcategory.parentId) === parent.id) return 'It is already under that category';
+    return null;
+  }
+};
+
+// Free-form labels on expenses and incomes ("work trip", "tax-deductible").
+// Tags are stored trimmed and lower case, so "Work Trip" and "work trip" are one
+export const tagUtils = {
+  MAX_LENGTH: 40,
+
+  normalize(tag) {
+    return String(tag ?? '').replace(/^#+/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+  },
+
+  // Drops empty tags and duplicates, keeping the first's position
+  normalizeList(tags = []) {
+    return [...new Set((tags || []).map(tag => this.normalize(tag)).filter(Boolean))];
+  },
+
+  // Every tag on these records, most used first
+  collect(records) {
+    const counts = new Map();
+    records.forEach(record => (record.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts.entries()]
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .map(([tag]) => tag);
+  },
+
+  hasTag(record, tag) {
+    return !tag || (record.tags || []).includes(tag);
+  }
+};
+
+// Payees and payers. The same shop turns up as "Indomaret", "INDOMARET 123"
+// and "indomaret pt", so names are compared by a key without case,
+// punctuation, store numbers or company forms
+export const merchantUtils = {
+  // Company forms that don't tell one merchant from another
+  COMPANY_WORDS: ['pt', 'tbk', 'cv', 'ud', 'persero', 'ltd', 'inc', 'llc', 'co', 'corp'],
+
+  key(name) {
+    return String(name ?? '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word && !/^\d+$/.test(word) && !this.COMPANY_WORDS.includes(word))
+      .join(' ');
+  },
+
+  // Trimmed aliases, dropping blanks and ones with the same key as another
+  normalizeAliases(aliases = []) {
+    const seen = new Set();
+    return (aliases || [])
+      .map(alias => String(alias ?? '').trim().replace(/\s+/g, ' '))
+      .filter(alias => {
+        const key = this.key(alias);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  },
+
+  /**
+   * The merchant a payee name or description refers to: one whose name or
+   * an alias appears in it as whole words. The longest match wins, so
+   * "Indomaret Point" beats "Indomaret" when both are listed.
+   * @returns {Object|null}
+   */
+  match(merchants, text) {
+    const key = this.key(text);
+    if (!key) return null;
+
+    let best = null;
+    let bestLength = 0;
+    merchants.forEach(merchant => {
+      [merchant.name, ...(merchant.aliases || [])].forEach(name => {
+        const candidate = this.key(name);
+        if (candidate.length > bestLength && ` ${key} `.includes(` ${candidate} `)) {
+          best = merchant;
+          bestLength = candidate.length;
+        }
+      });
+    });
+    return best;
+  },
+
+  // A merchant with exactly this name or alias, for telling a new payee from a known one
+  find(merchants, name) {
+    const key = this.key(name);
+    if (!key) return null;
+    return merchants.find(merchant =>
+      [merchant.name, ...(merchant.aliases || [])].some(candidate => this.key(candidate) === key)) || null;
+  }
+};
+
+// Optimistic concurrency - every write to these tables refreshes updated_at,
+// and an edit can name the updated_at it started from so a stale save is
+// rejected instead of overwriting someone else's change. Supabase replaces
+// the stamp with the database's own clock (sql/versions.sql); the local
+// backend keeps it.
+export const versionUtils = {
+  TABLES: ['expenses', 'incomes', 'wallets', 'recurring_rules'],
+
+  stamp(table, updates) {
+    return this.TABLES.includes(table) ? { ...updates, updated_at: new Date().toISOString() } : updates;
+  },
+
+  // An undefined expectation means the caller didn't ask for a check
+  isStale(row, expectedUpdatedAt) {
+    return expectedUpdatedAt !== undefined && (row.updated_at ?? null) !== expectedUpdatedAt;
+  },
+
+  conflictError(current) {
+    const error = new Error('This was changed somewhere else since you opened it');
+    error.code = 'VERSION_CONFLICT';
+    error.current = current;
+    return error;
+  }
+};
+
+// Receipts are referenced by their storage path. Older expenses still hold a
+// public URL, and the local backend keeps the file inline as a data URL
+export const receiptUtils = {
+  BUCKET: 'receipts',
+
+  // Storage path from a path or a legacy public URL, null for data URLs
+  getPath(receipt) {
+    if (!receipt || receipt.startsWith('data:')) return null;
+    if (!/^https?:\/\//.test(receipt)) return receipt;
+
+    const [, path] = receipt.split(`/${this.BUCKET}/`);
+    return path ? decodeURIComponent(path.split('?')[0]) : null;
+  },
+
+  isLegacyUrl(receipt) {
+    return /^https?:\/\//.test(receipt || '');
+  },
+
+  // 'image', 'pdf' or null - from the data URL's MIME type or the path's extension
+  getFileType(receipt) {
+    if (!receipt) return null;
+    if (receipt.startsWith('data:image/')) return 'image';
+    if (receipt.startsWith('data:application/pdf')) return 'pdf';
+
+    const path = receipt.split('?')[0];
+    if (/\.(jpg|jpeg|png|gif|webp)$/i.test(path)) return 'image';
+    if (/\.pdf$/i.test(path)) return 'pdf';
+    return null;
+  },
+
+  getExtension(receipt) {
+    const mime = /^data:[^/]+\/([\w+.-]+)/.exec(receipt || '');
+    if (mime) return mime[1] === 'jpeg' ? 'jpg' : mime[1];
+    return (receipt || '').split('?')[0].split('.').pop();
+  },
+
+  formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+  }
+};
+
 // Date utilities
 export const dateUtils = {
   formatDate(dateString) {
@@ -72,6 +339,24 @@ export const dateUtils = {
       "July", "August", "September", "October", "November", "December"
     ];
     return monthNames[monthIndex];
+  },
+
+  // 'YYYY-MM-DD' in local time (toISOString would shift it to UTC)
+  toISODate(date) {
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  },
+
+  // Budget period a 'YYYY-MM-DD' date falls in - periods run from the 26th to
+  // the 25th and take the name of the month they end in (same as period_key in
+  // sql/aggregates.sql)
+  getPeriodKey(dateString) {
+    const [year, month, day] = String(dateString).slice(0, 10).split('-').map(Number);
+    if (day < 26) return `${year}-${String(month).padStart(2, '0')}`;
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
   }
 };
 
@@ -109,13 +394,21 @@ export const asyncUtils = {
     return new Promise(resolve => setTimeout(resolve, ms));
   },
 
-  async retry(fn, retries = 3, delayMs = 1000) {
+  /**
+   * Call fn until it succeeds, waiting longer after each failure
+   * (exponential backoff with jitter, so clients don't retry in lockstep)
+   * @param {Function} fn - Called with the attempt number, from 0
+   * @param {number} retries - Attempts in total
+   * @param {number} delayMs - Wait before the second attempt
+   * @param {Function} options.shouldRetry - Return false to give up on an error straight away
+   */
+  async retry(fn, retries = 3, delayMs = 1000, { shouldRetry = () => true } = {}) {
     for (let i = 0; i < retries; i++) {
       try {
-        return await fn();
+        return await fn(i);
       } catch (error) {
-        if (i === retries - 1) throw error;
-        await this.delay(delayMs * (i + 1));
+        if (i === retries - 1 || !shouldRetry(error)) throw error;
+        await this.delay(delayMs * 2 ** i * (0.75 + Math.random() / 2));
       }
     }
   }
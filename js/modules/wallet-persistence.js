@@ -14,8 +14,11 @@ class WalletPersistence {
     /**
      * Get the wallet ID that should be selected
      * Priority: localStorage > database default (is_default in wallets) > first wallet
+     * Archived wallets are never picked
      */
-    async getDefaultWalletId(wallets, userId) {
+    async getDefaultWalletId(allWallets, userId) {
+        const wallets = allWallets.filter(w => !w.archivedAt);
+
         try {
             // 1. Check localStorage first
             const storedWalletId = this.getStoredWalletId();
@@ -23,6 +26,11 @@ class WalletPersistence {
                 return storedWalletId;
             }
 
+            // A stored wallet that was deleted or archived is forgotten
+            if (storedWalletId) {
+                this.clearStoredWallet();
+            }
+
             // 2. Check for default wallet in the wallets array (is_default field)
             const defaultWallet = wallets.find(w => w.isDefault === true);
             if (defaultWallet) {
@@ -85,28 +93,8 @@ class WalletPersistence {
                 return false;
             }
 
-            // First, unset all wallets as default for this user
-            const { error: unsetError } = await this.db.supabase
-                .from('wallets')
-                .update({ is_default: false })
-                .eq('user_id', userId);
-
-            if (unsetError) {
-                console.error('Error unsetting default wallets:', unsetError);
-                // Continue anyway - not critical
-            }
-
-            // Then set the selected wallet as default
-            const { error: setError } = await this.db.supabase
-                .from('wallets')
-                .update({ is_default: true })
-                .eq('id', walletId)
-                .eq('user_id', userId);
-
-            if (setError) {
-                console.error('Error setting default wallet:', setError);
-                return false;
-            }
+            // Unsets the other wallets too; works with any storage backend
+            await this.db.setDefaultWallet(walletId);
 
             // Also update localStorage
             this.saveWalletId(walletId);
@@ -117,6 +105,17 @@ class WalletPersistence {
         }
     }
 
+    /**
+     * Move the stored selection off a wallet that was deleted or archived
+     * @returns {string|null} The wallet now selected
+     */
+    async handleWalletRemoved(walletId, wallets, userId) {
+        if (this.getStoredWalletId() === walletId) {
+            this.clearStoredWallet();
+        }
+        return await this.getDefaultWalletId(wallets.filter(w => w.id !== walletId), userId);
+    }
+
     /**
      * Clear stored wallet (useful on logout)
      */
@@ -0,0 +1,134 @@
+-- sql/aggregates.sql
+--
+-- Totals computed in the database, so summaries and analytics don't have to
+-- download every expense and income. Run once in the Supabase SQL editor.
+--
+-- Budget periods run from the 26th of one month to the 25th of the next and
+-- are named after the month they end in: 2024-03-26 .. 2024-04-25 is "2024-04".
+-- Every function runs as the caller, so row level security still applies, and
+-- skips rows in the Trash (deleted_at set).
+
+create or replace function public.period_key(d date)
+returns text
+language sql
+immutable
+as $$
+  select to_char(case when extract(day from d) >= 26 then d + interval '1 month' else d end, 'YYYY-MM');
+$$;
+
+-- Expense and income totals per budget period and wallet
+create or replace function public.period_totals(p_wallet_id uuid default null)
+returns table (
+  period_key text,
+  wallet_id uuid,
+  expense_total numeric,
+  expense_count bigint,
+  income_total numeric,
+  income_count bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with movements as (
+    select public.period_key(e.date::date) as period_key, e.wallet_id,
+           e.amount as expense, 0::numeric as income, 1 as is_expense, 0 as is_income
+    from public.expenses e
+    where e.user_id = auth.uid() and e.deleted_at is null
+      and (p_wallet_id is null or e.wallet_id = p_wallet_id)
+    union all
+    select public.period_key(i.date::date), i.wallet_id,
+           0, i.amount, 0, 1
+    from public.incomes i
+    where i.user_id = auth.uid() and i.deleted_at is null
+      and (p_wallet_id is null or i.wallet_id = p_wallet_id)
+  )
+  select m.period_key, m.wallet_id,
+         sum(m.expense), sum(m.is_expense), sum(m.income), sum(m.is_income)
+  from movements m
+  group by m.period_key, m.wallet_id
+  order by m.period_key, m.wallet_id;
+$$;
+
+-- Expense and income totals between two dates (inclusive)
+create or replace function public.range_totals(p_start date, p_end date, p_wallet_id uuid default null)
+returns table (
+  expense_total numeric,
+  expense_count bigint,
+  income_total numeric,
+  income_count bigint
+)
+language sql
+stable
+security invoker
+as $$
+  select
+    (select coalesce(sum(e.amount), 0) from public.expenses e
+      where e.user_id = auth.uid() and e.deleted_at is null
+        and e.date::date between p_start and p_end
+        and (p_wallet_id is null or e.wallet_id = p_wallet_id)),
+    (select count(*) from public.expenses e
+      where e.user_id = auth.uid() and e.deleted_at is null
+        and e.date::date between p_start and p_end
+        and (p_wallet_id is null or e.wallet_id = p_wallet_id)),
+    (select coalesce(sum(i.amount), 0) from public.incomes i
+      where i.user_id = auth.uid() and i.deleted_at is null
+        and i.date::date between p_start and p_end
+        and (p_wallet_id is null or i.wallet_id = p_wallet_id)),
+    (select count(*) from public.incomes i
+      where i.user_id = auth.uid() and i.deleted_at is null
+        and i.date::date between p_start and p_end
+        and (p_wallet_id is null or i.wallet_id = p_wallet_id));
+$$;
+
+-- Expense totals per category, subcategory and wallet between two dates.
+-- Names come from the categories table, falling back to the name saved on
+-- the expense once its category has been purged.
+create or replace function public.category_totals(p_start date, p_end date, p_wallet_id uuid default null)
+returns table (
+  category_id uuid,
+  category text,
+  subcategory_id uuid,
+  subcategory text,
+  wallet_id uuid,
+  total numeric,
+  expense_count bigint
+)
+language sql
+stable
+security invoker
+as $$
+  select e.category_id, coalesce(c.name, e.category),
+         e.subcategory_id, coalesce(s.name, e.subcategory),
+         e.wallet_id, sum(e.amount), count(*)
+  from public.expenses e
+  left join public.categories c on c.id = e.category_id
+  left join public.categories s on s.id = e.subcategory_id
+  where e.user_id = auth.uid() and e.deleted_at is null
+    and e.date::date between p_start and p_end
+    and (p_wallet_id is null or e.wallet_id = p_wallet_id)
+  group by 1, 2, 3, 4, 5;
+$$;
+
+-- Expense totals per day between two dates
+create or replace function public.daily_expense_totals(p_start date, p_end date, p_wallet_id uuid default null)
+returns table (
+  day date,
+  total numeric
+)
+language sql
+stable
+security invoker
+as $$
+  select e.date::date, sum(e.amount)
+  from public.expenses e
+  where e.user_id = auth.uid() and e.deleted_at is null
+    and e.date::date between p_start and p_end
+    and (p_wallet_id is null or e.wallet_id = p_wallet_id)
+  group by 1
+  order by 1;
+$$;
+
+-- Keeps the per-user scans above cheap
+create index if not exists expenses_user_date_idx on public.expenses (user_id, date) where deleted_at is null;
+create index if not exists incomes_user_date_idx on public.incomes (user_id, date) where deleted_at is null;
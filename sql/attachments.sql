@@ -0,0 +1,13 @@
+-- sql/attachments.sql
+--
+-- Several attachments per expense and income. Run once in the Supabase SQL
+-- editor, after receipt-thumbnails.sql.
+--
+-- attachments is an array of { path, thumbnailPath, caption } in display
+-- order; thumbnailPath is null for PDFs. An expense's single receipt from
+-- before this becomes its first attachment the next time the app loads
+-- (migrateReceiptAttachments), which also clears receipt_url and
+-- receipt_thumbnail_url.
+
+alter table public.expenses add column if not exists attachments jsonb not null default '[]'::jsonb;
+alter table public.incomes add column if not exists attachments jsonb not null default '[]'::jsonb;
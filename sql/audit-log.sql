@@ -0,0 +1,33 @@
+-- sql/audit-log.sql
+--
+-- Change history. Run once in the Supabase SQL editor.
+--
+-- Every mutation made through DatabaseService adds one row per record it
+-- touched, with the row as it was before and after. Reimbursement link and
+-- unlink changes are recorded the same way.
+
+create table if not exists public.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  table_name text not null,
+  record_id uuid not null,
+  action text not null,
+  -- Raw rows; before is null for a create, after is null for a purge
+  before jsonb,
+  after jsonb,
+  changed_by text,
+  created_at timestamptz not null default now()
+);
+
+alter table public.audit_log enable row level security;
+
+-- Entries are only ever added, so there are no update or delete policies
+drop policy if exists "Users read their own audit log" on public.audit_log;
+create policy "Users read their own audit log" on public.audit_log
+  for select using (user_id = auth.uid());
+drop policy if exists "Users add to their own audit log" on public.audit_log;
+create policy "Users add to their own audit log" on public.audit_log
+  for insert with check (user_id = auth.uid());
+
+-- The History panel reads one record's entries, newest first
+create index if not exists audit_log_record_idx on public.audit_log (user_id, table_name, record_id, created_at desc);
@@ -0,0 +1,15 @@
+-- sql/category-ids.sql
+--
+-- Expenses reference their category and subcategory by id. Run once in the
+-- Supabase SQL editor.
+--
+-- The category and subcategory name columns stay as a snapshot, refreshed on
+-- rename. Existing expenses get their ids from those names the first time
+-- the app loads after this migration (migrateExpenseCategories).
+
+alter table public.expenses add column if not exists category_id uuid references public.categories (id) on delete set null;
+alter table public.expenses add column if not exists subcategory_id uuid references public.categories (id) on delete set null;
+
+-- Renames, merges and budgets look expenses up by category
+create index if not exists expenses_category_idx on public.expenses (category_id);
+create index if not exists expenses_subcategory_idx on public.expenses (subcategory_id);
@@ -0,0 +1,69 @@
+-- sql/merchants.sql
+--
+-- A directory of merchants - the payee of an expense or the payer of an
+-- income. Run once in the Supabase SQL editor, after aggregates.sql.
+--
+-- Aliases are the other spellings a merchant turns up under ("INDOMARET 123",
+-- "indomaret pt"); the app matches them, the database only stores them.
+
+create table if not exists public.merchants (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  aliases text[] not null default '{}',
+  -- Filled in on a new expense with this payee
+  default_category_id uuid references public.categories (id) on delete set null,
+  default_subcategory_id uuid references public.categories (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  deleted_at timestamptz
+);
+
+alter table public.merchants enable row level security;
+
+drop policy if exists "Users manage their own merchants" on public.merchants;
+create policy "Users manage their own merchants" on public.merchants
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create index if not exists merchants_user_idx on public.merchants (user_id);
+
+alter table public.expenses add column if not exists merchant_id uuid references public.merchants (id) on delete set null;
+alter table public.incomes add column if not exists merchant_id uuid references public.merchants (id) on delete set null;
+
+create index if not exists expenses_merchant_idx on public.expenses (merchant_id);
+create index if not exists incomes_merchant_idx on public.incomes (merchant_id);
+
+-- Live updates from other devices
+alter publication supabase_realtime add table public.merchants;
+
+-- Expense and income totals per merchant between two dates. Records without
+-- a merchant are left out.
+create or replace function public.merchant_totals(p_start date, p_end date, p_wallet_id uuid default null)
+returns table (
+  merchant_id uuid,
+  expense_total numeric,
+  expense_count bigint,
+  income_total numeric,
+  income_count bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with records as (
+    select e.merchant_id, e.amount as expense, 0::numeric as income, 1 as is_expense, 0 as is_income
+    from public.expenses e
+    where e.user_id = auth.uid() and e.deleted_at is null and e.merchant_id is not null
+      and e.date::date between p_start and p_end
+      and (p_wallet_id is null or e.wallet_id = p_wallet_id)
+    union all
+    select i.merchant_id, 0, i.amount, 0, 1
+    from public.incomes i
+    where i.user_id = auth.uid() and i.deleted_at is null and i.merchant_id is not null
+      and i.date::date between p_start and p_end
+      and (p_wallet_id is null or i.wallet_id = p_wallet_id)
+  )
+  select r.merchant_id, sum(r.expense), sum(r.is_expense), sum(r.income), sum(r.is_income)
+  from records r
+  group by r.merchant_id;
+$$;
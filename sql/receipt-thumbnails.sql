@@ -0,0 +1,10 @@
+-- sql/receipt-thumbnails.sql
+--
+-- Receipt thumbnails. Run once in the Supabase SQL editor.
+--
+-- Receipt photos are shrunk in the browser before upload, and a small JPEG
+-- goes up next to each one ("<receipt>_thumb.jpg") for lists and previews.
+-- receipt_thumbnail_url holds its storage path; receipts uploaded before
+-- this have none and fall back to the full image.
+
+alter table public.expenses add column if not exists receipt_thumbnail_url text;
@@ -0,0 +1,26 @@
+-- sql/receipts-storage.sql
+--
+-- Private receipts. Run once in the Supabase SQL editor.
+--
+-- Files live under a folder named after the user's id
+-- ("<user id>/<expense id>_<timestamp>.jpg"). The bucket is not public, so
+-- a file can only be opened through a signed URL, and each user can only
+-- reach their own folder. Expenses saved while the bucket was public hold a
+-- public URL; the app rewrites them to the storage path on its next load
+-- (migrateReceiptPaths).
+
+insert into storage.buckets (id, name, public)
+values ('receipts', 'receipts', false)
+on conflict (id) do update set public = false;
+
+drop policy if exists "Users read their own receipts" on storage.objects;
+create policy "Users read their own receipts" on storage.objects
+  for select using (bucket_id = 'receipts' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "Users upload their own receipts" on storage.objects;
+create policy "Users upload their own receipts" on storage.objects
+  for insert with check (bucket_id = 'receipts' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "Users delete their own receipts" on storage.objects;
+create policy "Users delete their own receipts" on storage.objects
+  for delete using (bucket_id = 'receipts' and (storage.foldername(name))[1] = auth.uid()::text);
@@ -0,0 +1,55 @@
+-- sql/recurring.sql
+--
+-- Recurring expenses and incomes. Run once in the Supabase SQL editor, after
+-- versions.sql.
+--
+-- A rule holds the transaction to repeat (template) and when: every
+-- `interval` days, weeks, months or years from start_date until end_date.
+-- next_date is the first occurrence not generated yet; the app moves it on
+-- as it adds (or the user skips) occurrences.
+
+create table if not exists public.recurring_rules (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  type text not null check (type in ('expense', 'income')),
+  -- Expense or income fields in their camelCase record shape, without date
+  template jsonb not null default '{}'::jsonb,
+  frequency text not null check (frequency in ('daily', 'weekly', 'monthly', 'yearly')),
+  interval integer not null default 1 check (interval >= 1),
+  start_date date not null,
+  end_date date,
+  -- Monthly and yearly rules: the start date's day, the last day of the
+  -- month, or the last weekday of the month
+  anchor text not null default 'date' check (anchor in ('date', 'last_day', 'last_business_day')),
+  -- 'auto' adds occurrences as they fall due, 'confirm' asks first
+  mode text not null default 'auto' check (mode in ('auto', 'confirm')),
+  next_date date,
+  paused_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  deleted_at timestamptz
+);
+
+alter table public.recurring_rules enable row level security;
+
+drop policy if exists "Users manage their own recurring rules" on public.recurring_rules;
+create policy "Users manage their own recurring rules" on public.recurring_rules
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create index if not exists recurring_rules_user_idx on public.recurring_rules (user_id);
+
+-- Rules are versioned like transactions
+drop trigger if exists recurring_rules_stamp_updated_at on public.recurring_rules;
+create trigger recurring_rules_stamp_updated_at before update on public.recurring_rules
+  for each row execute function public.stamp_updated_at();
+
+-- Generated transactions point back at their rule
+alter table public.expenses add column if not exists recurring_rule_id uuid references public.recurring_rules (id) on delete set null;
+alter table public.incomes add column if not exists recurring_rule_id uuid references public.recurring_rules (id) on delete set null;
+
+-- One transaction per rule and date, so two devices catching up on the same
+-- rule can't both add an occurrence
+create unique index if not exists expenses_recurring_occurrence_idx
+  on public.expenses (recurring_rule_id, date) where recurring_rule_id is not null and deleted_at is null;
+create unique index if not exists incomes_recurring_occurrence_idx
+  on public.incomes (recurring_rule_id, date) where recurring_rule_id is not null and deleted_at is null;
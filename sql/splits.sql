@@ -0,0 +1,53 @@
+-- sql/splits.sql
+--
+-- Expenses split across several categories. Run once in the Supabase SQL
+-- editor, after aggregates.sql.
+--
+-- splits holds the lines in their camelCase record shape -
+-- [{ amount, categoryId, category, subcategoryId, subcategory }] - and is
+-- null for an expense filed under one category. The expense's own category
+-- columns hold the first line's, so lists that don't know about splits still
+-- show something sensible.
+
+alter table public.expenses add column if not exists splits jsonb;
+
+-- Replaces the version in aggregates.sql: each split line counts towards its
+-- own category, unsplit expenses as before.
+create or replace function public.category_totals(p_start date, p_end date, p_wallet_id uuid default null)
+returns table (
+  category_id uuid,
+  category text,
+  subcategory_id uuid,
+  subcategory text,
+  wallet_id uuid,
+  total numeric,
+  expense_count bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with lines as (
+    select e.category_id, e.category, e.subcategory_id, e.subcategory, e.wallet_id, e.amount
+    from public.expenses e
+    where e.user_id = auth.uid() and e.deleted_at is null and e.splits is null
+      and e.date::date between p_start and p_end
+      and (p_wallet_id is null or e.wallet_id = p_wallet_id)
+    union all
+    select (line->>'categoryId')::uuid, line->>'category',
+           (line->>'subcategoryId')::uuid, line->>'subcategory',
+           e.wallet_id, (line->>'amount')::numeric
+    from public.expenses e
+    cross join lateral jsonb_array_elements(e.splits) as line
+    where e.user_id = auth.uid() and e.deleted_at is null and e.splits is not null
+      and e.date::date between p_start and p_end
+      and (p_wallet_id is null or e.wallet_id = p_wallet_id)
+  )
+  select l.category_id, coalesce(c.name, l.category),
+         l.subcategory_id, coalesce(s.name, l.subcategory),
+         l.wallet_id, sum(l.amount), count(*)
+  from lines l
+  left join public.categories c on c.id = l.category_id
+  left join public.categories s on s.id = l.subcategory_id
+  group by 1, 2, 3, 4, 5;
+$$;
@@ -0,0 +1,48 @@
+-- sql/tags.sql
+--
+-- Free-form tags on expenses and incomes ("work trip", "tax-deductible").
+-- Run once in the Supabase SQL editor, after aggregates.sql.
+--
+-- The app stores tags trimmed, lower case and without duplicates.
+
+alter table public.expenses add column if not exists tags text[] not null default '{}';
+alter table public.incomes add column if not exists tags text[] not null default '{}';
+
+-- For filters like tags @> '{wedding}'
+create index if not exists expenses_tags_idx on public.expenses using gin (tags);
+create index if not exists incomes_tags_idx on public.incomes using gin (tags);
+
+-- Expense and income totals per tag between two dates. A record with several
+-- tags counts in full towards each, so the totals can add up to more than
+-- was spent.
+create or replace function public.tag_totals(p_start date, p_end date, p_wallet_id uuid default null)
+returns table (
+  tag text,
+  expense_total numeric,
+  expense_count bigint,
+  income_total numeric,
+  income_count bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with tagged as (
+    select t.tag, e.amount as expense, 0::numeric as income, 1 as is_expense, 0 as is_income
+    from public.expenses e
+    cross join lateral unnest(e.tags) as t(tag)
+    where e.user_id = auth.uid() and e.deleted_at is null
+      and e.date::date between p_start and p_end
+      and (p_wallet_id is null or e.wallet_id = p_wallet_id)
+    union all
+    select t.tag, 0, i.amount, 0, 1
+    from public.incomes i
+    cross join lateral unnest(i.tags) as t(tag)
+    where i.user_id = auth.uid() and i.deleted_at is null
+      and i.date::date between p_start and p_end
+      and (p_wallet_id is null or i.wallet_id = p_wallet_id)
+  )
+  select t.tag, sum(t.expense), sum(t.is_expense), sum(t.income), sum(t.is_income)
+  from tagged t
+  group by t.tag;
+$$;
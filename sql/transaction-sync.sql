@@ -0,0 +1,58 @@
+-- sql/transaction-sync.sql
+--
+-- Support for loading expenses and incomes a few months at a time. Run once
+-- in the Supabase SQL editor, after aggregates.sql.
+--
+-- The app keeps only recent months in memory. Balances still cover every
+-- transaction: what lies before the loaded months is added from
+-- totals_before(). Later refreshes fetch only rows whose created_at or
+-- updated_at is newer than the last load. Both come from the database's clock
+-- (updated_at from the trigger in versions.sql), and so does the time a load
+-- starts at (server_now()), so a device whose clock is off can't hide a change.
+
+-- Expense and income totals per wallet for everything dated before p_before,
+-- with the earliest date so the app knows whether older months exist
+create or replace function public.totals_before(p_before date)
+returns table (
+  wallet_id uuid,
+  expense_total numeric,
+  expense_count bigint,
+  income_total numeric,
+  income_count bigint,
+  first_date date
+)
+language sql
+stable
+security invoker
+as $$
+  with movements as (
+    select e.wallet_id, e.date::date as day,
+           e.amount as expense, 0::numeric as income, 1 as is_expense, 0 as is_income
+    from public.expenses e
+    where e.user_id = auth.uid() and e.deleted_at is null
+      and e.date::date < p_before
+    union all
+    select i.wallet_id, i.date::date,
+           0, i.amount, 0, 1
+    from public.incomes i
+    where i.user_id = auth.uid() and i.deleted_at is null
+      and i.date::date < p_before
+  )
+  select m.wallet_id,
+         sum(m.expense), sum(m.is_expense), sum(m.income), sum(m.is_income),
+         min(m.day)
+  from movements m
+  group by m.wallet_id;
+$$;
+
+create or replace function public.server_now()
+returns timestamptz
+language sql
+stable
+as $$
+  select now();
+$$;
+
+-- Keeps the "changed since" scans of a refresh cheap
+create index if not exists expenses_user_updated_idx on public.expenses (user_id, updated_at);
+create index if not exists incomes_user_updated_idx on public.incomes (user_id, updated_at);
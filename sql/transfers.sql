@@ -0,0 +1,36 @@
+-- sql/transfers.sql
+--
+-- Transfers between the user's own wallets. Run once in the Supabase SQL
+-- editor.
+--
+-- One row is both sides of the move: from_wallet_id pays amount + fee and
+-- to_wallet_id receives amount. Transfers are not expenses or incomes, so
+-- the totals in aggregates.sql and transaction-sync.sql leave them out;
+-- wallet balances add them on top.
+
+create table if not exists public.transfers (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  from_wallet_id uuid not null references public.wallets (id),
+  to_wallet_id uuid not null references public.wallets (id),
+  amount numeric not null check (amount > 0),
+  -- Charged to the sending wallet on top of the amount
+  fee numeric not null default 0 check (fee >= 0),
+  date date not null,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  deleted_at timestamptz,
+  check (from_wallet_id <> to_wallet_id)
+);
+
+alter table public.transfers enable row level security;
+
+drop policy if exists "Users manage their own transfers" on public.transfers;
+create policy "Users manage their own transfers" on public.transfers
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create index if not exists transfers_user_date_idx on public.transfers (user_id, date);
+
+-- Live updates from other devices
+alter publication supabase_realtime add table public.transfers;
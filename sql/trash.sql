@@ -0,0 +1,37 @@
+-- sql/trash.sql
+--
+-- Soft delete for the Trash. Run once in the Supabase SQL editor.
+--
+-- Deleting a record sets deleted_at instead of removing the row; reads skip
+-- rows that have one. Restoring clears it, and purging (by hand or once the
+-- retention window has passed) deletes the row for good.
+
+alter table public.expenses add column if not exists deleted_at timestamptz;
+alter table public.incomes add column if not exists deleted_at timestamptz;
+alter table public.wallets add column if not exists deleted_at timestamptz;
+alter table public.categories add column if not exists deleted_at timestamptz;
+alter table public.budgets add column if not exists deleted_at timestamptz;
+
+-- Purging deletes rows outright
+drop policy if exists "Users purge their own expenses" on public.expenses;
+create policy "Users purge their own expenses" on public.expenses
+  for delete using (user_id = auth.uid());
+drop policy if exists "Users purge their own incomes" on public.incomes;
+create policy "Users purge their own incomes" on public.incomes
+  for delete using (user_id = auth.uid());
+drop policy if exists "Users purge their own wallets" on public.wallets;
+create policy "Users purge their own wallets" on public.wallets
+  for delete using (user_id = auth.uid());
+drop policy if exists "Users purge their own categories" on public.categories;
+create policy "Users purge their own categories" on public.categories
+  for delete using (user_id = auth.uid());
+drop policy if exists "Users purge their own budgets" on public.budgets;
+create policy "Users purge their own budgets" on public.budgets
+  for delete using (user_id = auth.uid());
+
+-- The Trash lists only deleted rows
+create index if not exists expenses_deleted_idx on public.expenses (user_id, deleted_at) where deleted_at is not null;
+create index if not exists incomes_deleted_idx on public.incomes (user_id, deleted_at) where deleted_at is not null;
+create index if not exists wallets_deleted_idx on public.wallets (user_id, deleted_at) where deleted_at is not null;
+create index if not exists categories_deleted_idx on public.categories (user_id, deleted_at) where deleted_at is not null;
+create index if not exists budgets_deleted_idx on public.budgets (user_id, deleted_at) where deleted_at is not null;
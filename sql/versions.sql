@@ -0,0 +1,35 @@
+-- sql/versions.sql
+--
+-- Record versions for optimistic concurrency. Run once in the Supabase SQL
+-- editor.
+--
+-- The database stamps updated_at with its own clock on every update to these
+-- tables, whatever the client sent, so versions never depend on a device's
+-- clock. An edit sends the updated_at it started from and only matches the
+-- row if nobody saved in between; otherwise the app shows the conflict
+-- dialog. Rows that were never edited have no updated_at, which counts as a
+-- version too.
+
+alter table public.expenses add column if not exists updated_at timestamptz;
+alter table public.incomes add column if not exists updated_at timestamptz;
+alter table public.wallets add column if not exists updated_at timestamptz;
+
+create or replace function public.stamp_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists expenses_stamp_updated_at on public.expenses;
+create trigger expenses_stamp_updated_at before update on public.expenses
+  for each row execute function public.stamp_updated_at();
+drop trigger if exists incomes_stamp_updated_at on public.incomes;
+create trigger incomes_stamp_updated_at before update on public.incomes
+  for each row execute function public.stamp_updated_at();
+drop trigger if exists wallets_stamp_updated_at on public.wallets;
+create trigger wallets_stamp_updated_at before update on public.wallets
+  for each row execute function public.stamp_updated_at();
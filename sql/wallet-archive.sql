@@ -0,0 +1,8 @@
+-- sql/wallet-archive.sql
+--
+-- Archived wallets. Run once in the Supabase SQL editor.
+--
+-- An archived wallet is hidden from the wallet picker but keeps its
+-- transactions and budgets for analytics. Archiving also clears is_default.
+
+alter table public.wallets add column if not exists archived_at timestamptz;